@@ -0,0 +1,54 @@
+import { ROLES, getRoleFromClaims, getClaimsEmail, getEmployeeAccess } from '../../src/auth/roles.js'
+import { getEmployeeSubcalendars } from '../../src/engine/dashboard.js'
+import { loadServerSettings } from './settings.js'
+
+// Azure AD group object ids granting roles, like VITE_AZURE_*_GROUP_ID in the browser
+export function getRoleGroups(env = process.env) {
+  return {
+    Admin: env.AZURE_ADMIN_GROUP_ID,
+    Manager: env.AZURE_MANAGER_GROUP_ID
+  }
+}
+
+// Work out which employees the caller may see from their access token claims
+// Returns getEmployeeAccess's { role, all, employeeIds } plus the employee subcalendars hidden from them
+export async function loadRequestAccess(claims, source, env = process.env) {
+  const role = getRoleFromClaims(claims, getRoleGroups(env))
+  if (role === ROLES.ADMIN) {
+    return { ...getEmployeeAccess({ role }, [], null), hiddenSubcalendarIds: [] }
+  }
+
+  const [subcalendars, settings] = await Promise.all([source.getSubcalendars(), loadServerSettings(source, env)])
+  const employees = getEmployeeSubcalendars(subcalendars, null)
+  const access = getEmployeeAccess({ role, email: getClaimsEmail(claims), name: claims.name }, employees, settings)
+
+  return {
+    ...access,
+    hiddenSubcalendarIds: employees.map(employee => employee.id).filter(id => !access.employeeIds.includes(id))
+  }
+}
+
+// Drop events on employee subcalendars hidden from the caller
+// Shared calendars like Holidays stay, and events on several subcalendars keep only the visible ones
+export function restrictEvents(data, access) {
+  if (access.all) return data
+
+  const isVisible = id => !access.hiddenSubcalendarIds.includes(id)
+  return {
+    ...data,
+    events: data.events
+      .filter(event => event.subcalendar_ids.some(isVisible))
+      .map(event => ({ ...event, subcalendar_ids: event.subcalendar_ids.filter(isVisible) }))
+  }
+}
+
+// Drop employee subcalendars hidden from the caller, like restrictEvents does for their events
+// Shared calendars like Holidays and Future Work stay
+export function restrictSubcalendars(data, access) {
+  if (access.all) return data
+
+  return {
+    ...data,
+    subcalendars: data.subcalendars.filter(sub => !access.hiddenSubcalendarIds.includes(sub.id))
+  }
+}
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { loadRequestAccess, restrictEvents, restrictSubcalendars } from './access.js'
+
+const SUBCALENDARS = {
+  subcalendars: [
+    { id: 101, name: 'Avery Field' },
+    { id: 102, name: 'Blake Office' },
+    { id: 900, name: 'Holidays' }
+  ]
+}
+
+// Helper function to create a TeamUp source serving the subcalendars above
+function createSource() {
+  return {
+    getSubcalendars: vi.fn(async () => SUBCALENDARS),
+    getConfiguration: vi.fn(async () => ({ configuration: { general_settings: { timezone: 'America/Chicago' } } }))
+  }
+}
+
+describe('loadRequestAccess', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('gives admins everything without fetching subcalendars', async () => {
+    const source = createSource()
+    const access = await loadRequestAccess({ roles: ['Admin'] }, source, {})
+
+    expect(access.all).toBe(true)
+    expect(source.getSubcalendars).not.toHaveBeenCalled()
+  })
+
+  it('hides the other employees from an employee', async () => {
+    const access = await loadRequestAccess({ name: 'Avery Field', preferred_username: 'avery@contoso.com' }, createSource(), {})
+
+    expect(access).toMatchObject({ role: 'Employee', all: false, employeeIds: [101], hiddenSubcalendarIds: [102] })
+  })
+
+  it('applies manager assignments and role groups from the server settings', async () => {
+    const stored = { managerAssignments: { 'lead@contoso.com': [102] } }
+    vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ result: JSON.stringify(stored) }) })))
+    const env = {
+      AZURE_MANAGER_GROUP_ID: 'managers-group',
+      KV_REST_API_URL: 'https://kv.example.com',
+      KV_REST_API_TOKEN: 'token'
+    }
+    const access = await loadRequestAccess({ groups: ['managers-group'], preferred_username: 'lead@contoso.com' }, createSource(), env)
+
+    expect(access).toMatchObject({ role: 'Manager', employeeIds: [102], hiddenSubcalendarIds: [101] })
+  })
+})
+
+describe('restrictEvents', () => {
+  const data = {
+    events: [
+      { id: '1', subcalendar_ids: [101] },
+      { id: '2', subcalendar_ids: [102] },
+      { id: '3', subcalendar_ids: [900] },
+      { id: '4', subcalendar_ids: [101, 102] }
+    ]
+  }
+
+  it('keeps shared calendars and strips hidden employees from shared events', () => {
+    const result = restrictEvents(data, { all: false, employeeIds: [101], hiddenSubcalendarIds: [102] })
+
+    expect(result.events).toEqual([
+      { id: '1', subcalendar_ids: [101] },
+      { id: '3', subcalendar_ids: [900] },
+      { id: '4', subcalendar_ids: [101] }
+    ])
+  })
+
+  it('returns everything for admins', () => {
+    expect(restrictEvents(data, { all: true, employeeIds: [], hiddenSubcalendarIds: [] })).toBe(data)
+  })
+})
+
+describe('restrictSubcalendars', () => {
+  it('leaves out hidden employees but keeps shared calendars', () => {
+    const result = restrictSubcalendars(SUBCALENDARS, { all: false, employeeIds: [101], hiddenSubcalendarIds: [102] })
+
+    expect(result.subcalendars.map(sub => sub.id)).toEqual([101, 900])
+  })
+
+  it('returns everything for admins', () => {
+    expect(restrictSubcalendars(SUBCALENDARS, { all: true, employeeIds: [], hiddenSubcalendarIds: [] })).toBe(SUBCALENDARS)
+  })
+})
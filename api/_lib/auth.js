@@ -0,0 +1,76 @@
+import { timingSafeEqual } from 'node:crypto'
+import { createRemoteJWKSet, jwtVerify } from 'jose'
+import { HttpError } from './http.js'
+
+// Signing keys are cached by jose between invocations of a warm function
+let jwks = null
+
+// Helper function to get the tenant's token signing keys
+function getSigningKeys(tenantId) {
+  if (!jwks) {
+    jwks = createRemoteJWKSet(new URL(`https://login.microsoftonline.com/${tenantId}/discovery/v2.0/keys`))
+  }
+  return jwks
+}
+
+// Helper function to read the accepted token audiences from the environment
+// AZURE_API_AUDIENCE may list several, comma-separated; defaults to the app's client id and api:// URI
+export function getAllowedAudiences(env = process.env) {
+  if (env.AZURE_API_AUDIENCE) {
+    return env.AZURE_API_AUDIENCE.split(',').map(audience => audience.trim()).filter(Boolean)
+  }
+  return env.AZURE_CLIENT_ID ? [env.AZURE_CLIENT_ID, `api://${env.AZURE_CLIENT_ID}`] : []
+}
+
+// Helper function to pull the bearer token out of an Authorization header
+export function getBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || '')
+  if (!match) {
+    throw new HttpError(401, 'Missing bearer token')
+  }
+  return match[1]
+}
+
+// Verify the caller's Azure AD access token and return its claims
+export async function verifyAzureToken(req, env = process.env) {
+  // Local development only (see server/dev-server.js); never honored on Vercel
+  if (env.API_AUTH_DISABLED === 'true' && !env.VERCEL) {
+    return { name: 'Local developer', roles: ['Admin'] }
+  }
+
+  const token = getBearerToken(req.headers.authorization)
+  const tenantId = env.AZURE_TENANT_ID
+  const audiences = getAllowedAudiences(env)
+  if (!tenantId || audiences.length === 0) {
+    throw new Error('AZURE_TENANT_ID and AZURE_CLIENT_ID or AZURE_API_AUDIENCE must be set')
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, getSigningKeys(tenantId), {
+      audience: audiences,
+      // v2.0 and v1.0 access tokens use different issuers
+      issuer: [
+        `https://login.microsoftonline.com/${tenantId}/v2.0`,
+        `https://sts.windows.net/${tenantId}/`
+      ]
+    })
+    return payload
+  } catch (error) {
+    throw new HttpError(401, `Invalid token: ${error.code || error.message}`)
+  }
+}
+
+// Check the CRON_SECRET that Vercel Cron sends as a bearer token to scheduled jobs
+export function verifyCronSecret(req, env = process.env) {
+  // Local development only, like verifyAzureToken
+  if (env.API_AUTH_DISABLED === 'true' && !env.VERCEL) return
+
+  if (!env.CRON_SECRET) {
+    throw new Error('CRON_SECRET must be set')
+  }
+  const token = Buffer.from(getBearerToken(req.headers.authorization))
+  const secret = Buffer.from(env.CRON_SECRET)
+  if (token.length !== secret.length || !timingSafeEqual(token, secret)) {
+    throw new HttpError(401, 'Invalid cron secret')
+  }
+}
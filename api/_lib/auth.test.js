@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest'
+import { getBearerToken, getAllowedAudiences, verifyAzureToken, verifyCronSecret } from './auth.js'
+
+describe('getBearerToken', () => {
+  it('reads the token from an Authorization header', () => {
+    expect(getBearerToken('Bearer abc.def.ghi')).toBe('abc.def.ghi')
+  })
+
+  it('rejects missing or malformed headers with a 401', () => {
+    expect(() => getBearerToken(undefined)).toThrow('Missing bearer token')
+    expect(() => getBearerToken('Basic dXNlcjpwYXNz')).toThrow('Missing bearer token')
+  })
+})
+
+describe('getAllowedAudiences', () => {
+  it('defaults to the client id and its api:// URI', () => {
+    expect(getAllowedAudiences({ AZURE_CLIENT_ID: 'abc' })).toEqual(['abc', 'api://abc'])
+  })
+
+  it('uses AZURE_API_AUDIENCE when set', () => {
+    expect(getAllowedAudiences({ AZURE_CLIENT_ID: 'abc', AZURE_API_AUDIENCE: 'api://one, api://two' }))
+      .toEqual(['api://one', 'api://two'])
+  })
+})
+
+describe('verifyAzureToken', () => {
+  it('rejects requests without a token before contacting Azure AD', async () => {
+    await expect(verifyAzureToken({ headers: {} }, { AZURE_TENANT_ID: 't', AZURE_CLIENT_ID: 'c' }))
+      .rejects.toMatchObject({ status: 401 })
+  })
+})
+
+describe('verifyCronSecret', () => {
+  const env = { CRON_SECRET: 'cron-secret' }
+
+  it('accepts the configured secret', () => {
+    expect(() => verifyCronSecret({ headers: { authorization: 'Bearer cron-secret' } }, env)).not.toThrow()
+  })
+
+  it('rejects a missing or different secret with a 401', () => {
+    expect(() => verifyCronSecret({ headers: {} }, env)).toThrow(expect.objectContaining({ status: 401 }))
+    expect(() => verifyCronSecret({ headers: { authorization: 'Bearer other' } }, env)).toThrow('Invalid cron secret')
+  })
+
+  it('refuses to run without CRON_SECRET', () => {
+    expect(() => verifyCronSecret({ headers: { authorization: 'Bearer ' } }, {})).toThrow('CRON_SECRET must be set')
+  })
+})
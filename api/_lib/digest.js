@@ -0,0 +1,57 @@
+import nodemailer from 'nodemailer'
+import { loadEmployeesUtilization } from './utilization.js'
+import { formatDate } from '../../src/engine/utilization.js'
+import { getDigestSettings, isDigestDue, getDigestPeriod, buildDigestMessages } from '../../src/engine/digest.js'
+import { getCalendarTimeZone } from '../../src/engine/settings.js'
+import { getToday } from '../../src/engine/timezone.js'
+
+// SMTP transport for the digest emails
+// SMTP_HOST is required; SMTP_PORT defaults to 587, SMTP_SECURE=true uses TLS from the start,
+// and SMTP_USER / SMTP_PASS are only sent when set (a local mock server needs neither)
+export function createMailTransport(env = process.env) {
+  if (!env.SMTP_HOST) {
+    throw new Error('SMTP_HOST must be set to send digest emails')
+  }
+  return nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+  })
+}
+
+// Sender address of the digest emails
+export function getDigestSender(env = process.env) {
+  return env.DIGEST_FROM || 'Employee Utilization <no-reply@localhost>'
+}
+
+// Run the missing-entry digest for a day
+//   source:    TeamUp or fixture source
+//   settings:  server settings (from loadServerSettings)
+//   transport: anything with nodemailer's sendMail(message)
+//   today:     defaults to the current date in the calendar's time zone
+//   force:     send even when the cadence says the digest isn't due
+// Returns { due, startDate, endDate, sent, skipped } where sent lists the recipients
+export async function runDigest({ source, settings, transport, from, today = getToday(getCalendarTimeZone(settings)), force = false }) {
+  const digest = getDigestSettings(settings)
+  const period = getDigestPeriod(digest, today)
+  const summary = {
+    due: force || isDigestDue(digest, today),
+    startDate: formatDate(period.startDate),
+    endDate: formatDate(period.endDate),
+    sent: [],
+    skipped: []
+  }
+  if (!summary.due) return summary
+
+  const items = await loadEmployeesUtilization(period, { source, settings })
+  const { messages, skipped } = buildDigestMessages(items, settings, period)
+  summary.skipped = skipped
+
+  // One at a time so a slow SMTP server isn't flooded
+  for (const message of messages) {
+    await transport.sendMail({ from, ...message })
+    summary.sent.push(message.to)
+  }
+  return summary
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { readFile } from 'node:fs/promises'
+import { runDigest, createMailTransport } from './digest.js'
+import { createFixtureSource } from './fixture.js'
+import { withDefaultSettings } from '../../src/engine/settings.js'
+
+const FIXTURE = fileURLToPath(new URL('../../server/fixtures/teamup.json', import.meta.url))
+const SETTINGS = fileURLToPath(new URL('../../server/fixtures/settings.json', import.meta.url))
+
+// Helper function to collect sent messages instead of emailing them
+function createTransport() {
+  const sent = []
+  return { sent, sendMail: async (message) => sent.push(message) }
+}
+
+describe('runDigest', async () => {
+  const settings = withDefaultSettings({ ...JSON.parse(await readFile(SETTINGS, 'utf8')), timezone: 'America/Chicago' })
+  // Monday after the fixture's second full week
+  const today = new Date(2025, 0, 20)
+
+  it('emails the fixture week\'s gaps to the employee and their manager', async () => {
+    const transport = createTransport()
+    const summary = await runDigest({ source: createFixtureSource(FIXTURE), settings, transport, from: 'digest@example.com', today })
+
+    expect(summary).toMatchObject({ due: true, startDate: '2025-01-13', endDate: '2025-01-19', skipped: [] })
+    expect(summary.sent).toEqual(['blake@example.com', 'morgan@example.com'])
+    expect(transport.sent[0].from).toBe('digest@example.com')
+    expect(transport.sent[0].text).toContain('Fri, Jan 17')
+  })
+
+  it('skips days the cadence does not send on unless forced', async () => {
+    const tuesday = new Date(2025, 0, 21)
+    const transport = createTransport()
+    const source = createFixtureSource(FIXTURE)
+
+    expect(await runDigest({ source, settings, transport, today: tuesday })).toMatchObject({ due: false, sent: [] })
+    expect((await runDigest({ source, settings, transport, today: tuesday, force: true })).due).toBe(true)
+  })
+})
+
+describe('createMailTransport', () => {
+  it('requires an SMTP host', () => {
+    expect(() => createMailTransport({})).toThrow('SMTP_HOST must be set')
+  })
+})
@@ -0,0 +1,53 @@
+import { readFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+
+// TeamUp stand-in backed by a JSON file of { subcalendars: [], events: [], configuration: {}, history: {} },
+// used to run the API locally and in tests without TeamUp credentials.
+export function createFixtureSource(path) {
+  let data = null
+
+  // Helper function to read the fixture once
+  async function load() {
+    if (!data) {
+      data = JSON.parse(await readFile(resolve(path), 'utf8'))
+    }
+    return data
+  }
+
+  return {
+    async getSubcalendars() {
+      const { subcalendars } = await load()
+      return { subcalendars }
+    },
+
+    async getConfiguration() {
+      const { configuration = {} } = await load()
+      return { configuration }
+    },
+
+    // history holds each event's TeamUp history entries by event id
+    async getEventHistory(eventId) {
+      const { history = {} } = await load()
+      return { history: history[eventId] || [] }
+    },
+
+    // Filter events the way TeamUp does for the parameters buildEventsQuery allows
+    // Like TeamUp, deleted events (with delete_dt) are only returned when modifiedSince is set
+    async getEvents(params) {
+      const { events } = await load()
+      const startDate = params.get('startDate')
+      const endDate = params.get('endDate')
+      const subcalendarIds = params.getAll('subcalendarId[]').map(Number)
+      const modifiedSince = params.get('modifiedSince')
+
+      return {
+        events: events.filter(event =>
+          (!startDate || event.end_dt.slice(0, 10) >= startDate) &&
+          (!endDate || event.start_dt.slice(0, 10) <= endDate) &&
+          (subcalendarIds.length === 0 || event.subcalendar_ids.some(id => subcalendarIds.includes(id))) &&
+          (modifiedSince ? new Date(event.update_dt).getTime() / 1000 > Number(modifiedSince) : !event.delete_dt)
+        )
+      }
+    }
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { createFixtureSource } from './fixture.js'
+
+const FIXTURE = fileURLToPath(new URL('../../server/fixtures/teamup.json', import.meta.url))
+
+describe('createFixtureSource', () => {
+  it('returns events overlapping the requested dates', async () => {
+    const { events } = await createFixtureSource(FIXTURE).getEvents(new URLSearchParams({
+      startDate: '2025-01-16',
+      endDate: '2025-01-16'
+    }))
+
+    expect(events.map(event => event.title)).toEqual(['Vacation', 'Front desk'])
+  })
+
+  it('filters by subcalendar and modification time', async () => {
+    const params = new URLSearchParams({ modifiedSince: String(Date.UTC(2025, 0, 10) / 1000) })
+    params.append('subcalendarId[]', '102')
+    const { events } = await createFixtureSource(FIXTURE).getEvents(params)
+
+    expect(events).toHaveLength(1)
+    expect(events[0].subcalendar_ids).toEqual([102])
+  })
+
+  it('returns deleted events only with modifiedSince', async () => {
+    const range = { startDate: '2025-01-20', endDate: '2025-01-20' }
+    const current = await createFixtureSource(FIXTURE).getEvents(new URLSearchParams(range))
+    const changed = await createFixtureSource(FIXTURE).getEvents(new URLSearchParams({
+      ...range,
+      modifiedSince: String(Date.UTC(2025, 0, 20) / 1000)
+    }))
+
+    expect(current.events.map(event => event.id)).toEqual([])
+    expect(changed.events.map(event => [event.id, event.delete_dt])).toEqual([['1017', '2025-01-21T09:00:00']])
+  })
+
+  it('serves event histories, empty for events without one', async () => {
+    const source = createFixtureSource(FIXTURE)
+
+    expect((await source.getEventHistory('1017')).history.map(entry => entry.action)).toEqual(['created', 'deleted'])
+    expect(await source.getEventHistory('1001')).toEqual({ history: [] })
+  })
+
+  it('serves the calendar configuration TeamUp would', async () => {
+    const configuration = await createFixtureSource(FIXTURE).getConfiguration()
+
+    expect(configuration.configuration.general_settings.timezone).toBe('America/Chicago')
+  })
+})
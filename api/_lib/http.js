@@ -0,0 +1,46 @@
+// Shared error handling for the serverless API functions.
+
+// Error carrying the HTTP status to answer with
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+  }
+}
+
+// Reject methods an endpoint doesn't handle
+export function assertMethod(req, methods) {
+  if (!methods.includes(req.method)) {
+    const error = new HttpError(405, `Method ${req.method} not allowed`)
+    error.allow = methods
+    throw error
+  }
+}
+
+// Reject anything but GET, for the read-only endpoints
+export function assertGet(req) {
+  assertMethod(req, ['GET'])
+}
+
+// Whether a query value is a YYYY-MM-DD date that exists
+// Checked by building the date and reading it back, since 2025-02-30 would otherwise roll over to March.
+export function isDateParam(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value)
+  if (!match) return false
+  const [year, month, day] = match.slice(1).map(Number)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+}
+
+// Send an error as JSON, hiding details of unexpected failures
+export function sendError(res, error) {
+  if (error instanceof HttpError) {
+    if (error.status === 405) res.setHeader('Allow', (error.allow || ['GET']).join(', '))
+    res.status(error.status).json({ error: error.message })
+    return
+  }
+
+  console.error('API error:', error)
+  res.status(500).json({ error: 'Internal server error' })
+}
@@ -0,0 +1,74 @@
+import { HttpError } from './http.js'
+import { hasRedisStorage, runRedisCommand, readJsonFile, writeJsonFile } from './storage.js'
+import { getConfiguredTimeZone } from './teamup.js'
+import { withDefaultSettings, withCalendarTimeZone, needsEmployeeListSeed, seedEmployeeLists } from '../../src/engine/settings.js'
+import { isValidTimeZone } from '../../src/engine/timezone.js'
+
+// Redis key holding the saved settings as JSON
+const SETTINGS_KEY = 'employee-utilization:settings'
+
+// Get where the settings admins save are kept: { read, save }, read answering null until the first save
+// KV_REST_API_URL and KV_REST_API_TOKEN name the Redis database snapshots are kept in too;
+// UTILIZATION_SETTINGS_FILE names a JSON file instead, for local use. Without either the
+// defaults apply and saving fails.
+export function getSettingsStore(env = process.env) {
+  if (hasRedisStorage(env)) {
+    return {
+      read: async () => {
+        const value = await runRedisCommand(['GET', SETTINGS_KEY], env)
+        return value ? JSON.parse(value) : null
+      },
+      save: (settings) => runRedisCommand(['SET', SETTINGS_KEY, JSON.stringify(settings)], env)
+    }
+  }
+  if (env.UTILIZATION_SETTINGS_FILE) {
+    return {
+      read: () => readJsonFile(env.UTILIZATION_SETTINGS_FILE, null),
+      save: (settings) => writeJsonFile(env.UTILIZATION_SETTINGS_FILE, settings)
+    }
+  }
+  return {
+    read: async () => null,
+    save: async () => {
+      throw new HttpError(503, 'Settings storage is not configured: set KV_REST_API_URL and KV_REST_API_TOKEN, or UTILIZATION_SETTINGS_FILE')
+    }
+  }
+}
+
+// Read the utilization settings every page and API calculation uses, as saved on the Settings page
+// Employee lists missing from them are seeded from the source's subcalendars (see seedEmployeeLists),
+// and without a timezone override the calendar's zone is read from the source's configuration.
+export async function loadServerSettings(source, env = process.env) {
+  const stored = await getSettingsStore(env).read()
+  const settings = withDefaultSettings(source && needsEmployeeListSeed(stored)
+    ? seedEmployeeLists(stored, await source.getSubcalendars())
+    : stored)
+  if (!source || settings.timezone) {
+    return settings
+  }
+  return withCalendarTimeZone(settings, getConfiguredTimeZone(await source.getConfiguration()))
+}
+
+// Check settings sent to be saved and get them as they are stored
+// The calendar's zone is dropped, since it is read from TeamUp again each time.
+export function toStoredSettings(settings) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new HttpError(400, 'Settings must be a JSON object')
+  }
+  if (settings.timezone && !isValidTimeZone(settings.timezone)) {
+    throw new HttpError(400, `Unknown time zone: ${settings.timezone}`)
+  }
+  const { calendarTimeZone: _calendarTimeZone, ...stored } = withDefaultSettings(settings)
+  return stored
+}
+
+// Settings as users other than admins get them: without the sign-in names that decide what
+// each role sees and who gets reminder emails
+export function toSharedSettings(settings) {
+  return {
+    ...settings,
+    employeeAccounts: {},
+    managerAssignments: {},
+    digest: { ...settings.digest, optOut: [] }
+  }
+}
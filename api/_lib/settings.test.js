@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { getSettingsStore, loadServerSettings, toStoredSettings, toSharedSettings } from './settings.js'
+import { getCalendarTimeZone } from '../../src/engine/settings.js'
+
+const SUBCALENDARS = {
+  subcalendars: [
+    { id: 101, name: 'Avery Field' },
+    { id: 104, name: 'Bill Ahern' },
+    { id: 105, name: 'Liz Quinn' }
+  ]
+}
+
+// TeamUp configuration response naming the calendar's time zone
+const CONFIGURATION = { configuration: { general_settings: { timezone: 'America/Chicago' } } }
+
+// Helper function to create a TeamUp source serving the subcalendars and configuration above
+function createSource(configuration = CONFIGURATION) {
+  return {
+    getSubcalendars: vi.fn(async () => SUBCALENDARS),
+    getConfiguration: vi.fn(async () => configuration)
+  }
+}
+
+const KV_ENV = { KV_REST_API_URL: 'https://kv.example.com', KV_REST_API_TOKEN: 'token' }
+
+// Helper function to get an environment whose Redis database holds the given saved settings
+function createEnv(stored) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => ({ result: JSON.stringify(stored) }) })))
+  return KV_ENV
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('getSettingsStore', () => {
+  it('keeps the settings in a JSON file, which is empty until the first save', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'settings-'))
+    try {
+      const store = getSettingsStore({ UTILIZATION_SETTINGS_FILE: join(dir, 'settings.json') })
+      expect(await store.read()).toBeNull()
+
+      await store.save({ utilizationMode: 'hours' })
+
+      expect(await store.read()).toEqual({ utilizationMode: 'hours' })
+    } finally {
+      await rm(dir, { recursive: true })
+    }
+  })
+
+  it('keeps the settings under one Redis key over the KV REST API', async () => {
+    const fetch = vi.fn(async () => ({ ok: true, json: async () => ({ result: 'OK' }) }))
+    vi.stubGlobal('fetch', fetch)
+
+    await getSettingsStore(KV_ENV).save({ utilizationMode: 'hours' })
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual(['SET', 'employee-utilization:settings', '{"utilizationMode":"hours"}'])
+  })
+
+  it('reads the defaults without storage but refuses to save', async () => {
+    const store = getSettingsStore({})
+
+    expect(await store.read()).toBeNull()
+    await expect(store.save({})).rejects.toMatchObject({ status: 503 })
+  })
+})
+
+describe('loadServerSettings', () => {
+  it('seeds employee lists that were never saved from the formerly excluded names', async () => {
+    const settings = await loadServerSettings(createSource(), createEnv({ utilizationMode: 'hours' }))
+
+    expect(settings.excludedEmployees).toEqual([104])
+    expect(settings.excludedFromUtilization).toEqual([105])
+    expect(settings.utilizationMode).toBe('hours')
+  })
+
+  it('keeps saved lists, even empty ones, without fetching subcalendars', async () => {
+    const source = createSource()
+    const env = createEnv({ excludedEmployees: [], excludedFromUtilization: [101] })
+    const settings = await loadServerSettings(source, env)
+
+    expect(settings.excludedEmployees).toEqual([])
+    expect(settings.excludedFromUtilization).toEqual([101])
+    expect(source.getSubcalendars).not.toHaveBeenCalled()
+  })
+
+  it('reads the calendar time zone from TeamUp unless the settings override it', async () => {
+    const lists = { excludedEmployees: [], excludedFromUtilization: [] }
+    const fromTeamUp = await loadServerSettings(createSource(), createEnv(lists))
+    const source = createSource()
+    const overridden = await loadServerSettings(source, createEnv({ ...lists, timezone: 'Europe/Berlin' }))
+
+    expect(getCalendarTimeZone(fromTeamUp)).toBe('America/Chicago')
+    expect(getCalendarTimeZone(overridden)).toBe('Europe/Berlin')
+    expect(source.getConfiguration).not.toHaveBeenCalled()
+  })
+
+  it('refuses to fall back to the server\'s own time zone', async () => {
+    const settings = await loadServerSettings(createSource({ configuration: {} }), {})
+
+    expect(() => getCalendarTimeZone(settings)).toThrow('The calendar time zone is unknown')
+  })
+})
+
+describe('toStoredSettings', () => {
+  it('fills in the defaults and leaves out the zone read from TeamUp', () => {
+    const stored = toStoredSettings({ utilizationMode: 'hours', calendarTimeZone: 'America/Chicago' })
+
+    expect(stored.utilizationMode).toBe('hours')
+    expect(stored.workdayHours).toBe(8)
+    expect(stored).not.toHaveProperty('calendarTimeZone')
+  })
+
+  it('rejects anything but a settings object with a known time zone', () => {
+    expect(() => toStoredSettings([])).toThrow(expect.objectContaining({ status: 400 }))
+    expect(() => toStoredSettings(undefined)).toThrow('Settings must be a JSON object')
+    expect(() => toStoredSettings({ timezone: 'Mars/Olympus' })).toThrow('Unknown time zone: Mars/Olympus')
+  })
+})
+
+describe('toSharedSettings', () => {
+  it('leaves out sign-in names but keeps what the calculations need', () => {
+    const settings = {
+      utilizationMode: 'hours',
+      employeeAccounts: { 101: 'avery@contoso.com' },
+      managerAssignments: { 'lead@contoso.com': [101] },
+      digest: { cadence: 'weekly', optOut: ['avery@contoso.com'] }
+    }
+
+    expect(toSharedSettings(settings)).toEqual({
+      utilizationMode: 'hours',
+      employeeAccounts: {},
+      managerAssignments: {},
+      digest: { cadence: 'weekly', optOut: [] }
+    })
+  })
+})
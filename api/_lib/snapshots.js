@@ -0,0 +1,53 @@
+import { HttpError } from './http.js'
+import { hasRedisStorage, runRedisCommand, readJsonFile, writeJsonFile } from './storage.js'
+import { isSnapshot } from '../../src/engine/snapshots.js'
+
+// Redis hash holding every snapshot as JSON, keyed by snapshot id
+const SNAPSHOTS_KEY = 'employee-utilization:snapshots'
+
+// Helper function to create a store keeping snapshots in a Redis hash
+function createRedisStore(env) {
+  return {
+    async list() {
+      // HGETALL answers with field names and values alternating
+      const result = await runRedisCommand(['HGETALL', SNAPSHOTS_KEY], env) || []
+      return result.filter((value, index) => index % 2 === 1).map(value => JSON.parse(value))
+    },
+    save: (snapshot) => runRedisCommand(['HSET', SNAPSHOTS_KEY, snapshot.id, JSON.stringify(snapshot)], env),
+    remove: (snapshotId) => runRedisCommand(['HDEL', SNAPSHOTS_KEY, snapshotId], env)
+  }
+}
+
+// Helper function to create a store keeping snapshots in a JSON file, for local use
+function createFileStore(path) {
+  // Helper function to read the file, which doesn't exist until the first snapshot is saved
+  const read = () => readJsonFile(path, [])
+
+  // Helper function to replace the file's contents
+  const write = (snapshots) => writeJsonFile(path, snapshots)
+
+  return {
+    list: read,
+    save: async (snapshot) => write([...(await read()).filter(entry => entry.id !== snapshot.id), snapshot]),
+    remove: async (snapshotId) => write((await read()).filter(entry => entry.id !== snapshotId))
+  }
+}
+
+// Get where closed-period snapshots are kept: { list, save, remove }
+// KV_REST_API_URL and KV_REST_API_TOKEN name a Vercel KV or Upstash Redis database;
+// SNAPSHOTS_FILE names a JSON file instead, which only lasts on a server with a persistent disk.
+export function getSnapshotStore(env = process.env) {
+  if (hasRedisStorage(env)) {
+    return createRedisStore(env)
+  }
+  if (env.SNAPSHOTS_FILE) {
+    return createFileStore(env.SNAPSHOTS_FILE)
+  }
+  throw new HttpError(503, 'Snapshot storage is not configured: set KV_REST_API_URL and KV_REST_API_TOKEN, or SNAPSHOTS_FILE')
+}
+
+// Read the stored snapshots, newest period first
+export async function listSnapshots(store) {
+  const snapshots = await store.list()
+  return snapshots.filter(isSnapshot).sort((a, b) => b.startDate.localeCompare(a.startDate))
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { getSnapshotStore, listSnapshots } from './snapshots.js'
+
+// Helper function to build a minimal snapshot of a period
+function createSnapshot(startDate, endDate, label = '') {
+  return { version: 1, id: `${startDate}_${endDate}`, label, startDate, endDate, items: [] }
+}
+
+describe('getSnapshotStore', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('keeps snapshots in a JSON file, replacing a period saved again', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'snapshots-'))
+    try {
+      const store = getSnapshotStore({ SNAPSHOTS_FILE: join(dir, 'snapshots.json') })
+      expect(await listSnapshots(store)).toEqual([])
+
+      await store.save(createSnapshot('2025-01-01', '2025-01-31'))
+      await store.save(createSnapshot('2025-02-01', '2025-02-28'))
+      await store.save(createSnapshot('2025-01-01', '2025-01-31', 'Reported'))
+      await store.remove('2025-02-01_2025-02-28')
+
+      expect((await listSnapshots(store)).map(snapshot => [snapshot.id, snapshot.label])).toEqual([['2025-01-01_2025-01-31', 'Reported']])
+    } finally {
+      await rm(dir, { recursive: true })
+    }
+  })
+
+  it('keeps snapshots in a Redis hash over the KV REST API', async () => {
+    const fetch = vi.fn(async (url, { body }) => {
+      const [command] = JSON.parse(body)
+      const result = command === 'HGETALL'
+        ? ['2025-01-01_2025-01-31', JSON.stringify(createSnapshot('2025-01-01', '2025-01-31')), 'other', '{"version":0}']
+        : 1
+      return { ok: true, json: async () => ({ result }) }
+    })
+    vi.stubGlobal('fetch', fetch)
+    const store = getSnapshotStore({ KV_REST_API_URL: 'https://kv.example.com', KV_REST_API_TOKEN: 'token' })
+
+    await store.save(createSnapshot('2025-02-01', '2025-02-28'))
+    const snapshots = await listSnapshots(store)
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).slice(0, 3)).toEqual(['HSET', 'employee-utilization:snapshots', '2025-02-01_2025-02-28'])
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer token')
+    // Entries that aren't readable snapshots are left out
+    expect(snapshots.map(snapshot => snapshot.id)).toEqual(['2025-01-01_2025-01-31'])
+  })
+
+  it('refuses to work without storage rather than losing snapshots', () => {
+    expect(() => getSnapshotStore({})).toThrow(expect.objectContaining({ status: 503 }))
+  })
+})
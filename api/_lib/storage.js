@@ -0,0 +1,44 @@
+import { readFile, writeFile } from 'node:fs/promises'
+import { resolve } from 'node:path'
+import { HttpError } from './http.js'
+
+// Storage for what the app keeps on the server, such as snapshots and settings:
+// a Vercel KV or Upstash Redis database, or JSON files for local use.
+
+// Whether KV_REST_API_URL and KV_REST_API_TOKEN name a Redis database
+export function hasRedisStorage(env) {
+  return Boolean(env.KV_REST_API_URL && env.KV_REST_API_TOKEN)
+}
+
+// Run a Redis command through the REST API of Vercel KV or Upstash, answering with its result
+export async function runRedisCommand(command, env) {
+  const response = await fetch(env.KV_REST_API_URL, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${env.KV_REST_API_TOKEN}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(command),
+  })
+
+  if (!response.ok) {
+    throw new HttpError(502, `Storage error: ${response.status} ${response.statusText}`)
+  }
+
+  return (await response.json()).result
+}
+
+// Read a JSON file, or fallback when it doesn't exist yet
+export async function readJsonFile(path, fallback) {
+  try {
+    return JSON.parse(await readFile(resolve(path), 'utf8'))
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback
+    throw error
+  }
+}
+
+// Replace a JSON file's contents
+export function writeJsonFile(path, data) {
+  return writeFile(resolve(path), JSON.stringify(data, null, 2))
+}
@@ -0,0 +1,112 @@
+import { HttpError, isDateParam } from './http.js'
+import { createFixtureSource } from './fixture.js'
+
+const TEAMUP_BASE_URL = 'https://api.teamup.com'
+
+// Query parameters passed through to TeamUp's events endpoint, with a check of their value
+const EVENT_PARAMS = {
+  startDate: isDateParam,
+  endDate: isDateParam,
+  // Unix timestamp; only events changed after it are returned
+  modifiedSince: value => /^\d+$/.test(value),
+  tz: value => /^[A-Za-z_]+(\/[A-Za-z0-9_+-]+)*$/.test(value)
+}
+
+// Helper function to read a query value that may have been sent more than once
+function getValues(value) {
+  if (value == null) return []
+  return (Array.isArray(value) ? value : [value]).map(String)
+}
+
+// Build the TeamUp events query from the caller's query, allowing only known parameters
+// Subcalendar ids may be repeated or comma-separated: subcalendarId[]=1&subcalendarId[]=2 or subcalendarId[]=1,2
+export function buildEventsQuery(query) {
+  const params = new URLSearchParams()
+
+  Object.entries(EVENT_PARAMS).forEach(([name, isValid]) => {
+    const [value] = getValues(query[name])
+    if (value === undefined || value === '') return
+    if (!isValid(value)) {
+      throw new HttpError(400, `Invalid ${name}`)
+    }
+    params.set(name, value)
+  })
+
+  const subcalendarIds = getValues(query['subcalendarId[]'] ?? query.subcalendarId)
+    .flatMap(value => value.split(','))
+    .filter(Boolean)
+  subcalendarIds.forEach(id => {
+    if (!/^\d+$/.test(id)) {
+      throw new HttpError(400, 'Invalid subcalendarId')
+    }
+    params.append('subcalendarId[]', id)
+  })
+
+  return params
+}
+
+// Make a read-only TeamUp API call with the server-held key
+export async function fetchTeamUp(path, params, env = process.env) {
+  if (!env.TEAMUP_API_KEY || !env.TEAMUP_CALENDAR_KEY) {
+    throw new Error('TEAMUP_API_KEY and TEAMUP_CALENDAR_KEY must be set')
+  }
+
+  const queryString = params && params.toString()
+  const response = await fetch(`${TEAMUP_BASE_URL}/${env.TEAMUP_CALENDAR_KEY}${path}${queryString ? `?${queryString}` : ''}`, {
+    headers: {
+      'Teamup-Token': env.TEAMUP_API_KEY,
+      'Content-Type': 'application/json',
+    },
+  })
+
+  if (!response.ok) {
+    throw new HttpError(502, `TeamUp API Error: ${response.status} ${response.statusText}`)
+  }
+
+  return response.json()
+}
+
+// How many event histories are fetched from TeamUp at once
+const HISTORY_CONCURRENCY = 5
+
+// Who made the latest change in a TeamUp event history response, or null when TeamUp doesn't say
+// Entries look like { dt, action, user: { name } }; changes made through a shared link have no user.
+export function getEventEditor(response) {
+  const entries = [...(response?.history || [])].sort((a, b) => String(b.dt).localeCompare(String(a.dt)))
+  return entries[0]?.user?.name || null
+}
+
+// Who last changed each of the events, as { [eventId]: name or null } (see getEventEditor)
+// Histories are fetched a few at a time; one that can't be read leaves that event's editor null.
+export async function loadEventEditors(source, events) {
+  const editors = {}
+  for (let index = 0; index < events.length; index += HISTORY_CONCURRENCY) {
+    await Promise.all(events.slice(index, index + HISTORY_CONCURRENCY).map(async event => {
+      try {
+        editors[event.id] = getEventEditor(await source.getEventHistory(event.id))
+      } catch (error) {
+        console.error(`Failed to load the history of event ${event.id}:`, error)
+        editors[event.id] = null
+      }
+    }))
+  }
+  return editors
+}
+
+// Time zone set in TeamUp's calendar configuration response, or '' without one
+export function getConfiguredTimeZone(response) {
+  return response?.configuration?.general_settings?.timezone || ''
+}
+
+// Get where TeamUp data comes from: the TeamUp API, or the JSON file named by TEAMUP_FIXTURE
+export function getTeamUpSource(env = process.env) {
+  if (env.TEAMUP_FIXTURE) {
+    return createFixtureSource(env.TEAMUP_FIXTURE)
+  }
+  return {
+    getSubcalendars: () => fetchTeamUp('/subcalendars', null, env),
+    getEvents: (params) => fetchTeamUp('/events', params, env),
+    getConfiguration: () => fetchTeamUp('/configuration', null, env),
+    getEventHistory: (eventId) => fetchTeamUp(`/events/${encodeURIComponent(eventId)}/history`, null, env)
+  }
+}
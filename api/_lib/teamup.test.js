@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest'
+import { buildEventsQuery, getEventEditor, loadEventEditors } from './teamup.js'
+import { HttpError } from './http.js'
+
+describe('buildEventsQuery', () => {
+  it('passes through the allowed parameters', () => {
+    const params = buildEventsQuery({ startDate: '2025-01-01', endDate: '2025-01-31', modifiedSince: '1735689600' })
+
+    expect(params.toString()).toBe('startDate=2025-01-01&endDate=2025-01-31&modifiedSince=1735689600')
+  })
+
+  it('drops unknown parameters', () => {
+    const params = buildEventsQuery({ startDate: '2025-01-01', format: 'ical', calendarKey: 'other' })
+
+    expect(params.toString()).toBe('startDate=2025-01-01')
+  })
+
+  it('accepts repeated and comma-separated subcalendar ids', () => {
+    expect(buildEventsQuery({ 'subcalendarId[]': ['1', '2'] }).getAll('subcalendarId[]')).toEqual(['1', '2'])
+    expect(buildEventsQuery({ 'subcalendarId[]': '3,4' }).getAll('subcalendarId[]')).toEqual(['3', '4'])
+  })
+
+  it('rejects badly formatted values with a 400', () => {
+    expect(() => buildEventsQuery({ startDate: 'yesterday' })).toThrow(HttpError)
+    expect(() => buildEventsQuery({ startDate: '2025-13-01' })).toThrow('Invalid startDate')
+    expect(() => buildEventsQuery({ endDate: '2025-02-29' })).toThrow('Invalid endDate')
+    expect(() => buildEventsQuery({ 'subcalendarId[]': '1;DROP' })).toThrow('Invalid subcalendarId')
+
+    let thrown
+    try {
+      buildEventsQuery({ modifiedSince: 'soon' })
+    } catch (error) {
+      thrown = error
+    }
+    expect(thrown.status).toBe(400)
+  })
+})
+
+describe('getEventEditor', () => {
+  it('names the user behind the latest history entry', () => {
+    const history = [
+      { dt: '2025-01-21T09:00:00', action: 'modified', user: { name: 'Morgan Lee' } },
+      { dt: '2025-01-02T08:00:00', action: 'created', user: { name: 'Dana Admin' } }
+    ]
+
+    expect(getEventEditor({ history })).toBe('Morgan Lee')
+    expect(getEventEditor({ history: [...history].reverse() })).toBe('Morgan Lee')
+  })
+
+  it('is null when TeamUp doesn\'t say who it was', () => {
+    expect(getEventEditor({ history: [{ dt: '2025-01-21T09:00:00', action: 'modified' }] })).toBeNull()
+    expect(getEventEditor({ history: [] })).toBeNull()
+    expect(getEventEditor(undefined)).toBeNull()
+  })
+})
+
+describe('loadEventEditors', () => {
+  it('maps each event to its editor, leaving unreadable histories null', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const source = {
+      getEventHistory: vi.fn(async (eventId) => {
+        if (eventId === 'gone') throw new HttpError(502, 'TeamUp API Error: 404 Not Found')
+        return { history: [{ dt: '2025-01-21T09:00:00', user: { name: `Editor of ${eventId}` } }] }
+      })
+    }
+    const events = ['a', 'b', 'gone', 'c', 'd', 'e', 'f'].map(id => ({ id }))
+
+    expect(await loadEventEditors(source, events)).toEqual({
+      a: 'Editor of a',
+      b: 'Editor of b',
+      gone: null,
+      c: 'Editor of c',
+      d: 'Editor of d',
+      e: 'Editor of e',
+      f: 'Editor of f'
+    })
+    expect(source.getEventHistory).toHaveBeenCalledTimes(7)
+    vi.restoreAllMocks()
+  })
+})
@@ -0,0 +1,57 @@
+import { HttpError, isDateParam } from './http.js'
+import { formatDate } from '../../src/engine/utilization.js'
+import { getEmployeeSubcalendars, getHolidayEvents, calculateEmployeesUtilization } from '../../src/engine/dashboard.js'
+
+// Longest range calculated in one request, in days; the whole range runs synchronously
+export const MAX_RANGE_DAYS = 366
+
+// Helper function to parse a YYYY-MM-DD query value as a local date
+function parseDate(value, name) {
+  if (!isDateParam(value)) {
+    throw new HttpError(400, `Invalid ${name}, expected an existing YYYY-MM-DD date`)
+  }
+  const [year, month, day] = value.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+// Read startDate and endDate from the query
+// Without either the range is the current month; with only one of them, the range stays
+// within that date's month, so a lone old startDate doesn't quietly run up to today.
+export function parseDateRange(query, today = new Date()) {
+  const start = query.startDate ? parseDate(String(query.startDate), 'startDate') : null
+  const end = query.endDate ? parseDate(String(query.endDate), 'endDate') : null
+  const month = start || end || today
+  const startDate = start || new Date(month.getFullYear(), month.getMonth(), 1)
+  const endDate = end || new Date(month.getFullYear(), month.getMonth() + 1, 0)
+
+  if (startDate > endDate) {
+    throw new HttpError(400, 'startDate must not be after endDate')
+  }
+  // Counted on UTC dates so DST changes don't shift the day count
+  const days = (Date.UTC(endDate.getFullYear(), endDate.getMonth(), endDate.getDate()) -
+    Date.UTC(startDate.getFullYear(), startDate.getMonth(), startDate.getDate())) / (24 * 60 * 60 * 1000) + 1
+  if (days > MAX_RANGE_DAYS) {
+    throw new HttpError(400, `Ranges are limited to ${MAX_RANGE_DAYS} days`)
+  }
+  return { startDate, endDate }
+}
+
+// Fetch TeamUp data for a range and run the engine for every employee, like the dashboard does
+// access (from loadRequestAccess) limits the employees to the ones the caller may see
+export async function loadEmployeesUtilization({ startDate, endDate }, { source, settings, access }) {
+  const params = new URLSearchParams({ startDate: formatDate(startDate), endDate: formatDate(endDate) })
+  const [subcalendars, events] = await Promise.all([source.getSubcalendars(), source.getEvents(params)])
+
+  const holidayEvents = getHolidayEvents(subcalendars, events, settings)
+  const employees = getEmployeeSubcalendars(subcalendars, settings, access)
+  return calculateEmployeesUtilization(employees, events, holidayEvents, settings, startDate, endDate)
+}
+
+// Strip an engine result down to what API consumers need; the per-day details stay in the app
+export function toEmployeeUtilization(item) {
+  const { employee, days: _days, ...rest } = item
+  return {
+    employee: { id: employee.id, name: employee.name },
+    ...rest
+  }
+}
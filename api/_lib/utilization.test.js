@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { parseDateRange, loadEmployeesUtilization, toEmployeeUtilization, MAX_RANGE_DAYS } from './utilization.js'
+import { createFixtureSource } from './fixture.js'
+import { withDefaultSettings } from '../../src/engine/settings.js'
+import { formatDate } from '../../src/engine/utilization.js'
+
+const FIXTURE = fileURLToPath(new URL('../../server/fixtures/teamup.json', import.meta.url))
+const JANUARY = { startDate: new Date(2025, 0, 1), endDate: new Date(2025, 0, 31) }
+
+describe('parseDateRange', () => {
+  it('reads startDate and endDate as local dates', () => {
+    const range = parseDateRange({ startDate: '2025-01-01', endDate: '2025-01-31' })
+
+    expect([formatDate(range.startDate), formatDate(range.endDate)]).toEqual(['2025-01-01', '2025-01-31'])
+  })
+
+  it('defaults to the current month', () => {
+    const range = parseDateRange({}, new Date(2024, 1, 10))
+
+    expect([formatDate(range.startDate), formatDate(range.endDate)]).toEqual(['2024-02-01', '2024-02-29'])
+  })
+
+  it('rejects malformed and reversed ranges with a 400', () => {
+    expect(() => parseDateRange({ startDate: '01/01/2025' })).toThrow('Invalid startDate')
+    expect(() => parseDateRange({ startDate: '2025-02-01', endDate: '2025-01-01' })).toThrow(
+      expect.objectContaining({ status: 400 })
+    )
+  })
+
+  it('rejects dates that don\'t exist instead of rolling them over', () => {
+    expect(() => parseDateRange({ startDate: '2025-02-30', endDate: '2025-03-31' })).toThrow('Invalid startDate')
+    expect(() => parseDateRange({ startDate: '2025-01-01', endDate: '2025-13-01' })).toThrow('Invalid endDate')
+  })
+
+  it('keeps a range with only one bound within that date\'s month', () => {
+    const fromStart = parseDateRange({ startDate: '2025-03-02' }, new Date(2026, 9, 19))
+    const toEnd = parseDateRange({ endDate: '2025-03-20' }, new Date(2026, 9, 19))
+
+    expect([formatDate(fromStart.startDate), formatDate(fromStart.endDate)]).toEqual(['2025-03-02', '2025-03-31'])
+    expect([formatDate(toEnd.startDate), formatDate(toEnd.endDate)]).toEqual(['2025-03-01', '2025-03-20'])
+  })
+
+  it('rejects ranges longer than a year', () => {
+    expect(parseDateRange({ startDate: '2024-01-01', endDate: '2024-12-31' }).endDate).toEqual(new Date(2024, 11, 31))
+    expect(() => parseDateRange({ startDate: '2025-03-02', endDate: '2026-10-31' })).toThrow(
+      expect.objectContaining({ status: 400, message: `Ranges are limited to ${MAX_RANGE_DAYS} days` })
+    )
+  })
+})
+
+describe('loadEmployeesUtilization', () => {
+  it('calculates every employee in the fixture with the dashboard engine', async () => {
+    const items = await loadEmployeesUtilization(JANUARY, {
+      source: createFixtureSource(FIXTURE),
+      settings: withDefaultSettings({ timezone: 'America/Chicago' })
+    })
+
+    expect(items.map(item => item.employee.name)).toEqual(['Avery Field', 'Blake Office', 'Casey Support'])
+
+    const avery = items[0]
+    // Jan 1 is a holiday and the Holiday Party on Jan 17 is filtered out
+    expect(avery.utilization.categories.holiday.weekdays).toBe(1)
+    expect(avery.utilization.categories.field.weekdays).toBe(7)
+    // Saturday overtime counts, the Tech on Call event on Sunday is filtered out
+    expect(avery.weekendUtilized).toBe(1)
+  })
+
+  it('respects excluded employees and admin/support staff from the settings', async () => {
+    const items = await loadEmployeesUtilization(JANUARY, {
+      source: createFixtureSource(FIXTURE),
+      settings: withDefaultSettings({ excludedEmployees: [101], excludedFromUtilization: [103], timezone: 'America/Chicago' })
+    })
+
+    expect(items.map(item => item.employee.id)).toEqual([102, 103])
+    expect(items[1].isExcludedFromUtilization).toBe(true)
+    // Casey's subcalendar was created on Jan 13, so only the following weeks count
+    expect(items[1].weekdayUtilized).toBe(5)
+  })
+})
+
+describe('toEmployeeUtilization', () => {
+  it('keeps the employee id and name and drops the per-day details', () => {
+    const result = toEmployeeUtilization({ employee: { id: 1, name: 'A', color: 3 }, days: [], weekdayUtilized: 2 })
+
+    expect(result).toEqual({ employee: { id: 1, name: 'A' }, weekdayUtilized: 2 })
+  })
+})
@@ -0,0 +1,27 @@
+import { assertGet, sendError } from '../_lib/http.js'
+import { verifyCronSecret } from '../_lib/auth.js'
+import { getTeamUpSource } from '../_lib/teamup.js'
+import { loadServerSettings } from '../_lib/settings.js'
+import { createMailTransport, getDigestSender, runDigest } from '../_lib/digest.js'
+
+// GET /api/cron/digest - called daily by Vercel Cron (see vercel.json)
+// Emails reminders about missing TeamUp entries when the configured cadence says a digest is due
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    verifyCronSecret(req)
+
+    const source = getTeamUpSource()
+    const summary = await runDigest({
+      source,
+      settings: await loadServerSettings(source),
+      transport: createMailTransport(),
+      from: getDigestSender()
+    })
+
+    res.setHeader('Cache-Control', 'no-store')
+    res.status(200).json(summary)
+  } catch (error) {
+    sendError(res, error)
+  }
+}
@@ -0,0 +1,66 @@
+import { assertGet, sendError } from '../_lib/http.js'
+import { verifyAzureToken } from '../_lib/auth.js'
+import { getTeamUpSource } from '../_lib/teamup.js'
+import { loadServerSettings } from '../_lib/settings.js'
+import { loadRequestAccess } from '../_lib/access.js'
+import { parseDateRange, loadEmployeesUtilization } from '../_lib/utilization.js'
+import { formatDate } from '../../src/engine/utilization.js'
+import { getCalendarTimeZone } from '../../src/engine/settings.js'
+import { getToday } from '../../src/engine/timezone.js'
+import { getCategoryTotals, summarizeReport } from '../../src/engine/report.js'
+import { summarizeTeams } from '../../src/engine/teams.js'
+import { getRowTarget, getTargetVariance } from '../../src/engine/targets.js'
+
+// GET /api/dashboard/summary?startDate=&endDate=
+// Team totals, category totals, a row per configured team and per employee for a range (default: current month)
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+
+    const source = getTeamUpSource()
+    const [settings, access] = await Promise.all([loadServerSettings(source), loadRequestAccess(claims, source)])
+    // The default month is the calendar's current month, not the server's
+    const range = parseDateRange(req.query, getToday(getCalendarTimeZone(settings)))
+    const items = await loadEmployeesUtilization(range, { source, settings, access })
+
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    res.status(200).json({
+      startDate: formatDate(range.startDate),
+      endDate: formatDate(range.endDate),
+      generatedAt: new Date().toISOString(),
+      totals: summarizeReport(items),
+      categories: getCategoryTotals(items, settings.categories).map(({ id, name, weekdays, weekends, total, percentage }) => (
+        { id, name, weekdays, weekends, total, percentage }
+      )),
+      teams: summarizeTeams(settings.teams, items).map(row => ({
+        id: row.team.id,
+        name: row.team.name,
+        employeeIds: row.members.map(item => item.employee.id),
+        weekdayUtilizationPercentage: row.weekdayUtilizationPercentage,
+        weekdayUtilized: row.weekdayUtilized,
+        weekdayTotal: row.weekdayTotal,
+        target: getRowTarget(row, settings),
+        targetVariance: getTargetVariance(row, getRowTarget(row, settings)),
+        weekendUtilized: row.weekendUtilized,
+        utilizedHours: row.utilizedHours,
+        availableHours: row.availableHours
+      })),
+      employees: items.map(item => ({
+        id: item.employee.id,
+        name: item.employee.name,
+        isExcludedFromUtilization: item.isExcludedFromUtilization,
+        weekdayUtilizationPercentage: item.weekdayUtilizationPercentage,
+        weekdayUtilized: item.weekdayUtilized,
+        weekdayTotal: item.weekdayTotal,
+        target: getRowTarget(item, settings),
+        targetVariance: getTargetVariance(item, getRowTarget(item, settings)),
+        weekendUtilized: item.weekendUtilized,
+        utilizedHours: item.utilizedHours,
+        availableHours: item.availableHours
+      }))
+    })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
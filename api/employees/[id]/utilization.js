@@ -0,0 +1,38 @@
+import { assertGet, sendError, HttpError } from '../../_lib/http.js'
+import { verifyAzureToken } from '../../_lib/auth.js'
+import { getTeamUpSource } from '../../_lib/teamup.js'
+import { loadServerSettings } from '../../_lib/settings.js'
+import { loadRequestAccess } from '../../_lib/access.js'
+import { parseDateRange, loadEmployeesUtilization, toEmployeeUtilization } from '../../_lib/utilization.js'
+import { formatDate } from '../../../src/engine/utilization.js'
+import { getCalendarTimeZone } from '../../../src/engine/settings.js'
+import { getToday } from '../../../src/engine/timezone.js'
+
+// GET /api/employees/:id/utilization?startDate=&endDate=
+// One employee's utilization for a range (default: current month), :id being the TeamUp subcalendar id
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+
+    const employeeId = Number(req.query.id)
+    const source = getTeamUpSource()
+    const [settings, access] = await Promise.all([loadServerSettings(source), loadRequestAccess(claims, source)])
+    // The default month is the calendar's current month, not the server's
+    const range = parseDateRange(req.query, getToday(getCalendarTimeZone(settings)))
+    const items = await loadEmployeesUtilization(range, { source, settings, access })
+    const item = items.find(entry => entry.employee.id === employeeId)
+    if (!item) {
+      throw new HttpError(404, `Employee ${req.query.id} not found`)
+    }
+
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    res.status(200).json({
+      startDate: formatDate(range.startDate),
+      endDate: formatDate(range.endDate),
+      ...toEmployeeUtilization(item)
+    })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
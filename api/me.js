@@ -0,0 +1,19 @@
+import { assertGet, sendError } from './_lib/http.js'
+import { verifyAzureToken } from './_lib/auth.js'
+import { getTeamUpSource } from './_lib/teamup.js'
+import { loadRequestAccess } from './_lib/access.js'
+import { getClaimsEmail } from '../src/auth/roles.js'
+
+// GET /api/me - the caller's role and the employee subcalendars they may see
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+    const { role, all, employeeIds } = await loadRequestAccess(claims, getTeamUpSource())
+
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.status(200).json({ name: claims.name, email: getClaimsEmail(claims), role, all, employeeIds })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
@@ -0,0 +1,31 @@
+import { assertMethod, sendError, HttpError } from './_lib/http.js'
+import { verifyAzureToken } from './_lib/auth.js'
+import { getTeamUpSource } from './_lib/teamup.js'
+import { getRoleGroups } from './_lib/access.js'
+import { getSettingsStore, loadServerSettings, toStoredSettings, toSharedSettings } from './_lib/settings.js'
+import { ROLES, getRoleFromClaims } from '../src/auth/roles.js'
+
+// GET /api/settings - the utilization settings every page and API calculation uses
+// PUT /api/settings - replace the saved settings with the body; admins only
+// Both answer with the settings as loadServerSettings reads them, so with seeded employee lists and
+// the calendar's time zone. Only admins get the employee accounts, manager assignments and digest opt-outs.
+export default async function handler(req, res) {
+  try {
+    assertMethod(req, ['GET', 'PUT'])
+    const claims = await verifyAzureToken(req)
+    const isAdmin = getRoleFromClaims(claims, getRoleGroups()) === ROLES.ADMIN
+
+    if (req.method === 'PUT') {
+      if (!isAdmin) {
+        throw new HttpError(403, 'Only admins can change settings')
+      }
+      await getSettingsStore().save(toStoredSettings(req.body))
+    }
+
+    const settings = await loadServerSettings(getTeamUpSource())
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.status(200).json(isAdmin ? settings : toSharedSettings(settings))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
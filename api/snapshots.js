@@ -0,0 +1,41 @@
+import { assertMethod, sendError, HttpError } from './_lib/http.js'
+import { verifyAzureToken } from './_lib/auth.js'
+import { getTeamUpSource } from './_lib/teamup.js'
+import { loadRequestAccess } from './_lib/access.js'
+import { getSnapshotStore, listSnapshots } from './_lib/snapshots.js'
+import { isSnapshot } from '../src/engine/snapshots.js'
+import { ROLES } from '../src/auth/roles.js'
+
+// GET /api/snapshots - the closed-period snapshots, newest period first
+// POST /api/snapshots - store the snapshot in the body, replacing an earlier one of the same period
+// DELETE /api/snapshots?id=<snapshot id> - remove a snapshot
+// Admins only. POST and DELETE answer with the snapshots stored afterwards, like GET.
+export default async function handler(req, res) {
+  try {
+    assertMethod(req, ['GET', 'POST', 'DELETE'])
+    const claims = await verifyAzureToken(req)
+    const { role } = await loadRequestAccess(claims, getTeamUpSource())
+    if (role !== ROLES.ADMIN) {
+      throw new HttpError(403, 'Only admins can manage snapshots')
+    }
+
+    const store = getSnapshotStore()
+    if (req.method === 'POST') {
+      if (!isSnapshot(req.body)) {
+        throw new HttpError(400, 'Not a utilization snapshot')
+      }
+      await store.save(req.body)
+    } else if (req.method === 'DELETE') {
+      const [snapshotId] = [].concat(req.query.id ?? [])
+      if (!snapshotId) {
+        throw new HttpError(400, 'Missing id')
+      }
+      await store.remove(String(snapshotId))
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store')
+    res.status(200).json(await listSnapshots(store))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
@@ -0,0 +1,17 @@
+import { assertGet, sendError } from '../_lib/http.js'
+import { verifyAzureToken } from '../_lib/auth.js'
+import { getTeamUpSource, getConfiguredTimeZone } from '../_lib/teamup.js'
+
+// GET /api/teamup/configuration - the TeamUp calendar's time zone for signed-in users, { timezone }
+// Only the time zone is passed on; the rest of TeamUp's configuration stays on the server.
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    await verifyAzureToken(req)
+    const configuration = await getTeamUpSource().getConfiguration()
+    res.setHeader('Cache-Control', 'private, max-age=300')
+    res.status(200).json({ timezone: getConfiguredTimeZone(configuration) })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
@@ -0,0 +1,29 @@
+import { HttpError, assertGet, sendError } from '../_lib/http.js'
+import { verifyAzureToken } from '../_lib/auth.js'
+import { getTeamUpSource, buildEventsQuery, loadEventEditors } from '../_lib/teamup.js'
+import { loadRequestAccess, restrictEvents } from '../_lib/access.js'
+
+// GET /api/teamup/editors?startDate=&endDate=&modifiedSince=&subcalendarId[]=
+// Who last changed each event TeamUp reports as changed since modifiedSince, read from TeamUp's
+// event history, as { editors: { [eventId]: name or null } }. Only events the caller can see are looked up.
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+    const params = buildEventsQuery(req.query)
+    if (!params.has('modifiedSince')) {
+      throw new HttpError(400, 'modifiedSince is required')
+    }
+
+    const source = getTeamUpSource()
+    const [data, access] = await Promise.all([
+      source.getEvents(params),
+      loadRequestAccess(claims, source)
+    ])
+    const editors = await loadEventEditors(source, restrictEvents(data, access).events)
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    res.status(200).json({ editors })
+  } catch (error) {
+    sendError(res, error)
+  }
+}
@@ -0,0 +1,23 @@
+import { assertGet, sendError } from '../_lib/http.js'
+import { verifyAzureToken } from '../_lib/auth.js'
+import { getTeamUpSource, buildEventsQuery } from '../_lib/teamup.js'
+import { loadRequestAccess, restrictEvents } from '../_lib/access.js'
+
+// GET /api/teamup/events?startDate=&endDate=&subcalendarId[]=&modifiedSince=&tz=
+// TeamUp events for signed-in users; any other query parameter is dropped.
+// Events on employees hidden from the caller's role are left out.
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+    const source = getTeamUpSource()
+    const [data, access] = await Promise.all([
+      source.getEvents(buildEventsQuery(req.query)),
+      loadRequestAccess(claims, source)
+    ])
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    res.status(200).json(restrictEvents(data, access))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
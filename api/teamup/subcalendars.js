@@ -0,0 +1,19 @@
+import { assertGet, sendError } from '../_lib/http.js'
+import { verifyAzureToken } from '../_lib/auth.js'
+import { getTeamUpSource } from '../_lib/teamup.js'
+import { loadRequestAccess, restrictSubcalendars } from '../_lib/access.js'
+
+// GET /api/teamup/subcalendars - TeamUp subcalendars (employees) for signed-in users
+// Employees hidden from the caller's role are left out.
+export default async function handler(req, res) {
+  try {
+    assertGet(req)
+    const claims = await verifyAzureToken(req)
+    const source = getTeamUpSource()
+    const [data, access] = await Promise.all([source.getSubcalendars(), loadRequestAccess(claims, source)])
+    res.setHeader('Cache-Control', 'private, max-age=60')
+    res.status(200).json(restrictSubcalendars(data, access))
+  } catch (error) {
+    sendError(res, error)
+  }
+}
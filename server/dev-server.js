@@ -0,0 +1,116 @@
+// Local runner for the serverless functions in api/, so the API can be used
+// without the Vercel CLI.
+//
+//   node server/dev-server.js                      TeamUp and Azure AD from the environment
+//   node server/dev-server.js --fixture            TeamUp stand-in from server/fixtures/teamup.json
+//   node server/dev-server.js --fixture=my.json    TeamUp stand-in from another file
+//   node server/dev-server.js --no-auth            skip Azure AD token checks (local use only)
+//   node server/dev-server.js --snapshots=my.json  keep closed-period snapshots in a JSON file
+//   node server/dev-server.js --settings=my.json   keep the settings saved on the Settings page in a JSON file
+
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import subcalendarsHandler from '../api/teamup/subcalendars.js'
+import eventsHandler from '../api/teamup/events.js'
+import configurationHandler from '../api/teamup/configuration.js'
+import editorsHandler from '../api/teamup/editors.js'
+import employeeUtilizationHandler from '../api/employees/[id]/utilization.js'
+import dashboardSummaryHandler from '../api/dashboard/summary.js'
+import meHandler from '../api/me.js'
+import snapshotsHandler from '../api/snapshots.js'
+import settingsHandler from '../api/settings.js'
+import digestHandler from '../api/cron/digest.js'
+
+const DEFAULT_FIXTURE = fileURLToPath(new URL('./fixtures/teamup.json', import.meta.url))
+const PORT = Number(process.env.PORT) || 3000
+
+// Routes mirror the file layout under api/, with :params for dynamic segments
+const ROUTES = [
+  { pattern: /^\/api\/teamup\/subcalendars$/, handler: subcalendarsHandler },
+  { pattern: /^\/api\/teamup\/events$/, handler: eventsHandler },
+  { pattern: /^\/api\/teamup\/configuration$/, handler: configurationHandler },
+  { pattern: /^\/api\/teamup\/editors$/, handler: editorsHandler },
+  { pattern: /^\/api\/employees\/(?<id>[^/]+)\/utilization$/, handler: employeeUtilizationHandler },
+  { pattern: /^\/api\/dashboard\/summary$/, handler: dashboardSummaryHandler },
+  { pattern: /^\/api\/me$/, handler: meHandler },
+  { pattern: /^\/api\/snapshots$/, handler: snapshotsHandler },
+  { pattern: /^\/api\/settings$/, handler: settingsHandler },
+  { pattern: /^\/api\/cron\/digest$/, handler: digestHandler }
+]
+
+// Helper function to apply the command line flags to the environment the handlers read
+function applyFlags(args) {
+  args.forEach(arg => {
+    if (arg === '--fixture') {
+      process.env.TEAMUP_FIXTURE = DEFAULT_FIXTURE
+    } else if (arg.startsWith('--fixture=')) {
+      process.env.TEAMUP_FIXTURE = arg.slice('--fixture='.length)
+    } else if (arg === '--no-auth') {
+      process.env.API_AUTH_DISABLED = 'true'
+    } else if (arg.startsWith('--snapshots=')) {
+      process.env.SNAPSHOTS_FILE = arg.slice('--snapshots='.length)
+    } else if (arg.startsWith('--settings=')) {
+      process.env.UTILIZATION_SETTINGS_FILE = arg.slice('--settings='.length)
+    }
+  })
+}
+
+// Helper function to read a query string like Vercel does, repeated keys becoming arrays
+function parseQuery(searchParams) {
+  const query = {}
+  searchParams.forEach((value, key) => {
+    query[key] = key in query ? [].concat(query[key], value) : value
+  })
+  return query
+}
+
+// Helper function to read a JSON request body like Vercel does, undefined without one
+async function readJsonBody(req) {
+  if (!(req.headers['content-type'] || '').includes('application/json')) return undefined
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  const text = Buffer.concat(chunks).toString('utf8')
+  return text ? JSON.parse(text) : undefined
+}
+
+// Helper function to add the Vercel response helpers to a Node response
+function withResponseHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json')
+    res.end(JSON.stringify(body))
+  }
+  return res
+}
+
+applyFlags(process.argv.slice(2))
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+  const route = ROUTES.find(({ pattern }) => pattern.test(url.pathname))
+  withResponseHelpers(res)
+
+  if (!route) {
+    res.status(404).json({ error: 'Not found' })
+    return
+  }
+
+  req.query = { ...parseQuery(url.searchParams), ...url.pathname.match(route.pattern).groups }
+  try {
+    req.body = await readJsonBody(req)
+  } catch {
+    res.status(400).json({ error: 'Invalid JSON body' })
+    return
+  }
+  await route.handler(req, res)
+  console.log(`${req.method} ${req.url} ${res.statusCode}`)
+})
+
+server.listen(PORT, () => {
+  console.log(`API listening on http://localhost:${PORT}/api`)
+  if (process.env.TEAMUP_FIXTURE) console.log(`TeamUp fixture: ${process.env.TEAMUP_FIXTURE}`)
+  if (process.env.API_AUTH_DISABLED === 'true') console.log('Azure AD token checks are disabled')
+})
@@ -0,0 +1,75 @@
+// Runs the missing-entry digest once, for scheduling outside Vercel (e.g. cron) and local testing.
+// SMTP and TeamUp settings come from the environment like for the API; flags override them.
+//
+//   node server/digest-job.js                          send today's digest if the cadence says it is due
+//   node server/digest-job.js --force                  send regardless of the cadence
+//   node server/digest-job.js --date=2025-01-20        run as if today were that date
+//   node server/digest-job.js --fixture[=my.json]      TeamUp stand-in, like the dev server
+//   node server/digest-job.js --settings=settings.json settings file the dev server's --settings saves to
+//   node server/digest-job.js --smtp=localhost:1025    SMTP server, e.g. server/mock-smtp.js
+//   node server/digest-job.js --dry-run                print the emails instead of sending them
+
+import { fileURLToPath } from 'node:url'
+import { getTeamUpSource } from '../api/_lib/teamup.js'
+import { loadServerSettings } from '../api/_lib/settings.js'
+import { createMailTransport, getDigestSender, runDigest } from '../api/_lib/digest.js'
+
+const DEFAULT_FIXTURE = fileURLToPath(new URL('./fixtures/teamup.json', import.meta.url))
+
+// Helper function to read the command line flags, applying the ones the shared code reads from the environment
+function parseFlags(args) {
+  // Without --date, runDigest takes today in the calendar's time zone
+  const flags = { force: false, dryRun: false, today: undefined }
+  args.forEach(arg => {
+    const [name, value] = arg.split(/=(.*)/)
+    if (name === '--fixture') {
+      process.env.TEAMUP_FIXTURE = value || DEFAULT_FIXTURE
+    } else if (name === '--settings') {
+      process.env.UTILIZATION_SETTINGS_FILE = value
+    } else if (name === '--smtp') {
+      const [host, port] = value.split(':')
+      process.env.SMTP_HOST = host
+      if (port) process.env.SMTP_PORT = port
+    } else if (name === '--date') {
+      const [year, month, day] = value.split('-').map(Number)
+      flags.today = new Date(year, month - 1, day)
+    } else if (name === '--force') {
+      flags.force = true
+    } else if (name === '--dry-run') {
+      flags.dryRun = true
+    } else {
+      throw new Error(`Unknown flag ${arg}`)
+    }
+  })
+  return flags
+}
+
+// Stand-in transport for --dry-run
+const printTransport = {
+  async sendMail(message) {
+    console.log(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`)
+  }
+}
+
+try {
+  const flags = parseFlags(process.argv.slice(2))
+  const source = getTeamUpSource()
+  const summary = await runDigest({
+    source,
+    settings: await loadServerSettings(source),
+    transport: flags.dryRun ? printTransport : createMailTransport(),
+    from: getDigestSender(),
+    today: flags.today,
+    force: flags.force
+  })
+
+  if (!summary.due) {
+    console.log('No digest due today (use --force to send anyway)')
+  } else {
+    console.log(`Digest for ${summary.startDate} to ${summary.endDate}: ${summary.sent.length} email(s) ${flags.dryRun ? 'printed' : 'sent'}`)
+    summary.skipped.forEach(({ name, reason }) => console.log(`  skipped ${name}: ${reason}`))
+  }
+} catch (error) {
+  console.error(error.message)
+  process.exitCode = 1
+}
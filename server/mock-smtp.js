@@ -0,0 +1,74 @@
+// Minimal SMTP server that accepts every message and prints it, for trying the digest
+// job locally without sending real email. Speaks just enough SMTP for nodemailer.
+//
+//   node server/mock-smtp.js            listen on port 1025
+//   SMTP_MOCK_PORT=2525 node server/mock-smtp.js
+
+import { createServer } from 'node:net'
+
+const PORT = Number(process.env.SMTP_MOCK_PORT) || 1025
+
+// Helper function to print a received message
+function printMessage({ from, to, data }) {
+  console.log(`--- Message from ${from} to ${to.join(', ')} ---`)
+  console.log(data)
+  console.log('--- End of message ---\n')
+}
+
+// Handle one SMTP session, answering commands line by line
+function handleConnection(socket) {
+  let buffer = ''
+  let message = { from: '', to: [], data: '' }
+  let readingData = false
+
+  const reply = (line) => socket.write(`${line}\r\n`)
+
+  const handleCommand = (line) => {
+    const command = line.slice(0, 4).toUpperCase()
+    if (command === 'EHLO' || command === 'HELO') {
+      reply('250 localhost')
+    } else if (command === 'MAIL') {
+      message = { from: line.slice(line.indexOf(':') + 1).trim(), to: [], data: '' }
+      reply('250 OK')
+    } else if (command === 'RCPT') {
+      message.to.push(line.slice(line.indexOf(':') + 1).trim())
+      reply('250 OK')
+    } else if (command === 'DATA') {
+      readingData = true
+      reply('354 End data with <CR><LF>.<CR><LF>')
+    } else if (command === 'QUIT') {
+      reply('221 Bye')
+      socket.end()
+    } else if (command === 'RSET' || command === 'NOOP') {
+      reply('250 OK')
+    } else {
+      reply('502 Command not implemented')
+    }
+  }
+
+  reply('220 localhost mock SMTP')
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8')
+    let index
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index)
+      buffer = buffer.slice(index + 2)
+
+      if (!readingData) {
+        handleCommand(line)
+      } else if (line === '.') {
+        readingData = false
+        printMessage(message)
+        reply('250 OK: message accepted')
+      } else {
+        // Undo dot-stuffing
+        message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`
+      }
+    }
+  })
+  socket.on('error', () => socket.destroy())
+}
+
+createServer(handleConnection).listen(PORT, () => {
+  console.log(`Mock SMTP server listening on localhost:${PORT}`)
+})
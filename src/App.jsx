@@ -3,6 +3,15 @@ import Navigation from './components/Navbar'
 import ProtectedRoute from './components/ProtectedRoute'
 import Home from './pages/Home'
 import Login from './pages/Login'
+import Settings from './pages/Settings'
+import EmployeeDetail from './pages/EmployeeDetail'
+import MonthlyReport from './pages/MonthlyReport'
+import Forecast from './pages/Forecast'
+import DataQuality from './pages/DataQuality'
+import AuditTrail from './pages/AuditTrail'
+import Snapshots from './pages/Snapshots'
+import SnapshotDetail from './pages/SnapshotDetail'
+import { ROLES } from './auth/roles'
 import './App.css'
 
 function App() {
@@ -16,6 +25,46 @@ function App() {
             <Home />
           </ProtectedRoute>
         } />
+        <Route path="/employees/:subcalendarId" element={
+          <ProtectedRoute>
+            <EmployeeDetail />
+          </ProtectedRoute>
+        } />
+        <Route path="/reports/monthly" element={
+          <ProtectedRoute>
+            <MonthlyReport />
+          </ProtectedRoute>
+        } />
+        <Route path="/forecast" element={
+          <ProtectedRoute>
+            <Forecast />
+          </ProtectedRoute>
+        } />
+        <Route path="/data-quality" element={
+          <ProtectedRoute>
+            <DataQuality />
+          </ProtectedRoute>
+        } />
+        <Route path="/audit" element={
+          <ProtectedRoute>
+            <AuditTrail />
+          </ProtectedRoute>
+        } />
+        <Route path="/snapshots" element={
+          <ProtectedRoute roles={[ROLES.ADMIN]}>
+            <Snapshots />
+          </ProtectedRoute>
+        } />
+        <Route path="/snapshots/:snapshotId" element={
+          <ProtectedRoute roles={[ROLES.ADMIN]}>
+            <SnapshotDetail />
+          </ProtectedRoute>
+        } />
+        <Route path="/settings" element={
+          <ProtectedRoute roles={[ROLES.ADMIN]} needsTimeZone={false}>
+            <Settings />
+          </ProtectedRoute>
+        } />
       </Routes>
     </div>
   )
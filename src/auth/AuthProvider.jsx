@@ -1,24 +1,17 @@
 import { MsalProvider } from '@azure/msal-react'
-import { PublicClientApplication } from '@azure/msal-browser'
-
-// MSAL configuration
-const msalConfig = {
-  auth: {
-    clientId: import.meta.env.VITE_AZURE_CLIENT_ID,
-    authority: `https://login.microsoftonline.com/${import.meta.env.VITE_AZURE_TENANT_ID}`,
-    redirectUri: window.location.origin,
-  },
-  cache: {
-    cacheLocation: 'sessionStorage',
-    storeAuthStateInCookie: false,
-  }
-}
-
-
+import { PublicClientApplication, EventType } from '@azure/msal-browser'
+import { msalConfig } from './authConfig'
 
 // Create MSAL instance
 const msalInstance = new PublicClientApplication(msalConfig)
 
+// Remember who signed in so token requests outside components know which account to use
+msalInstance.addEventCallback(event => {
+  if (event.eventType === EventType.LOGIN_SUCCESS && event.payload?.account) {
+    msalInstance.setActiveAccount(event.payload.account)
+  }
+})
+
 function AuthProvider({ children }) {
   return (
     <MsalProvider instance={msalInstance}>
@@ -0,0 +1,53 @@
+import { InteractionRequiredAuthError } from '@azure/msal-browser'
+
+// Error for a failed API response, keeping the HTTP status for callers
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+  }
+}
+
+// Get an access token for the given scopes, falling back to a popup when
+// the user has to sign in again or consent to the scopes
+export async function acquireApiToken(msalInstance, scopes) {
+  const account = msalInstance.getActiveAccount() || msalInstance.getAllAccounts()[0]
+  if (!account) {
+    throw new ApiError(401, 'Not signed in')
+  }
+
+  try {
+    const response = await msalInstance.acquireTokenSilent({ scopes, account })
+    return response.accessToken
+  } catch (error) {
+    if (!(error instanceof InteractionRequiredAuthError)) throw error
+    const response = await msalInstance.acquireTokenPopup({ scopes, account })
+    return response.accessToken
+  }
+}
+
+// Create a client for our API that sends an Azure AD access token with every request
+export function createApiClient(msalInstance, { baseUrl, scopes }) {
+  // Make an authenticated API call and return the JSON response
+  async function request(url, options = {}) {
+    const token = await acquireApiToken(msalInstance, scopes)
+
+    const response = await fetch(`${baseUrl}${url}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+        ...options.headers,
+      },
+    })
+
+    if (!response.ok) {
+      throw new ApiError(response.status, `API Error: ${response.status} ${response.statusText}`)
+    }
+
+    return response.json()
+  }
+
+  return { request }
+}
@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { InteractionRequiredAuthError } from '@azure/msal-browser'
+import { createApiClient, acquireApiToken, ApiError } from './apiClient'
+
+const ACCOUNT = { homeAccountId: 'user-1' }
+const SCOPES = ['api://app/access_as_user']
+
+// Helper function to build a stand-in for the MSAL instance
+function msalInstance({ account = ACCOUNT, silent, popup } = {}) {
+  return {
+    getActiveAccount: () => null,
+    getAllAccounts: () => account ? [account] : [],
+    acquireTokenSilent: vi.fn(silent || (async () => ({ accessToken: 'silent-token' }))),
+    acquireTokenPopup: vi.fn(popup || (async () => ({ accessToken: 'popup-token' })))
+  }
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('acquireApiToken', () => {
+  it('acquires a token silently for the API scopes', async () => {
+    const instance = msalInstance()
+
+    await expect(acquireApiToken(instance, SCOPES)).resolves.toBe('silent-token')
+    expect(instance.acquireTokenSilent).toHaveBeenCalledWith({ scopes: SCOPES, account: ACCOUNT })
+    expect(instance.acquireTokenPopup).not.toHaveBeenCalled()
+  })
+
+  it('falls back to a popup when interaction is required', async () => {
+    const instance = msalInstance({
+      silent: async () => { throw new InteractionRequiredAuthError('consent_required') }
+    })
+
+    await expect(acquireApiToken(instance, SCOPES)).resolves.toBe('popup-token')
+    expect(instance.acquireTokenPopup).toHaveBeenCalledWith({ scopes: SCOPES, account: ACCOUNT })
+  })
+
+  it('rethrows other errors without prompting', async () => {
+    const instance = msalInstance({ silent: async () => { throw new Error('network down') } })
+
+    await expect(acquireApiToken(instance, SCOPES)).rejects.toThrow('network down')
+    expect(instance.acquireTokenPopup).not.toHaveBeenCalled()
+  })
+
+  it('rejects when nobody is signed in', async () => {
+    await expect(acquireApiToken(msalInstance({ account: null }), SCOPES)).rejects.toBeInstanceOf(ApiError)
+  })
+})
+
+describe('createApiClient', () => {
+  it('sends the access token with each request', async () => {
+    const fetchMock = vi.fn(async () => ({ ok: true, json: async () => ({ value: 1 }) }))
+    vi.stubGlobal('fetch', fetchMock)
+    const client = createApiClient(msalInstance(), { baseUrl: '/api', scopes: SCOPES })
+
+    await expect(client.request('/teamup/subcalendars')).resolves.toEqual({ value: 1 })
+    expect(fetchMock).toHaveBeenCalledWith('/api/teamup/subcalendars', expect.objectContaining({
+      headers: expect.objectContaining({ Authorization: 'Bearer silent-token' })
+    }))
+  })
+
+  it('throws an ApiError with the status of a failed response', async () => {
+    vi.stubGlobal('fetch', async () => ({ ok: false, status: 403, statusText: 'Forbidden' }))
+    const client = createApiClient(msalInstance(), { baseUrl: '/api', scopes: SCOPES })
+
+    await expect(client.request('/dashboard/summary')).rejects.toMatchObject({ status: 403 })
+  })
+})
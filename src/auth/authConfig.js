@@ -0,0 +1,27 @@
+// MSAL configuration
+export const msalConfig = {
+  auth: {
+    clientId: import.meta.env.VITE_AZURE_CLIENT_ID,
+    authority: `https://login.microsoftonline.com/${import.meta.env.VITE_AZURE_TENANT_ID}`,
+    redirectUri: window.location.origin,
+  },
+  cache: {
+    cacheLocation: 'sessionStorage',
+    storeAuthStateInCookie: false,
+  }
+}
+
+// Scopes requested when signing in
+export const loginScopes = ['User.Read']
+
+// Scopes of the access token sent to our API, space or comma separated in VITE_API_SCOPE.
+// Defaults to the scope exposed by this app registration under "Expose an API".
+export const apiScopes = (import.meta.env.VITE_API_SCOPE || `api://${import.meta.env.VITE_AZURE_CLIENT_ID}/access_as_user`)
+  .split(/[\s,]+/)
+  .filter(Boolean)
+
+// Azure AD group object ids that grant a role when app roles aren't assigned
+export const roleGroups = {
+  Admin: import.meta.env.VITE_AZURE_ADMIN_GROUP_ID,
+  Manager: import.meta.env.VITE_AZURE_MANAGER_GROUP_ID
+}
@@ -0,0 +1,67 @@
+// Roles from Azure AD app roles or group claims, and the employees each role may see.
+// Framework-free so the dashboard and the API apply the same rules.
+
+export const ROLES = {
+  ADMIN: 'Admin',
+  MANAGER: 'Manager',
+  EMPLOYEE: 'Employee'
+}
+
+// Most privileged first
+const ROLE_ORDER = [ROLES.ADMIN, ROLES.MANAGER, ROLES.EMPLOYEE]
+
+// Pick the most privileged role granted by token claims
+// App role values in the `roles` claim match case-insensitively; group object ids in the
+// `groups` claim map to roles through roleGroups ({ Admin: groupId, Manager: groupId }).
+// Anyone signed in without a matching app role or group is an Employee.
+export function getRoleFromClaims(claims, roleGroups = {}) {
+  const appRoles = (claims?.roles || []).map(role => role.toLowerCase())
+  const groups = claims?.groups || []
+
+  return ROLE_ORDER.find(role =>
+    appRoles.includes(role.toLowerCase()) || (!!roleGroups[role] && groups.includes(roleGroups[role]))
+  ) || ROLES.EMPLOYEE
+}
+
+// Sign-in name from ID or access token claims (v2 tokens use preferred_username, v1 upn)
+export function getClaimsEmail(claims) {
+  return claims?.preferred_username || claims?.email || claims?.upn || ''
+}
+
+// Helper function to compare sign-in and display names case-insensitively
+function sameName(a, b) {
+  return !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase()
+}
+
+// Helper function to find the subcalendar ids assigned to a manager
+function getManagedEmployeeIds(settings, email) {
+  const assignment = Object.entries(settings?.managerAssignments || {}).find(([manager]) => sameName(manager, email))
+  return assignment ? assignment[1] : []
+}
+
+// Work out which employee subcalendars a signed-in user may see
+// user: { role, email, name }; employees: every employee subcalendar
+// Returns { role, all, employeeIds } - admins see everyone, managers their assigned employees
+// plus themselves, employees only themselves. Without an employeeAccounts entry the subcalendar
+// named like the user's display name is theirs.
+export function getEmployeeAccess(user, employees, settings) {
+  const role = user?.role || ROLES.EMPLOYEE
+  if (role === ROLES.ADMIN) {
+    return { role, all: true, employeeIds: [] }
+  }
+
+  const accounts = settings?.employeeAccounts || {}
+  const ownIds = employees
+    .filter(employee => accounts[employee.id]
+      ? sameName(accounts[employee.id], user?.email)
+      : sameName(employee.name, user?.name))
+    .map(employee => employee.id)
+  const managedIds = role === ROLES.MANAGER ? getManagedEmployeeIds(settings, user?.email) : []
+
+  return { role, all: false, employeeIds: [...new Set([...ownIds, ...managedIds])] }
+}
+
+// Check whether an access from getEmployeeAccess covers an employee subcalendar
+export function canViewEmployee(access, employeeId) {
+  return !!access && (access.all || access.employeeIds.includes(employeeId))
+}
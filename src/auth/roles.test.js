@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { ROLES, getRoleFromClaims, getClaimsEmail, getEmployeeAccess, canViewEmployee } from './roles'
+
+const EMPLOYEES = [
+  { id: 101, name: 'Avery Field' },
+  { id: 102, name: 'Blake Office' },
+  { id: 103, name: 'Casey Support' }
+]
+
+describe('getRoleFromClaims', () => {
+  it('picks the most privileged app role, ignoring case', () => {
+    expect(getRoleFromClaims({ roles: ['employee', 'Manager'] })).toBe(ROLES.MANAGER)
+    expect(getRoleFromClaims({ roles: ['ADMIN'] })).toBe(ROLES.ADMIN)
+  })
+
+  it('maps group claims through the configured group ids', () => {
+    const roleGroups = { Admin: 'admins-group', Manager: 'managers-group' }
+
+    expect(getRoleFromClaims({ groups: ['other', 'managers-group'] }, roleGroups)).toBe(ROLES.MANAGER)
+    expect(getRoleFromClaims({ groups: ['admins-group'] }, { Admin: undefined })).toBe(ROLES.EMPLOYEE)
+  })
+
+  it('treats users without roles or groups as employees', () => {
+    expect(getRoleFromClaims({})).toBe(ROLES.EMPLOYEE)
+    expect(getRoleFromClaims(null)).toBe(ROLES.EMPLOYEE)
+  })
+})
+
+describe('getClaimsEmail', () => {
+  it('reads v2 and v1 token sign-in names', () => {
+    expect(getClaimsEmail({ preferred_username: 'a@contoso.com', upn: 'b@contoso.com' })).toBe('a@contoso.com')
+    expect(getClaimsEmail({ upn: 'b@contoso.com' })).toBe('b@contoso.com')
+    expect(getClaimsEmail({})).toBe('')
+  })
+})
+
+describe('getEmployeeAccess', () => {
+  const settings = {
+    employeeAccounts: { 102: 'b.office@contoso.com' },
+    managerAssignments: { 'Lead@Contoso.com': [101, 103] }
+  }
+
+  it('lets admins see everyone', () => {
+    const access = getEmployeeAccess({ role: ROLES.ADMIN }, EMPLOYEES, settings)
+
+    expect(access.all).toBe(true)
+    expect(canViewEmployee(access, 103)).toBe(true)
+  })
+
+  it('matches employees by linked account, falling back to the display name', () => {
+    expect(getEmployeeAccess({ role: ROLES.EMPLOYEE, email: 'B.Office@contoso.com', name: 'Someone' }, EMPLOYEES, settings).employeeIds)
+      .toEqual([102])
+    expect(getEmployeeAccess({ role: ROLES.EMPLOYEE, email: 'avery@contoso.com', name: 'avery field' }, EMPLOYEES, settings).employeeIds)
+      .toEqual([101])
+  })
+
+  it('does not match a linked calendar by display name', () => {
+    const access = getEmployeeAccess({ role: ROLES.EMPLOYEE, email: 'blake@contoso.com', name: 'Blake Office' }, EMPLOYEES, settings)
+
+    expect(access.employeeIds).toEqual([])
+    expect(canViewEmployee(access, 102)).toBe(false)
+  })
+
+  it('adds the assigned employees for managers only', () => {
+    const user = { email: 'lead@contoso.com', name: 'Avery Field' }
+
+    expect(getEmployeeAccess({ ...user, role: ROLES.MANAGER }, EMPLOYEES, settings).employeeIds).toEqual([101, 103])
+    expect(getEmployeeAccess({ ...user, role: ROLES.EMPLOYEE }, EMPLOYEES, settings).employeeIds).toEqual([101])
+  })
+})
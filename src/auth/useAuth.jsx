@@ -1,52 +1,71 @@
 import { useMsal, useIsAuthenticated, useAccount } from '@azure/msal-react'
 import { useMemo } from 'react'
+import { jwtDecode } from 'jwt-decode'
+import { loginScopes, apiScopes, roleGroups } from './authConfig'
+import { acquireApiToken } from './apiClient'
+import { getRoleFromClaims } from './roles'
+
+// Helper function to read the claims of the account's ID token
+function getIdTokenClaims(account) {
+  if (!account) return {}
+  try {
+    return account.idToken ? jwtDecode(account.idToken) : account.idTokenClaims || {}
+  } catch (error) {
+    console.error('Failed to decode ID token:', error)
+    return account.idTokenClaims || {}
+  }
+}
 
 export function useAuth() {
   const { instance, accounts } = useMsal()
   const isAuthenticated = useIsAuthenticated()
   const account = useAccount(accounts[0] || {})
 
-  const auth = useMemo(() => ({
-    isAuthenticated,
-    isLoading: false, // MSAL handles loading internally
-    user: account ? {
-      name: account.name,
-      email: account.username,
-      id: account.localAccountId
-    } : null,
-    login: async () => {
-      try {
-        await instance.loginPopup({
-          scopes: ['User.Read'],
-          prompt: 'select_account'
-        })
-      } catch (error) {
-        console.error('Login failed:', error)
-      }
-    },
-    logout: async () => {
-      try {
-        await instance.logoutPopup({
-          postLogoutRedirectUri: window.location.origin
-        })
-      } catch (error) {
-        console.error('Logout failed:', error)
-      }
-    },
-    getToken: async () => {
-      try {
-        const response = await instance.acquireTokenSilent({
-          scopes: ['User.Read'],
-          account: account
-        })
-        return response.accessToken
-      } catch (error) {
-        console.error('Token acquisition failed:', error)
-        return null
-      }
-    },
-    error: null
-  }), [instance, account, isAuthenticated])
+  const auth = useMemo(() => {
+    // App roles or group claims decide the role; see ./roles
+    const role = getRoleFromClaims(getIdTokenClaims(account), roleGroups)
+
+    return {
+      isAuthenticated,
+      isLoading: false, // MSAL handles loading internally
+      user: account ? {
+        name: account.name,
+        email: account.username,
+        id: account.localAccountId,
+        role
+      } : null,
+      role: account ? role : null,
+      hasRole: (...roles) => !!account && roles.includes(role),
+      login: async () => {
+        try {
+          await instance.loginPopup({
+            scopes: loginScopes,
+            prompt: 'select_account'
+          })
+        } catch (error) {
+          console.error('Login failed:', error)
+        }
+      },
+      logout: async () => {
+        try {
+          await instance.logoutPopup({
+            postLogoutRedirectUri: window.location.origin
+          })
+        } catch (error) {
+          console.error('Logout failed:', error)
+        }
+      },
+      getToken: async () => {
+        try {
+          return await acquireApiToken(instance, apiScopes)
+        } catch (error) {
+          console.error('Token acquisition failed:', error)
+          return null
+        }
+      },
+      error: null
+    }
+  }, [instance, account, isAuthenticated])
 
   return auth
 } 
\ No newline at end of file
@@ -0,0 +1,124 @@
+import { Card, Row, Col, Form, Button, Table } from 'react-bootstrap'
+
+// Editor for who sees which employees: sign-in names per employee and each manager's employees
+// Roles themselves come from Azure AD app roles or groups, see auth/roles.js
+function AccessSettings({ employees, employeeAccounts, managerAssignments, onChange }) {
+  const managers = Object.entries(managerAssignments)
+
+  const updateAccount = (employeeId, account) => {
+    const { [employeeId]: _previous, ...rest } = employeeAccounts
+    onChange({ employeeAccounts: account.trim() ? { ...rest, [employeeId]: account.trim() } : rest })
+  }
+
+  // Rebuild from entries so renaming a manager keeps the list order
+  const updateManagers = (entries) => {
+    onChange({ managerAssignments: Object.fromEntries(entries) })
+  }
+
+  const updateManager = (index, manager, employeeIds) => {
+    updateManagers(managers.map((entry, entryIndex) => entryIndex === index ? [manager, employeeIds] : entry))
+  }
+
+  const toggleManagedEmployee = (index, employeeId) => {
+    const [manager, employeeIds] = managers[index]
+    updateManager(index, manager, employeeIds.includes(employeeId)
+      ? employeeIds.filter(id => id !== employeeId)
+      : [...employeeIds, employeeId])
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Access</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Admins see everyone, managers see themselves and the employees assigned to them, employees see only themselves.
+          Roles come from the Admin, Manager and Employee app roles (or the configured groups) in Azure AD.
+          The API enforces these lists once the settings are saved.
+        </p>
+        <Row className="g-4">
+          <Col lg={6}>
+            <h6>Employee Accounts</h6>
+            <p className="text-muted small">
+              Sign-in names linking people to their calendar. Leave empty when the person's Azure AD display name matches the calendar name.
+            </p>
+            <Table size="sm" responsive>
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Sign-in name</th>
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(employee => (
+                  <tr key={employee.id}>
+                    <td className="align-middle">{employee.name}</td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        type="email"
+                        placeholder="name@company.com"
+                        value={employeeAccounts[employee.id] || ''}
+                        onChange={(e) => updateAccount(employee.id, e.target.value)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Col>
+          <Col lg={6}>
+            <h6>Manager Assignments</h6>
+            <p className="text-muted small">
+              Employees each manager sees. Only applies to users with the Manager role.
+            </p>
+            {managers.map(([manager, employeeIds], index) => (
+              <Card key={index} className="mb-3">
+                <Card.Body>
+                  <div className="d-flex gap-2 mb-2">
+                    <Form.Control
+                      size="sm"
+                      type="email"
+                      placeholder="Manager sign-in name"
+                      value={manager}
+                      onChange={(e) => updateManager(index, e.target.value, employeeIds)}
+                    />
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => updateManagers(managers.filter((entry, entryIndex) => entryIndex !== index))}
+                    >
+                      Remove
+                    </Button>
+                  </div>
+                  {employees.map(employee => (
+                    <Form.Check
+                      key={employee.id}
+                      inline
+                      type="checkbox"
+                      id={`manager-${index}-${employee.id}`}
+                      label={employee.name}
+                      checked={employeeIds.includes(employee.id)}
+                      onChange={() => toggleManagedEmployee(index, employee.id)}
+                    />
+                  ))}
+                </Card.Body>
+              </Card>
+            ))}
+            <Button
+              variant="outline-primary"
+              size="sm"
+              onClick={() => updateManagers([...managers, ['', []]])}
+              disabled={managers.some(([manager]) => !manager)}
+            >
+              Add Manager
+            </Button>
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default AccessSettings
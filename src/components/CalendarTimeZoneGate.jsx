@@ -0,0 +1,40 @@
+import { Link } from 'react-router-dom'
+import { Container, Alert, Spinner } from 'react-bootstrap'
+import { useAuth } from '../auth/useAuth'
+import { ROLES } from '../auth/roles'
+import { useSettings } from '../services/settingsService'
+
+// Holds pages back until the calendar's time zone is known, so the dates they show and calculate
+// are the calendar's rather than the browser's. Without one it asks for the Settings override instead.
+function CalendarTimeZoneGate({ children }) {
+  const { data: settings, error } = useSettings()
+  const { hasRole } = useAuth()
+
+  if (error) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          <Alert.Heading>Calendar time zone unavailable</Alert.Heading>
+          <p>{error.message}</p>
+          {hasRole(ROLES.ADMIN)
+            ? <Link to="/settings">Set the calendar time zone in Settings</Link>
+            : 'Ask an administrator to set the calendar time zone in Settings.'}
+        </Alert>
+      </Container>
+    )
+  }
+
+  if (!settings) {
+    return (
+      <div className="d-flex justify-content-center align-items-center" style={{ height: '100vh' }}>
+        <Spinner animation="border" role="status">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+      </div>
+    )
+  }
+
+  return children
+}
+
+export default CalendarTimeZoneGate
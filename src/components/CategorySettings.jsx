@@ -0,0 +1,247 @@
+import { useState } from 'react'
+import { Card, Form, Button, Table, InputGroup } from 'react-bootstrap'
+import { BUILT_IN_CATEGORIES, RULE_TYPES, normalizeStatus } from '../engine/categoryRules'
+
+const RULE_TYPE_LABELS = {
+  status: 'TeamUp status',
+  title: 'Title keyword',
+  subcalendar: 'Subcalendar'
+}
+
+// Editor for utilization categories and the rules that map events onto them
+function CategorySettings({ categories, rules, subcalendars, onChange }) {
+  const [newCategoryLabel, setNewCategoryLabel] = useState('')
+  const newCategoryId = normalizeStatus(newCategoryLabel)
+  const canAddCategory = newCategoryLabel.trim() !== '' && !categories.some(category => category.id === newCategoryId)
+
+  const updateCategory = (categoryId, changes) => {
+    onChange({
+      categories: categories.map(category => category.id === categoryId ? { ...category, ...changes } : category),
+      categoryRules: rules
+    })
+  }
+
+  const handleAddCategory = () => {
+    onChange({
+      categories: [...categories, {
+        id: newCategoryId,
+        label: newCategoryLabel.trim(),
+        color: '#6c757d',
+        utilized: false,
+        supportUtilized: false,
+        overtimeOnHoliday: false
+      }],
+      categoryRules: rules
+    })
+    setNewCategoryLabel('')
+  }
+
+  // Removing a category also removes the rules that point at it
+  const handleRemoveCategory = (categoryId) => {
+    onChange({
+      categories: categories.filter(category => category.id !== categoryId),
+      categoryRules: rules.filter(rule => rule.category !== categoryId)
+    })
+  }
+
+  const updateRule = (index, changes) => {
+    onChange({
+      categories,
+      categoryRules: rules.map((rule, ruleIndex) => ruleIndex === index ? { ...rule, ...changes } : rule)
+    })
+  }
+
+  const moveRule = (index, offset) => {
+    const reordered = [...rules]
+    const [rule] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, rule)
+    onChange({ categories, categoryRules: reordered })
+  }
+
+  const handleAddRule = () => {
+    onChange({
+      categories,
+      categoryRules: [...rules, { type: 'status', value: '', category: categories[0]?.id || 'unknown' }]
+    })
+  }
+
+  const handleRemoveRule = (index) => {
+    onChange({ categories, categoryRules: rules.filter((rule, ruleIndex) => ruleIndex !== index) })
+  }
+
+  return (
+    <>
+      <Card className="mb-4">
+        <Card.Header>
+          <h6 className="mb-0">Categories</h6>
+        </Card.Header>
+        <Card.Body>
+          <p className="text-muted small">
+            Utilized categories count towards weekday utilization. Support staff utilization only counts categories marked for support staff.
+            Working a holiday in a category marked "Holiday overtime" counts as overtime.
+          </p>
+          <Table size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Label</th>
+                <th>Color</th>
+                <th>Utilized</th>
+                <th>Support staff</th>
+                <th>Holiday overtime</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {categories.map(category => (
+                <tr key={category.id}>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      value={category.label}
+                      onChange={(e) => updateCategory(category.id, { label: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      type="color"
+                      value={category.color}
+                      onChange={(e) => updateCategory(category.id, { color: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <Form.Check
+                      type="checkbox"
+                      aria-label={`${category.label} utilized`}
+                      checked={!!category.utilized}
+                      onChange={(e) => updateCategory(category.id, { utilized: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    <Form.Check
+                      type="checkbox"
+                      aria-label={`${category.label} utilized for support staff`}
+                      checked={!!category.supportUtilized}
+                      onChange={(e) => updateCategory(category.id, { supportUtilized: e.target.checked })}
+                    />
+                  </td>
+                  <td>
+                    <Form.Check
+                      type="checkbox"
+                      aria-label={`${category.label} counts as overtime on holidays`}
+                      checked={!!category.overtimeOnHoliday}
+                      onChange={(e) => updateCategory(category.id, { overtimeOnHoliday: e.target.checked })}
+                    />
+                  </td>
+                  <td className="text-end">
+                    {!BUILT_IN_CATEGORIES.includes(category.id) && (
+                      <Button variant="outline-danger" size="sm" onClick={() => handleRemoveCategory(category.id)}>
+                        Remove
+                      </Button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <InputGroup size="sm" style={{ maxWidth: '400px' }}>
+            <Form.Control
+              placeholder="New category label"
+              value={newCategoryLabel}
+              onChange={(e) => setNewCategoryLabel(e.target.value)}
+            />
+            <Button variant="outline-primary" onClick={handleAddCategory} disabled={!canAddCategory}>
+              Add Category
+            </Button>
+          </InputGroup>
+        </Card.Body>
+      </Card>
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h6 className="mb-0">Category Rules</h6>
+        </Card.Header>
+        <Card.Body>
+          <p className="text-muted small">
+            Rules are checked from top to bottom and the first match decides an event's category.
+            Events no rule matches count as Unknown.
+          </p>
+          <Table size="sm" responsive>
+            <thead>
+              <tr>
+                <th>Match on</th>
+                <th>Value</th>
+                <th>Category</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule, index) => (
+                <tr key={index}>
+                  <td>
+                    <Form.Select
+                      size="sm"
+                      value={rule.type}
+                      onChange={(e) => updateRule(index, { type: e.target.value, value: '' })}
+                    >
+                      {RULE_TYPES.map(type => (
+                        <option key={type} value={type}>{RULE_TYPE_LABELS[type]}</option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td>
+                    {rule.type === 'subcalendar' ? (
+                      <Form.Select
+                        size="sm"
+                        value={rule.value}
+                        onChange={(e) => updateRule(index, { value: e.target.value })}
+                      >
+                        <option value="">Select a subcalendar</option>
+                        {subcalendars.map(sub => (
+                          <option key={sub.id} value={String(sub.id)}>{sub.name}</option>
+                        ))}
+                      </Form.Select>
+                    ) : (
+                      <Form.Control
+                        size="sm"
+                        value={rule.value}
+                        onChange={(e) => updateRule(index, { value: e.target.value })}
+                      />
+                    )}
+                  </td>
+                  <td>
+                    <Form.Select
+                      size="sm"
+                      value={rule.category}
+                      onChange={(e) => updateRule(index, { category: e.target.value })}
+                    >
+                      {categories.map(category => (
+                        <option key={category.id} value={category.id}>{category.label}</option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td className="text-end text-nowrap">
+                    <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => moveRule(index, -1)} disabled={index === 0}>
+                      ↑
+                    </Button>
+                    <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => moveRule(index, 1)} disabled={index === rules.length - 1}>
+                      ↓
+                    </Button>
+                    <Button variant="outline-danger" size="sm" onClick={() => handleRemoveRule(index)}>
+                      Remove
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <Button variant="outline-primary" size="sm" onClick={handleAddRule}>
+            Add Rule
+          </Button>
+        </Card.Body>
+      </Card>
+    </>
+  )
+}
+
+export default CategorySettings
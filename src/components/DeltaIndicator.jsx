@@ -0,0 +1,20 @@
+// Up/down arrow with the change from the comparison period
+// Set higherIsWorse for values like unknown days where an increase is bad.
+function DeltaIndicator({ value, unit = '', higherIsWorse = false, className = '' }) {
+  if (value == null) {
+    return <small className={`text-muted ${className}`}>no prior data</small>
+  }
+  if (value === 0) {
+    return <small className={`text-muted ${className}`}>– 0{unit}</small>
+  }
+
+  const isUp = value > 0
+  const isGood = higherIsWorse ? !isUp : isUp
+  return (
+    <small className={`${isGood ? 'text-success' : 'text-danger'} ${className}`} style={{ whiteSpace: 'nowrap' }}>
+      {isUp ? '▲' : '▼'} {isUp ? '+' : ''}{value}{unit}
+    </small>
+  )
+}
+
+export default DeltaIndicator
@@ -0,0 +1,92 @@
+import { Card, Row, Col, Form } from 'react-bootstrap'
+import { DIGEST_CADENCES, isOptedOut } from '../engine/digest'
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// Editor for the missing-entry reminder emails: how often they go out and who opted out
+// Recipients are the sign-in names from the Access settings
+function DigestSettings({ digest, employees, employeeAccounts, managerAssignments, onChange }) {
+  const update = (changes) => onChange({ ...digest, ...changes })
+
+  // Everyone who can get a digest: employees with a sign-in name, then managers
+  const recipients = [
+    ...employees
+      .filter(employee => employeeAccounts[employee.id])
+      .map(employee => ({ email: employeeAccounts[employee.id], label: employee.name })),
+    ...Object.keys(managerAssignments)
+      .filter(Boolean)
+      .map(email => ({ email, label: 'Manager' }))
+  ]
+
+  const toggleOptOut = (email) => {
+    update({
+      optOut: isOptedOut(digest, email)
+        ? digest.optOut.filter(entry => entry.trim().toLowerCase() !== email.trim().toLowerCase())
+        : [...digest.optOut, email]
+    })
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Missing Entry Reminders</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Emails each employee the weekdays they left without a TeamUp entry, and sends managers a summary for their
+          employees. The scheduled job uses these settings once they are saved.
+        </p>
+        <Row className="g-4">
+          <Col md={4}>
+            <Form.Group controlId="digest-cadence" className="mb-3">
+              <Form.Label>Cadence</Form.Label>
+              <Form.Select value={digest.cadence} onChange={(e) => update({ cadence: e.target.value })}>
+                {DIGEST_CADENCES.map(cadence => (
+                  <option key={cadence} value={cadence}>
+                    {{ off: 'Off', daily: 'Daily (weekdays)', weekly: 'Weekly' }[cadence]}
+                  </option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            {digest.cadence === 'weekly' && (
+              <Form.Group controlId="digest-weekday" className="mb-3">
+                <Form.Label>Send on</Form.Label>
+                <Form.Select value={digest.weekday} onChange={(e) => update({ weekday: Number(e.target.value) })}>
+                  {WEEKDAYS.map((name, index) => (
+                    <option key={name} value={index}>{name}</option>
+                  ))}
+                </Form.Select>
+                <Form.Text muted>Covers the seven days before.</Form.Text>
+              </Form.Group>
+            )}
+            <Form.Check
+              type="switch"
+              id="digest-manager-summary"
+              label="Send managers a summary"
+              checked={digest.managerSummary}
+              disabled={digest.cadence === 'off'}
+              onChange={(e) => update({ managerSummary: e.target.checked })}
+            />
+          </Col>
+          <Col md={8}>
+            <h6>Opted Out</h6>
+            {recipients.length === 0 ? (
+              <p className="text-muted small mb-0">Add sign-in names under Access to send reminders.</p>
+            ) : recipients.map(({ email, label }) => (
+              <Form.Check
+                key={`${label}-${email}`}
+                type="checkbox"
+                id={`digest-opt-out-${email}`}
+                label={`${label} (${email})`}
+                checked={isOptedOut(digest, email)}
+                onChange={() => toggleOptOut(email)}
+              />
+            ))}
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default DigestSettings
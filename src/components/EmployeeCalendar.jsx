@@ -0,0 +1,97 @@
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+// Helper function to build a cell background from the day's category shares
+const getShareBackground = (shares, categoryColors) => {
+  const entries = Object.entries(shares || {}).filter(([, share]) => share > 0)
+  if (entries.length === 0) return undefined
+  if (entries.length === 1) return categoryColors[entries[0][0]] || '#6c757d'
+
+  // Split days show a hard-edged gradient proportional to each category's share
+  const total = entries.reduce((sum, [, share]) => sum + share, 0)
+  let position = 0
+  const stops = entries.map(([category, share]) => {
+    const start = position
+    position += share / total * 100
+    const color = categoryColors[category] || '#6c757d'
+    return `${color} ${start}% ${position}%`
+  })
+  return `linear-gradient(135deg, ${stops.join(', ')})`
+}
+
+// Month grid for one employee, colored by each day's resolved categories
+function EmployeeCalendar({ year, month, days, categories, selectedDate, onSelectDate }) {
+  const categoryColors = Object.fromEntries(categories.map(category => [category.id, category.color]))
+  const daysByDate = Object.fromEntries((days || []).map(day => [day.date, day]))
+
+  // Build the weeks of the month, padded with empty cells
+  const firstDay = new Date(year, month, 1)
+  const daysInMonth = new Date(year, month + 1, 0).getDate()
+  const cells = [
+    ...Array(firstDay.getDay()).fill(null),
+    ...Array.from({ length: daysInMonth }, (_, index) => index + 1)
+  ]
+  while (cells.length % 7 !== 0) {
+    cells.push(null)
+  }
+  const weeks = []
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7))
+  }
+
+  return (
+    <table className="table table-bordered mb-2" style={{ tableLayout: 'fixed' }}>
+      <thead>
+        <tr>
+          {WEEKDAY_LABELS.map(label => (
+            <th key={label} className="text-center small">{label}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {weeks.map((week, weekIndex) => (
+          <tr key={weekIndex}>
+            {week.map((dayNumber, dayIndex) => {
+              if (!dayNumber) {
+                return <td key={dayIndex} className="bg-light" />
+              }
+
+              const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`
+              const day = daysByDate[dateStr]
+              const isSelected = selectedDate === dateStr
+              const includedEvents = day?.events.filter(event => !event.excluded) || []
+
+              return (
+                <td
+                  key={dayIndex}
+                  onClick={() => onSelectDate(dateStr)}
+                  style={{
+                    cursor: 'pointer',
+                    height: '80px',
+                    verticalAlign: 'top',
+                    background: day?.isBeforeCreation
+                      ? 'repeating-linear-gradient(45deg, #f8f9fa, #f8f9fa 6px, #e9ecef 6px, #e9ecef 12px)'
+                      : getShareBackground(day?.shares, categoryColors),
+                    outline: isSelected ? '3px solid #0d6efd' : 'none',
+                    outlineOffset: '-3px'
+                  }}
+                >
+                  <div className="d-flex justify-content-between">
+                    <strong className="small">{dayNumber}</strong>
+                    {day?.isHoliday && <span className="small" title="Company holiday">★</span>}
+                  </div>
+                  {includedEvents.length > 0 && (
+                    <div className="small text-truncate" title={includedEvents.map(event => event.title).join('\n')}>
+                      {includedEvents.length} event{includedEvents.length !== 1 ? 's' : ''}
+                    </div>
+                  )}
+                </td>
+              )
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+export default EmployeeCalendar
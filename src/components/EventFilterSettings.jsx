@@ -0,0 +1,201 @@
+import { Fragment, useState, useMemo } from 'react'
+import { Card, Form, Button, Table, Badge, Spinner } from 'react-bootstrap'
+import { useAllEvents } from '../services/teamupService'
+import { MATCH_TYPES, matchesEventFilter, getEventFilterError, filterEvents } from '../engine/eventFilters'
+import { getEventDates, getToday } from '../engine/timezone'
+
+// Days of past events used to preview what each filter matches
+const PREVIEW_DAYS = 90
+// Maximum number of matched events listed per filter
+const PREVIEW_LIMIT = 25
+
+// Editor for the title patterns that include or exclude events
+//   timeZone: the calendar's time zone; without one there is no today to preview from
+function EventFilterSettings({ filters, subcalendars, timeZone, onChange }) {
+  const [expandedIndex, setExpandedIndex] = useState(null)
+  // The last PREVIEW_DAYS days up to today in the calendar
+  const previewRange = useMemo(() => {
+    if (!timeZone) return { start: null, end: null }
+    const end = getToday(timeZone)
+    return { start: new Date(end.getFullYear(), end.getMonth(), end.getDate() - PREVIEW_DAYS), end }
+  }, [timeZone])
+  const { data: previewEvents, isLoading: previewLoading } = useAllEvents(previewRange.start, previewRange.end, !!timeZone)
+
+  const subcalendarNames = useMemo(() => {
+    return Object.fromEntries(subcalendars.map(sub => [String(sub.id), sub.name]))
+  }, [subcalendars])
+
+  // Events each filter matches on its own, ignoring earlier filters
+  const matchesByFilter = useMemo(() => {
+    const events = previewEvents?.events || []
+    return filters.map(filter => events.filter(event => matchesEventFilter(filter, event)))
+  }, [filters, previewEvents])
+
+  const excludedCount = useMemo(() => {
+    const events = previewEvents?.events || []
+    return events.length - filterEvents(events, filters).length
+  }, [filters, previewEvents])
+
+  const updateFilter = (index, changes) => {
+    onChange(filters.map((filter, filterIndex) => filterIndex === index ? { ...filter, ...changes } : filter))
+  }
+
+  const moveFilter = (index, offset) => {
+    const reordered = [...filters]
+    const [filter] = reordered.splice(index, 1)
+    reordered.splice(index + offset, 0, filter)
+    setExpandedIndex(null)
+    onChange(reordered)
+  }
+
+  const handleAddFilter = () => {
+    onChange([...filters, { pattern: '', matchType: 'substring', action: 'exclude', subcalendarId: null }])
+  }
+
+  const handleRemoveFilter = (index) => {
+    setExpandedIndex(null)
+    onChange(filters.filter((filter, filterIndex) => filterIndex !== index))
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Event Filters</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Filters are checked from top to bottom against each event's title and the first match decides whether the event counts.
+          Events no filter matches are included. Matching ignores case.
+        </p>
+        <Table size="sm" responsive>
+          <thead>
+            <tr>
+              <th>Pattern</th>
+              <th>Match</th>
+              <th>Action</th>
+              <th>Subcalendar</th>
+              <th>Last {PREVIEW_DAYS} days</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {filters.map((filter, index) => {
+              const filterError = getEventFilterError(filter)
+              const matches = matchesByFilter[index] || []
+              return (
+                <Fragment key={index}>
+                  <tr>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        value={filter.pattern}
+                        isInvalid={!!filterError}
+                        onChange={(e) => updateFilter(index, { pattern: e.target.value })}
+                      />
+                      <Form.Control.Feedback type="invalid">{filterError}</Form.Control.Feedback>
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={filter.matchType}
+                        onChange={(e) => updateFilter(index, { matchType: e.target.value })}
+                      >
+                        {MATCH_TYPES.map(matchType => (
+                          <option key={matchType} value={matchType}>
+                            {matchType === 'regex' ? 'Regular expression' : 'Contains'}
+                          </option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={filter.action}
+                        onChange={(e) => updateFilter(index, { action: e.target.value })}
+                      >
+                        <option value="exclude">Exclude</option>
+                        <option value="include">Include</option>
+                      </Form.Select>
+                    </td>
+                    <td>
+                      <Form.Select
+                        size="sm"
+                        value={filter.subcalendarId ?? ''}
+                        onChange={(e) => updateFilter(index, { subcalendarId: e.target.value || null })}
+                      >
+                        <option value="">All subcalendars</option>
+                        {subcalendars.map(sub => (
+                          <option key={sub.id} value={String(sub.id)}>{sub.name}</option>
+                        ))}
+                      </Form.Select>
+                    </td>
+                    <td>
+                      {previewLoading ? (
+                        <Spinner animation="border" size="sm" />
+                      ) : (
+                        <Button
+                          variant="link"
+                          size="sm"
+                          className="p-0"
+                          onClick={() => setExpandedIndex(expandedIndex === index ? null : index)}
+                          disabled={matches.length === 0}
+                        >
+                          <Badge bg={matches.length > 0 ? 'primary' : 'secondary'}>
+                            {matches.length} event{matches.length !== 1 ? 's' : ''}
+                          </Badge>
+                        </Button>
+                      )}
+                    </td>
+                    <td className="text-end text-nowrap">
+                      <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => moveFilter(index, -1)} disabled={index === 0}>
+                        ↑
+                      </Button>
+                      <Button variant="outline-secondary" size="sm" className="me-1" onClick={() => moveFilter(index, 1)} disabled={index === filters.length - 1}>
+                        ↓
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={() => handleRemoveFilter(index)}>
+                        Remove
+                      </Button>
+                    </td>
+                  </tr>
+                  {expandedIndex === index && matches.length > 0 && (
+                    <tr>
+                      <td colSpan={6} className="bg-light">
+                        <ul className="small mb-0">
+                          {matches.slice(0, PREVIEW_LIMIT).map(event => (
+                            <li key={event.id}>
+                              {new Date(`${getEventDates(event, timeZone)[0]}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                              {' — '}{event.title || '(untitled)'}
+                              <span className="text-muted">
+                                {' '}({event.subcalendar_ids.map(id => subcalendarNames[String(id)] || id).join(', ')})
+                              </span>
+                            </li>
+                          ))}
+                        </ul>
+                        {matches.length > PREVIEW_LIMIT && (
+                          <small className="text-muted">and {matches.length - PREVIEW_LIMIT} more</small>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              )
+            })}
+          </tbody>
+        </Table>
+        <div className="d-flex justify-content-between align-items-center">
+          <Button variant="outline-primary" size="sm" onClick={handleAddFilter}>
+            Add Filter
+          </Button>
+          {!previewLoading && previewEvents && (
+            <small className="text-muted">
+              {excludedCount} of {previewEvents.events.length} events in the last {PREVIEW_DAYS} days are excluded
+            </small>
+          )}
+        </div>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default EventFilterSettings
@@ -1,17 +1,29 @@
 import { Navbar, Nav, Container, Button, NavDropdown } from 'react-bootstrap'
 import { Link } from 'react-router-dom'
 import { useAuth } from '../auth/useAuth'
+import { ROLES } from '../auth/roles'
 
 function Navigation() {
-  const { isAuthenticated, user, logout, login } = useAuth()
+  const { isAuthenticated, user, logout, login, hasRole } = useAuth()
 
   return (
-    <Navbar bg="dark" variant="dark" expand="lg">
+    <Navbar bg="dark" variant="dark" expand="lg" className="d-print-none">
       <Container>
         <Navbar.Brand as={Link} to="/">Employee Utilization</Navbar.Brand>
         <Navbar.Toggle aria-controls="basic-navbar-nav" />
         <Navbar.Collapse id="basic-navbar-nav">
           <Nav className="me-auto">
+            {isAuthenticated && (
+              <>
+                <Nav.Link as={Link} to="/">Dashboard</Nav.Link>
+                <Nav.Link as={Link} to="/reports/monthly">Monthly Report</Nav.Link>
+                <Nav.Link as={Link} to="/forecast">Forecast</Nav.Link>
+                <Nav.Link as={Link} to="/data-quality">Data Quality</Nav.Link>
+                <Nav.Link as={Link} to="/audit">Audit Trail</Nav.Link>
+                {hasRole(ROLES.ADMIN) && <Nav.Link as={Link} to="/snapshots">Snapshots</Nav.Link>}
+                {hasRole(ROLES.ADMIN) && <Nav.Link as={Link} to="/settings">Settings</Nav.Link>}
+              </>
+            )}
           </Nav>
           <Nav>
             {isAuthenticated ? (
@@ -20,6 +32,7 @@ function Navigation() {
                 id="basic-nav-dropdown"
                 align="end"
               >
+                <NavDropdown.ItemText className="small text-muted">{user?.role}</NavDropdown.ItemText>
                 <NavDropdown.Item as={Link} to="/profile">Profile</NavDropdown.Item>
                 <NavDropdown.Divider />
                 <NavDropdown.Item onClick={logout}>
@@ -1,10 +1,13 @@
 import { useAuth } from '../auth/useAuth'
 import { Navigate, useLocation } from 'react-router-dom'
-import { Spinner } from 'react-bootstrap'
+import { Container, Alert, Spinner } from 'react-bootstrap'
 import { useMsal } from '@azure/msal-react'
+import CalendarTimeZoneGate from './CalendarTimeZoneGate'
 
-function ProtectedRoute({ children }) {
-  const { isAuthenticated } = useAuth()
+// roles optionally limits the route to users holding one of them (see auth/roles)
+// needsTimeZone holds the page until the calendar's time zone is known; only Settings, where it is set, goes without.
+function ProtectedRoute({ children, roles, needsTimeZone = true }) {
+  const { isAuthenticated, hasRole } = useAuth()
   const { inProgress } = useMsal()
   const location = useLocation()
 
@@ -22,7 +25,17 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" state={{ from: location }} replace />
   }
 
-  return children
+  if (roles && !hasRole(...roles)) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          You don't have access to this page. Ask an administrator if you need it.
+        </Alert>
+      </Container>
+    )
+  }
+
+  return needsTimeZone ? <CalendarTimeZoneGate>{children}</CalendarTimeZoneGate> : children
 }
 
 export default ProtectedRoute 
\ No newline at end of file
@@ -0,0 +1,80 @@
+import { Card, Form, Table, Row, Col } from 'react-bootstrap'
+import { DEFAULT_UTILIZATION_TARGET, NEAR_TARGET_MARGIN, getEmployeeTarget } from '../engine/targets'
+
+// Helper function to read a target input, empty meaning "not set"
+const parseTarget = (value) => value === '' ? null : Math.min(100, Math.max(0, Number(value)))
+
+// Editor for the default weekday utilization target and per-employee overrides
+// Team targets are edited with the teams
+function TargetSettings({ settings, employees, onChange }) {
+  const updateEmployeeTarget = (employeeId, value) => {
+    const { [employeeId]: _previous, ...rest } = settings.employeeTargets
+    const target = parseTarget(value)
+    onChange({ employeeTargets: target === null ? rest : { ...rest, [employeeId]: target } })
+  }
+
+  // What an employee gets without their own target, shown as the placeholder
+  const getInheritedTarget = (employeeId) => {
+    return getEmployeeTarget(employeeId, { ...settings, employeeTargets: {} })
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Utilization Targets</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Weekday utilization each person is expected to reach. The dashboard shows the variance from target and
+          flags everyone below it; within {NEAR_TARGET_MARGIN} points below shows as a warning.
+          Employees without a target use their team's target, then the default.
+        </p>
+        <Row className="g-4">
+          <Col md={4}>
+            <Form.Group controlId="default-target">
+              <Form.Label>Default target (%)</Form.Label>
+              <Form.Control
+                type="number"
+                min={0}
+                max={100}
+                value={settings.defaultTarget}
+                onChange={(e) => onChange({ defaultTarget: parseTarget(e.target.value) ?? DEFAULT_UTILIZATION_TARGET })}
+              />
+            </Form.Group>
+          </Col>
+          <Col md={8}>
+            <Table size="sm" responsive>
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th style={{ width: '140px' }}>Target (%)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(employee => (
+                  <tr key={employee.id}>
+                    <td className="align-middle">{employee.name}</td>
+                    <td>
+                      <Form.Control
+                        size="sm"
+                        type="number"
+                        min={0}
+                        max={100}
+                        aria-label={`${employee.name} target`}
+                        placeholder={String(getInheritedTarget(employee.id))}
+                        value={settings.employeeTargets[employee.id] ?? ''}
+                        onChange={(e) => updateEmployeeTarget(employee.id, e.target.value)}
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </Col>
+        </Row>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default TargetSettings
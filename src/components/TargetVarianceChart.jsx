@@ -0,0 +1,55 @@
+import { BarChart, Bar, Cell, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts'
+import { getEmployeeTarget, getTargetVariance, getTargetStatus } from '../engine/targets'
+
+// Bar colors per target status, matching the badge colors
+const STATUS_COLORS = {
+  met: '#198754',
+  near: '#ffc107',
+  below: '#dc3545'
+}
+
+// Actual minus target weekday utilization per employee, in percentage points
+function TargetVarianceChart({ items, settings }) {
+  const data = items
+    .map(item => {
+      const target = getEmployeeTarget(item.employee.id, settings)
+      return {
+        name: item.employee.name,
+        actual: Number(item.weekdayUtilizationPercentage),
+        target,
+        variance: getTargetVariance(item, target),
+        status: getTargetStatus(item, target)
+      }
+    })
+    .filter(entry => entry.variance !== null)
+    .sort((a, b) => a.variance - b.variance)
+
+  if (data.length === 0) return null
+
+  return (
+    <>
+      <h6>Utilization vs Target</h6>
+      <ResponsiveContainer width="100%" height={Math.max(200, data.length * 32)}>
+        <BarChart data={data} layout="vertical" margin={{ left: 20 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis type="number" unit=" pp" />
+          <YAxis type="category" dataKey="name" width={140} />
+          <Tooltip
+            formatter={(value, name, { payload }) => [
+              `${value > 0 ? '+' : ''}${value} pp (${payload.actual}% vs ${payload.target}% target)`,
+              'Variance'
+            ]}
+          />
+          <ReferenceLine x={0} stroke="#6c757d" />
+          <Bar dataKey="variance">
+            {data.map(entry => (
+              <Cell key={entry.name} fill={STATUS_COLORS[entry.status]} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+    </>
+  )
+}
+
+export default TargetVarianceChart
@@ -0,0 +1,100 @@
+import { useState } from 'react'
+import { Card, Form, Button, InputGroup } from 'react-bootstrap'
+import { normalizeStatus } from '../engine/categoryRules'
+
+// Editor for teams, each a named list of employee subcalendar ids
+function TeamSettings({ teams, employees, onChange }) {
+  const [newTeamName, setNewTeamName] = useState('')
+  const newTeamId = normalizeStatus(newTeamName)
+  const canAddTeam = newTeamName.trim() !== '' && !teams.some(team => team.id === newTeamId)
+
+  const updateTeam = (teamId, changes) => {
+    onChange(teams.map(team => team.id === teamId ? { ...team, ...changes } : team))
+  }
+
+  const toggleMember = (team, employeeId) => {
+    updateTeam(team.id, {
+      employeeIds: team.employeeIds.includes(employeeId)
+        ? team.employeeIds.filter(id => id !== employeeId)
+        : [...team.employeeIds, employeeId]
+    })
+  }
+
+  const handleAddTeam = () => {
+    onChange([...teams, { id: newTeamId, name: newTeamName.trim(), employeeIds: [] }])
+    setNewTeamName('')
+  }
+
+  return (
+    <Card className="mb-4">
+      <Card.Header>
+        <h6 className="mb-0">Teams</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">
+          Teams can be selected at once in the Employee Filter and get a summary row and charts on the dashboard.
+          An employee can belong to more than one team. A team's target applies to members without their own target.
+        </p>
+        {teams.map(team => (
+          <Card key={team.id} className="mb-3">
+            <Card.Body>
+              <div className="d-flex gap-2 mb-2">
+                <Form.Control
+                  size="sm"
+                  aria-label="Team name"
+                  value={team.name}
+                  onChange={(e) => updateTeam(team.id, { name: e.target.value })}
+                />
+                <InputGroup size="sm" style={{ width: '180px', flexShrink: 0 }}>
+                  <InputGroup.Text>Target</InputGroup.Text>
+                  <Form.Control
+                    type="number"
+                    min={0}
+                    max={100}
+                    aria-label={`${team.name} target`}
+                    placeholder="Default"
+                    value={team.target ?? ''}
+                    onChange={(e) => updateTeam(team.id, {
+                      target: e.target.value === '' ? null : Math.min(100, Math.max(0, Number(e.target.value)))
+                    })}
+                  />
+                  <InputGroup.Text>%</InputGroup.Text>
+                </InputGroup>
+                <Button
+                  variant="outline-danger"
+                  size="sm"
+                  onClick={() => onChange(teams.filter(entry => entry.id !== team.id))}
+                >
+                  Remove
+                </Button>
+              </div>
+              {employees.map(employee => (
+                <Form.Check
+                  key={employee.id}
+                  inline
+                  type="checkbox"
+                  id={`team-${team.id}-${employee.id}`}
+                  label={employee.name}
+                  checked={team.employeeIds.includes(employee.id)}
+                  onChange={() => toggleMember(team, employee.id)}
+                />
+              ))}
+            </Card.Body>
+          </Card>
+        ))}
+        <InputGroup size="sm" style={{ maxWidth: '400px' }}>
+          <Form.Control
+            placeholder="New team name"
+            value={newTeamName}
+            onChange={(e) => setNewTeamName(e.target.value)}
+          />
+          <Button variant="outline-primary" onClick={handleAddTeam} disabled={!canAddTeam}>
+            Add Team
+          </Button>
+        </InputGroup>
+      </Card.Body>
+    </Card>
+  )
+}
+
+export default TeamSettings
@@ -0,0 +1,64 @@
+import { Row, Col } from 'react-bootstrap'
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { getCategoryTotals } from '../engine/report'
+import { getTeamTarget } from '../engine/targets'
+
+// Team-level charts: weekday utilization against target per team and each team's category breakdown
+// teamRows come from summarizeTeams for the selected employees
+function TeamUtilizationCharts({ teamRows, categories, settings }) {
+  const utilizationData = teamRows.map(row => ({
+    name: row.team.name,
+    utilization: Number(row.weekdayUtilizationPercentage),
+    target: getTeamTarget(row.team, settings),
+    weekdayUtilized: row.weekdayUtilized,
+    weekdayTotal: row.weekdayTotal
+  }))
+
+  return (
+    <Row className="mt-4">
+      <Col md={6}>
+        <h6>Weekday Utilization by Team</h6>
+        <ResponsiveContainer width="100%" height={Math.max(200, teamRows.length * 70)}>
+          <BarChart data={utilizationData} layout="vertical" margin={{ left: 20 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis type="number" domain={[0, 100]} unit="%" />
+            <YAxis type="category" dataKey="name" width={120} />
+            <Tooltip
+              formatter={(value, name, { payload }) => name === 'Target'
+                ? [`${value}%`, name]
+                : [`${value}% (${payload.weekdayUtilized}/${payload.weekdayTotal} days)`, name]}
+            />
+            <Legend />
+            <Bar dataKey="utilization" fill="#0d6efd" name="Actual" />
+            <Bar dataKey="target" fill="#adb5bd" name="Target" />
+          </BarChart>
+        </ResponsiveContainer>
+      </Col>
+      <Col md={6}>
+        <h6>Breakdown by Team</h6>
+        <div className="d-flex flex-wrap">
+          {teamRows.map(row => {
+            const data = getCategoryTotals(row.members, categories)
+            return (
+              <div key={row.team.id} className="text-center" style={{ width: '50%', minWidth: '160px' }}>
+                <ResponsiveContainer width="100%" height={160}>
+                  <PieChart>
+                    <Pie data={data} dataKey="total" nameKey="name" outerRadius={60}>
+                      {data.map(entry => (
+                        <Cell key={entry.id} fill={entry.color} />
+                      ))}
+                    </Pie>
+                    <Tooltip formatter={(value, name, { payload }) => [`${value} days (${payload.percentage.toFixed(1)}%)`, name]} />
+                  </PieChart>
+                </ResponsiveContainer>
+                <small className="text-muted">{row.team.name}</small>
+              </div>
+            )
+          })}
+        </div>
+      </Col>
+    </Row>
+  )
+}
+
+export default TeamUtilizationCharts
@@ -1,17 +1,38 @@
 import { useState, useMemo, useCallback, useEffect, useRef } from 'react'
-import { Card, Form, Row, Col, Badge, Spinner, Alert } from 'react-bootstrap'
+import { Card, Form, Row, Col, Badge, Spinner, Alert, Dropdown } from 'react-bootstrap'
+import { Link } from 'react-router-dom'
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
-import { useSubcalendars, useAllEmployeesUtilization } from '../services/teamupService'
+import { useSubcalendars, useAllEmployeesUtilization, useEmployeeAccess } from '../services/teamupService'
+import { getEmployeeSubcalendars } from '../engine/dashboard'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import UtilizationTrendChart from './UtilizationTrendChart'
+import TeamUtilizationCharts from './TeamUtilizationCharts'
+import TargetVarianceChart from './TargetVarianceChart'
+import DeltaIndicator from './DeltaIndicator'
+import { getComparisonRange, compareEmployeeUtilization } from '../engine/comparison'
+import { formatDate } from '../engine/utilization'
+import { isNotApplicableForSupport, getCategoryDays, getCategoryTotals } from '../engine/report'
+import { formatMonthParam } from '../engine/months'
+import { getTeamMemberIds, getTeamSelection, summarizeTeams } from '../engine/teams'
+import { getRowTarget, getTargetVariance, getTargetStatus, getTargetVariant, getEmployeesBelowTarget } from '../engine/targets'
+import { buildEmployeeDetailsTable, buildCategoryDatesTable, downloadCsv, downloadXlsx } from '../services/exportService'
 
-const COLORS = {
-  field: '#8884d8',
-  office: '#82ca9d',
-  vacation: '#ffc658',
-  overtime: '#ff7300',
-  unknown: '#d3d3d3',
-  'work from home': '#9c88ff',
-  sick: '#ff6b9d',
-  holiday: '#ffc658' // Same color as vacation since they're combined in charts
+// Change in the count shown for a category, or null without comparison data
+const getCategoryDelta = (delta, categoryId) => {
+  const categoryDelta = delta?.categories[categoryId]
+  if (!categoryDelta) return null
+  return categoryId === 'overtime' ? categoryDelta.weekends : categoryDelta.weekdays
+}
+
+// Target and variance shown under a weekday utilization badge
+const TargetNote = ({ row, settings }) => {
+  const target = getRowTarget(row, settings)
+  const variance = getTargetVariance(row, target)
+  return (
+    <small className={`d-block fw-normal ${variance < 0 ? 'text-danger' : 'text-muted'}`}>
+      Target {target}%{variance !== null && ` (${variance > 0 ? '+' : ''}${variance} pp)`}
+    </small>
+  )
 }
 
 // Helper function to format dates for tooltip
@@ -23,31 +44,26 @@ const formatDatesForTooltip = (dates) => {
   }).join('\n')
 }
 
-// List of employees to exclude from selection and calculations
-const EXCLUDED_EMPLOYEES = [
-  'Bill Ahern',
-  'Harry Cannon', 
-  'Matt Mokracek',
-  'Paul Yetman'
-]
-
 function UtilizationChart() {
   const [selectedEmployees, setSelectedEmployees] = useState([])
   const hasInitialized = useRef(false)
   const previousSelection = useRef([])
   const prevShowWarningsOnly = useRef(false)
   const [dateRange, setDateRange] = useState(30)
-  // Set default custom dates to current month
-  const today = new Date()
+  // Set default custom dates to the calendar's current month
+  const today = useCalendarToday()
   const firstDayOfMonth = new Date(today.getFullYear(), today.getMonth(), 1)
   const lastDayOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0)
   
-  const [customStartDate, setCustomStartDate] = useState(firstDayOfMonth.toISOString().split('T')[0])
-  const [customEndDate, setCustomEndDate] = useState(lastDayOfMonth.toISOString().split('T')[0])
-  const [localStartDate, setLocalStartDate] = useState(firstDayOfMonth.toISOString().split('T')[0])
-  const [localEndDate, setLocalEndDate] = useState(lastDayOfMonth.toISOString().split('T')[0])
+  const [customStartDate, setCustomStartDate] = useState(formatDate(firstDayOfMonth))
+  const [customEndDate, setCustomEndDate] = useState(formatDate(lastDayOfMonth))
+  const [localStartDate, setLocalStartDate] = useState(formatDate(firstDayOfMonth))
+  const [localEndDate, setLocalEndDate] = useState(formatDate(lastDayOfMonth))
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' })
   const [showWarningsOnly, setShowWarningsOnly] = useState(false)
+  const [comparisonMode, setComparisonMode] = useState('')
+  const [exportDates, setExportDates] = useState(false)
+  const [exportError, setExportError] = useState(null)
   
   // Calculate date range with memoization
   const { startDate, endDate } = useMemo(() => {
@@ -59,33 +75,33 @@ function UtilizationChart() {
         const [year, month, day] = customStartDate.split('-').map(Number)
         start = new Date(year, month - 1, day)
       } else {
-        start = new Date()
+        start = new Date(today)
       }
       if (customEndDate) {
         const [year, month, day] = customEndDate.split('-').map(Number)
         end = new Date(year, month - 1, day)
       } else {
-        end = new Date()
+        end = new Date(today)
       }
     } else if (dateRange === 'year-back') {
       // One year back from today
-      end = new Date()
-      start = new Date()
+      end = new Date(today)
+      start = new Date(today)
       start.setFullYear(start.getFullYear() - 1)
     } else if (dateRange === 'year-forward') {
       // One year forward from today
-      start = new Date()
-      end = new Date()
+      start = new Date(today)
+      end = new Date(today)
       end.setFullYear(end.getFullYear() + 1)
     } else {
       // Standard relative date range
-      end = new Date()
-      start = new Date()
+      end = new Date(today)
+      start = new Date(today)
       start.setDate(start.getDate() - dateRange)
     }
     
     return { startDate: start, endDate: end }
-  }, [dateRange, customStartDate, customEndDate])
+  }, [dateRange, customStartDate, customEndDate, today])
   
   // Validate custom dates with memoization
   const isValidCustomRange = useMemo(() => {
@@ -93,16 +109,37 @@ function UtilizationChart() {
   }, [dateRange, customStartDate, customEndDate])
   
   const { data: subcalendars, isLoading: subcalendarsLoading } = useSubcalendars()
-  const { data: utilizationData, isLoading: utilizationLoading, error } = useAllEmployeesUtilization(startDate, endDate)
+  const { data: settings, isLoading: settingsLoading } = useSettings()
+  const { data: access, error: accessError } = useEmployeeAccess()
+  const { data: utilizationData, isLoading: utilizationLoading, error: utilizationError } = useAllEmployeesUtilization(startDate, endDate)
+  const error = accessError || utilizationError
+  // Second range to compare against; only fetched when a comparison mode is picked
+  const comparisonRange = useMemo(() => {
+    return getComparisonRange(startDate, endDate, comparisonMode || 'previous-period')
+  }, [startDate, endDate, comparisonMode])
+  const { data: comparisonData, isLoading: comparisonLoading, error: comparisonError } = useAllEmployeesUtilization(
+    comparisonRange.startDate,
+    comparisonRange.endDate,
+    !!comparisonMode
+  )
+  const isComparing = !!comparisonMode && !!comparisonData
+  // Employee drill-down opens on the first month of the selected range
+  const detailMonth = formatMonthParam(startDate.getFullYear(), startDate.getMonth())
   
-  const isLoading = subcalendarsLoading || utilizationLoading
+  const isLoading = subcalendarsLoading || settingsLoading || utilizationLoading || !utilizationData
+
+  const categories = useMemo(() => settings?.categories || [], [settings])
+  const isHoursMode = settings?.utilizationMode === 'hours'
 
-  // Filter out non-employee subcalendars and excluded employees
+  // Filter out non-employee subcalendars, excluded employees and anyone the user may not see
   const employees = useMemo(() => {
-    return subcalendars?.subcalendars?.filter(
-      sub => !['Future Work', 'Holidays'].includes(sub.name) && !EXCLUDED_EMPLOYEES.includes(sub.name)
-    ) || []
-  }, [subcalendars])
+    return access ? getEmployeeSubcalendars(subcalendars, settings, access) : []
+  }, [subcalendars, settings, access])
+
+  // Teams with at least one employee the user can see
+  const teams = useMemo(() => {
+    return (settings?.teams || []).filter(team => getTeamMemberIds(team, employees).length > 0)
+  }, [settings, employees])
 
   // Initialize selectedEmployees with all employees when employees are first loaded
   useEffect(() => {
@@ -170,40 +207,14 @@ function UtilizationChart() {
           aValue = parseFloat(a.weekendUtilizationPercentage)
           bValue = parseFloat(b.weekendUtilizationPercentage)
           break
-        case 'fieldDays':
-          aValue = a.utilization.categories.field.weekdays
-          bValue = b.utilization.categories.field.weekdays
-          break
-        case 'officeDays':
-          aValue = a.utilization.categories.office.weekdays
-          bValue = b.utilization.categories.office.weekdays
-          break
-        case 'workFromHomeDays':
-          aValue = a.utilization.categories['work from home']?.weekdays || 0
-          bValue = b.utilization.categories['work from home']?.weekdays || 0
-          break
-        case 'vacationDays':
-          aValue = a.utilization.categories.vacation.weekdays
-          bValue = b.utilization.categories.vacation.weekdays
-          break
-        case 'sickDays':
-          aValue = a.utilization.categories.sick?.weekdays || 0
-          bValue = b.utilization.categories.sick?.weekdays || 0
-          break
-        case 'overtimeDays':
-          aValue = a.utilization.categories.overtime.weekends
-          bValue = b.utilization.categories.overtime.weekends
-          break
-        case 'unknownDays':
-          aValue = a.utilization.categories.unknown.weekdays
-          bValue = b.utilization.categories.unknown.weekdays
-          break
-        case 'holidayDays':
-          aValue = a.utilization.categories.holiday?.weekdays || 0
-          bValue = b.utilization.categories.holiday?.weekdays || 0
+        case 'hours':
+          aValue = a.utilizedHours
+          bValue = b.utilizedHours
           break
         default:
-          return 0
+          if (!key || !key.startsWith('category:')) return 0
+          aValue = getCategoryDays(a, key.slice('category:'.length))
+          bValue = getCategoryDays(b, key.slice('category:'.length))
       }
       
       if (aValue < bValue) return direction === 'asc' ? -1 : 1
@@ -235,128 +246,6 @@ function UtilizationChart() {
     return utilizationData?.filter(item => selectedEmployees.includes(item.employee.id)) || []
   }, [selectedEmployees, utilizationData])
 
-  // Prepare data for charts function (must be defined before useMemo hooks)
-  const prepareChartData = (data) => {
-    if (!data || data.length === 0) return []
-
-    // Calculate total days in range (sum of all employees' totalDays)
-    const totalDaysInRange = data.reduce((sum, item) => {
-      return sum + (item.utilization?.totalDays || 0)
-    }, 0)
-
-    const aggregated = {
-      field: { weekdays: 0, weekends: 0 },
-      office: { weekdays: 0, weekends: 0 },
-      vacation: { weekdays: 0, weekends: 0 },
-      'work from home': { weekdays: 0, weekends: 0 },
-      sick: { weekdays: 0, weekends: 0 },
-      overtime: { weekdays: 0, weekends: 0 },
-      unknown: { weekdays: 0, weekends: 0 }
-    }
-
-    // Collect all unknown dates from all employees
-    const allUnknownDates = new Set()
-    data.forEach(item => {
-      // Try unknownDates first, then fallback to categoryDates.unknown
-      const dates = item.unknownDates || item.categoryDates?.unknown || []
-      if (Array.isArray(dates)) {
-        dates.forEach(dateStr => {
-          if (dateStr) {
-            allUnknownDates.add(dateStr)
-          }
-        })
-      }
-    })
-
-    data.forEach(item => {
-      if (item.utilization && item.utilization.categories) {
-        Object.keys(item.utilization.categories).forEach(category => {
-          const categoryData = item.utilization.categories[category]
-          if (categoryData && typeof categoryData.weekdays === 'number' && typeof categoryData.weekends === 'number') {
-            if (category === 'holiday') {
-              // Combine holiday with vacation for charts
-              aggregated.vacation.weekdays += categoryData.weekdays
-              aggregated.vacation.weekends += categoryData.weekends
-            } else if (aggregated[category]) {
-              aggregated[category].weekdays += categoryData.weekdays
-              aggregated[category].weekends += categoryData.weekends
-            } else {
-              // Handle unknown categories
-              aggregated.unknown.weekdays += categoryData.weekdays
-              aggregated.unknown.weekends += categoryData.weekends
-            }
-          }
-        })
-      }
-    })
-
-    // Build chart data with all categories as distinct items
-    const chartData = [
-      {
-        name: 'Field',
-        weekdays: aggregated.field.weekdays,
-        weekends: aggregated.field.weekends,
-        total: aggregated.field.weekdays + aggregated.field.weekends,
-        color: COLORS.field
-      },
-      {
-        name: 'Office',
-        weekdays: aggregated.office.weekdays,
-        weekends: aggregated.office.weekends,
-        total: aggregated.office.weekdays + aggregated.office.weekends,
-        color: COLORS.office
-      },
-      {
-        name: 'Work From Home',
-        weekdays: aggregated['work from home'].weekdays,
-        weekends: aggregated['work from home'].weekends,
-        total: aggregated['work from home'].weekdays + aggregated['work from home'].weekends,
-        color: COLORS['work from home']
-      },
-      {
-        name: 'Overtime',
-        weekdays: aggregated.overtime.weekdays,
-        weekends: aggregated.overtime.weekends,
-        total: aggregated.overtime.weekdays + aggregated.overtime.weekends,
-        color: COLORS.overtime
-      },
-      {
-        name: 'Vacation',
-        weekdays: aggregated.vacation.weekdays,
-        weekends: aggregated.vacation.weekends,
-        total: aggregated.vacation.weekdays + aggregated.vacation.weekends,
-        color: COLORS.vacation
-      },
-      {
-        name: 'Sick',
-        weekdays: aggregated.sick.weekdays,
-        weekends: aggregated.sick.weekends,
-        total: aggregated.sick.weekdays + aggregated.sick.weekends,
-        color: COLORS.sick
-      },
-      {
-        name: 'Unknown',
-        weekdays: aggregated.unknown.weekdays,
-        weekends: 0, // Unknown only tracks weekdays, weekends should always be 0
-        total: aggregated.unknown.weekdays, // Only count weekdays for unknown
-        color: COLORS.unknown,
-        unknownDates: Array.from(allUnknownDates).sort() // Store unknown dates for tooltip
-      }
-    ].filter(item => {
-      // Keep Unknown even if total is 0, if there are unknown dates
-      if (item.name === 'Unknown' && item.unknownDates && item.unknownDates.length > 0) {
-        return true
-      }
-      return item.total > 0
-    })
-
-    // Calculate percentages against total days in range
-    return chartData.map(item => ({
-      ...item,
-      percentage: totalDaysInRange > 0 ? (item.total / totalDaysInRange * 100) : 0
-    }))
-  }
-
   // Filter by warnings if enabled, then sort the filtered data
   const sortedData = useMemo(() => {
     let dataToSort = filteredData
@@ -373,9 +262,54 @@ function UtilizationChart() {
     return sortData(dataToSort, sortConfig.key, sortConfig.direction)
   }, [filteredData, sortConfig.key, sortConfig.direction, showWarningsOnly])
 
-  // Prepare data for charts
+  // Change from the comparison range per employee
+  const deltasByEmployee = useMemo(() => {
+    if (!isComparing) return {}
+    return Object.fromEntries(filteredData.map(item => [
+      item.employee.id,
+      compareEmployeeUtilization(
+        item,
+        comparisonData.find(previous => previous.employee.id === item.employee.id),
+        categories
+      )
+    ]))
+  }, [isComparing, filteredData, comparisonData, categories])
+
+  // Prepare data for charts, with the comparison range's totals alongside when comparing
   const chartData = useMemo(() => {
-    return prepareChartData(filteredData)
+    const current = getCategoryTotals(filteredData, categories)
+    if (!isComparing) return current
+
+    const previousData = comparisonData.filter(item => selectedEmployees.includes(item.employee.id))
+    const previous = getCategoryTotals(previousData, categories)
+    return current.map(item => {
+      const previousItem = previous.find(entry => entry.id === item.id)
+      return {
+        ...item,
+        previousWeekdays: previousItem?.weekdays || 0,
+        previousWeekends: previousItem?.weekends || 0,
+        previousTotal: previousItem?.total || 0
+      }
+    })
+  }, [filteredData, categories, isComparing, comparisonData, selectedEmployees])
+
+  // Team summary rows over the selected employees, with deltas when comparing
+  const teamRows = useMemo(() => summarizeTeams(teams, filteredData), [teams, filteredData])
+  const deltasByTeam = useMemo(() => {
+    if (!isComparing) return {}
+    const previousRows = summarizeTeams(teams, comparisonData.filter(item => selectedEmployees.includes(item.employee.id)))
+    return Object.fromEntries(teamRows.map(row => [
+      row.team.id,
+      compareEmployeeUtilization(row, previousRows.find(previous => previous.team.id === row.team.id), categories)
+    ]))
+  }, [isComparing, teams, teamRows, comparisonData, selectedEmployees, categories])
+
+  // Selected employees under their utilization target for the period
+  const belowTarget = useMemo(() => getEmployeesBelowTarget(filteredData, settings), [filteredData, settings])
+
+  // TeamUp statuses that no category rule maps yet
+  const unmappedStatuses = useMemo(() => {
+    return [...new Set(filteredData.flatMap(item => item.unmappedStatuses || []))].sort()
   }, [filteredData])
 
 
@@ -400,6 +334,14 @@ function UtilizationChart() {
     setSelectedEmployees([])
   }, [])
 
+  // Select a whole team, or clear it when every member is already selected
+  const handleTeamToggle = useCallback((team) => {
+    const memberIds = getTeamMemberIds(team, employees)
+    setSelectedEmployees(prev => getTeamSelection(team, employees, prev) === 'all'
+      ? prev.filter(id => !memberIds.includes(id))
+      : [...new Set([...prev, ...memberIds])])
+  }, [employees])
+
   const handleDateRangeChange = useCallback((e) => {
     setDateRange(e.target.value)
   }, [])
@@ -436,6 +378,32 @@ function UtilizationChart() {
     e.preventDefault()
   }, [])
 
+  // Export the Employee Details table as shown, with an optional sheet of dates per category
+  const handleExport = async (format) => {
+    const fileName = `employee-utilization-${formatDate(startDate)}-to-${formatDate(endDate)}`
+    const details = buildEmployeeDetailsTable(sortedData, categories, {
+      includeHours: isHoursMode,
+      teamRows,
+      getTarget: row => getRowTarget(row, settings)
+    })
+    const dates = exportDates ? buildCategoryDatesTable(sortedData, categories) : null
+
+    setExportError(null)
+    try {
+      if (format === 'xlsx') {
+        await downloadXlsx([
+          { name: 'Employee Details', table: details },
+          ...(dates ? [{ name: 'Dates', table: dates }] : [])
+        ], `${fileName}.xlsx`)
+      } else {
+        downloadCsv(details, `${fileName}.csv`)
+        if (dates) downloadCsv(dates, `${fileName}-dates.csv`)
+      }
+    } catch (err) {
+      setExportError(err.message)
+    }
+  }
+
   const handleApplyDates = useCallback(() => {
     // Apply the local dates to the main state
     setCustomStartDate(localStartDate)
@@ -443,6 +411,16 @@ function UtilizationChart() {
   }, [localStartDate, localEndDate])
 
   // Now we can have conditional returns after all hooks are called
+  // Errors first, since a failed request leaves the data it was loading missing
+  if (error) {
+    return (
+      <Alert variant="danger">
+        <Alert.Heading>Error Loading Data</Alert.Heading>
+        <p>{error.message}</p>
+      </Alert>
+    )
+  }
+
   if (isLoading) {
     return (
       <Card>
@@ -454,11 +432,11 @@ function UtilizationChart() {
     )
   }
 
-  if (error) {
+  // Employees whose account isn't linked to a subcalendar have nothing to see yet
+  if (access && !access.all && access.employeeIds.length === 0) {
     return (
-      <Alert variant="danger">
-        <Alert.Heading>Error Loading Data</Alert.Heading>
-        <p>{error.message}</p>
+      <Alert variant="info">
+        Your account isn't linked to a TeamUp calendar yet. Ask an administrator to add your sign-in name under Employee Accounts in Settings.
       </Alert>
     )
   }
@@ -501,6 +479,12 @@ function UtilizationChart() {
                   <option value="year-forward">Next year</option>
                   <option value="custom">Custom dates</option>
                 </Form.Select>
+                {dateRange === 'year-forward' && (
+                  <Form.Text muted>
+                    Unscheduled future weekdays count as Unknown here. See the{' '}
+                    <Link to="/forecast">Forecast</Link> for booked vs. open capacity and Future Work demand.
+                  </Form.Text>
+                )}
               </Form.Group>
               
               {/* Custom Date Inputs */}
@@ -579,12 +563,48 @@ function UtilizationChart() {
                 onChange={(e) => setShowWarningsOnly(e.target.checked)}
               />
             </Col>
+            <Col md={6}>
+              <Form.Group className="d-flex align-items-center gap-2">
+                <Form.Label className="mb-0 text-nowrap">Compare to</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={comparisonMode}
+                  onChange={(e) => setComparisonMode(e.target.value)}
+                >
+                  <option value="">No comparison</option>
+                  <option value="previous-period">Previous period</option>
+                  <option value="previous-year">Same period last year</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
           </Row>
         </div>
 
         {/* Employee Selection */}
         <Row className="mb-4">
           <Col>
+            {teams.length > 0 && (
+              <Form.Group className="mb-3">
+                <Form.Label>Teams</Form.Label>
+                <div className="d-flex flex-wrap gap-2">
+                  {teams.map(team => {
+                    const selection = getTeamSelection(team, employees, selectedEmployees)
+                    const memberIds = getTeamMemberIds(team, employees)
+                    return (
+                      <button
+                        key={team.id}
+                        type="button"
+                        className={`btn btn-sm ${selection === 'all' ? 'btn-primary' : 'btn-outline-primary'}`}
+                        title={selection === 'all' ? 'Clear this team' : 'Select this team'}
+                        onClick={() => handleTeamToggle(team)}
+                      >
+                        {team.name} ({memberIds.filter(id => selectedEmployees.includes(id)).length}/{memberIds.length})
+                      </button>
+                    )
+                  })}
+                </div>
+              </Form.Group>
+            )}
             <Form.Group>
               <Form.Label>Employees</Form.Label>
               <div className="d-flex flex-wrap gap-2">
@@ -621,12 +641,35 @@ function UtilizationChart() {
                       • {selectedEmployees.length} employee{selectedEmployees.length !== 1 ? 's' : ''} selected
                     </span>
                   )}
+                  {comparisonMode && (
+                    <span className="d-block">
+                      Compared to {comparisonRange.startDate.toLocaleDateString()} to {comparisonRange.endDate.toLocaleDateString()}
+                      {comparisonLoading && <Spinner animation="border" size="sm" className="ms-2" />}
+                      {comparisonError && <span className="text-danger ms-2">{comparisonError.message}</span>}
+                    </span>
+                  )}
                 </>
               )}
             </p>
           </Col>
         </Row>
 
+        {/* Unmapped Statuses */}
+        {unmappedStatuses.length > 0 && (
+          <Alert variant="info">
+            These TeamUp statuses have no category rule and count as Unknown: {unmappedStatuses.join(', ')}.{' '}
+            <Link to="/settings">Add rules in Settings</Link>
+          </Alert>
+        )}
+
+        {/* Below Target */}
+        {belowTarget.length > 0 && (
+          <Alert variant="warning">
+            <strong>Below target for this period:</strong>{' '}
+            {belowTarget.map(({ item, target }) => `${item.employee.name} (${item.weekdayUtilizationPercentage}% vs ${target}%)`).join(', ')}
+          </Alert>
+        )}
+
         {/* Charts */}
         {selectedEmployees.length === 0 ? (
           <div className="text-center py-5">
@@ -636,7 +679,7 @@ function UtilizationChart() {
           <Row>
             <Col md={6}>
               <h6 
-                title="Percentages are calculated against the total number of days in the selected date range across all selected employees. Working categories include field work, office time, work from home, and overtime. Non-working categories include vacation, sick, and unknown days."
+                title={`Percentages are calculated against the total number of days in the selected date range across all selected employees. Utilized categories: ${categories.filter(category => category.utilized).map(category => category.label).join(', ') || 'none'}.`}
                 style={{ cursor: 'help' }}
               >
                 Utilization Breakdown
@@ -662,11 +705,21 @@ function UtilizationChart() {
                       if (active && payload && payload.length > 0) {
                         const data = payload[0].payload
                         const dates = data.unknownDates
-                        const isUnknown = data.name === 'Unknown'
+                        const isUnknown = data.id === 'unknown'
                         return (
                           <div className="bg-white border rounded p-2 shadow" style={{ maxWidth: '300px', zIndex: 1000 }}>
                             <p className="mb-1"><strong>{data.name}</strong></p>
                             <p className="mb-0">{data.total} days ({data.percentage.toFixed(1)}%)</p>
+                            {isComparing && (
+                              <p className="mb-0 small">
+                                Previous: {data.previousTotal} days{' '}
+                                <DeltaIndicator
+                                  value={Math.round((data.total - data.previousTotal) * 100) / 100}
+                                  unit=" days"
+                                  higherIsWorse={isUnknown}
+                                />
+                              </p>
+                            )}
                             {isUnknown && dates && dates.length > 0 && (
                               <div className="mt-2 pt-2 border-top">
                                 <p className="mb-1 small"><strong>Unknown Dates ({dates.length}):</strong></p>
@@ -709,7 +762,7 @@ function UtilizationChart() {
                         // Find the data entry for this label
                         const dataEntry = chartData.find(item => item.name === label)
                         const dates = dataEntry?.unknownDates
-                        const isUnknown = label === 'Unknown'
+                        const isUnknown = dataEntry?.id === 'unknown'
                         return (
                           <div className="bg-white border rounded p-2 shadow" style={{ maxWidth: '300px', zIndex: 1000 }}>
                             <p className="mb-1"><strong>{label}</strong></p>
@@ -746,7 +799,9 @@ function UtilizationChart() {
                   />
                   <Legend />
                   <Bar dataKey="weekdays" fill="#82ca9d" name="Weekdays" />
+                  {isComparing && <Bar dataKey="previousWeekdays" fill="#c9ead6" name="Weekdays (previous)" />}
                   <Bar dataKey="weekends" fill="#ff7300" name="Weekends" />
+                  {isComparing && <Bar dataKey="previousWeekends" fill="#ffc999" name="Weekends (previous)" />}
                 </BarChart>
               </ResponsiveContainer>
             </Col>
@@ -757,6 +812,33 @@ function UtilizationChart() {
           </div>
         )}
 
+        {/* Targets */}
+        {filteredData.length > 0 && (
+          <Row className="mt-4">
+            <Col>
+              <TargetVarianceChart items={filteredData} settings={settings} />
+            </Col>
+          </Row>
+        )}
+
+        {/* Teams */}
+        {teamRows.length > 0 && (
+          <TeamUtilizationCharts teamRows={teamRows} categories={categories} settings={settings} />
+        )}
+
+        {/* Trend */}
+        {selectedEmployees.length > 0 && (
+          <Row className="mt-4">
+            <Col>
+              <UtilizationTrendChart
+                startDate={startDate}
+                endDate={endDate}
+                selectedEmployees={selectedEmployees}
+              />
+            </Col>
+          </Row>
+        )}
+
         {/* Employee Details */}
         {selectedEmployees.length === 0 ? (
           <div className="text-center py-4">
@@ -765,7 +847,33 @@ function UtilizationChart() {
         ) : sortedData && sortedData.length > 0 ? (
           <Row className="mt-4">
             <Col>
-              <h6>Employee Details</h6>
+              <div className="d-flex justify-content-between align-items-center mb-2">
+                <h6 className="mb-0">Employee Details</h6>
+                <div className="d-flex align-items-center gap-3">
+                  <Form.Check
+                    type="checkbox"
+                    id="export-dates"
+                    label="Include dates"
+                    title="Adds every date with its category per employee (a second sheet, or a second CSV file)"
+                    checked={exportDates}
+                    onChange={(e) => setExportDates(e.target.checked)}
+                  />
+                  <Dropdown>
+                    <Dropdown.Toggle variant="outline-secondary" size="sm" id="export-employee-details">
+                      Export
+                    </Dropdown.Toggle>
+                    <Dropdown.Menu align="end">
+                      <Dropdown.Item onClick={() => handleExport('csv')}>CSV</Dropdown.Item>
+                      <Dropdown.Item onClick={() => handleExport('xlsx')}>Excel (.xlsx)</Dropdown.Item>
+                    </Dropdown.Menu>
+                  </Dropdown>
+                </div>
+              </div>
+              {exportError && (
+                <Alert variant="danger" dismissible onClose={() => setExportError(null)}>
+                  Export failed: {exportError}
+                </Alert>
+              )}
               <div className="table-responsive">
                 <table className="table table-sm" style={{ tableLayout: 'auto', width: '100%' }}>
                   <thead>
@@ -815,134 +923,110 @@ function UtilizationChart() {
                           }}>{getSortIndicator('weekendOvertime')}</span>
                         </div>
                       </th>
-                      <th 
-                        onClick={() => handleSort('fieldDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Field Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'fieldDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'fieldDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('fieldDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('officeDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Office Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'officeDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'officeDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('officeDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('workFromHomeDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '120px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Work From Home</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'workFromHomeDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'workFromHomeDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('workFromHomeDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('vacationDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Vacation Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'vacationDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'vacationDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('vacationDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('sickDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Sick Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'sickDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'sickDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('sickDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('holidayDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Holiday Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'holidayDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'holidayDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('holidayDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('overtimeDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Overtime Days</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'overtimeDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'overtimeDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('overtimeDays')}</span>
-                        </div>
-                      </th>
-                      <th 
-                        onClick={() => handleSort('unknownDays')}
-                        style={{ cursor: 'pointer', userSelect: 'none', width: '200px' }}
-                        className="sortable-header"
-                      >
-                        <div className="d-flex justify-content-between align-items-start">
-                          <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Unknown</span>
-                          <span style={{ 
-                            fontSize: '14px', 
-                            color: sortConfig.key === 'unknownDays' ? '#007bff' : '#6c757d',
-                            fontWeight: sortConfig.key === 'unknownDays' ? 'bold' : 'normal',
-                            marginLeft: '8px'
-                          }}>{getSortIndicator('unknownDays')}</span>
-                        </div>
-                      </th>
+                      {isHoursMode && (
+                        <th 
+                          onClick={() => handleSort('hours')}
+                          style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
+                          className="sortable-header"
+                        >
+                          <div className="d-flex justify-content-between align-items-start">
+                            <span className="text-start" style={{ whiteSpace: 'nowrap' }}>Hours</span>
+                            <span style={{ 
+                              fontSize: '14px', 
+                              color: sortConfig.key === 'hours' ? '#007bff' : '#6c757d',
+                              fontWeight: sortConfig.key === 'hours' ? 'bold' : 'normal',
+                              marginLeft: '8px'
+                            }}>{getSortIndicator('hours')}</span>
+                          </div>
+                        </th>
+                      )}
+                      {categories.map(category => {
+                        const sortKey = `category:${category.id}`
+                        return (
+                          <th 
+                            key={category.id}
+                            onClick={() => handleSort(sortKey)}
+                            style={{ cursor: 'pointer', userSelect: 'none', minWidth: '100px' }}
+                            className="sortable-header"
+                          >
+                            <div className="d-flex justify-content-between align-items-start">
+                              <span className="text-start" style={{ whiteSpace: 'nowrap' }}>
+                                {['overtime', 'unknown'].includes(category.id) ? category.label : `${category.label} Days`}
+                              </span>
+                              <span style={{ 
+                                fontSize: '14px', 
+                                color: sortConfig.key === sortKey ? '#007bff' : '#6c757d',
+                                fontWeight: sortConfig.key === sortKey ? 'bold' : 'normal',
+                                marginLeft: '8px'
+                              }}>{getSortIndicator(sortKey)}</span>
+                            </div>
+                          </th>
+                        )
+                      })}
                     </tr>
                   </thead>
                   <tbody>
+                    {teamRows.map(row => (
+                      <tr key={`team-${row.team.id}`} className="table-light fw-semibold">
+                        <td>
+                          {row.team.name}
+                          <small className="text-muted d-block fw-normal">
+                            Team • {row.members.length} employee{row.members.length !== 1 ? 's' : ''}
+                          </small>
+                        </td>
+                        <td>
+                          <Badge bg={getTargetVariant(getTargetStatus(row, getRowTarget(row, settings)))}>
+                            {row.weekdayUtilizationPercentage}%
+                          </Badge>
+                          <small className="text-muted d-block fw-normal">
+                            ({row.weekdayUtilized}/{row.weekdayTotal} days)
+                          </small>
+                          <TargetNote row={row} settings={settings} />
+                          {isComparing && (
+                            <DeltaIndicator value={deltasByTeam[row.team.id]?.weekdayUtilizationPercentage} unit=" pp" className="d-block" />
+                          )}
+                        </td>
+                        <td>
+                          <Badge bg={row.weekendUtilizationPercentage > 0 ? 'info' : 'secondary'}>
+                            {row.weekendUtilizationPercentage}%
+                          </Badge>
+                          <small className="text-muted d-block fw-normal">
+                            ({row.weekendUtilized}/{row.weekendTotal} days)
+                          </small>
+                          {isComparing && (
+                            <DeltaIndicator value={deltasByTeam[row.team.id]?.weekendUtilizationPercentage} unit=" pp" className="d-block" />
+                          )}
+                        </td>
+                        {isHoursMode && (
+                          <td>
+                            {row.utilizedHours.toFixed(1)}h
+                            <small className="text-muted d-block fw-normal">
+                              of {row.availableHours}h
+                            </small>
+                            {isComparing && (
+                              <DeltaIndicator value={deltasByTeam[row.team.id]?.utilizedHours} unit="h" className="d-block" />
+                            )}
+                          </td>
+                        )}
+                        {categories.map(category => (
+                          <td key={category.id}>
+                            {getCategoryDays(row, category.id)}
+                            {isComparing && (
+                              <DeltaIndicator
+                                value={getCategoryDelta(deltasByTeam[row.team.id], category.id)}
+                                higherIsWorse={category.id === 'unknown' || category.id === 'sick'}
+                                className="d-block"
+                              />
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
                     {sortedData.map(item => (
                       <tr key={item.employee.id} className={item.isExcludedFromUtilization ? 'table-secondary' : ''}>
                         <td>
                           <div className="d-flex align-items-center">
-                            <span>{item.employee.name}</span>
+                            <Link to={`/employees/${item.employee.id}?month=${detailMonth}`}>{item.employee.name}</Link>
                             {item.validationInfo && !item.validationInfo.isValid && (
                               <span 
                                 className="ms-2 text-warning" 
@@ -953,13 +1037,7 @@ Actual: ${item.validationInfo.totalWeekdayCategories.toFixed(2)} days
 Difference: ${item.validationInfo.difference.toFixed(2)} days
 
 Breakdown:
-• Field: ${item.validationInfo.categoryBreakdown.field} days
-• Office: ${item.validationInfo.categoryBreakdown.office} days
-• Work From Home: ${item.validationInfo.categoryBreakdown['work from home']} days
-• Vacation: ${item.validationInfo.categoryBreakdown.vacation} days
-• Holiday: ${item.validationInfo.categoryBreakdown.holiday} days
-• Sick: ${item.validationInfo.categoryBreakdown.sick} days
-• Unknown: ${item.validationInfo.categoryBreakdown.unknown} days${item.validationInfo.unaccountedDates && item.validationInfo.unaccountedDates.length > 0 ? `
+${categories.map(category => `• ${category.label}: ${item.validationInfo.categoryBreakdown[category.id] || 0} days`).join('\n')}${item.validationInfo.unaccountedDates && item.validationInfo.unaccountedDates.length > 0 ? `
 
 Unaccounted Dates (${item.validationInfo.unaccountedDates.length}):
 ${item.validationInfo.unaccountedDates.map(dateStr => {
@@ -974,7 +1052,7 @@ ${item.validationInfo.unaccountedDates.map(dateStr => {
                             {item.holidayWarnings && item.holidayWarnings.length > 0 && (
                               <span 
                                 className="ms-2 text-danger" 
-                                title={`Holiday Warning: Non-field/office events found on holidays (not counted):
+                                title={`Holiday Warning: Non-working events found on holidays (not counted):
                                 
 ${item.holidayWarnings.map(warning => {
                                   const date = new Date(warning.date + 'T00:00:00')
@@ -991,12 +1069,16 @@ ${item.holidayWarnings.map(warning => {
                           )}
                         </td>
                         <td>
-                          <Badge bg={item.weekdayUtilizationPercentage > 80 ? 'success' : item.weekdayUtilizationPercentage > 60 ? 'warning' : 'danger'}>
+                          <Badge bg={getTargetVariant(getTargetStatus(item, getRowTarget(item, settings)))}>
                             {item.weekdayUtilizationPercentage}%
                           </Badge>
                           <small className="text-muted d-block">
                             ({item.weekdayUtilized}/{item.weekdayTotal} days)
                           </small>
+                          <TargetNote row={item} settings={settings} />
+                          {isComparing && (
+                            <DeltaIndicator value={deltasByEmployee[item.employee.id]?.weekdayUtilizationPercentage} unit=" pp" className="d-block" />
+                          )}
                         </td>
                         <td>
                           <Badge bg={item.weekendUtilizationPercentage > 0 ? 'info' : 'secondary'}>
@@ -1005,111 +1087,52 @@ ${item.holidayWarnings.map(warning => {
                           <small className="text-muted d-block">
                             ({item.weekendUtilized}/{item.weekendTotal} days)
                           </small>
-                        </td>
-                        <td>
-                          {item.isExcludedFromUtilization ? (
-                            <span className="text-muted">N/A</span>
-                          ) : (
-                            <span
-                              title={item.categoryDates?.field && item.categoryDates.field.length > 0
-                                ? `Field days:\n${formatDatesForTooltip(item.categoryDates.field)}`
-                                : 'No field days'
-                              }
-                              style={{ cursor: item.categoryDates?.field && item.categoryDates.field.length > 0 ? 'help' : 'default' }}
-                            >
-                              {item.utilization.categories.field.weekdays}
-                            </span>
-                          )}
-                        </td>
-                        <td>
-                          {item.isExcludedFromUtilization ? (
-                            <span className="text-muted">N/A</span>
-                          ) : (
-                            <span
-                              title={item.categoryDates?.office && item.categoryDates.office.length > 0
-                                ? `Office days:\n${formatDatesForTooltip(item.categoryDates.office)}`
-                                : 'No office days'
-                              }
-                              style={{ cursor: item.categoryDates?.office && item.categoryDates.office.length > 0 ? 'help' : 'default' }}
-                            >
-                              {item.utilization.categories.office.weekdays}
-                            </span>
-                          )}
-                        </td>
-                        <td>
-                          <span
-                            title={item.categoryDates?.['work from home'] && item.categoryDates['work from home'].length > 0
-                              ? `Work from home days:\n${formatDatesForTooltip(item.categoryDates['work from home'])}`
-                              : 'No work from home days'
-                            }
-                            style={{ cursor: item.categoryDates?.['work from home'] && item.categoryDates['work from home'].length > 0 ? 'help' : 'default' }}
-                          >
-                            {item.utilization.categories['work from home']?.weekdays || 0}
-                          </span>
-                        </td>
-                        <td>
-                          <span
-                            title={item.categoryDates?.vacation && item.categoryDates.vacation.length > 0
-                              ? `Vacation days:\n${formatDatesForTooltip(item.categoryDates.vacation)}`
-                              : 'No vacation days'
-                            }
-                            style={{ cursor: item.categoryDates?.vacation && item.categoryDates.vacation.length > 0 ? 'help' : 'default' }}
-                          >
-                            {item.utilization.categories.vacation.weekdays}
-                          </span>
-                        </td>
-                        <td>
-                          <span
-                            title={item.categoryDates?.sick && item.categoryDates.sick.length > 0
-                              ? `Sick days:\n${formatDatesForTooltip(item.categoryDates.sick)}`
-                              : 'No sick days'
-                            }
-                            style={{ cursor: item.categoryDates?.sick && item.categoryDates.sick.length > 0 ? 'help' : 'default' }}
-                          >
-                            {item.utilization.categories.sick.weekdays || 0}
-                          </span>
-                        </td>
-                        <td>
-                          <span
-                            title={item.categoryDates?.holiday && item.categoryDates.holiday.length > 0
-                              ? `Holiday days:\n${formatDatesForTooltip(item.categoryDates.holiday)}`
-                              : 'No holiday days'
-                            }
-                            style={{ cursor: item.categoryDates?.holiday && item.categoryDates.holiday.length > 0 ? 'help' : 'default' }}
-                          >
-                            {item.utilization.categories.holiday?.weekdays || 0}
-                          </span>
-                        </td>
-                        <td>
-                          {item.isExcludedFromUtilization ? (
-                            <span className="text-muted">N/A</span>
-                          ) : (
-                            <span
-                              title={item.categoryDates?.overtime && item.categoryDates.overtime.length > 0
-                                ? `Overtime days:\n${formatDatesForTooltip(item.categoryDates.overtime)}`
-                                : 'No overtime days'
-                              }
-                              style={{ cursor: item.categoryDates?.overtime && item.categoryDates.overtime.length > 0 ? 'help' : 'default' }}
-                            >
-                              {item.utilization.categories.overtime.weekends}
-                            </span>
+                          {isComparing && (
+                            <DeltaIndicator value={deltasByEmployee[item.employee.id]?.weekendUtilizationPercentage} unit=" pp" className="d-block" />
                           )}
                         </td>
-                        <td>
-                          {item.isExcludedFromUtilization ? (
-                            <span className="text-muted">N/A</span>
-                          ) : (
-                            <span
-                              title={item.unknownDates && item.unknownDates.length > 0 
-                                ? `Unknown dates:\n${formatDatesForTooltip(item.unknownDates)}`
-                                : 'No unknown days'
-                              }
-                              style={{ cursor: item.unknownDates && item.unknownDates.length > 0 ? 'help' : 'default' }}
-                            >
-                              {item.utilization.categories.unknown.weekdays}
+                        {isHoursMode && (
+                          <td>
+                            <span title="Hours logged in utilized categories, including overtime">
+                              {item.utilizedHours.toFixed(1)}h
                             </span>
-                          )}
-                        </td>
+                            <small className="text-muted d-block">
+                              of {item.availableHours}h
+                            </small>
+                            {isComparing && (
+                              <DeltaIndicator value={deltasByEmployee[item.employee.id]?.utilizedHours} unit="h" className="d-block" />
+                            )}
+                          </td>
+                        )}
+                        {categories.map(category => {
+                          // Unknown dates include weekdays no category accounted for
+                          const dates = category.id === 'unknown' ? item.unknownDates : item.categoryDates?.[category.id]
+                          const hasDates = dates && dates.length > 0
+                          return (
+                            <td key={category.id}>
+                              {item.isExcludedFromUtilization && isNotApplicableForSupport(category) ? (
+                                <span className="text-muted">N/A</span>
+                              ) : (
+                                <span
+                                  title={hasDates
+                                    ? `${category.label} days:\n${formatDatesForTooltip(dates)}`
+                                    : `No ${category.label.toLowerCase()} days`
+                                  }
+                                  style={{ cursor: hasDates ? 'help' : 'default' }}
+                                >
+                                  {getCategoryDays(item, category.id)}
+                                </span>
+                              )}
+                              {isComparing && !(item.isExcludedFromUtilization && isNotApplicableForSupport(category)) && (
+                                <DeltaIndicator
+                                  value={getCategoryDelta(deltasByEmployee[item.employee.id], category.id)}
+                                  higherIsWorse={category.id === 'unknown' || category.id === 'sick'}
+                                  className="d-block"
+                                />
+                              )}
+                            </td>
+                          )
+                        })}
                       </tr>
                     ))}
                   </tbody>
@@ -0,0 +1,91 @@
+import { useState, useMemo } from 'react'
+import { Form, Spinner, Alert } from 'react-bootstrap'
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts'
+import { useUtilizationTrend } from '../services/teamupService'
+import { TREND_BUCKETS } from '../engine/trends'
+
+// Line colors for individual employees, reused when there are more employees than colors
+const EMPLOYEE_COLORS = ['#0d6efd', '#6f42c1', '#d63384', '#fd7e14', '#20c997', '#0dcaf0', '#198754', '#dc3545', '#6610f2', '#ffc107']
+const TEAM_COLOR = '#212529'
+
+// Weekday utilization % per week or month for the selected employees and the whole team
+function UtilizationTrendChart({ startDate, endDate, selectedEmployees }) {
+  const [bucketSize, setBucketSize] = useState('week')
+  const { data: trend, isLoading, error } = useUtilizationTrend(startDate, endDate, bucketSize)
+
+  const selected = useMemo(() => {
+    return (trend?.employees || []).filter(employee => selectedEmployees.includes(employee.id))
+  }, [trend, selectedEmployees])
+
+  // One row per bucket with a column per employee and one for the team
+  const chartData = useMemo(() => {
+    return (trend?.buckets || []).map(bucket => ({
+      label: bucket.label,
+      team: bucket.team,
+      ...Object.fromEntries(selected.map(employee => [`employee-${employee.id}`, bucket.employees[employee.id]]))
+    }))
+  }, [trend, selected])
+
+  return (
+    <>
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <h6
+          className="mb-0"
+          title="Weekday utilization recalculated for each period. The team line covers every employee except admin/support staff, weighted by weekdays."
+          style={{ cursor: 'help' }}
+        >
+          Utilization Trend
+        </h6>
+        <Form.Select
+          size="sm"
+          style={{ width: 'auto' }}
+          value={bucketSize}
+          onChange={(e) => setBucketSize(e.target.value)}
+        >
+          {TREND_BUCKETS.map(bucket => (
+            <option key={bucket} value={bucket}>{bucket === 'week' ? 'By week' : 'By month'}</option>
+          ))}
+        </Form.Select>
+      </div>
+      {error ? (
+        <Alert variant="danger" className="small">{error.message}</Alert>
+      ) : isLoading || !trend ? (
+        <div className="text-center py-4">
+          <Spinner animation="border" size="sm" />
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="label" />
+            <YAxis domain={[0, 100]} unit="%" />
+            <Tooltip formatter={(value) => value == null ? 'N/A' : `${value.toFixed(1)}%`} />
+            <Legend />
+            <Line
+              type="monotone"
+              dataKey="team"
+              name="Team"
+              stroke={TEAM_COLOR}
+              strokeWidth={3}
+              strokeDasharray="6 3"
+              connectNulls
+            />
+            {selected.map((employee, index) => (
+              <Line
+                key={employee.id}
+                type="monotone"
+                dataKey={`employee-${employee.id}`}
+                name={employee.name}
+                stroke={EMPLOYEE_COLORS[index % EMPLOYEE_COLORS.length]}
+                dot={false}
+                connectNulls
+              />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </>
+  )
+}
+
+export default UtilizationTrendChart
@@ -0,0 +1,112 @@
+// Audit trail of calendar edits: the TeamUp events created, modified or deleted since a point in
+// time, and how each of them shifts employees' category totals over a date range.
+
+import { calculateEmployeesUtilization, getHolidayEvents } from './dashboard.js'
+import { getCategoryDays } from './report.js'
+import { getCalendarTimeZone } from './settings.js'
+import { parseCalendarTime, getRuntimeTimeZone, getDayStart } from './timezone.js'
+
+// How far back the quick choices look, in days
+// TeamUp only reports changes from the last 30 days.
+export const AUDIT_WINDOWS = [1, 7, 30]
+
+// TeamUp's modifiedSince parameter: a Unix timestamp in seconds
+export function toModifiedSince(date) {
+  return Math.floor(date.getTime() / 1000)
+}
+
+// The instant a "changed since" date (YYYY-MM-DD) starts: midnight in timeZone, the calendar's zone
+export function getAuditSince(dateStr, timeZone) {
+  return new Date(getDayStart(dateStr, timeZone))
+}
+
+// How an event changed since the given time: 'created', 'modified' or 'deleted'
+// TeamUp marks deleted events with delete_dt when modifiedSince is used.
+// Times without an offset are read in timeZone, the calendar's zone.
+export function getChangeType(event, since, timeZone = getRuntimeTimeZone()) {
+  if (event.delete_dt) return 'deleted'
+  if (event.creation_dt && parseCalendarTime(event.creation_dt, timeZone) >= since.getTime()) return 'created'
+  return 'modified'
+}
+
+// When an event was last changed
+export function getChangedAt(event) {
+  return event.delete_dt || event.update_dt
+}
+
+// Helper function to list the categories whose days differ between two rows
+function diffCategories(before, after, categories) {
+  return categories
+    .map(category => {
+      const beforeDays = getCategoryDays(before, category.id)
+      const afterDays = getCategoryDays(after, category.id)
+      return { id: category.id, before: beforeDays, after: afterDays, delta: Math.round((afterDays - beforeDays) * 100) / 100 }
+    })
+    .filter(category => category.delta !== 0)
+}
+
+// Audit trail for a date range
+//   subcalendars:  TeamUp subcalendars response, used to find the holiday calendar
+//   employees:     employee subcalendars to report on
+//   events:        current TeamUp events response for the range
+//   changedEvents: TeamUp events response for the range with modifiedSince set to since
+// Returns { changes, employees }
+//   changes:   [{ event, type, changedAt, employees: [{ employee, categories }] }], newest first, where
+//              categories are [{ id, before, after, delta }] comparing totals without and with the event
+//              (with and without for deleted events). Holiday changes affect every employee.
+//   employees: [{ employee, categories }] net shift from created and deleted events per employee.
+//              TeamUp doesn't return earlier versions, so modified events only show what they count for now.
+export function buildAuditTrail(subcalendars, employees, events, changedEvents, settings, startDate, endDate, since) {
+  const holidaysSubcalendar = subcalendars.subcalendars.find(sub => sub.name === 'Holidays')
+  const timeZone = getCalendarTimeZone(settings)
+
+  // Helper function to calculate the given employees as if TeamUp held exactly these events
+  const calculate = (targets, eventList) => {
+    const response = { events: eventList }
+    return calculateEmployeesUtilization(
+      targets,
+      response,
+      getHolidayEvents(subcalendars, response, settings),
+      settings,
+      startDate,
+      endDate
+    )
+  }
+
+  // Helper function to compare rows per employee, keeping only employees whose totals moved
+  const compare = (targets, beforeEvents, afterEvents) => {
+    const before = calculate(targets, beforeEvents)
+    const after = calculate(targets, afterEvents)
+    return targets
+      .map((employee, index) => ({ employee, categories: diffCategories(before[index], after[index], settings.categories) }))
+      .filter(entry => entry.categories.length > 0)
+  }
+
+  const current = events.events
+  const changes = changedEvents.events.map(event => {
+    const type = getChangeType(event, since, timeZone)
+    const isHoliday = holidaysSubcalendar && event.subcalendar_ids.includes(holidaysSubcalendar.id)
+    const targets = isHoliday ? employees : employees.filter(employee => event.subcalendar_ids.includes(employee.id))
+    const without = current.filter(entry => entry.id !== event.id)
+    const withEvent = [...without, event]
+
+    return {
+      event,
+      type,
+      changedAt: getChangedAt(event),
+      employees: targets.length === 0
+        ? []
+        : type === 'deleted' ? compare(targets, withEvent, without) : compare(targets, without, withEvent)
+    }
+  }).sort((a, b) => parseCalendarTime(b.changedAt, timeZone) - parseCalendarTime(a.changedAt, timeZone))
+
+  // Undo created events and restore deleted ones to get the range as it was at since
+  const createdIds = changes.filter(change => change.type === 'created').map(change => change.event.id)
+  const deleted = changes.filter(change => change.type === 'deleted').map(change => change.event)
+  const previous = [...current.filter(event => !createdIds.includes(event.id)), ...deleted]
+
+  return {
+    changes,
+    employees: createdIds.length > 0 || deleted.length > 0 ? compare(employees, previous, current) : []
+  }
+}
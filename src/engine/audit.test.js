@@ -0,0 +1,134 @@
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest'
+import { buildAuditTrail, getAuditSince, getChangeType, toModifiedSince } from './audit'
+import { withDefaultSettings } from './settings'
+import { createEvent } from './testEvents'
+
+// Helper function to build an event last saved before the audit window
+function createAuditEvent(id, subcalendarId, start, end, status, changes = {}) {
+  return createEvent(id, subcalendarId, start, end, status, {
+    title: status || 'Company Day',
+    creation_dt: '2025-01-02T08:00:00',
+    update_dt: '2025-01-02T08:00:00',
+    version: '1',
+    ...changes
+  })
+}
+
+// Helper function to map category shifts to { id: delta }
+function toDeltas(categories) {
+  return Object.fromEntries(categories.map(category => [category.id, category.delta]))
+}
+
+const SUBCALENDARS = {
+  subcalendars: [
+    { id: 1, name: 'Avery Field', creation_dt: '2025-01-01T00:00:00' },
+    { id: 2, name: 'Blake Office', creation_dt: '2025-01-01T00:00:00' },
+    { id: 900, name: 'Holidays', creation_dt: '2025-01-01T00:00:00' }
+  ]
+}
+const EMPLOYEES = SUBCALENDARS.subcalendars.slice(0, 2)
+const SINCE = getAuditSince('2025-01-21', 'America/Chicago')
+
+// Monday 2025-01-20 through Friday 2025-01-24, edited on the 21st:
+// Avery's Mon–Tue job was added, Wednesday changed, Thursday's job deleted and Friday became a holiday
+const CREATED = createAuditEvent('e1', 1, '2025-01-20', '2025-01-21', 'field', { creation_dt: '2025-01-21T10:00:00', update_dt: '2025-01-21T10:00:00' })
+const MODIFIED = createAuditEvent('e2', 1, '2025-01-22', '2025-01-22', 'office', { update_dt: '2025-01-21T11:00:00', version: '2' })
+const DELETED = createAuditEvent('e3', 1, '2025-01-23', '2025-01-23', 'field', { update_dt: '2025-01-21T12:00:00', delete_dt: '2025-01-21T12:00:00' })
+const HOLIDAY = createAuditEvent('h1', 900, '2025-01-24', '2025-01-24', null, { creation_dt: '2025-01-21T13:00:00', update_dt: '2025-01-21T13:00:00' })
+const UNCHANGED = createAuditEvent('e4', 2, '2025-01-20', '2025-01-23', 'office')
+
+const EVENTS = { events: [CREATED, MODIFIED, HOLIDAY, UNCHANGED] }
+const CHANGED_EVENTS = { events: [CREATED, MODIFIED, DELETED, HOLIDAY] }
+
+// Helper function to build the audit trail for the example week
+function buildExample() {
+  return buildAuditTrail(
+    SUBCALENDARS,
+    EMPLOYEES,
+    EVENTS,
+    CHANGED_EVENTS,
+    withDefaultSettings({ timezone: 'America/Chicago' }),
+    new Date(2025, 0, 20),
+    new Date(2025, 0, 24),
+    SINCE
+  )
+}
+
+describe('getChangeType', () => {
+  it('tells created, modified and deleted events apart', () => {
+    expect(getChangeType(CREATED, SINCE, 'America/Chicago')).toBe('created')
+    expect(getChangeType(MODIFIED, SINCE, 'America/Chicago')).toBe('modified')
+    expect(getChangeType(DELETED, SINCE, 'America/Chicago')).toBe('deleted')
+  })
+})
+
+describe('getAuditSince', () => {
+  // Run in a browser zone far from the calendar's, where local midnight is mid-afternoon in Chicago
+  beforeAll(() => vi.stubEnv('TZ', 'Asia/Tokyo'))
+  afterAll(() => vi.unstubAllEnvs())
+
+  it('starts the day at midnight in the calendar\'s zone, not the browser\'s', () => {
+    expect(new Date(2025, 0, 21).toISOString()).toBe('2025-01-20T15:00:00.000Z')
+    expect(getAuditSince('2025-01-21', 'America/Chicago').toISOString()).toBe('2025-01-21T06:00:00.000Z')
+  })
+
+  it('counts events created late the evening before as modified', () => {
+    const since = getAuditSince('2025-01-21', 'America/Chicago')
+    const lateEvening = createAuditEvent('e5', 1, '2025-01-22', '2025-01-22', 'field', { creation_dt: '2025-01-20T23:30:00', update_dt: '2025-01-21T09:00:00' })
+    const earlyMorning = createAuditEvent('e6', 1, '2025-01-22', '2025-01-22', 'field', { creation_dt: '2025-01-21T00:30:00', update_dt: '2025-01-21T00:30:00' })
+
+    expect(getChangeType(lateEvening, since, 'America/Chicago')).toBe('modified')
+    expect(getChangeType(earlyMorning, since, 'America/Chicago')).toBe('created')
+  })
+})
+
+describe('toModifiedSince', () => {
+  it('converts to a Unix timestamp in seconds', () => {
+    expect(toModifiedSince(new Date(Date.UTC(2025, 0, 21, 0, 0, 30)))).toBe(1737417630)
+  })
+})
+
+describe('buildAuditTrail', () => {
+  it('lists changes newest first with their effect on each employee', () => {
+    const { changes } = buildExample()
+
+    expect(changes.map(change => [change.event.id, change.type])).toEqual([
+      ['h1', 'created'],
+      ['e3', 'deleted'],
+      ['e2', 'modified'],
+      ['e1', 'created']
+    ])
+
+    const [holiday, deleted, modified, created] = changes
+    // Holidays affect everyone
+    expect(holiday.employees.map(entry => entry.employee.name)).toEqual(['Avery Field', 'Blake Office'])
+    expect(toDeltas(holiday.employees[0].categories)).toEqual({ holiday: 1, unknown: -1 })
+    expect(toDeltas(deleted.employees[0].categories)).toEqual({ field: -1, unknown: 1 })
+    expect(toDeltas(modified.employees[0].categories)).toEqual({ office: 1, unknown: -1 })
+    expect(toDeltas(created.employees[0].categories)).toEqual({ field: 2, unknown: -2 })
+    expect(created.employees[0].categories.find(category => category.id === 'field')).toMatchObject({ before: 0, after: 2 })
+  })
+
+  it('sums the net shift of created and deleted events per employee', () => {
+    const { employees } = buildExample()
+
+    expect(employees.map(entry => entry.employee.name)).toEqual(['Avery Field', 'Blake Office'])
+    expect(toDeltas(employees[0].categories)).toEqual({ field: 1, holiday: 1, unknown: -2 })
+    expect(toDeltas(employees[1].categories)).toEqual({ holiday: 1, unknown: -1 })
+  })
+
+  it('ignores changes to events outside the employees shown', () => {
+    const { changes } = buildAuditTrail(
+      SUBCALENDARS,
+      EMPLOYEES.slice(1),
+      EVENTS,
+      { events: [CREATED] },
+      withDefaultSettings({ timezone: 'America/Chicago' }),
+      new Date(2025, 0, 20),
+      new Date(2025, 0, 24),
+      SINCE
+    )
+
+    expect(changes[0].employees).toEqual([])
+  })
+})
@@ -0,0 +1,85 @@
+// Declarative mapping from TeamUp events to utilization categories.
+// Framework-free so the same rules run in the browser, in tests and on a server.
+
+// Categories the engine's weekend, holiday and unknown-day rules depend on
+export const BUILT_IN_CATEGORIES = ['vacation', 'holiday', 'overtime', 'unknown']
+
+// Default categories, in display order
+//   utilized:          counts towards weekday utilization
+//   supportUtilized:   counts towards utilization for admin/support staff
+//   overtimeOnHoliday: working this category on a holiday counts as overtime
+export const DEFAULT_CATEGORIES = [
+  { id: 'field', label: 'Field', color: '#8884d8', utilized: true, supportUtilized: false, overtimeOnHoliday: true },
+  { id: 'office', label: 'Office', color: '#82ca9d', utilized: true, supportUtilized: false, overtimeOnHoliday: true },
+  { id: 'work from home', label: 'Work From Home', color: '#9c88ff', utilized: true, supportUtilized: true, overtimeOnHoliday: false },
+  { id: 'vacation', label: 'Vacation', color: '#ffc658', utilized: false, supportUtilized: false, overtimeOnHoliday: false },
+  { id: 'sick', label: 'Sick', color: '#ff6b9d', utilized: false, supportUtilized: false, overtimeOnHoliday: false },
+  { id: 'holiday', label: 'Holiday', color: '#f4a261', utilized: false, supportUtilized: false, overtimeOnHoliday: false },
+  { id: 'overtime', label: 'Overtime', color: '#ff7300', utilized: false, supportUtilized: false, overtimeOnHoliday: false },
+  { id: 'unknown', label: 'Unknown', color: '#d3d3d3', utilized: false, supportUtilized: false, overtimeOnHoliday: false }
+]
+
+// Rule types
+//   status:      the event's TeamUp status equals the value
+//   title:       the event title contains the value as a keyword
+//   subcalendar: the event belongs to the subcalendar id in the value
+export const RULE_TYPES = ['status', 'title', 'subcalendar']
+
+// Default rules, evaluated in order - the first match decides the category
+export const DEFAULT_CATEGORY_RULES = [
+  { type: 'status', value: 'wfh', category: 'work from home' },
+  { type: 'status', value: 'work from home', category: 'work from home' },
+  { type: 'status', value: 'field', category: 'field' },
+  { type: 'status', value: 'office', category: 'office' },
+  { type: 'status', value: 'vacation', category: 'vacation' },
+  { type: 'status', value: 'sick', category: 'sick' },
+  { type: 'status', value: 'overtime', category: 'overtime' },
+  { type: 'status', value: 'holiday', category: 'holiday' }
+]
+
+// Category used when no rule matches an event
+export const FALLBACK_CATEGORY = 'unknown'
+
+// Helper function to normalize status values to handle variations
+export function normalizeStatus(status) {
+  if (!status || typeof status !== 'string') return 'unknown'
+
+  // Normalize: lowercase, trim, replace underscores and hyphens with spaces, normalize multiple spaces
+  return status.toLowerCase().trim()
+    .replace(/_/g, ' ') // Replace underscores with spaces
+    .replace(/-/g, ' ') // Replace hyphens with spaces
+    .replace(/\s+/g, ' ') // Normalize multiple spaces to single space
+}
+
+// Helper function to check a single rule against an event
+function matchesRule(rule, event, status) {
+  switch (rule.type) {
+    case 'status':
+      return normalizeStatus(rule.value) === status
+    case 'title':
+      return !!rule.value && (event.title || '').toLowerCase().includes(String(rule.value).toLowerCase().trim())
+    case 'subcalendar':
+      return (event.subcalendar_ids || []).map(String).includes(String(rule.value))
+    default:
+      return false
+  }
+}
+
+// Resolve the category for an event
+// Returns { category, status, rule } where rule is null when nothing matched
+export function resolveEventCategory(event, rules = DEFAULT_CATEGORY_RULES, categories = DEFAULT_CATEGORIES) {
+  const status = normalizeStatus(event.custom?.status?.[0])
+  const categoryIds = categories.map(category => category.id)
+  const rule = rules.find(rule => categoryIds.includes(rule.category) && matchesRule(rule, event, status)) || null
+
+  return {
+    category: rule ? rule.category : FALLBACK_CATEGORY,
+    status,
+    rule
+  }
+}
+
+// Look up category ids by flag, e.g. getCategoryIds(categories, 'utilized')
+export function getCategoryIds(categories, flag) {
+  return categories.filter(category => category[flag]).map(category => category.id)
+}
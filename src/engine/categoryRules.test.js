@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import {
+  normalizeStatus,
+  resolveEventCategory,
+  getCategoryIds,
+  DEFAULT_CATEGORIES
+} from './categoryRules'
+
+describe('normalizeStatus', () => {
+  it('normalizes case, separators and spacing', () => {
+    expect(normalizeStatus('Work_From-Home')).toBe('work from home')
+    expect(normalizeStatus('  Field ')).toBe('field')
+    expect(normalizeStatus('on   call')).toBe('on call')
+  })
+
+  it('treats missing statuses as unknown', () => {
+    expect(normalizeStatus(undefined)).toBe('unknown')
+    expect(normalizeStatus(42)).toBe('unknown')
+  })
+})
+
+describe('resolveEventCategory', () => {
+  const fieldEvent = { title: 'Site visit', custom: { status: ['Field'] }, subcalendar_ids: [7] }
+
+  it('maps statuses with the default rules', () => {
+    expect(resolveEventCategory({ custom: { status: ['WFH'] } }).category).toBe('work from home')
+    expect(resolveEventCategory(fieldEvent).category).toBe('field')
+  })
+
+  it('falls back to unknown when no rule matches', () => {
+    const result = resolveEventCategory({ custom: { status: ['jury duty'] } })
+
+    expect(result).toEqual({ category: 'unknown', status: 'jury duty', rule: null })
+  })
+
+  it('matches title keywords case-insensitively', () => {
+    const rules = [{ type: 'title', value: 'SITE', category: 'office' }]
+
+    expect(resolveEventCategory(fieldEvent, rules).category).toBe('office')
+  })
+
+  it('matches subcalendar ids', () => {
+    const rules = [{ type: 'subcalendar', value: '7', category: 'vacation' }]
+
+    expect(resolveEventCategory(fieldEvent, rules).category).toBe('vacation')
+  })
+
+  it('applies the first matching rule', () => {
+    const rules = [
+      { type: 'status', value: 'field', category: 'office' },
+      { type: 'status', value: 'field', category: 'field' }
+    ]
+
+    expect(resolveEventCategory(fieldEvent, rules).category).toBe('office')
+  })
+
+  it('skips rules that point at categories that no longer exist', () => {
+    const rules = [
+      { type: 'status', value: 'field', category: 'removed' },
+      { type: 'status', value: 'field', category: 'field' }
+    ]
+
+    expect(resolveEventCategory(fieldEvent, rules).category).toBe('field')
+  })
+})
+
+describe('getCategoryIds', () => {
+  it('lists categories with a flag set', () => {
+    expect(getCategoryIds(DEFAULT_CATEGORIES, 'utilized')).toEqual(['field', 'office', 'work from home'])
+    expect(getCategoryIds(DEFAULT_CATEGORIES, 'supportUtilized')).toEqual(['work from home'])
+  })
+})
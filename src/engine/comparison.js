@@ -0,0 +1,82 @@
+// Period-over-period comparison: picks the range to compare against and
+// works out how employee utilization changed between two ranges.
+
+// Comparison modes
+//   previous-period: the range of the same length right before the current one
+//   previous-year:   the same dates one year earlier
+export const COMPARISON_MODES = ['previous-period', 'previous-year']
+
+// Helper function to strip the time of day from a date
+function toDateOnly(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate())
+}
+
+// Helper function to build a date, clamping the day to the end of the month (Feb 29 -> Feb 28)
+function clampedDate(year, month, day) {
+  const daysInMonth = new Date(year, month + 1, 0).getDate()
+  return new Date(year, month, Math.min(day, daysInMonth))
+}
+
+// Helper function to check whether a range covers whole calendar months
+function isWholeMonths(start, end) {
+  const dayAfterEnd = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1)
+  return start.getDate() === 1 && dayAfterEnd.getDate() === 1
+}
+
+// Get the range to compare a date range against
+// Whole months shift by whole months, so "this month" compares to all of last month
+// and a quarter compares to the previous quarter; other ranges shift by their length in days.
+export function getComparisonRange(startDate, endDate, mode = 'previous-period') {
+  const start = toDateOnly(startDate)
+  const end = toDateOnly(endDate)
+
+  if (mode === 'previous-year') {
+    return {
+      startDate: clampedDate(start.getFullYear() - 1, start.getMonth(), start.getDate()),
+      endDate: isWholeMonths(start, end)
+        ? new Date(end.getFullYear() - 1, end.getMonth() + 1, 0)
+        : clampedDate(end.getFullYear() - 1, end.getMonth(), end.getDate())
+    }
+  }
+
+  if (isWholeMonths(start, end)) {
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() + 1
+    return {
+      startDate: new Date(start.getFullYear(), start.getMonth() - months, 1),
+      endDate: new Date(start.getFullYear(), start.getMonth(), 0)
+    }
+  }
+
+  const days = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1
+  return {
+    startDate: new Date(start.getFullYear(), start.getMonth(), start.getDate() - days),
+    endDate: new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1)
+  }
+}
+
+// Helper function to subtract two numbers without floating point noise
+function difference(current, previous) {
+  return Math.round((Number(current) - Number(previous)) * 100) / 100
+}
+
+// Work out how one employee's utilization changed between two ranges
+// Takes two summarized employee rows; percentages change by percentage points, day counts by days.
+// Returns null when the employee has no data in the previous range.
+export function compareEmployeeUtilization(current, previous, categories) {
+  if (!previous) return null
+
+  return {
+    weekdayUtilizationPercentage: difference(current.weekdayUtilizationPercentage, previous.weekdayUtilizationPercentage),
+    weekendUtilizationPercentage: difference(current.weekendUtilizationPercentage, previous.weekendUtilizationPercentage),
+    weekdayUtilized: difference(current.weekdayUtilized, previous.weekdayUtilized),
+    utilizedHours: difference(current.utilizedHours, previous.utilizedHours),
+    categories: Object.fromEntries(categories.map(category => {
+      const currentCounts = current.utilization.categories[category.id] || {}
+      const previousCounts = previous.utilization.categories[category.id] || {}
+      return [category.id, {
+        weekdays: difference(currentCounts.weekdays || 0, previousCounts.weekdays || 0),
+        weekends: difference(currentCounts.weekends || 0, previousCounts.weekends || 0)
+      }]
+    }))
+  }
+}
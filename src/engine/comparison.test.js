@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest'
+import { getComparisonRange, compareEmployeeUtilization } from './comparison'
+import { formatDate } from './utilization'
+import { DEFAULT_CATEGORIES } from './categoryRules'
+
+// Helper function to make ranges easy to compare
+function toDates(range) {
+  return [formatDate(range.startDate), formatDate(range.endDate)]
+}
+
+// Helper function to build a summarized employee row
+function row(weekdayUtilizationPercentage, categoryCounts) {
+  return {
+    weekdayUtilizationPercentage,
+    weekendUtilizationPercentage: '0.0',
+    weekdayUtilized: 0,
+    utilizedHours: 0,
+    utilization: { categories: categoryCounts }
+  }
+}
+
+describe('getComparisonRange', () => {
+  it('compares a month to the whole previous month', () => {
+    const range = getComparisonRange(new Date(2025, 2, 1), new Date(2025, 2, 31))
+
+    expect(toDates(range)).toEqual(['2025-02-01', '2025-02-28'])
+  })
+
+  it('compares a quarter to the previous quarter', () => {
+    const range = getComparisonRange(new Date(2025, 0, 1), new Date(2025, 2, 31))
+
+    expect(toDates(range)).toEqual(['2024-10-01', '2024-12-31'])
+  })
+
+  it('shifts other ranges back by their length in days', () => {
+    // 10 days, ignoring the time of day
+    const range = getComparisonRange(new Date(2025, 2, 5, 14), new Date(2025, 2, 14, 9))
+
+    expect(toDates(range)).toEqual(['2025-02-23', '2025-03-04'])
+  })
+
+  it('compares to the same quarter last year', () => {
+    const range = getComparisonRange(new Date(2025, 3, 1), new Date(2025, 5, 30), 'previous-year')
+
+    expect(toDates(range)).toEqual(['2024-04-01', '2024-06-30'])
+  })
+
+  it('keeps whole months whole when going back to a leap year', () => {
+    const range = getComparisonRange(new Date(2025, 1, 1), new Date(2025, 1, 28), 'previous-year')
+
+    expect(toDates(range)).toEqual(['2024-02-01', '2024-02-29'])
+  })
+
+  it('clamps Feb 29 when going back from a leap year', () => {
+    const range = getComparisonRange(new Date(2024, 1, 10), new Date(2024, 1, 29), 'previous-year')
+
+    expect(toDates(range)).toEqual(['2023-02-10', '2023-02-28'])
+  })
+})
+
+describe('compareEmployeeUtilization', () => {
+  it('reports percentage-point and day changes', () => {
+    const current = row('75.0', { field: { weekdays: 12, weekends: 0 }, overtime: { weekdays: 0, weekends: 2 } })
+    const previous = row('62.5', { field: { weekdays: 10, weekends: 0 }, overtime: { weekdays: 0, weekends: 3 } })
+
+    const delta = compareEmployeeUtilization(current, previous, DEFAULT_CATEGORIES)
+
+    expect(delta.weekdayUtilizationPercentage).toBe(12.5)
+    expect(delta.categories.field).toEqual({ weekdays: 2, weekends: 0 })
+    expect(delta.categories.overtime).toEqual({ weekdays: 0, weekends: -1 })
+    expect(delta.categories.sick).toEqual({ weekdays: 0, weekends: 0 })
+  })
+
+  it('avoids floating point noise on split days', () => {
+    const current = row('0.0', { field: { weekdays: 0.3, weekends: 0 } })
+    const previous = row('0.0', { field: { weekdays: 0.1, weekends: 0 } })
+
+    expect(compareEmployeeUtilization(current, previous, DEFAULT_CATEGORIES).categories.field.weekdays).toBe(0.2)
+  })
+
+  it('returns null without previous data', () => {
+    expect(compareEmployeeUtilization(row('50.0', {}), undefined, DEFAULT_CATEGORIES)).toBeNull()
+  })
+})
@@ -0,0 +1,166 @@
+// Runs the utilization engine for every employee subcalendar from raw TeamUp responses.
+// Framework-free so the dashboard and the API calculate exactly the same numbers.
+
+import { calculateEmployeeUtilization, summarizeUtilization, formatDate } from './utilization.js'
+import { filterEvents } from './eventFilters.js'
+import { getCalendarTimeZone } from './settings.js'
+import { canViewEmployee } from '../auth/roles.js'
+
+// Subcalendars that hold shared calendars rather than employees
+export const NON_EMPLOYEE_SUBCALENDARS = ['Future Work', 'Holidays']
+
+// Filter subcalendars down to the employees shown in the picker and calculations
+// access (from getEmployeeAccess) optionally limits them to the ones the user may see
+export function getEmployeeSubcalendars(subcalendars, settings, access) {
+  const excludedEmployees = settings?.excludedEmployees || []
+  return (subcalendars?.subcalendars || []).filter(
+    sub => !NON_EMPLOYEE_SUBCALENDARS.includes(sub.name) &&
+      !excludedEmployees.includes(sub.id) &&
+      (access === undefined || canViewEmployee(access, sub.id))
+  )
+}
+
+// Get holiday events (excluding "Holiday Party" and other filtered events)
+export function getHolidayEvents(subcalendars, events, settings) {
+  const holidaysSubcalendar = subcalendars.subcalendars.find(
+    sub => sub.name === 'Holidays'
+  )
+  if (!holidaysSubcalendar || !events) return []
+
+  return filterEvents(
+    events.events.filter(event => event.subcalendar_ids.includes(holidaysSubcalendar.id)),
+    settings.eventFilters
+  )
+}
+
+// Get the Future Work events: jobs that are scheduled but not yet assigned to anyone
+export function getFutureWorkEvents(subcalendars, events, settings) {
+  const futureWorkSubcalendar = subcalendars.subcalendars.find(
+    sub => sub.name === 'Future Work'
+  )
+  if (!futureWorkSubcalendar || !events) return []
+
+  return filterEvents(
+    events.events.filter(event => event.subcalendar_ids.includes(futureWorkSubcalendar.id)),
+    settings.eventFilters
+  )
+}
+
+// Events responses already indexed, so repeated calls on the same response don't walk it again
+const eventIndexes = new WeakMap()
+
+// Group an events response by subcalendar id, { [id]: events }
+// Events on several subcalendars appear under each of them.
+export function indexEventsBySubcalendar(events) {
+  let index = eventIndexes.get(events)
+  if (!index) {
+    index = new Map()
+    events.events.forEach(event => {
+      event.subcalendar_ids.forEach(id => {
+        if (!index.has(id)) index.set(id, [])
+        index.get(id).push(event)
+      })
+    })
+    eventIndexes.set(events, index)
+  }
+  return index
+}
+
+// Get an employee's events from the combined events response
+export function getEmployeeEvents(employee, events) {
+  return indexEventsBySubcalendar(events).get(employee.id) || []
+}
+
+// Engine options for an employee from the settings
+export function getUtilizationOptions(employee, settings) {
+  return {
+    // Subcalendar creation date - days before it are not counted
+    creationDate: employee.creation_dt,
+    excludeFromUnknownDays: settings.excludedFromUtilization.includes(employee.id),
+    categories: settings.categories,
+    rules: settings.categoryRules,
+    eventFilters: settings.eventFilters,
+    mode: settings.utilizationMode,
+    workdayHours: settings.workdayHours,
+    timeZone: getCalendarTimeZone(settings)
+  }
+}
+
+// Ids handed out to settings objects, so cache signatures can tell settings apart without serializing them
+const settingsIds = new WeakMap()
+let nextSettingsId = 0
+
+// Helper function to get a settings object's id
+function getSettingsId(settings) {
+  if (!settingsIds.has(settings)) settingsIds.set(settings, nextSettingsId++)
+  return settingsIds.get(settings)
+}
+
+// Helper function to describe events so a changed list gives a different signature
+// TeamUp updates version and update_dt on every edit; events without them are compared by content
+function getEventsSignature(events) {
+  return events.map(event => event.update_dt ? `${event.id}:${event.version}:${event.update_dt}` : JSON.stringify(event)).join(',')
+}
+
+// Cache of per-employee results for calculateEmployeesUtilization
+// A result is reused while the employee's events, the holidays, the range and the settings object are
+// unchanged, so refetching events only recalculates the employees whose events changed.
+// The least recently used entries are dropped past maxEntries; a year of weekly trend buckets for
+// 50 employees is about 2,600 entries.
+export function createUtilizationCache(maxEntries = 5000) {
+  const entries = new Map()
+
+  return function cached(key, signature, calculate) {
+    const entry = entries.get(key)
+    const result = entry && entry.signature === signature ? entry.result : calculate()
+
+    // Re-inserting moves the key to the end, so the first key is always the least recently used
+    entries.delete(key)
+    entries.set(key, { signature, result })
+    if (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value)
+    }
+    return result
+  }
+}
+
+// Run the utilization engine for each employee over a date range
+//   cache: optional function from createUtilizationCache to reuse results of earlier calls
+export function calculateEmployeesUtilization(employees, events, holidayEvents, settings, startDate, endDate, cache = null) {
+  const range = `${formatDate(startDate)}_${formatDate(endDate)}`
+  const baseSignature = cache && `${getSettingsId(settings)}|${getEventsSignature(holidayEvents)}`
+
+  return employees.map(employee => {
+    const employeeEvents = getEmployeeEvents(employee, events)
+
+    // Helper function to run the engine for this employee
+    const calculate = () => {
+      // Check if employee should be excluded from utilization statistics
+      const isExcludedFromUtilization = settings.excludedFromUtilization.includes(employee.id)
+      const { utilization, validationInfo, unknownDates, categoryDates, holidayWarnings, unmappedStatuses, days } = calculateEmployeeUtilization(
+        employeeEvents,
+        { startDate, endDate },
+        holidayEvents,
+        getUtilizationOptions(employee, settings)
+      )
+      const summary = summarizeUtilization(utilization, isExcludedFromUtilization, settings.categories)
+
+      return {
+        utilization,
+        validationInfo,
+        isExcludedFromUtilization,
+        ...summary,
+        unknownDates,
+        categoryDates,
+        holidayWarnings,
+        unmappedStatuses,
+        days
+      }
+    }
+
+    const result = cache
+      ? cache(`${employee.id}_${range}`, `${baseSignature}|${employee.creation_dt}|${getEventsSignature(employeeEvents)}`, calculate)
+      : calculate()
+    return { employee, ...result }
+  })
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { indexEventsBySubcalendar, getEmployeeEvents, calculateEmployeesUtilization, createUtilizationCache } from './dashboard'
+import { withDefaultSettings } from './settings'
+import { createEvent } from './testEvents'
+
+const AVERY = { id: 1, name: 'Avery Field', creation_dt: '2025-01-01T00:00:00' }
+const BLAKE = { id: 2, name: 'Blake Office', creation_dt: '2025-01-01T00:00:00' }
+const SETTINGS = withDefaultSettings({ timezone: 'America/Chicago' })
+const START = new Date(2025, 0, 6)
+const END = new Date(2025, 0, 10)
+const VERSION_ONE = { update_dt: '2025-01-01T08:00:00', version: '1' }
+const EVENTS = {
+  events: [
+    createEvent('e1', [1], '2025-01-06', '2025-01-08', 'field', VERSION_ONE),
+    createEvent('e2', [2], '2025-01-06', '2025-01-10', 'office', VERSION_ONE),
+    createEvent('e3', [1, 2], '2025-01-10', '2025-01-10', 'training', VERSION_ONE)
+  ]
+}
+
+describe('indexEventsBySubcalendar', () => {
+  it('groups events under each of their subcalendars once per response', () => {
+    const index = indexEventsBySubcalendar(EVENTS)
+
+    expect(index.get(1).map(event => event.id)).toEqual(['e1', 'e3'])
+    expect(index.get(2).map(event => event.id)).toEqual(['e2', 'e3'])
+    expect(indexEventsBySubcalendar(EVENTS)).toBe(index)
+  })
+
+  it('gives employees without events an empty list', () => {
+    expect(getEmployeeEvents({ id: 99 }, EVENTS)).toEqual([])
+  })
+})
+
+describe('createUtilizationCache', () => {
+  it('reuses results until an employee\'s events change', () => {
+    const cache = createUtilizationCache()
+    const [avery, blake] = calculateEmployeesUtilization([AVERY, BLAKE], EVENTS, [], SETTINGS, START, END, cache)
+
+    // A refetch returns new objects; only Blake's event was edited
+    const refetched = {
+      events: [
+        { ...EVENTS.events[0] },
+        createEvent('e2', [2], '2025-01-06', '2025-01-09', 'office', { update_dt: '2025-01-02T08:00:00', version: '2' }),
+        { ...EVENTS.events[2] }
+      ]
+    }
+    const [averyAgain, blakeAgain] = calculateEmployeesUtilization([AVERY, BLAKE], refetched, [], SETTINGS, START, END, cache)
+
+    expect(averyAgain.utilization).toBe(avery.utilization)
+    expect(blakeAgain.utilization).not.toBe(blake.utilization)
+    expect(blake.utilization.categories.office.weekdays).toBe(4.5)
+    expect(blakeAgain.utilization.categories.office.weekdays).toBe(4)
+  })
+
+  it('recalculates for other settings and ranges', () => {
+    const cache = createUtilizationCache()
+    const [first] = calculateEmployeesUtilization([AVERY], EVENTS, [], SETTINGS, START, END, cache)
+    const [otherSettings] = calculateEmployeesUtilization([AVERY], EVENTS, [], withDefaultSettings({ timezone: 'America/Chicago' }), START, END, cache)
+    const [otherRange] = calculateEmployeesUtilization([AVERY], EVENTS, [], SETTINGS, START, new Date(2025, 0, 7), cache)
+
+    expect(otherSettings.utilization).not.toBe(first.utilization)
+    expect(otherRange.weekdayTotal).toBe(2)
+  })
+
+  it('drops the least recently used entries past its size', () => {
+    const cache = createUtilizationCache(2)
+    let calls = 0
+    const calculate = () => ++calls
+
+    cache('a', 's', calculate)
+    cache('b', 's', calculate)
+    cache('a', 's', calculate)
+    cache('c', 's', calculate)
+
+    expect(cache('a', 's', calculate)).toBe(1)
+    expect(cache('b', 's', calculate)).toBe(4)
+  })
+})
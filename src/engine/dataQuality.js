@@ -0,0 +1,87 @@
+// Calendar clean-up: finds the entries behind unknown days, split days and holiday
+// warnings so they can be fixed in TeamUp instead of only showing up as ⚠ icons.
+
+import { isEventIncluded } from './eventFilters.js'
+import { getEventDates, getRuntimeTimeZone } from './timezone.js'
+
+// Issue types, in display order
+//   missing-entry:   weekday with no calendar entry
+//   conflict:        day with entries in more than one category (e.g. vacation + field)
+//   holiday-warning: non-working entries on a company holiday
+//   no-status:       event without a status in TeamUp
+export const ISSUE_TYPES = [
+  { id: 'missing-entry', label: 'Missing entry' },
+  { id: 'conflict', label: 'Conflicting statuses' },
+  { id: 'holiday-warning', label: 'Holiday warning' },
+  { id: 'no-status', label: 'No status' }
+]
+
+// Link to an event in the TeamUp web app, or null without a calendar URL
+//   calendarUrl: the calendar's address, e.g. https://teamup.com/ksabc123
+export function getTeamUpEventUrl(calendarUrl, eventId) {
+  if (!calendarUrl) return null
+  return `${calendarUrl.replace(/\/+$/, '')}/events/${eventId}`
+}
+
+// Helper function to check whether an event has a TeamUp status
+function hasStatus(event) {
+  const status = event.custom?.status?.[0]
+  return typeof status === 'string' && status.trim() !== ''
+}
+
+// Data-quality issues for one employee
+//   item:         row from calculateEmployeesUtilization
+//   events:       the employee's raw TeamUp events
+//   eventFilters: events these filters exclude are not reported
+//   timeZone:     the calendar's zone, for the date an event starts on
+// Returns [{ type, date, events, statuses }] sorted by date, where events are the day's
+// entries ({ id, title, status, category }) and statuses the categories involved
+// Admin/support staff don't track unknown days, so they get no missing-entry issues
+export function getDataQualityIssues(item, events, eventFilters, timeZone = getRuntimeTimeZone()) {
+  const issues = []
+
+  item.days.forEach(day => {
+    if (day.isBeforeCreation) return
+    const dayEvents = day.events.filter(event => !event.excluded)
+    const categories = [...new Set(dayEvents.map(event => event.category))]
+
+    if (day.reason === 'no-entry' && !item.isExcludedFromUtilization) {
+      issues.push({ type: 'missing-entry', date: day.date, events: [], statuses: [] })
+    }
+    if (categories.length > 1) {
+      issues.push({ type: 'conflict', date: day.date, events: dayEvents, statuses: categories })
+    }
+  })
+
+  const daysByDate = Object.fromEntries(item.days.map(day => [day.date, day]))
+  const holidayWarnings = item.holidayWarnings || []
+  holidayWarnings.forEach(warning => {
+    const dayEvents = (daysByDate[warning.date]?.events || []).filter(event => !event.excluded)
+    issues.push({ type: 'holiday-warning', date: warning.date, events: dayEvents, statuses: warning.statuses })
+  })
+
+  // Only events that start in the calculated range, so each is reported once
+  events
+    .filter(event => !hasStatus(event) && isEventIncluded(event, eventFilters))
+    .forEach(event => {
+      const [date] = getEventDates(event, timeZone)
+      if (!daysByDate[date] || daysByDate[date].isBeforeCreation) return
+      issues.push({
+        type: 'no-status',
+        date,
+        events: [{ id: event.id, title: event.title || '', status: null, category: null }],
+        statuses: []
+      })
+    })
+
+  const typeOrder = ISSUE_TYPES.map(type => type.id)
+  return issues.sort((a, b) => a.date.localeCompare(b.date) || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type))
+}
+
+// Number of issues per type, e.g. { 'missing-entry': 3, conflict: 1, ... }
+export function countIssuesByType(issues) {
+  return Object.fromEntries(ISSUE_TYPES.map(type => [
+    type.id,
+    issues.filter(issue => issue.type === type.id).length
+  ]))
+}
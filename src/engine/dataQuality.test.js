@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { getDataQualityIssues, getTeamUpEventUrl, countIssuesByType } from './dataQuality'
+import { calculateEmployeeUtilization } from './utilization'
+import { DEFAULT_EVENT_FILTERS } from './eventFilters'
+import { createEvent } from './testEvents'
+
+// Helper function to run the engine the way calculateEmployeesUtilization does
+function createItem(events, holidays = [], isExcludedFromUtilization = false) {
+  const result = calculateEmployeeUtilization(
+    events,
+    { startDate: new Date(2025, 0, 6), endDate: new Date(2025, 0, 10) },
+    holidays,
+    { excludeFromUnknownDays: isExcludedFromUtilization }
+  )
+  return { employee: { id: 1, name: 'Avery Field' }, isExcludedFromUtilization, ...result }
+}
+
+// Monday 2025-01-06 through Friday 2025-01-10, Thursday is a holiday
+const HOLIDAYS = [createEvent('h1', 900, '2025-01-09', '2025-01-09', null, { title: 'Company Day' })]
+const EVENTS = [
+  createEvent('e1', 1, '2025-01-06', '2025-01-06', 'field'),
+  createEvent('e2', 1, '2025-01-07', '2025-01-07', 'vacation'),
+  createEvent('e3', 1, '2025-01-07', '2025-01-07', 'field'),
+  createEvent('e4', 1, '2025-01-09', '2025-01-09', 'sick'),
+  createEvent('e5', 1, '2025-01-10', '2025-01-10', null, { title: 'Plant visit' }),
+  createEvent('e6', 1, '2025-01-10', '2025-01-10', null, { title: 'Tech on Call' })
+]
+
+describe('getDataQualityIssues', () => {
+  const issues = getDataQualityIssues(createItem(EVENTS, HOLIDAYS), EVENTS, DEFAULT_EVENT_FILTERS)
+
+  it('lists every issue by date', () => {
+    expect(issues.map(issue => [issue.date, issue.type])).toEqual([
+      ['2025-01-07', 'conflict'],
+      ['2025-01-08', 'missing-entry'],
+      ['2025-01-09', 'holiday-warning'],
+      ['2025-01-10', 'no-status']
+    ])
+  })
+
+  it('includes the entries and statuses behind a conflict', () => {
+    expect(issues[0].statuses).toEqual(['vacation', 'field'])
+    expect(issues[0].events.map(event => event.id)).toEqual(['e2', 'e3'])
+  })
+
+  it('ignores events the filters exclude', () => {
+    expect(issues[3].events).toEqual([{ id: 'e5', title: 'Plant visit', status: null, category: null }])
+  })
+
+  it('reports no missing entries for admin/support staff', () => {
+    const supportIssues = getDataQualityIssues(createItem([], [], true), [], DEFAULT_EVENT_FILTERS)
+
+    expect(supportIssues).toEqual([])
+  })
+
+  it('counts issues per type', () => {
+    expect(countIssuesByType(issues)).toEqual({ 'missing-entry': 1, conflict: 1, 'holiday-warning': 1, 'no-status': 1 })
+  })
+})
+
+describe('getTeamUpEventUrl', () => {
+  it('links to the event in the calendar', () => {
+    expect(getTeamUpEventUrl('https://teamup.com/ksabc123/', 42)).toBe('https://teamup.com/ksabc123/events/42')
+  })
+
+  it('returns null without a calendar URL', () => {
+    expect(getTeamUpEventUrl(undefined, 42)).toBeNull()
+  })
+})
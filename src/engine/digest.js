@@ -0,0 +1,150 @@
+// Reminder emails about missing TeamUp entries: which period a digest covers, when it is due,
+// and the messages for each employee and manager. Sending is left to the caller.
+
+import { formatDate } from './utilization.js'
+
+// How often digests go out
+//   off:    never
+//   daily:  every weekday, covering the days since the previous weekday
+//   weekly: on the configured weekday, covering the seven days before it
+export const DIGEST_CADENCES = ['off', 'daily', 'weekly']
+
+// Used until an admin saves their own digest settings
+//   weekday:        day weekly digests go out on (0 = Sunday, 1 = Monday, ...)
+//   managerSummary: whether managers get one email about their assigned employees
+//   optOut:         sign-in names of people who don't want digests
+export const DEFAULT_DIGEST = {
+  cadence: 'weekly',
+  weekday: 1,
+  managerSummary: true,
+  optOut: []
+}
+
+// Digest settings merged over the defaults
+export function getDigestSettings(settings) {
+  return { ...DEFAULT_DIGEST, ...(settings?.digest || {}) }
+}
+
+// Whether a digest goes out on the given day
+export function isDigestDue(digest, today = new Date()) {
+  const day = today.getDay()
+  if (digest.cadence === 'daily') return day !== 0 && day !== 6
+  if (digest.cadence === 'weekly') return day === digest.weekday
+  return false
+}
+
+// Dates a digest sent on the given day covers, up to and including yesterday
+// Returns { startDate, endDate }
+export function getDigestPeriod(digest, today = new Date()) {
+  const endDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1)
+  if (digest.cadence !== 'daily') {
+    return { startDate: new Date(today.getFullYear(), today.getMonth(), today.getDate() - 7), endDate }
+  }
+
+  // Back to the previous weekday, so Monday's digest includes Friday
+  const startDate = new Date(endDate)
+  while (startDate.getDay() === 0 || startDate.getDay() === 6) {
+    startDate.setDate(startDate.getDate() - 1)
+  }
+  return { startDate, endDate }
+}
+
+// Whether someone opted out of digests, comparing sign-in names case-insensitively
+export function isOptedOut(digest, email) {
+  const normalized = String(email || '').trim().toLowerCase()
+  return digest.optOut.some(entry => entry.trim().toLowerCase() === normalized)
+}
+
+// Helper function to format a YYYY-MM-DD date for an email, e.g. "Tue, Jan 14"
+function formatDay(dateStr, options = { weekday: 'short', month: 'short', day: 'numeric' }) {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', options)
+}
+
+// Helper function to describe a period, e.g. "Jan 13 – Jan 19, 2025"
+function formatPeriod({ startDate, endDate }) {
+  const start = startDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  const end = endDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+  return formatDate(startDate) === formatDate(endDate) ? end : `${start} – ${end}`
+}
+
+const OPT_OUT_NOTE = 'To stop these emails, ask an Employee Utilization admin to opt you out.'
+
+// Reminder for one employee listing their unknown dates, or null when there are none
+//   item: row from calculateEmployeesUtilization
+export function buildEmployeeReminder(item, email, period) {
+  if (item.unknownDates.length === 0) return null
+
+  const count = item.unknownDates.length
+  return {
+    to: email,
+    subject: `Missing TeamUp entries for ${formatPeriod(period)}`,
+    text: [
+      `Hi ${item.employee.name},`,
+      '',
+      `${count} weekday${count !== 1 ? 's' : ''} in ${formatPeriod(period)} ${count !== 1 ? 'have' : 'has'} no TeamUp entry with a known status:`,
+      ...item.unknownDates.map(date => `  • ${formatDay(date)}`),
+      '',
+      'Please fill them in so utilization is reported correctly.',
+      '',
+      OPT_OUT_NOTE
+    ].join('\n')
+  }
+}
+
+// Summary for a manager of their employees' unknown dates, or null when nobody has any
+export function buildManagerSummary(email, items, period) {
+  const withGaps = items.filter(item => item.unknownDates.length > 0)
+  if (withGaps.length === 0) return null
+
+  return {
+    to: email,
+    subject: `Missing TeamUp entries in your team for ${formatPeriod(period)}`,
+    text: [
+      `Weekdays in ${formatPeriod(period)} with no TeamUp entry with a known status:`,
+      '',
+      ...withGaps.map(item => {
+        const count = item.unknownDates.length
+        return `  • ${item.employee.name}: ${count} day${count !== 1 ? 's' : ''} (${item.unknownDates.map(date => formatDay(date, { month: 'short', day: 'numeric' })).join('; ')})`
+      }),
+      '',
+      OPT_OUT_NOTE
+    ].join('\n')
+  }
+}
+
+// Every message a digest run sends
+//   items: rows from calculateEmployeesUtilization for the period
+// Employees are emailed at their sign-in name from settings.employeeAccounts and managers
+// at the names in settings.managerAssignments.
+// Returns { messages, skipped } where skipped lists [{ name, reason }] with reason 'no-email' or 'opted-out'
+export function buildDigestMessages(items, settings, period) {
+  const digest = getDigestSettings(settings)
+  const accounts = settings.employeeAccounts || {}
+  const messages = []
+  const skipped = []
+
+  items.forEach(item => {
+    if (item.unknownDates.length === 0) return
+    const email = accounts[item.employee.id]
+    if (!email) {
+      skipped.push({ name: item.employee.name, reason: 'no-email' })
+    } else if (isOptedOut(digest, email)) {
+      skipped.push({ name: item.employee.name, reason: 'opted-out' })
+    } else {
+      messages.push(buildEmployeeReminder(item, email, period))
+    }
+  })
+
+  if (digest.managerSummary) {
+    Object.entries(settings.managerAssignments || {}).forEach(([email, employeeIds]) => {
+      if (isOptedOut(digest, email)) {
+        skipped.push({ name: email, reason: 'opted-out' })
+        return
+      }
+      const message = buildManagerSummary(email, items.filter(item => employeeIds.includes(item.employee.id)), period)
+      if (message) messages.push(message)
+    })
+  }
+
+  return { messages, skipped }
+}
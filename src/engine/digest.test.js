@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest'
+import { getDigestSettings, isDigestDue, getDigestPeriod, isOptedOut, buildDigestMessages } from './digest'
+import { formatDate } from './utilization'
+
+// Helper function to build an engine row with unknown dates
+function createItem(id, name, unknownDates) {
+  return { employee: { id, name }, unknownDates }
+}
+
+// Helper function to make a period easy to compare
+function toDates({ startDate, endDate }) {
+  return [formatDate(startDate), formatDate(endDate)]
+}
+
+describe('isDigestDue', () => {
+  // Monday 2025-01-20 and Saturday 2025-01-25
+  const monday = new Date(2025, 0, 20)
+  const saturday = new Date(2025, 0, 25)
+
+  it('sends weekly digests on the configured weekday', () => {
+    expect(isDigestDue({ cadence: 'weekly', weekday: 1 }, monday)).toBe(true)
+    expect(isDigestDue({ cadence: 'weekly', weekday: 5 }, monday)).toBe(false)
+  })
+
+  it('sends daily digests on weekdays only', () => {
+    expect(isDigestDue({ cadence: 'daily' }, monday)).toBe(true)
+    expect(isDigestDue({ cadence: 'daily' }, saturday)).toBe(false)
+  })
+
+  it('never sends when turned off', () => {
+    expect(isDigestDue({ cadence: 'off', weekday: 1 }, monday)).toBe(false)
+  })
+})
+
+describe('getDigestPeriod', () => {
+  it('covers the seven days before a weekly digest', () => {
+    expect(toDates(getDigestPeriod({ cadence: 'weekly' }, new Date(2025, 0, 20)))).toEqual(['2025-01-13', '2025-01-19'])
+  })
+
+  it('covers yesterday for a daily digest', () => {
+    expect(toDates(getDigestPeriod({ cadence: 'daily' }, new Date(2025, 0, 22)))).toEqual(['2025-01-21', '2025-01-21'])
+  })
+
+  it('reaches back to Friday for a daily digest on Monday', () => {
+    expect(toDates(getDigestPeriod({ cadence: 'daily' }, new Date(2025, 0, 20)))).toEqual(['2025-01-17', '2025-01-19'])
+  })
+})
+
+describe('isOptedOut', () => {
+  it('compares sign-in names case-insensitively', () => {
+    expect(isOptedOut({ optOut: ['Avery@Example.com'] }, 'avery@example.com ')).toBe(true)
+    expect(isOptedOut({ optOut: [] }, 'avery@example.com')).toBe(false)
+  })
+})
+
+describe('buildDigestMessages', () => {
+  const period = { startDate: new Date(2025, 0, 13), endDate: new Date(2025, 0, 19) }
+  const items = [
+    createItem(101, 'Avery Field', []),
+    createItem(102, 'Blake Office', ['2025-01-14', '2025-01-16']),
+    createItem(103, 'Casey Support', ['2025-01-17']),
+    createItem(104, 'Drew Field', ['2025-01-15'])
+  ]
+  const settings = {
+    employeeAccounts: { 101: 'avery@example.com', 102: 'blake@example.com', 104: 'drew@example.com' },
+    managerAssignments: { 'morgan@example.com': [101, 102], 'riley@example.com': [101] },
+    digest: { optOut: ['drew@example.com'] }
+  }
+
+  it('emails employees with gaps and managers with a summary of theirs', () => {
+    const { messages } = buildDigestMessages(items, settings, period)
+
+    expect(messages.map(message => message.to)).toEqual(['blake@example.com', 'morgan@example.com'])
+    expect(messages[0].subject).toBe('Missing TeamUp entries for Jan 13 – Jan 19, 2025')
+    expect(messages[0].text).toContain('2 weekdays in Jan 13 – Jan 19, 2025 have no TeamUp entry')
+    expect(messages[0].text).toContain('  • Tue, Jan 14\n  • Thu, Jan 16')
+    expect(messages[1].text).toContain('Blake Office: 2 days (Jan 14; Jan 16)')
+  })
+
+  it('reports employees without a sign-in name or who opted out', () => {
+    const { skipped } = buildDigestMessages(items, settings, period)
+
+    expect(skipped).toEqual([
+      { name: 'Casey Support', reason: 'no-email' },
+      { name: 'Drew Field', reason: 'opted-out' }
+    ])
+  })
+
+  it('leaves out manager summaries when turned off', () => {
+    const { messages } = buildDigestMessages(items, { ...settings, digest: { managerSummary: false } }, period)
+
+    expect(messages.map(message => message.to)).toEqual(['blake@example.com', 'drew@example.com'])
+  })
+
+  it('fills in digest defaults', () => {
+    expect(getDigestSettings({})).toEqual({ cadence: 'weekly', weekday: 1, managerSummary: true, optOut: [] })
+  })
+})
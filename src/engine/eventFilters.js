@@ -0,0 +1,62 @@
+// Title-based rules deciding which TeamUp events count towards utilization.
+// Framework-free so the same filters run in the browser, in tests and on a server.
+
+// Match types
+//   substring: the title contains the pattern
+//   regex:     the title matches the pattern as a regular expression
+// Both are case-insensitive.
+export const MATCH_TYPES = ['substring', 'regex']
+
+// Default filters, evaluated in order - the first match decides, unmatched events are included.
+// subcalendarId limits a filter to events on that subcalendar; null applies it everywhere.
+export const DEFAULT_EVENT_FILTERS = [
+  { pattern: 'tech on call', matchType: 'substring', action: 'exclude', subcalendarId: null },
+  { pattern: 'holiday party', matchType: 'substring', action: 'exclude', subcalendarId: null }
+]
+
+// Helper function to build the matcher for a filter, or null when its pattern is invalid
+function buildMatcher(filter) {
+  const pattern = String(filter.pattern || '').trim()
+  if (!pattern) return null
+
+  if (filter.matchType === 'regex') {
+    try {
+      const regex = new RegExp(pattern, 'i')
+      return title => regex.test(title)
+    } catch {
+      return null
+    }
+  }
+
+  const needle = pattern.toLowerCase()
+  return title => title.toLowerCase().includes(needle)
+}
+
+// Describe why a filter can't be applied, or return null when it is valid
+export function getEventFilterError(filter) {
+  if (!String(filter.pattern || '').trim()) return 'Pattern is empty'
+  if (!buildMatcher(filter)) return 'Invalid regular expression'
+  return null
+}
+
+// Check whether a single filter matches an event
+export function matchesEventFilter(filter, event) {
+  if (filter.subcalendarId != null && filter.subcalendarId !== '' &&
+      !(event.subcalendar_ids || []).map(String).includes(String(filter.subcalendarId))) {
+    return false
+  }
+
+  const matcher = buildMatcher(filter)
+  return !!matcher && matcher(event.title || '')
+}
+
+// Check whether an event counts towards utilization
+export function isEventIncluded(event, filters = DEFAULT_EVENT_FILTERS) {
+  const filter = filters.find(filter => matchesEventFilter(filter, event))
+  return !filter || filter.action !== 'exclude'
+}
+
+// Keep only the events that count towards utilization
+export function filterEvents(events, filters = DEFAULT_EVENT_FILTERS) {
+  return events.filter(event => isEventIncluded(event, filters))
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isEventIncluded,
+  filterEvents,
+  matchesEventFilter,
+  getEventFilterError
+} from './eventFilters'
+
+function event(title, subcalendarId = 1) {
+  return { title, subcalendar_ids: [subcalendarId] }
+}
+
+describe('matchesEventFilter', () => {
+  it('matches substrings case-insensitively', () => {
+    const filter = { pattern: 'Tech On Call', matchType: 'substring', action: 'exclude' }
+
+    expect(matchesEventFilter(filter, event('TECH ON CALL - weekend'))).toBe(true)
+    expect(matchesEventFilter(filter, event('Field tech'))).toBe(false)
+  })
+
+  it('matches regular expressions case-insensitively', () => {
+    const filter = { pattern: '^(osha|first aid) training', matchType: 'regex', action: 'exclude' }
+
+    expect(matchesEventFilter(filter, event('OSHA training day'))).toBe(true)
+    expect(matchesEventFilter(filter, event('Refresher: OSHA training'))).toBe(false)
+  })
+
+  it('only matches events on the scoped subcalendar', () => {
+    const filter = { pattern: 'party', matchType: 'substring', action: 'exclude', subcalendarId: '5' }
+
+    expect(matchesEventFilter(filter, event('Holiday Party', 5))).toBe(true)
+    expect(matchesEventFilter(filter, event('Holiday Party', 6))).toBe(false)
+  })
+
+  it('never matches with an empty or invalid pattern', () => {
+    expect(matchesEventFilter({ pattern: '', matchType: 'substring' }, event('Anything'))).toBe(false)
+    expect(matchesEventFilter({ pattern: '(', matchType: 'regex' }, event('('))).toBe(false)
+  })
+})
+
+describe('getEventFilterError', () => {
+  it('reports empty and invalid patterns', () => {
+    expect(getEventFilterError({ pattern: ' ', matchType: 'substring' })).toBe('Pattern is empty')
+    expect(getEventFilterError({ pattern: '[a-', matchType: 'regex' })).toBe('Invalid regular expression')
+    expect(getEventFilterError({ pattern: 'ok', matchType: 'regex' })).toBeNull()
+  })
+})
+
+describe('isEventIncluded', () => {
+  it('excludes Tech on Call and Holiday Party by default', () => {
+    expect(isEventIncluded(event('Tech on Call'))).toBe(false)
+    expect(isEventIncluded(event('Holiday Party'))).toBe(false)
+    expect(isEventIncluded(event('Site visit'))).toBe(true)
+  })
+
+  it('lets an earlier include rule override a later exclude rule', () => {
+    const filters = [
+      { pattern: 'training lead', matchType: 'substring', action: 'include' },
+      { pattern: 'training', matchType: 'substring', action: 'exclude' }
+    ]
+
+    expect(isEventIncluded(event('Training lead - plant 2'), filters)).toBe(true)
+    expect(isEventIncluded(event('Training - plant 2'), filters)).toBe(false)
+  })
+})
+
+describe('filterEvents', () => {
+  it('keeps only included events', () => {
+    const events = [event('Tech on Call'), event('Field'), event('Holiday Party')]
+
+    expect(filterEvents(events).map(e => e.title)).toEqual(['Field'])
+  })
+})
@@ -0,0 +1,178 @@
+// Forecast of booked vs. open capacity per employee per week for upcoming dates,
+// with the Future Work calendar's jobs counted as demand nobody is assigned to yet.
+
+import {
+  calculateEmployeeUtilization,
+  getEventHoursOnDate,
+  formatDate,
+  isWeekend,
+  DEFAULT_WORKDAY_HOURS
+} from './utilization.js'
+import { getCategoryIds } from './categoryRules.js'
+import { getEventDates, getRuntimeTimeZone } from './timezone.js'
+import { getCalendarTimeZone } from './settings.js'
+import { getTrendBuckets } from './trends.js'
+import { getEmployeeEvents, getUtilizationOptions } from './dashboard.js'
+
+// Week counts offered for the forecast range
+export const FORECAST_WEEKS = [4, 8, 13, 26]
+export const DEFAULT_FORECAST_WEEKS = 8
+
+// Forecast range: from today through the end of the given number of Monday-based weeks,
+// the current week included, so days already past are never counted as open
+export function getForecastRange(weeks = DEFAULT_FORECAST_WEEKS, today = new Date()) {
+  const startDate = new Date(today.getFullYear(), today.getMonth(), today.getDate())
+  // getDay() is 0 for Sunday
+  const monday = startDate.getDate() - (startDate.getDay() + 6) % 7
+  const endDate = new Date(startDate.getFullYear(), startDate.getMonth(), monday + weeks * 7 - 1)
+  return { startDate, endDate }
+}
+
+// Helper function to round day counts for display
+function roundDays(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Helper function to add up a capacity field over several entries
+function sumField(entries, field) {
+  return roundDays(entries.reduce((sum, entry) => sum + entry[field], 0))
+}
+
+// Helper function to add up several capacities
+function sumCapacities(capacities) {
+  return {
+    workdays: sumField(capacities, 'workdays'),
+    booked: sumField(capacities, 'booked'),
+    timeOff: sumField(capacities, 'timeOff'),
+    open: sumField(capacities, 'open')
+  }
+}
+
+// Split a calculated utilization into capacity figures, all in weekdays
+//   booked:  scheduled in a utilized category (field, office, ...)
+//   timeOff: vacation, sick days, holidays and other non-utilized entries
+//   open:    nothing scheduled yet - the Unknown weekdays
+export function getCapacity(utilization, categories) {
+  const booked = getCategoryIds(categories, 'utilized').reduce(
+    (sum, category) => sum + (utilization.categories[category]?.weekdays || 0),
+    0
+  )
+  const open = utilization.categories.unknown?.weekdays || 0
+
+  return {
+    workdays: utilization.weekdays,
+    booked: roundDays(booked),
+    timeOff: roundDays(Math.max(0, utilization.weekdays - booked - open)),
+    open: roundDays(open)
+  }
+}
+
+// Person-days a Future Work event needs between two dates (inclusive)
+// Weekends and holidays are skipped; timed events count their hours against the workday
+// Dates are worked out in timeZone, the TeamUp calendar's zone
+export function getFutureWorkDays(event, startDate, endDate, holidayDates = new Set(), workdayHours = DEFAULT_WORKDAY_HOURS, timeZone = getRuntimeTimeZone()) {
+  const rangeStart = formatDate(startDate)
+  const rangeEnd = formatDate(endDate)
+
+  const days = getEventDates(event, timeZone).reduce((sum, dateStr) => {
+    if (dateStr < rangeStart || dateStr > rangeEnd || isWeekend(dateStr) || holidayDates.has(dateStr)) {
+      return sum
+    }
+    return sum + getEventHoursOnDate(event, dateStr, workdayHours, timeZone) / workdayHours
+  }, 0)
+
+  return roundDays(days)
+}
+
+// Helper function to collect the dates covered by holiday events
+function getHolidayDates(holidayEvents, timeZone) {
+  const dates = new Set()
+  holidayEvents.forEach(event => {
+    getEventDates(event, timeZone).forEach(dateStr => dates.add(dateStr))
+  })
+  return dates
+}
+
+// Weekly forecast over a date range
+//   employees:        employee subcalendars (from getEmployeeSubcalendars)
+//   events:           the combined TeamUp events response
+//   holidayEvents:    from getHolidayEvents
+//   futureWorkEvents: from getFutureWorkEvents
+// Returns {
+//   weeks:      [{ key, label, startDate, endDate, workdays, booked, timeOff, open, demand, net }],
+//   total:      { workdays, booked, timeOff, open, demand, net } over all weeks,
+//   employees:  [{ employee, isExcludedFromUtilization, weeks: { [key]: capacity }, total: capacity }],
+//   futureWork: [{ event, days, weeks: { [key]: days } }]
+// }
+// Week totals leave out admin/support staff like every other team statistic;
+// net is open capacity minus Future Work demand
+export function buildForecast(employees, events, holidayEvents, futureWorkEvents, settings, startDate, endDate) {
+  const buckets = getTrendBuckets(startDate, endDate, 'week')
+  const timeZone = getCalendarTimeZone(settings)
+  const holidayDates = getHolidayDates(holidayEvents, timeZone)
+
+  const employeeRows = employees.map(employee => {
+    const employeeEvents = getEmployeeEvents(employee, events)
+    // Admin/support staff still show their open days here; only the totals leave them out
+    const options = { ...getUtilizationOptions(employee, settings), excludeFromUnknownDays: false }
+    const weeks = Object.fromEntries(buckets.map(bucket => {
+      const { utilization } = calculateEmployeeUtilization(
+        employeeEvents,
+        { startDate: bucket.startDate, endDate: bucket.endDate },
+        holidayEvents,
+        options
+      )
+      return [bucket.key, getCapacity(utilization, settings.categories)]
+    }))
+
+    return {
+      employee,
+      isExcludedFromUtilization: settings.excludedFromUtilization.includes(employee.id),
+      weeks,
+      total: sumCapacities(Object.values(weeks))
+    }
+  })
+
+  const futureWork = futureWorkEvents
+    .map(event => {
+      const weeks = Object.fromEntries(buckets.map(bucket => [
+        bucket.key,
+        getFutureWorkDays(event, bucket.startDate, bucket.endDate, holidayDates, settings.workdayHours, timeZone)
+      ]))
+      return { event, days: roundDays(Object.values(weeks).reduce((sum, days) => sum + days, 0)), weeks }
+    })
+    .filter(entry => entry.days > 0)
+    .sort((a, b) => a.event.start_dt.localeCompare(b.event.start_dt))
+
+  const counted = employeeRows.filter(row => !row.isExcludedFromUtilization)
+  const weeks = buckets.map(bucket => {
+    const capacity = sumCapacities(counted.map(row => row.weeks[bucket.key]))
+    const demand = roundDays(futureWork.reduce((sum, entry) => sum + entry.weeks[bucket.key], 0))
+    return { ...bucket, ...capacity, demand, net: roundDays(capacity.open - demand) }
+  })
+
+  const capacity = sumCapacities(weeks)
+  const demand = sumField(weeks, 'demand')
+  const total = { ...capacity, demand, net: roundDays(capacity.open - demand) }
+
+  return { weeks, total, employees: employeeRows, futureWork }
+}
+
+// Available person-days per week for a team's members (employees from buildForecast)
+// Admin/support staff are left out like in the forecast's own totals.
+// Returns { team, members, weeks: { [key]: capacity }, total } or null when no member is in the forecast
+export function summarizeTeamCapacity(team, employees) {
+  const members = employees.filter(row => team.employeeIds.includes(row.employee.id))
+  if (members.length === 0) return null
+
+  const counted = members.filter(row => !row.isExcludedFromUtilization)
+  const weekKeys = Object.keys(members[0].weeks)
+  const weeks = Object.fromEntries(weekKeys.map(key => [key, sumCapacities(counted.map(row => row.weeks[key]))]))
+
+  return { team, members, weeks, total: sumCapacities(Object.values(weeks)) }
+}
+
+// Capacity rows for every team with members in the forecast, in the teams' order
+export function summarizeTeamsCapacity(teams, employees) {
+  return (teams || []).map(team => summarizeTeamCapacity(team, employees)).filter(Boolean)
+}
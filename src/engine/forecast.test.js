@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest'
+import { getCapacity, getFutureWorkDays, getForecastRange, buildForecast, summarizeTeamCapacity, summarizeTeamsCapacity } from './forecast'
+import { withDefaultSettings } from './settings'
+import { formatDate } from './utilization'
+import { DEFAULT_CATEGORIES } from './categoryRules'
+import { createEvent } from './testEvents'
+
+const EMPLOYEES = [
+  { id: 1, name: 'Avery Field', creation_dt: '2025-01-01T00:00:00' },
+  { id: 2, name: 'Blake Support', creation_dt: '2025-01-01T00:00:00' }
+]
+const HOLIDAYS = [createEvent('h1', 900, '2025-02-14', '2025-02-14', null, { title: 'Company Day' })]
+const EVENTS = {
+  events: [
+    createEvent('e1', 1, '2025-02-03', '2025-02-05', 'field'),
+    createEvent('e2', 1, '2025-02-10', '2025-02-10', 'vacation'),
+    ...HOLIDAYS
+  ]
+}
+const FUTURE_WORK = [
+  createEvent('f1', 901, '2025-02-06', '2025-02-11', null, { title: 'Plant retrofit' }),
+  {
+    ...createEvent('f2', 901, '2025-02-13', '2025-02-13', null, { title: 'Site survey' }),
+    start_dt: '2025-02-13T09:00:00',
+    end_dt: '2025-02-13T13:00:00',
+    all_day: false
+  },
+  createEvent('f3', 901, '2025-02-14', '2025-02-14', null, { title: 'Holiday job' }),
+  createEvent('f4', 901, '2025-03-03', '2025-03-07', null, { title: 'Later job' })
+]
+
+describe('getCapacity', () => {
+  it('splits weekdays into booked, time off and open', () => {
+    const utilization = {
+      weekdays: 5,
+      categories: {
+        field: { weekdays: 2 },
+        office: { weekdays: 0.5 },
+        vacation: { weekdays: 1 },
+        holiday: { weekdays: 1 },
+        unknown: { weekdays: 0.5 }
+      }
+    }
+
+    expect(getCapacity(utilization, DEFAULT_CATEGORIES)).toEqual({ workdays: 5, booked: 2.5, timeOff: 2, open: 0.5 })
+  })
+})
+
+describe('getFutureWorkDays', () => {
+  const holidayDates = new Set(['2025-02-14'])
+
+  it('counts the weekdays an event covers within the range', () => {
+    expect(getFutureWorkDays(FUTURE_WORK[0], new Date(2025, 1, 3), new Date(2025, 1, 9), holidayDates)).toBe(2)
+    expect(getFutureWorkDays(FUTURE_WORK[0], new Date(2025, 1, 10), new Date(2025, 1, 16), holidayDates)).toBe(2)
+  })
+
+  it('counts timed events by their hours against the workday', () => {
+    expect(getFutureWorkDays(FUTURE_WORK[1], new Date(2025, 1, 10), new Date(2025, 1, 16), holidayDates, 8)).toBe(0.5)
+  })
+
+  it('skips holidays', () => {
+    expect(getFutureWorkDays(FUTURE_WORK[2], new Date(2025, 1, 10), new Date(2025, 1, 16), holidayDates)).toBe(0)
+  })
+})
+
+describe('getForecastRange', () => {
+  it('runs from today to the end of the last week', () => {
+    // Wednesday 2025-02-05
+    const { startDate, endDate } = getForecastRange(2, new Date(2025, 1, 5, 14, 30))
+
+    expect(formatDate(startDate)).toBe('2025-02-05')
+    expect(formatDate(endDate)).toBe('2025-02-16')
+  })
+
+  it('starts the current week on the previous Monday when today is a Sunday', () => {
+    const { endDate } = getForecastRange(1, new Date(2025, 1, 9))
+
+    expect(formatDate(endDate)).toBe('2025-02-09')
+  })
+})
+
+describe('buildForecast', () => {
+  const settings = withDefaultSettings({ excludedFromUtilization: [2], timezone: 'America/Chicago' })
+  const forecast = buildForecast(EMPLOYEES, EVENTS, HOLIDAYS, FUTURE_WORK, settings, new Date(2025, 1, 3), new Date(2025, 1, 16))
+
+  it('forecasts booked vs. open capacity per employee per week', () => {
+    const avery = forecast.employees[0]
+
+    expect(avery.weeks['2025-02-03']).toEqual({ workdays: 5, booked: 3, timeOff: 0, open: 2 })
+    expect(avery.weeks['2025-02-10']).toEqual({ workdays: 5, booked: 0, timeOff: 2, open: 3 })
+    expect(avery.total).toEqual({ workdays: 10, booked: 3, timeOff: 2, open: 5 })
+  })
+
+  it('shows open days for admin/support staff but leaves them out of the totals', () => {
+    const blake = forecast.employees[1]
+
+    expect(blake.isExcludedFromUtilization).toBe(true)
+    expect(blake.weeks['2025-02-03'].open).toBe(5)
+    expect(forecast.weeks[0].open).toBe(2)
+  })
+
+  it('adds Future Work demand per week and nets it against open capacity', () => {
+    expect(forecast.weeks.map(week => [week.key, week.open, week.demand, week.net])).toEqual([
+      ['2025-02-03', 2, 2, 0],
+      ['2025-02-10', 3, 2.5, 0.5]
+    ])
+    expect(forecast.total).toMatchObject({ open: 5, demand: 4.5, net: 0.5 })
+  })
+
+  it('lists only the Future Work jobs with demand in the range', () => {
+    expect(forecast.futureWork.map(entry => [entry.event.id, entry.days])).toEqual([
+      ['f1', 4],
+      ['f2', 0.5]
+    ])
+  })
+})
+
+describe('summarizeTeamCapacity / summarizeTeamsCapacity', () => {
+  const settings = withDefaultSettings({ excludedFromUtilization: [2], timezone: 'America/Chicago' })
+  const forecast = buildForecast(EMPLOYEES, EVENTS, HOLIDAYS, [], settings, new Date(2025, 1, 3), new Date(2025, 1, 16))
+  const CREW = { id: 'crew', name: 'Crew', employeeIds: [1, 2] }
+
+  it('adds up available days per week for the team, leaving out admin/support staff', () => {
+    const row = summarizeTeamsCapacity([CREW], forecast.employees)[0]
+
+    expect(row.members).toHaveLength(2)
+    expect(row.weeks['2025-02-03']).toEqual({ workdays: 5, booked: 3, timeOff: 0, open: 2 })
+    expect(row.total).toEqual({ workdays: 10, booked: 3, timeOff: 2, open: 5 })
+  })
+
+  it('skips teams with no members in the forecast', () => {
+    expect(summarizeTeamCapacity({ id: 'x', name: 'X', employeeIds: [99] }, forecast.employees)).toBeNull()
+    expect(summarizeTeamsCapacity(undefined, forecast.employees)).toEqual([])
+  })
+})
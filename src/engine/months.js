@@ -0,0 +1,38 @@
+// Helpers for the YYYY-MM month values used in page URLs and month pickers.
+
+// Read a YYYY-MM value, defaulting to the month of today
+//   today: the calendar's current date (see getToday), not the browser's
+// Returns { year, month } with a zero-based month like Date
+export function parseMonthParam(value, today) {
+  const match = /^(\d{4})-(\d{2})$/.exec(value || '')
+  if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) {
+    return { year: Number(match[1]), month: Number(match[2]) - 1 }
+  }
+  return { year: today.getFullYear(), month: today.getMonth() }
+}
+
+// Format a year and zero-based month as YYYY-MM
+export function formatMonthParam(year, month) {
+  const date = new Date(year, month, 1)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`
+}
+
+// First and last day of a month
+export function getMonthRange(year, month) {
+  return {
+    startDate: new Date(year, month, 1),
+    endDate: new Date(year, month + 1, 0)
+  }
+}
+
+// Whole calendar months covering a range, as [{ startDate, endDate }]
+// Used to fetch long ranges month by month so overlapping ranges share the same requests.
+export function getMonthChunks(startDate, endDate) {
+  const chunks = []
+  const year = startDate.getFullYear()
+  // Months past December roll over into the next year, like Date
+  for (let month = startDate.getMonth(); new Date(year, month, 1) <= endDate; month++) {
+    chunks.push(getMonthRange(year, month))
+  }
+  return chunks
+}
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest'
+import { parseMonthParam, formatMonthParam, getMonthRange, getMonthChunks } from './months'
+import { formatDate } from './utilization'
+
+describe('parseMonthParam', () => {
+  it('reads a YYYY-MM value with a zero-based month', () => {
+    expect(parseMonthParam('2025-03')).toEqual({ year: 2025, month: 2 })
+  })
+
+  it('falls back to the month of the given today for missing or invalid values', () => {
+    const today = new Date(2025, 6, 31)
+    const current = { year: 2025, month: 6 }
+
+    expect(parseMonthParam(null, today)).toEqual(current)
+    expect(parseMonthParam('2025-13', today)).toEqual(current)
+    expect(parseMonthParam('March', today)).toEqual(current)
+  })
+})
+
+describe('formatMonthParam', () => {
+  it('rolls over year boundaries', () => {
+    expect(formatMonthParam(2025, 0)).toBe('2025-01')
+    expect(formatMonthParam(2025, -1)).toBe('2024-12')
+    expect(formatMonthParam(2025, 12)).toBe('2026-01')
+  })
+})
+
+describe('getMonthRange', () => {
+  it('covers the whole month', () => {
+    const { startDate, endDate } = getMonthRange(2024, 1)
+
+    expect([formatDate(startDate), formatDate(endDate)]).toEqual(['2024-02-01', '2024-02-29'])
+  })
+})
+
+describe('getMonthChunks', () => {
+  it('splits a range into the whole months it touches', () => {
+    const chunks = getMonthChunks(new Date(2024, 10, 15), new Date(2025, 1, 3))
+
+    expect(chunks.map(({ startDate, endDate }) => [formatDate(startDate), formatDate(endDate)])).toEqual([
+      ['2024-11-01', '2024-11-30'],
+      ['2024-12-01', '2024-12-31'],
+      ['2025-01-01', '2025-01-31'],
+      ['2025-02-01', '2025-02-28']
+    ])
+  })
+
+  it('returns one chunk for a range within a month', () => {
+    expect(getMonthChunks(new Date(2025, 0, 6), new Date(2025, 0, 10))).toHaveLength(1)
+  })
+})
@@ -0,0 +1,90 @@
+// Aggregations over summarized employee rows shared by the dashboard and the monthly report.
+
+import { summarizeTeamUtilization } from './trends.js'
+
+// Admin/support staff see N/A for categories that don't apply to them
+export function isNotApplicableForSupport(category) {
+  return ['overtime', 'unknown'].includes(category.id) || (category.utilized && !category.supportUtilized)
+}
+
+// Overtime happens on weekends, every other category is counted on weekdays
+export function getCategoryDays(item, categoryId) {
+  const categoryData = item.utilization.categories[categoryId]
+  return (categoryId === 'overtime' ? categoryData?.weekends : categoryData?.weekdays) || 0
+}
+
+// Total weekday and weekend days per category across employees, as used by the charts
+// Returns [{ id, name, color, weekdays, weekends, total, percentage }] for categories with days
+export function getCategoryTotals(data, categories) {
+  if (!data || data.length === 0) return []
+
+  // Calculate total days in range (sum of all employees' totalDays)
+  const totalDaysInRange = data.reduce((sum, item) => {
+    return sum + (item.utilization?.totalDays || 0)
+  }, 0)
+
+  // Collect all unknown dates from all employees
+  const allUnknownDates = new Set()
+  data.forEach(item => {
+    // Try unknownDates first, then fallback to categoryDates.unknown
+    const dates = item.unknownDates || item.categoryDates?.unknown || []
+    if (Array.isArray(dates)) {
+      dates.forEach(dateStr => {
+        if (dateStr) {
+          allUnknownDates.add(dateStr)
+        }
+      })
+    }
+  })
+
+  // Build chart data with all configured categories as distinct items
+  const chartData = categories.map(category => {
+    const weekdays = data.reduce((sum, item) => sum + (item.utilization?.categories?.[category.id]?.weekdays || 0), 0)
+    // Unknown only tracks weekdays, weekends should always be 0
+    const weekends = category.id === 'unknown'
+      ? 0
+      : data.reduce((sum, item) => sum + (item.utilization?.categories?.[category.id]?.weekends || 0), 0)
+
+    return {
+      id: category.id,
+      name: category.label,
+      weekdays,
+      weekends,
+      total: weekdays + weekends,
+      color: category.color,
+      // Store unknown dates for tooltip
+      ...(category.id === 'unknown' && { unknownDates: Array.from(allUnknownDates).sort() })
+    }
+  }).filter(item => {
+    // Keep Unknown even if total is 0, if there are unknown dates
+    if (item.id === 'unknown' && item.unknownDates && item.unknownDates.length > 0) {
+      return true
+    }
+    return item.total > 0
+  })
+
+  // Calculate percentages against total days in range
+  return chartData.map(item => ({
+    ...item,
+    percentage: totalDaysInRange > 0 ? (item.total / totalDaysInRange * 100) : 0
+  }))
+}
+
+// Totals and warning counts for the footer of a report
+export function summarizeReport(items) {
+  const counted = items.filter(item => !item.isExcludedFromUtilization)
+  const validationWarnings = items.filter(item => item.validationInfo && !item.validationInfo.isValid)
+  const holidayWarnings = items.filter(item => item.holidayWarnings && item.holidayWarnings.length > 0)
+
+  return {
+    employeeCount: items.length,
+    teamUtilizationPercentage: summarizeTeamUtilization(items),
+    weekdayUtilized: counted.reduce((sum, item) => sum + item.weekdayUtilized, 0),
+    weekdayTotal: counted.reduce((sum, item) => sum + item.weekdayTotal, 0),
+    weekendUtilized: counted.reduce((sum, item) => sum + item.weekendUtilized, 0),
+    unknownDays: counted.reduce((sum, item) => sum + (item.utilization.categories.unknown?.weekdays || 0), 0),
+    validationWarnings: validationWarnings.map(item => item.employee.name),
+    holidayWarnings: holidayWarnings.map(item => item.employee.name),
+    unmappedStatuses: [...new Set(items.flatMap(item => item.unmappedStatuses || []))].sort()
+  }
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { getCategoryDays, getCategoryTotals, summarizeReport } from './report'
+
+const CATEGORIES = [
+  { id: 'field', label: 'Field', color: '#000' },
+  { id: 'sick', label: 'Sick', color: '#111' },
+  { id: 'overtime', label: 'Overtime', color: '#222' },
+  { id: 'unknown', label: 'Unknown', color: '#333' }
+]
+
+// Helper function to build a summarized employee row
+function row(name, categories, overrides = {}) {
+  return {
+    employee: { id: name, name },
+    isExcludedFromUtilization: false,
+    weekdayUtilized: categories.field?.weekdays || 0,
+    weekdayTotal: 5,
+    weekendUtilized: categories.overtime?.weekends || 0,
+    utilization: { totalDays: 7, categories },
+    unknownDates: [],
+    validationInfo: { isValid: true },
+    holidayWarnings: [],
+    unmappedStatuses: [],
+    ...overrides
+  }
+}
+
+describe('getCategoryDays', () => {
+  it('counts overtime on weekends and everything else on weekdays', () => {
+    const item = row('A', { field: { weekdays: 4, weekends: 1 }, overtime: { weekdays: 0, weekends: 2 } })
+
+    expect(getCategoryDays(item, 'field')).toBe(4)
+    expect(getCategoryDays(item, 'overtime')).toBe(2)
+    expect(getCategoryDays(item, 'sick')).toBe(0)
+  })
+})
+
+describe('getCategoryTotals', () => {
+  it('sums categories across employees and drops empty ones', () => {
+    const totals = getCategoryTotals([
+      row('A', { field: { weekdays: 4, weekends: 0 }, overtime: { weekdays: 0, weekends: 1 } }),
+      row('B', { field: { weekdays: 3, weekends: 0 } })
+    ], CATEGORIES)
+
+    expect(totals.map(item => [item.id, item.total])).toEqual([['field', 7], ['overtime', 1]])
+    expect(totals[0].percentage).toBe(50)
+  })
+
+  it('keeps unknown when there are unknown dates', () => {
+    const totals = getCategoryTotals([row('A', {}, { unknownDates: ['2025-01-06'] })], CATEGORIES)
+
+    expect(totals.map(item => item.id)).toEqual(['unknown'])
+  })
+})
+
+describe('summarizeReport', () => {
+  it('totals counted employees and lists employees with warnings', () => {
+    const summary = summarizeReport([
+      row('A', { field: { weekdays: 4, weekends: 0 }, unknown: { weekdays: 1, weekends: 0 } }, { validationInfo: { isValid: false } }),
+      row('B', { field: { weekdays: 2, weekends: 0 } }, { holidayWarnings: [{ date: '2025-01-01', statuses: ['Sick'] }], unmappedStatuses: ['Training'] }),
+      row('C', { field: { weekdays: 5, weekends: 0 } }, { isExcludedFromUtilization: true })
+    ])
+
+    expect(summary.employeeCount).toBe(3)
+    expect(summary.weekdayUtilized).toBe(6)
+    expect(summary.weekdayTotal).toBe(10)
+    expect(summary.teamUtilizationPercentage).toBe(60)
+    expect(summary.unknownDays).toBe(1)
+    expect(summary.validationWarnings).toEqual(['A'])
+    expect(summary.holidayWarnings).toEqual(['B'])
+    expect(summary.unmappedStatuses).toEqual(['Training'])
+  })
+})
@@ -0,0 +1,85 @@
+// Default utilization settings, shared by the dashboard and the API.
+
+import { DEFAULT_CATEGORIES, DEFAULT_CATEGORY_RULES } from './categoryRules.js'
+import { DEFAULT_EVENT_FILTERS } from './eventFilters.js'
+import { DEFAULT_WORKDAY_HOURS } from './utilization.js'
+import { DEFAULT_UTILIZATION_TARGET } from './targets.js'
+import { DEFAULT_DIGEST } from './digest.js'
+import { isValidTimeZone } from './timezone.js'
+
+// Default settings used until an admin saves their own.
+// Employee lists are keyed by TeamUp subcalendar id so renames don't break them.
+export const DEFAULT_SETTINGS = {
+  // Employees hidden from the picker and from all calculations
+  excludedEmployees: [],
+  // Employees excluded from field, office, overtime and unknown day statistics
+  excludedFromUtilization: [],
+  // Utilization categories with their chart color and utilized flags
+  categories: DEFAULT_CATEGORIES,
+  // Ordered rules mapping TeamUp statuses, titles and subcalendars to categories
+  categoryRules: DEFAULT_CATEGORY_RULES,
+  // Ordered title patterns deciding which events count at all
+  eventFilters: DEFAULT_EVENT_FILTERS,
+  // 'days' fills whole days per event, 'hours' counts the hours each event covers
+  utilizationMode: 'days',
+  // Length of a workday in hours, used by the hours mode
+  workdayHours: DEFAULT_WORKDAY_HOURS,
+  // IANA time zone overriding the TeamUp calendar's, e.g. 'America/Chicago'; empty uses the zone configured in TeamUp
+  timezone: '',
+  // Sign-in names of employees by subcalendar id, for people whose name differs from their subcalendar
+  employeeAccounts: {},
+  // Subcalendar ids each manager sees, keyed by the manager's sign-in name
+  managerAssignments: {},
+  // Named groups of employees: [{ id, name, employeeIds, target }], target being optional
+  teams: [],
+  // Weekday utilization % expected from employees without their own or a team target
+  defaultTarget: DEFAULT_UTILIZATION_TARGET,
+  // Weekday utilization % expected per employee, keyed by subcalendar id
+  employeeTargets: {},
+  // Missing-entry reminder emails: { cadence, weekday, managerSummary, optOut }
+  digest: DEFAULT_DIGEST
+}
+
+// Employees the dashboard excluded by subcalendar name before the lists moved into settings
+// Used to seed lists that were never saved, so nobody who was excluded reappears after an upgrade.
+export const SEEDED_EMPLOYEE_LISTS = {
+  excludedEmployees: ['Bill Ahern', 'Harry Cannon', 'Matt Mokracek', 'Paul Yetman'],
+  excludedFromUtilization: ['Jennifer Lengyel', 'Liz Quinn', 'Linda Torok']
+}
+
+// Whether saved settings (before defaults are merged) lack an employee list seedEmployeeLists fills
+export function needsEmployeeListSeed(stored) {
+  return Object.keys(SEEDED_EMPLOYEE_LISTS).some(key => !Array.isArray(stored?.[key]))
+}
+
+// Fill employee lists that were never saved with the ids of the subcalendars named in SEEDED_EMPLOYEE_LISTS
+// Lists an admin saved, even empty ones, are kept. Returns the saved settings with the missing lists added.
+export function seedEmployeeLists(stored, subcalendars) {
+  const seeded = { ...(stored || {}) }
+  Object.entries(SEEDED_EMPLOYEE_LISTS).forEach(([key, names]) => {
+    if (Array.isArray(seeded[key])) return
+    seeded[key] = (subcalendars?.subcalendars || []).filter(sub => names.includes(sub.name)).map(sub => sub.id)
+  })
+  return seeded
+}
+
+// Helper function to merge stored settings over the defaults
+export function withDefaultSettings(settings) {
+  return { ...DEFAULT_SETTINGS, ...(settings || {}) }
+}
+
+// Settings with the time zone configured in TeamUp, kept apart from the timezone override
+// Not saved: it is read from TeamUp again each time. Invalid or missing zones are left empty.
+export function withCalendarTimeZone(settings, calendarTimeZone) {
+  return { ...settings, calendarTimeZone: calendarTimeZone && isValidTimeZone(calendarTimeZone) ? calendarTimeZone : '' }
+}
+
+// Time zone all date math runs in: the one set in settings, otherwise the TeamUp calendar's
+// Never the browser's or server's own zone, which would make them count different days; throws when neither is known.
+export function getCalendarTimeZone(settings) {
+  const timeZone = settings.timezone || settings.calendarTimeZone
+  if (!timeZone) {
+    throw new Error('The calendar time zone is unknown: TeamUp did not report one, so set it on the Settings page')
+  }
+  return timeZone
+}
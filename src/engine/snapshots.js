@@ -0,0 +1,137 @@
+// Snapshots freeze the computed utilization of a closed period so later edits to old
+// TeamUp events don't change reported numbers, and show what was edited after close.
+
+import { formatDate } from './utilization.js'
+import { getCategoryDays } from './report.js'
+
+// Bumped when the stored snapshot shape changes
+export const SNAPSHOT_VERSION = 1
+
+// Helper function to parse a YYYY-MM-DD value as a local date
+function parseLocalDate(value) {
+  const [year, month, day] = value.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+// Snapshots are keyed by their period, so closing a period again replaces its snapshot
+export function getSnapshotId(startDate, endDate) {
+  return `${formatDate(startDate)}_${formatDate(endDate)}`
+}
+
+// The snapshot's period as Date objects, { startDate, endDate }
+export function getSnapshotRange(snapshot) {
+  return { startDate: parseLocalDate(snapshot.startDate), endDate: parseLocalDate(snapshot.endDate) }
+}
+
+// Describe a snapshot's period, e.g. "January 2025" for a whole month
+export function formatSnapshotPeriod(snapshot) {
+  const { startDate, endDate } = getSnapshotRange(snapshot)
+  const monthEnd = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 0)
+  if (startDate.getDate() === 1 && formatDate(endDate) === formatDate(monthEnd)) {
+    return startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+  }
+  return `${startDate.toLocaleDateString()} – ${endDate.toLocaleDateString()}`
+}
+
+// Freeze rows from calculateEmployeesUtilization into a snapshot
+// The per-day details are left out; categories, category dates, warnings and summaries are kept,
+// so the rows work with the same report helpers as live data.
+//   meta: { startDate, endDate, label, createdBy, createdAt }
+export function createSnapshot(items, settings, { startDate, endDate, label = '', createdBy = null, createdAt = new Date() }) {
+  return {
+    version: SNAPSHOT_VERSION,
+    id: getSnapshotId(startDate, endDate),
+    label,
+    startDate: formatDate(startDate),
+    endDate: formatDate(endDate),
+    createdAt: createdAt.toISOString(),
+    createdBy,
+    // Settings the numbers were calculated with, so the snapshot reads the same after they change
+    settings: {
+      categories: settings.categories,
+      utilizationMode: settings.utilizationMode,
+      workdayHours: settings.workdayHours
+    },
+    items: items.map(item => {
+      const { employee, days: _days, ...rest } = item
+      return { employee: { id: employee.id, name: employee.name }, ...rest }
+    })
+  }
+}
+
+// Check that an imported value looks like a snapshot this version can read
+export function isSnapshot(value) {
+  return !!value &&
+    value.version === SNAPSHOT_VERSION &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value.startDate) &&
+    /^\d{4}-\d{2}-\d{2}$/.test(value.endDate) &&
+    // The id names the period, so a stored snapshot can't take another period's place
+    value.id === `${value.startDate}_${value.endDate}` &&
+    Array.isArray(value.items)
+}
+
+// Helper function to map each date to the sorted categories it counted towards
+function getDateCategories(item) {
+  const dates = {}
+  Object.entries(item?.categoryDates || {}).forEach(([category, categoryDates]) => {
+    categoryDates.forEach(date => {
+      dates[date] = [...(dates[date] || []), category].sort()
+    })
+  })
+  return dates
+}
+
+// Helper function to round a day difference
+function roundDelta(value) {
+  return Math.round(value * 100) / 100
+}
+
+// Compare a snapshot with a fresh calculation of the same period
+//   items: rows from calculateEmployeesUtilization for the snapshot's period
+// Returns [{ employee, status, before, after, categories, dates }] for every employee in either, where
+//   status:     'added', 'removed', 'changed' or 'unchanged'
+//   before/after: weekday utilization percentage, null for an employee missing on that side
+//   categories: [{ id, before, after, delta }] weekday (weekend for overtime) days that changed
+//   dates:      [{ date, before, after }] dates whose categories changed
+export function diffSnapshot(snapshot, items) {
+  const categoryIds = snapshot.settings.categories.map(category => category.id)
+  const snapshotItems = Object.fromEntries(snapshot.items.map(item => [item.employee.id, item]))
+  const currentItems = Object.fromEntries(items.map(item => [item.employee.id, item]))
+  const employeeIds = [...new Set([...Object.keys(snapshotItems), ...Object.keys(currentItems)])]
+
+  return employeeIds.map(id => {
+    const before = snapshotItems[id]
+    const after = currentItems[id]
+    const getDays = (item, categoryId) => item ? getCategoryDays(item, categoryId) : 0
+
+    const categories = categoryIds
+      .map(categoryId => ({
+        id: categoryId,
+        before: getDays(before, categoryId),
+        after: getDays(after, categoryId),
+        delta: roundDelta(getDays(after, categoryId) - getDays(before, categoryId))
+      }))
+      .filter(category => category.delta !== 0)
+
+    const beforeDates = getDateCategories(before)
+    const afterDates = getDateCategories(after)
+    const dates = [...new Set([...Object.keys(beforeDates), ...Object.keys(afterDates)])]
+      .sort()
+      .map(date => ({ date, before: beforeDates[date] || [], after: afterDates[date] || [] }))
+      .filter(entry => entry.before.join() !== entry.after.join())
+
+    let status = 'unchanged'
+    if (!before) status = 'added'
+    else if (!after) status = 'removed'
+    else if (categories.length > 0 || dates.length > 0) status = 'changed'
+
+    return {
+      employee: (after || before).employee,
+      status,
+      before: before ? Number(before.weekdayUtilizationPercentage) : null,
+      after: after ? Number(after.weekdayUtilizationPercentage) : null,
+      categories,
+      dates
+    }
+  }).sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+}
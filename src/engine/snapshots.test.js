@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest'
+import { createSnapshot, getSnapshotId, getSnapshotRange, formatSnapshotPeriod, isSnapshot, diffSnapshot } from './snapshots'
+import { calculateEmployeesUtilization } from './dashboard'
+import { withDefaultSettings } from './settings'
+import { formatDate } from './utilization'
+import { createEvent } from './testEvents'
+
+const SETTINGS = withDefaultSettings({ timezone: 'America/Chicago' })
+const START = new Date(2025, 0, 6)
+const END = new Date(2025, 0, 10)
+const AVERY = { id: 1, name: 'Avery Field', creation_dt: '2025-01-01T00:00:00' }
+const BLAKE = { id: 2, name: 'Blake Office', creation_dt: '2025-01-01T00:00:00' }
+const CASEY = { id: 3, name: 'Casey New', creation_dt: '2025-01-01T00:00:00' }
+
+// Helper function to calculate Monday 2025-01-06 through Friday 2025-01-10
+function calculate(employees, events) {
+  return calculateEmployeesUtilization(employees, { events }, [], SETTINGS, START, END)
+}
+
+const CLOSED_EVENTS = [
+  createEvent('e1', 1, '2025-01-06', '2025-01-08', 'field'),
+  createEvent('e2', 2, '2025-01-06', '2025-01-10', 'office')
+]
+
+describe('createSnapshot', () => {
+  it('keeps the summarized rows without per-day details', () => {
+    const snapshot = createSnapshot(calculate([AVERY, BLAKE], CLOSED_EVENTS), SETTINGS, {
+      startDate: START,
+      endDate: END,
+      label: 'Reported',
+      createdBy: 'admin@example.com',
+      createdAt: new Date('2025-02-03T09:00:00Z')
+    })
+
+    expect(snapshot.id).toBe('2025-01-06_2025-01-10')
+    expect(snapshot.createdAt).toBe('2025-02-03T09:00:00.000Z')
+    expect(snapshot.settings.categories).toBe(SETTINGS.categories)
+    expect(snapshot.items[0].employee).toEqual({ id: 1, name: 'Avery Field' })
+    expect(snapshot.items[0].days).toBeUndefined()
+    expect(snapshot.items[0].categoryDates.field).toEqual(['2025-01-06', '2025-01-07', '2025-01-08'])
+    expect(snapshot.items[0].unknownDates).toEqual(['2025-01-09', '2025-01-10'])
+    expect(isSnapshot(JSON.parse(JSON.stringify(snapshot)))).toBe(true)
+  })
+})
+
+describe('isSnapshot', () => {
+  it('rejects other JSON and other versions', () => {
+    expect(isSnapshot(null)).toBe(false)
+    expect(isSnapshot({ excludedEmployees: [] })).toBe(false)
+    expect(isSnapshot({ version: 99, id: 'x', startDate: '2025-01-01', endDate: '2025-01-31', items: [] })).toBe(false)
+    expect(isSnapshot({ version: 1, id: '2024-12-01_2024-12-31', startDate: '2025-01-01', endDate: '2025-01-31', items: [] })).toBe(false)
+  })
+})
+
+describe('snapshot periods', () => {
+  it('round-trips the period and names whole months', () => {
+    const month = { startDate: '2025-01-01', endDate: '2025-01-31' }
+    const { startDate, endDate } = getSnapshotRange(month)
+    expect(formatDate(startDate)).toBe('2025-01-01')
+    expect(getSnapshotId(startDate, endDate)).toBe('2025-01-01_2025-01-31')
+    expect(formatSnapshotPeriod(month)).toBe('January 2025')
+    expect(formatSnapshotPeriod({ startDate: '2025-01-06', endDate: '2025-01-10' })).not.toBe('January 2025')
+  })
+})
+
+describe('diffSnapshot', () => {
+  const snapshot = createSnapshot(calculate([AVERY, BLAKE], CLOSED_EVENTS), SETTINGS, { startDate: START, endDate: END })
+
+  it('reports nothing when the data is unchanged', () => {
+    const diff = diffSnapshot(snapshot, calculate([AVERY, BLAKE], CLOSED_EVENTS))
+    expect(diff.map(entry => entry.status)).toEqual(['unchanged', 'unchanged'])
+  })
+
+  it('lists category and date changes made after close', () => {
+    const edited = [
+      createEvent('e1', 1, '2025-01-06', '2025-01-09', 'field'),
+      createEvent('e3', 3, '2025-01-06', '2025-01-06', 'field')
+    ]
+    const [avery, blake, casey] = diffSnapshot(snapshot, calculate([AVERY, CASEY], edited))
+
+    expect(avery.status).toBe('changed')
+    expect(avery.before).toBe(60)
+    expect(avery.after).toBe(80)
+    expect(avery.categories).toEqual([
+      { id: 'field', before: 3, after: 4, delta: 1 },
+      { id: 'unknown', before: 2, after: 1, delta: -1 }
+    ])
+    expect(avery.dates).toEqual([{ date: '2025-01-09', before: ['unknown'], after: ['field'] }])
+
+    expect(blake.status).toBe('removed')
+    expect(blake.after).toBeNull()
+    expect(casey.status).toBe('added')
+    expect(casey.before).toBeNull()
+  })
+})
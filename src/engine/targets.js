@@ -0,0 +1,68 @@
+// Utilization targets per employee or team, and how far actual weekday utilization is from them.
+
+// Weekday utilization % expected from anyone without their own or a team target
+export const DEFAULT_UTILIZATION_TARGET = 80
+
+// Percentage points below target that still count as near it (the warning color)
+export const NEAR_TARGET_MARGIN = 20
+
+// Helper function to check that a stored target is a usable percentage
+function isTarget(value) {
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+// Helper function to read the default target from the settings
+function getDefaultTarget(settings) {
+  return isTarget(settings?.defaultTarget) ? settings.defaultTarget : DEFAULT_UTILIZATION_TARGET
+}
+
+// Target for an employee: their own, else the first of their teams with one, else the default
+export function getEmployeeTarget(employeeId, settings) {
+  const own = settings?.employeeTargets?.[employeeId]
+  if (isTarget(own)) return own
+
+  const team = (settings?.teams || []).find(entry => entry.employeeIds.includes(employeeId) && isTarget(entry.target))
+  return team ? team.target : getDefaultTarget(settings)
+}
+
+// Target for a team summary row: the team's own, else the default
+export function getTeamTarget(team, settings) {
+  return isTarget(team.target) ? team.target : getDefaultTarget(settings)
+}
+
+// Target for an employee row or a team summary row (from summarizeTeams)
+export function getRowTarget(row, settings) {
+  return row.team ? getTeamTarget(row.team, settings) : getEmployeeTarget(row.employee.id, settings)
+}
+
+// Actual minus target weekday utilization in percentage points, rounded to one decimal
+// Returns null when the period has no weekdays to measure
+export function getTargetVariance(row, target) {
+  if (!row.weekdayTotal) return null
+  return Math.round((Number(row.weekdayUtilizationPercentage) - target) * 10) / 10
+}
+
+// 'met', 'near' (within NEAR_TARGET_MARGIN below) or 'below'; null without weekdays
+export function getTargetStatus(row, target) {
+  const variance = getTargetVariance(row, target)
+  if (variance === null) return null
+  if (variance >= 0) return 'met'
+  return variance >= -NEAR_TARGET_MARGIN ? 'near' : 'below'
+}
+
+// Bootstrap color for a target status, as used by the utilization badges
+export function getTargetVariant(status) {
+  return { met: 'success', near: 'warning', below: 'danger' }[status] || 'secondary'
+}
+
+// Employees under their target for the period, worst first
+// Returns [{ item, target, variance }]
+export function getEmployeesBelowTarget(items, settings) {
+  return items
+    .map(item => {
+      const target = getEmployeeTarget(item.employee.id, settings)
+      return { item, target, variance: getTargetVariance(item, target) }
+    })
+    .filter(entry => entry.variance !== null && entry.variance < 0)
+    .sort((a, b) => a.variance - b.variance)
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_UTILIZATION_TARGET,
+  getEmployeeTarget,
+  getTeamTarget,
+  getRowTarget,
+  getTargetVariance,
+  getTargetStatus,
+  getEmployeesBelowTarget
+} from './targets'
+
+const SETTINGS = {
+  defaultTarget: 75,
+  employeeTargets: { 1: 90 },
+  teams: [
+    { id: 'office', name: 'Office', employeeIds: [2, 3], target: null },
+    { id: 'admin', name: 'Admin', employeeIds: [3], target: 50 }
+  ]
+}
+
+// Helper function to build a summarized employee row
+function createItem(id, weekdayUtilizationPercentage, weekdayTotal = 20) {
+  return { employee: { id, name: `Employee ${id}` }, weekdayUtilizationPercentage, weekdayTotal }
+}
+
+describe('getEmployeeTarget', () => {
+  it('prefers the employee target, then the first team with a target, then the default', () => {
+    expect(getEmployeeTarget(1, SETTINGS)).toBe(90)
+    expect(getEmployeeTarget(3, SETTINGS)).toBe(50)
+    expect(getEmployeeTarget(2, SETTINGS)).toBe(75)
+  })
+
+  it('falls back to the built-in default without settings', () => {
+    expect(getEmployeeTarget(1, null)).toBe(DEFAULT_UTILIZATION_TARGET)
+  })
+})
+
+describe('getTeamTarget / getRowTarget', () => {
+  it('uses the team target or the default for team rows', () => {
+    expect(getTeamTarget(SETTINGS.teams[1], SETTINGS)).toBe(50)
+    expect(getRowTarget({ team: SETTINGS.teams[0] }, SETTINGS)).toBe(75)
+    expect(getRowTarget(createItem(1, '0.0'), SETTINGS)).toBe(90)
+  })
+})
+
+describe('getTargetVariance / getTargetStatus', () => {
+  it('compares actual weekday utilization to the target in percentage points', () => {
+    expect(getTargetVariance(createItem(1, '72.3'), 80)).toBe(-7.7)
+    expect(getTargetStatus(createItem(1, '80.0'), 80)).toBe('met')
+    expect(getTargetStatus(createItem(1, '60.0'), 80)).toBe('near')
+    expect(getTargetStatus(createItem(1, '59.9'), 80)).toBe('below')
+  })
+
+  it('has no variance for periods without weekdays', () => {
+    expect(getTargetVariance(createItem(1, '0.0', 0), 80)).toBeNull()
+    expect(getTargetStatus(createItem(1, '0.0', 0), 80)).toBeNull()
+  })
+})
+
+describe('getEmployeesBelowTarget', () => {
+  it('lists employees under their own target, furthest below first', () => {
+    const result = getEmployeesBelowTarget([
+      createItem(1, '85.0'),
+      createItem(2, '70.0'),
+      createItem(3, '55.0'),
+      createItem(4, '10.0', 0)
+    ], SETTINGS)
+
+    expect(result.map(entry => [entry.item.employee.id, entry.target, entry.variance])).toEqual([
+      [1, 90, -5],
+      [2, 75, -5]
+    ])
+  })
+})
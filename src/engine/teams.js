@@ -0,0 +1,69 @@
+// Teams group employee subcalendars (e.g. Field Techs, Office, Admin) so they can be
+// selected together and summarized as one row next to the individual employees.
+
+// Helper function to add up a numeric field across rows
+function sumBy(items, getValue) {
+  return items.reduce((sum, item) => sum + (getValue(item) || 0), 0)
+}
+
+// Helper function to format a percentage like summarizeUtilization does
+function toPercentage(part, total) {
+  return total > 0 ? (part / total * 100).toFixed(1) : '0.0'
+}
+
+// Ids of a team's members that are among the given employees
+export function getTeamMemberIds(team, employees) {
+  return employees.filter(employee => team.employeeIds.includes(employee.id)).map(employee => employee.id)
+}
+
+// Whether all, some or none of a team's available members are selected
+export function getTeamSelection(team, employees, selectedIds) {
+  const memberIds = getTeamMemberIds(team, employees)
+  const selectedCount = memberIds.filter(id => selectedIds.includes(id)).length
+  if (memberIds.length === 0 || selectedCount === 0) return 'none'
+  return selectedCount === memberIds.length ? 'all' : 'some'
+}
+
+// Combine the rows of a team's members into one row with the same fields as an employee row
+// Weekday and weekend utilization leave out admin/support staff like every other team statistic;
+// category counts and hours include everyone, matching the category charts.
+// Returns null when none of the team's members are in items.
+export function summarizeTeam(team, items) {
+  const members = items.filter(item => team.employeeIds.includes(item.employee.id))
+  if (members.length === 0) return null
+
+  const counted = members.filter(item => !item.isExcludedFromUtilization)
+  const categoryIds = [...new Set(members.flatMap(item => Object.keys(item.utilization.categories)))]
+  const categories = Object.fromEntries(categoryIds.map(id => [id, {
+    weekdays: sumBy(members, item => item.utilization.categories[id]?.weekdays),
+    weekends: sumBy(members, item => item.utilization.categories[id]?.weekends),
+    hours: sumBy(members, item => item.utilization.categories[id]?.hours)
+  }]))
+
+  const weekdayUtilized = sumBy(counted, item => item.weekdayUtilized)
+  const weekdayTotal = sumBy(counted, item => item.weekdayTotal)
+  const weekendUtilized = sumBy(counted, item => item.weekendUtilized)
+  const weekendTotal = sumBy(counted, item => item.weekendTotal)
+
+  return {
+    team,
+    members,
+    weekdayUtilized,
+    weekdayTotal,
+    weekdayUtilizationPercentage: toPercentage(weekdayUtilized, weekdayTotal),
+    weekendUtilized,
+    weekendTotal,
+    weekendUtilizationPercentage: toPercentage(weekendUtilized, weekendTotal),
+    utilizedHours: sumBy(counted, item => item.utilizedHours),
+    availableHours: sumBy(counted, item => item.availableHours),
+    utilization: {
+      categories,
+      totalDays: sumBy(members, item => item.utilization.totalDays)
+    }
+  }
+}
+
+// Summary rows for every team with members in items, in the teams' order
+export function summarizeTeams(teams, items) {
+  return (teams || []).map(team => summarizeTeam(team, items)).filter(Boolean)
+}
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import { getTeamMemberIds, getTeamSelection, summarizeTeam, summarizeTeams } from './teams'
+
+const EMPLOYEES = [{ id: 1 }, { id: 2 }, { id: 3 }]
+const FIELD = { id: 'field-techs', name: 'Field Techs', employeeIds: [1, 2, 99] }
+const OFFICE = { id: 'office', name: 'Office', employeeIds: [3] }
+
+// Helper function to build a summarized employee row
+function createItem(id, { weekdayUtilized, weekdayTotal = 10, weekendUtilized = 0, field = 0, unknown = 0, isExcludedFromUtilization = false }) {
+  return {
+    employee: { id, name: `Employee ${id}` },
+    isExcludedFromUtilization,
+    weekdayUtilized,
+    weekdayTotal,
+    weekendUtilized,
+    weekendTotal: 4,
+    utilizedHours: weekdayUtilized * 8,
+    availableHours: weekdayTotal * 8,
+    utilization: {
+      totalDays: weekdayTotal + 4,
+      categories: {
+        field: { weekdays: field, weekends: 0, hours: field * 8 },
+        unknown: { weekdays: unknown, weekends: 0, hours: 0 }
+      }
+    }
+  }
+}
+
+describe('getTeamMemberIds / getTeamSelection', () => {
+  it('only counts members among the available employees', () => {
+    expect(getTeamMemberIds(FIELD, EMPLOYEES)).toEqual([1, 2])
+  })
+
+  it('reports whether all, some or none of the team is selected', () => {
+    expect(getTeamSelection(FIELD, EMPLOYEES, [1, 2, 3])).toBe('all')
+    expect(getTeamSelection(FIELD, EMPLOYEES, [2])).toBe('some')
+    expect(getTeamSelection(FIELD, EMPLOYEES, [3])).toBe('none')
+    expect(getTeamSelection({ ...FIELD, employeeIds: [] }, EMPLOYEES, [1])).toBe('none')
+  })
+})
+
+describe('summarizeTeam', () => {
+  const items = [
+    createItem(1, { weekdayUtilized: 8, field: 8, unknown: 2 }),
+    createItem(2, { weekdayUtilized: 5, weekdayTotal: 5, weekendUtilized: 1, field: 5 }),
+    createItem(3, { weekdayUtilized: 2, field: 0, unknown: 8, isExcludedFromUtilization: true })
+  ]
+
+  it('weights utilization by weekdays across the members', () => {
+    const row = summarizeTeam(FIELD, items)
+
+    expect(row.members.map(item => item.employee.id)).toEqual([1, 2])
+    expect(row).toMatchObject({
+      weekdayUtilized: 13,
+      weekdayTotal: 15,
+      weekdayUtilizationPercentage: '86.7',
+      weekendUtilized: 1,
+      weekendTotal: 8,
+      weekendUtilizationPercentage: '12.5',
+      utilizedHours: 104,
+      availableHours: 120
+    })
+    expect(row.utilization.categories.field).toEqual({ weekdays: 13, weekends: 0, hours: 104 })
+    expect(row.utilization.totalDays).toBe(23)
+  })
+
+  it('leaves admin/support staff out of utilization but not out of category counts', () => {
+    const row = summarizeTeam({ ...OFFICE, employeeIds: [1, 3] }, items)
+
+    expect(row.weekdayTotal).toBe(10)
+    expect(row.utilization.categories.unknown.weekdays).toBe(10)
+  })
+
+  it('skips teams without members in the data', () => {
+    expect(summarizeTeam(OFFICE, items.slice(0, 2))).toBeNull()
+    expect(summarizeTeams([FIELD, OFFICE], items.slice(0, 2)).map(row => row.team.id)).toEqual(['field-techs'])
+  })
+})
@@ -0,0 +1,15 @@
+// Shared fixtures for the engine tests
+
+// Helper function to build an all-day TeamUp event; fields overrides any property
+export function createEvent(id, subcalendarIds, start, end, status, fields = {}) {
+  return {
+    id,
+    subcalendar_ids: Array.isArray(subcalendarIds) ? subcalendarIds : [subcalendarIds],
+    title: 'Job',
+    start_dt: `${start}T00:00:00`,
+    end_dt: `${end}T23:59:00`,
+    all_day: true,
+    custom: status ? { status: [status] } : {},
+    ...fields
+  }
+}
@@ -0,0 +1,190 @@
+// Calendar time: TeamUp times are wall-clock times in the calendar's time zone, so the days an event
+// touches, weekdays and hours are worked out in that zone rather than the browser's or the server's.
+// Dates are passed around as YYYY-MM-DD strings, which don't shift with any time zone.
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// The zone this code runs in, used when no calendar time zone is configured
+export function getRuntimeTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone
+}
+
+// Whether a value is an IANA time zone name this runtime knows, e.g. 'America/Chicago'
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return !!timeZone
+  } catch {
+    return false
+  }
+}
+
+// Formatters are slow to create, so keep one per zone
+const formatters = new Map()
+
+// Helper function to get a formatter giving numeric date and time parts in a zone
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }))
+  }
+  return formatters.get(timeZone)
+}
+
+// Wall-clock parts of an instant (ms or Date) in a zone, { year, month, day, hour, minute, second }
+// with a 1-based month
+export function getZonedParts(time, timeZone) {
+  const parts = {}
+  getFormatter(timeZone).formatToParts(time).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value)
+  })
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second }
+}
+
+// Helper function to get a zone's offset from UTC at an instant, in ms
+function getOffset(time, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(time, timeZone)
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000
+}
+
+// The instant (ms) a wall-clock time in a zone happens
+//   parts: { year, month, day, hour, minute, second } with a 1-based month
+// Times repeated when clocks go back use the first occurrence; times skipped when clocks go
+// forward move forward by the change, e.g. 02:30 becomes 03:30.
+export function zonedTimeToInstant({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second)
+  // Offsets a day either side cover both sides of any DST change on this day
+  const candidates = [
+    wallTime - getOffset(wallTime - DAY_MS, timeZone),
+    wallTime - getOffset(wallTime + DAY_MS, timeZone)
+  ]
+  const matching = candidates.filter(time => getOffset(time, timeZone) === wallTime - time)
+  return matching.length > 0 ? Math.min(...matching) : candidates[0]
+}
+
+// Zone lookups are slow compared to the engine's other work and repeat for every event and day,
+// so their results are kept; each cache starts over once it holds this many entries
+const MAX_CACHED_LOOKUPS = 10000
+
+// Helper function to remember a lookup per zone and value
+function cachedLookup(cache, timeZone, value, lookup) {
+  const key = `${timeZone}|${value}`
+  if (!cache.has(key)) {
+    if (cache.size >= MAX_CACHED_LOOKUPS) cache.clear()
+    cache.set(key, lookup())
+  }
+  return cache.get(key)
+}
+
+const dayStarts = new Map()
+const calendarTimes = new Map()
+const calendarDateTimes = new Map()
+
+// Helper function to split a YYYY-MM-DD date into numbers
+function parseDateParts(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number)
+  return { year, month, day }
+}
+
+// Helper function to format date parts as YYYY-MM-DD
+function formatDateParts({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// The date a number of days after (or before) a YYYY-MM-DD date
+export function addDays(dateStr, days) {
+  const { year, month, day } = parseDateParts(dateStr)
+  // UTC dates have no DST, so every day is 24 hours
+  const date = new Date(Date.UTC(year, month - 1, day + days))
+  return formatDateParts({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() })
+}
+
+// Day of the week of a YYYY-MM-DD date, 0 = Sunday
+export function getDayOfWeek(dateStr) {
+  const { year, month, day } = parseDateParts(dateStr)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+// Every YYYY-MM-DD date from start to end, both inclusive
+export function getDatesInRange(startStr, endStr) {
+  const dates = []
+  for (let date = startStr; date <= endStr; date = addDays(date, 1)) {
+    dates.push(date)
+  }
+  return dates
+}
+
+// The instant (ms) a date starts in a zone
+// Usually midnight; in zones that change clocks at midnight it can be 01:00.
+export function getDayStart(dateStr, timeZone) {
+  return cachedLookup(dayStarts, timeZone, dateStr, () => zonedTimeToInstant(parseDateParts(dateStr), timeZone))
+}
+
+// The YYYY-MM-DD date of an instant (ms or Date) in a zone
+export function getDateInTimeZone(time, timeZone) {
+  return formatDateParts(getZonedParts(time, timeZone))
+}
+
+const CALENDAR_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+// The instant (ms) of a TeamUp time
+// Times with an offset or Z are exact; times without one are wall-clock times in the calendar's zone.
+export function parseCalendarTime(value, timeZone) {
+  if (value instanceof Date) return value.getTime()
+  const match = CALENDAR_TIME.exec(value)
+  if (!match || match[7]) return new Date(value).getTime()
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0] = match
+  return cachedLookup(calendarTimes, timeZone, value, () => zonedTimeToInstant({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second)
+  }, timeZone))
+}
+
+// Helper function to get the calendar date of a TeamUp time and whether it is exactly midnight
+// asWritten reads the date and time as they appear, for all-day events whose dates don't belong to a zone
+function getCalendarDateTime(value, timeZone, asWritten) {
+  const match = !(value instanceof Date) && CALENDAR_TIME.exec(value)
+  if (asWritten && match) {
+    return { date: `${match[1]}-${match[2]}-${match[3]}`, isMidnight: Number(match[4] || 0) === 0 && Number(match[5] || 0) === 0 && Number(match[6] || 0) === 0 }
+  }
+  return cachedLookup(calendarDateTimes, timeZone, value instanceof Date ? value.getTime() : value, () => {
+    const parts = getZonedParts(parseCalendarTime(value, timeZone), timeZone)
+    return { date: formatDateParts(parts), isMidnight: parts.hour === 0 && parts.minute === 0 && parts.second === 0 }
+  })
+}
+
+// Every calendar date (YYYY-MM-DD) from one time to another in a zone
+// The end is exclusive when it falls exactly on midnight, so 22:00–00:00 only touches the first day.
+export function getCalendarDatesBetween(start, end, timeZone, asWritten = false) {
+  const first = getCalendarDateTime(start, timeZone, asWritten)
+  const last = getCalendarDateTime(end, timeZone, asWritten)
+  const lastDate = last.isMidnight && last.date > first.date ? addDays(last.date, -1) : last.date
+  return getDatesInRange(first.date, lastDate < first.date ? first.date : lastDate)
+}
+
+// Calendar dates (YYYY-MM-DD) an event covers in the calendar's zone
+// All-day events are dates rather than times, so they are read as written; an all-day end of
+// 00:00 on the following day (an exclusive end) doesn't add that day.
+export function getEventDates(event, timeZone) {
+  return getCalendarDatesBetween(event.start_dt, event.end_dt, timeZone, !!event.all_day)
+}
+
+// Today in a zone, as a Date at local midnight for code that builds ranges from Date objects
+// A server running in UTC would otherwise start the next day hours early or late.
+export function getToday(timeZone, now = new Date()) {
+  const { year, month, day } = getZonedParts(now, timeZone)
+  return new Date(year, month - 1, day)
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest'
+import {
+  isValidTimeZone,
+  zonedTimeToInstant,
+  parseCalendarTime,
+  getDayStart,
+  getDateInTimeZone,
+  addDays,
+  getDayOfWeek,
+  getDatesInRange,
+  getCalendarDatesBetween,
+  getEventDates,
+  getToday
+} from './timezone'
+
+const NEW_YORK = 'America/New_York'
+const BERLIN = 'Europe/Berlin'
+const HOUR = 60 * 60 * 1000
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zone names only', () => {
+    expect(isValidTimeZone(NEW_YORK)).toBe(true)
+    expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false)
+    expect(isValidTimeZone('')).toBe(false)
+  })
+})
+
+describe('zonedTimeToInstant', () => {
+  it('uses the offset in effect on either side of a DST change', () => {
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 8, hour: 12 }, NEW_YORK)).toBe(Date.UTC(2025, 2, 8, 17))
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 10, hour: 12 }, NEW_YORK)).toBe(Date.UTC(2025, 2, 10, 16))
+  })
+
+  it('moves times skipped by spring forward past the change', () => {
+    // 02:30 doesn't exist on these days; 03:30 does
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 9, hour: 2, minute: 30 }, NEW_YORK)).toBe(Date.UTC(2025, 2, 9, 7, 30))
+    expect(zonedTimeToInstant({ year: 2025, month: 3, day: 30, hour: 2, minute: 30 }, BERLIN)).toBe(Date.UTC(2025, 2, 30, 1, 30))
+  })
+
+  it('uses the first of the times repeated by fall back', () => {
+    expect(zonedTimeToInstant({ year: 2025, month: 11, day: 2, hour: 1, minute: 30 }, NEW_YORK)).toBe(Date.UTC(2025, 10, 2, 5, 30))
+  })
+})
+
+describe('parseCalendarTime', () => {
+  it('reads times without an offset in the calendar zone', () => {
+    expect(parseCalendarTime('2025-01-06T09:00:00', NEW_YORK)).toBe(Date.UTC(2025, 0, 6, 14))
+    expect(parseCalendarTime('2025-01-06T09:00:00', BERLIN)).toBe(Date.UTC(2025, 0, 6, 8))
+  })
+
+  it('keeps times that carry an offset exact', () => {
+    expect(parseCalendarTime('2025-01-06T09:00:00+01:00', NEW_YORK)).toBe(Date.UTC(2025, 0, 6, 8))
+    expect(parseCalendarTime('2025-01-06T09:00:00Z', BERLIN)).toBe(Date.UTC(2025, 0, 6, 9))
+  })
+})
+
+describe('getDayStart', () => {
+  it('gives 23 and 25 hour days across DST changes', () => {
+    expect(getDayStart('2025-03-10', NEW_YORK) - getDayStart('2025-03-09', NEW_YORK)).toBe(23 * HOUR)
+    expect(getDayStart('2025-11-03', NEW_YORK) - getDayStart('2025-11-02', NEW_YORK)).toBe(25 * HOUR)
+    expect(getDayStart('2025-10-27', BERLIN) - getDayStart('2025-10-26', BERLIN)).toBe(25 * HOUR)
+  })
+})
+
+describe('date strings', () => {
+  it('adds days and finds weekdays without drifting over DST changes', () => {
+    expect(addDays('2025-03-08', 1)).toBe('2025-03-09')
+    expect(addDays('2025-03-09', 1)).toBe('2025-03-10')
+    expect(addDays('2025-03-01', -1)).toBe('2025-02-28')
+    expect(getDayOfWeek('2025-03-09')).toBe(0)
+    expect(getDayOfWeek('2025-11-03')).toBe(1)
+  })
+
+  it('lists every date of a range', () => {
+    expect(getDatesInRange('2025-11-01', '2025-11-04')).toEqual(['2025-11-01', '2025-11-02', '2025-11-03', '2025-11-04'])
+  })
+
+  it('finds the calendar date of an instant', () => {
+    const instant = Date.UTC(2025, 0, 6, 23, 30)
+
+    expect(getDateInTimeZone(instant, NEW_YORK)).toBe('2025-01-06')
+    expect(getDateInTimeZone(instant, BERLIN)).toBe('2025-01-07')
+  })
+})
+
+describe('getCalendarDatesBetween', () => {
+  it('puts a timed event on the dates it falls on in the calendar zone', () => {
+    expect(getCalendarDatesBetween('2025-01-06T20:00:00Z', '2025-01-06T23:30:00Z', NEW_YORK)).toEqual(['2025-01-06'])
+    expect(getCalendarDatesBetween('2025-01-06T20:00:00Z', '2025-01-06T23:30:00Z', BERLIN)).toEqual(['2025-01-06', '2025-01-07'])
+  })
+
+  it('treats an end at midnight as exclusive, also on DST days', () => {
+    expect(getCalendarDatesBetween('2025-11-01T22:00:00', '2025-11-02T00:00:00', NEW_YORK)).toEqual(['2025-11-01'])
+    expect(getCalendarDatesBetween('2025-03-08T00:00:00', '2025-03-10T00:00:00', NEW_YORK)).toEqual(['2025-03-08', '2025-03-09'])
+  })
+
+  it('keeps events that start and end at midnight on their day', () => {
+    expect(getCalendarDatesBetween('2025-03-09T00:00:00', '2025-03-09T00:00:00', NEW_YORK)).toEqual(['2025-03-09'])
+  })
+})
+
+describe('getEventDates', () => {
+  it('reads all-day events as written, whatever the zone', () => {
+    const allDay = { start_dt: '2025-03-08T00:00:00+01:00', end_dt: '2025-03-09T23:59:00+01:00', all_day: true }
+
+    expect(getEventDates(allDay, NEW_YORK)).toEqual(['2025-03-08', '2025-03-09'])
+    expect(getEventDates(allDay, 'Pacific/Auckland')).toEqual(['2025-03-08', '2025-03-09'])
+  })
+
+  it('does not add the day after an all-day event with an exclusive end', () => {
+    const allDay = { start_dt: '2025-10-25', end_dt: '2025-10-27', all_day: true }
+
+    expect(getEventDates(allDay, BERLIN)).toEqual(['2025-10-25', '2025-10-26'])
+  })
+})
+
+describe('getToday', () => {
+  it('uses the calendar zone\'s date', () => {
+    const now = new Date(Date.UTC(2025, 0, 6, 23, 30))
+
+    expect(getToday(NEW_YORK, now)).toEqual(new Date(2025, 0, 6))
+    expect(getToday(BERLIN, now)).toEqual(new Date(2025, 0, 7))
+  })
+})
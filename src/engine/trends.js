@@ -0,0 +1,66 @@
+// Splits a date range into week or month buckets so the utilization engine
+// can be re-run per bucket to show how utilization changes over time.
+
+import { formatDate } from './utilization.js'
+
+// Bucket sizes
+//   week:  Monday through Sunday
+//   month: calendar month
+export const TREND_BUCKETS = ['week', 'month']
+
+// Helper function to get the first day of the bucket containing a date
+function getBucketStart(date, bucketSize) {
+  if (bucketSize === 'month') {
+    return new Date(date.getFullYear(), date.getMonth(), 1)
+  }
+  // Weeks start on Monday (getDay() is 0 for Sunday)
+  const offset = (date.getDay() + 6) % 7
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - offset)
+}
+
+// Helper function to get the first day of the following bucket
+function getNextBucketStart(bucketStart, bucketSize) {
+  if (bucketSize === 'month') {
+    return new Date(bucketStart.getFullYear(), bucketStart.getMonth() + 1, 1)
+  }
+  return new Date(bucketStart.getFullYear(), bucketStart.getMonth(), bucketStart.getDate() + 7)
+}
+
+// Split a range into consecutive buckets clipped to the range
+// Returns [{ key, label, startDate, endDate }] where key is the bucket's first calendar day
+export function getTrendBuckets(startDate, endDate, bucketSize = 'week') {
+  const rangeStart = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate())
+  const rangeEnd = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate())
+  const buckets = []
+
+  let bucketStart = getBucketStart(rangeStart, bucketSize)
+  while (bucketStart <= rangeEnd) {
+    const nextStart = getNextBucketStart(bucketStart, bucketSize)
+    const bucketEnd = new Date(nextStart.getFullYear(), nextStart.getMonth(), nextStart.getDate() - 1)
+    const clippedStart = bucketStart < rangeStart ? rangeStart : bucketStart
+
+    buckets.push({
+      key: formatDate(bucketStart),
+      label: bucketSize === 'month'
+        ? bucketStart.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })
+        : bucketStart.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      startDate: clippedStart,
+      endDate: bucketEnd > rangeEnd ? rangeEnd : bucketEnd
+    })
+    bucketStart = nextStart
+  }
+
+  return buckets
+}
+
+// Combine employee summaries into a single weekday utilization percentage.
+// Weighted by weekdays so short-tenure employees don't skew the result;
+// admin/support staff are left out like in every other team statistic.
+// Returns null when no weekdays were counted.
+export function summarizeTeamUtilization(items) {
+  const counted = items.filter(item => !item.isExcludedFromUtilization)
+  const weekdayUtilized = counted.reduce((sum, item) => sum + item.weekdayUtilized, 0)
+  const weekdayTotal = counted.reduce((sum, item) => sum + item.weekdayTotal, 0)
+
+  return weekdayTotal > 0 ? Number((weekdayUtilized / weekdayTotal * 100).toFixed(1)) : null
+}
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest'
+import { getTrendBuckets, summarizeTeamUtilization } from './trends'
+import { formatDate } from './utilization'
+
+// Helper function to make buckets easy to compare
+function toDates(buckets) {
+  return buckets.map(bucket => [bucket.key, formatDate(bucket.startDate), formatDate(bucket.endDate)])
+}
+
+describe('getTrendBuckets', () => {
+  it('splits a range into Monday-based weeks clipped to the range', () => {
+    // Wednesday 2025-01-08 through Tuesday 2025-01-21
+    const buckets = getTrendBuckets(new Date(2025, 0, 8), new Date(2025, 0, 21), 'week')
+
+    expect(toDates(buckets)).toEqual([
+      ['2025-01-06', '2025-01-08', '2025-01-12'],
+      ['2025-01-13', '2025-01-13', '2025-01-19'],
+      ['2025-01-20', '2025-01-20', '2025-01-21']
+    ])
+  })
+
+  it('starts a week on the previous Monday when the range starts on a Sunday', () => {
+    const buckets = getTrendBuckets(new Date(2025, 0, 12), new Date(2025, 0, 13), 'week')
+
+    expect(toDates(buckets)).toEqual([
+      ['2025-01-06', '2025-01-12', '2025-01-12'],
+      ['2025-01-13', '2025-01-13', '2025-01-13']
+    ])
+  })
+
+  it('splits a range into calendar months', () => {
+    const buckets = getTrendBuckets(new Date(2024, 11, 15), new Date(2025, 1, 10), 'month')
+
+    expect(toDates(buckets)).toEqual([
+      ['2024-12-01', '2024-12-15', '2024-12-31'],
+      ['2025-01-01', '2025-01-01', '2025-01-31'],
+      ['2025-02-01', '2025-02-01', '2025-02-10']
+    ])
+    expect(buckets[0].label).toBe('Dec 2024')
+  })
+
+  it('ignores the time of day on the range boundaries', () => {
+    const buckets = getTrendBuckets(new Date(2025, 0, 31, 15, 30), new Date(2025, 1, 1, 8), 'month')
+
+    expect(buckets).toHaveLength(2)
+  })
+})
+
+describe('summarizeTeamUtilization', () => {
+  it('weights employees by their weekdays', () => {
+    const result = summarizeTeamUtilization([
+      { weekdayUtilized: 10, weekdayTotal: 20, isExcludedFromUtilization: false },
+      { weekdayUtilized: 5, weekdayTotal: 5, isExcludedFromUtilization: false }
+    ])
+
+    expect(result).toBe(60)
+  })
+
+  it('leaves out admin/support staff', () => {
+    const result = summarizeTeamUtilization([
+      { weekdayUtilized: 4, weekdayTotal: 5, isExcludedFromUtilization: false },
+      { weekdayUtilized: 0, weekdayTotal: 5, isExcludedFromUtilization: true }
+    ])
+
+    expect(result).toBe(80)
+  })
+
+  it('returns null when no weekdays were counted', () => {
+    expect(summarizeTeamUtilization([])).toBeNull()
+  })
+})
@@ -0,0 +1,525 @@
+// Utilization engine: turns TeamUp events into per-category day counts.
+// Framework-free so it can run in the browser, in tests and on a server.
+
+import {
+  BUILT_IN_CATEGORIES,
+  DEFAULT_CATEGORIES,
+  DEFAULT_CATEGORY_RULES,
+  resolveEventCategory,
+  getCategoryIds
+} from './categoryRules.js'
+import { DEFAULT_EVENT_FILTERS, isEventIncluded } from './eventFilters.js'
+import {
+  getRuntimeTimeZone,
+  getDayOfWeek,
+  getDatesInRange,
+  getDayStart,
+  addDays,
+  parseCalendarTime,
+  getCalendarDatesBetween,
+  getEventDates
+} from './timezone.js'
+
+// Helper function to format date for API
+export function formatDate(date) {
+  // Use local date components to avoid timezone shifts
+  const year = date.getFullYear()
+  const month = String(date.getMonth() + 1).padStart(2, '0')
+  const day = String(date.getDate()).padStart(2, '0')
+  return `${year}-${month}-${day}`
+}
+
+// Helper function to turn a picked Date or a YYYY-MM-DD string into a YYYY-MM-DD string
+function toDateString(date) {
+  return typeof date === 'string' ? date.slice(0, 10) : formatDate(date)
+}
+
+// Helper function to check if date (a YYYY-MM-DD string or a Date) is weekend
+export function isWeekend(date) {
+  const day = getDayOfWeek(toDateString(date))
+  return day === 0 || day === 6 // Sunday = 0, Saturday = 6
+}
+
+// Helper function to get all calendar dates (YYYY-MM-DD) between two TeamUp times in a time zone
+// An end exactly at midnight is exclusive, so it doesn't add the day it starts.
+export function getDatesBetween(startDate, endDate, timeZone = getRuntimeTimeZone()) {
+  return getCalendarDatesBetween(startDate, endDate, timeZone)
+}
+
+// Utilization modes
+//   days:  each event fills the whole day, overlapping statuses split it evenly
+//   hours: each event fills the hours it covers against the workday length
+export const UTILIZATION_MODES = ['days', 'hours']
+export const DEFAULT_WORKDAY_HOURS = 8
+
+// Helper function to get the hours an event covers on a single date, capped at one workday
+// Days are measured in the calendar's time zone, so DST days are 23 or 25 hours long.
+export function getEventHoursOnDate(event, date, workdayHours = DEFAULT_WORKDAY_HOURS, timeZone = getRuntimeTimeZone()) {
+  if (event.all_day) return workdayHours
+
+  const dateStr = toDateString(date)
+  const dayStart = getDayStart(dateStr, timeZone)
+  const dayEnd = getDayStart(addDays(dateStr, 1), timeZone)
+
+  const overlapStart = Math.max(parseCalendarTime(event.start_dt, timeZone), dayStart)
+  const overlapEnd = Math.min(parseCalendarTime(event.end_dt, timeZone), dayEnd)
+  const hours = Math.max(0, overlapEnd - overlapStart) / (1000 * 60 * 60)
+
+  return Math.min(hours, workdayHours)
+}
+
+// Helper function to split a day between the categories of its entries
+// Returns { shares, hours, remainder } where shares are day fractions per category
+// and remainder is the part of the day no entry covers (always 0 in days mode)
+function getDayShares(entries, mode, workdayHours, fillWholeDay) {
+  const hours = {}
+  entries.forEach(entry => {
+    hours[entry.category] = (hours[entry.category] || 0) + entry.hours
+  })
+
+  const uniqueCategories = Object.keys(hours)
+  const totalHours = uniqueCategories.reduce((sum, category) => sum + hours[category], 0)
+  const shares = {}
+
+  // Days mode, or events without a duration - split the day evenly
+  if (mode !== 'hours' || totalHours === 0) {
+    uniqueCategories.forEach(category => {
+      shares[category] = 1 / uniqueCategories.length
+    })
+    return { shares, hours, remainder: 0 }
+  }
+
+  // Hours mode - a day is full once it reaches the workday length
+  const denominator = fillWholeDay ? totalHours : Math.max(workdayHours, totalHours)
+  uniqueCategories.forEach(category => {
+    shares[category] = hours[category] / denominator
+  })
+  return { shares, hours, remainder: 1 - totalHours / denominator }
+}
+
+// Calculate utilization for a single employee
+//   events:   the employee's TeamUp events
+//   range:    { startDate, endDate } as Date objects or YYYY-MM-DD strings, both inclusive
+//   holidays: events from the Holidays subcalendar
+//   options:  { creationDate, excludeFromUnknownDays, categories, rules, eventFilters, mode, workdayHours, timeZone }
+// Dates are worked out in timeZone, the TeamUp calendar's IANA zone (defaults to the runtime's zone).
+export function calculateEmployeeUtilization(events, range, holidays = [], options = {}) {
+  const { startDate, endDate } = range
+  const {
+    creationDate = null,
+    excludeFromUnknownDays = false,
+    categories = DEFAULT_CATEGORIES,
+    rules = DEFAULT_CATEGORY_RULES,
+    eventFilters = DEFAULT_EVENT_FILTERS,
+    mode = 'days',
+    workdayHours = DEFAULT_WORKDAY_HOURS,
+    timeZone = getRuntimeTimeZone()
+  } = options
+  const rangeStart = toDateString(startDate)
+  const rangeEnd = toDateString(endDate)
+  const dates = getDatesInRange(rangeStart, rangeEnd)
+  const categoryIds = [...new Set([...categories.map(category => category.id), ...BUILT_IN_CATEGORIES])]
+  const holidayOvertimeCategories = getCategoryIds(categories, 'overtimeOnHoliday')
+  const utilization = {
+    totalDays: dates.length,
+    weekdays: 0,
+    weekends: 0,
+    mode,
+    workdayHours,
+    categories: {}
+  }
+
+  // Track which specific dates are in each category
+  const categoryDates = {}
+
+  categoryIds.forEach(category => {
+    utilization.categories[category] = { weekdays: 0, weekends: 0, hours: 0 }
+    categoryDates[category] = new Set()
+  })
+
+  // Per-day breakdown explaining how each date was resolved
+  //   reason: before-creation, weekend, weekend-overtime, weekend-vacation, holiday,
+  //           holiday-vacation, holiday-overtime, holiday-warning, entry, split-day,
+  //           partial-day or no-entry
+  //   shares: day fraction per category the date counted towards
+  const dayDetails = {}
+
+  // Unknown fraction of weekdays that entries only partly cover (hours mode)
+  const partialUnknown = {}
+
+  // Track TeamUp statuses that no rule maps to a category
+  const unmappedStatuses = new Set()
+
+  // Track dates with non-working events on holidays (for warnings)
+  const holidayWarnings = []
+
+  // A date is before creation when it starts before the employee's subcalendar was created
+  const creationTime = creationDate ? parseCalendarTime(creationDate, timeZone) : null
+  const isBeforeCreationDate = (dateStr) => creationTime !== null && getDayStart(dateStr, timeZone) < creationTime
+
+  // Build set of holiday dates (skipping excluded events such as "Holiday Party")
+  const holidayDates = new Set()
+  holidays.forEach(event => {
+    if (!isEventIncluded(event, eventFilters)) {
+      return
+    }
+    
+    getEventDates(event, timeZone).forEach(dateStr => {
+      if (dateStr >= rangeStart && dateStr <= rangeEnd) {
+        holidayDates.add(dateStr)
+      }
+    })
+  })
+
+  // Initialize weekdays as unknown, weekends as 0 (we don't track unknown weekends)
+  dates.forEach(dateStr => {
+    const isWeekendDay = isWeekend(dateStr)
+    
+    // Skip dates before creation date for all calculations
+    const isBeforeCreation = isBeforeCreationDate(dateStr)
+    
+    dayDetails[dateStr] = {
+      date: dateStr,
+      isWeekend: isWeekendDay,
+      isHoliday: holidayDates.has(dateStr),
+      isBeforeCreation: !!isBeforeCreation,
+      reason: isBeforeCreation ? 'before-creation' : isWeekendDay ? 'weekend' : 'no-entry',
+      shares: isBeforeCreation || isWeekendDay ? {} : { unknown: 1 },
+      events: []
+    }
+    
+    // Only count days after the employee's creation date
+    if (!isBeforeCreation) {
+      if (isWeekendDay) {
+        utilization.weekends++
+        // Don't initialize weekends as unknown - we only care about weekday utilization
+      } else {
+        utilization.weekdays++
+        // Only count unknown days for employees who should be tracked
+        if (!excludeFromUnknownDays) {
+          utilization.categories.unknown.weekdays++
+          categoryDates.unknown.add(dateStr)
+        }
+      }
+    }
+  })
+  
+
+
+  // Group events by date to handle overlapping events
+  const eventsByDate = {}
+  
+  events.forEach(event => {
+    // Excluded events such as "Tech on Call" should not count towards utilization,
+    // but are still listed in the day details
+    const isIncluded = isEventIncluded(event, eventFilters)
+    
+    const { category, status, rule } = resolveEventCategory(event, rules, categories)
+    if (isIncluded && !rule && status !== 'unknown') {
+      unmappedStatuses.add(status)
+    }
+    const eventDates = getEventDates(event, timeZone)
+    
+    eventDates.forEach(dateStr => {
+      // Only count dates within our range
+      if (dateStr >= rangeStart && dateStr <= rangeEnd) {
+        const hours = getEventHoursOnDate(event, dateStr, workdayHours, timeZone)
+        dayDetails[dateStr]?.events.push({
+          id: event.id,
+          title: event.title || '',
+          status,
+          category,
+          hours,
+          excluded: !isIncluded
+        })
+        
+        if (!isIncluded) {
+          return // Skip this event entirely
+        }
+        if (!eventsByDate[dateStr]) {
+          eventsByDate[dateStr] = []
+        }
+        eventsByDate[dateStr].push({ category, hours })
+      }
+    })
+  })
+
+  // Process events by date, handling overlaps
+  Object.keys(eventsByDate).forEach(dateStr => {
+    const isWeekendDay = isWeekend(dateStr)
+    const isHoliday = holidayDates.has(dateStr)
+    const entries = eventsByDate[dateStr]
+    
+    // Skip events before the employee's creation date
+    const isBeforeCreation = isBeforeCreationDate(dateStr)
+    if (isBeforeCreation) {
+      return
+    }
+    
+    // Get unique statuses for this date and how the day splits between them
+    const uniqueStatuses = [...new Set(entries.map(entry => entry.category))]
+    const statusCount = uniqueStatuses.length
+    const { shares, hours, remainder } = getDayShares(entries, mode, workdayHours, excludeFromUnknownDays)
+    const totalHours = uniqueStatuses.reduce((sum, status) => sum + hours[status], 0)
+    
+    if (isWeekendDay) {
+      // Check if vacation is present - vacation should not count as overtime
+      const hasVacation = uniqueStatuses.includes('vacation')
+      
+      if (hasVacation) {
+        // Vacation on weekend - count as vacation, not overtime
+        // Remove from unknown if applicable
+        if (!excludeFromUnknownDays && utilization.categories.unknown.weekdays > 0) {
+          utilization.categories.unknown.weekdays--
+          categoryDates.unknown.delete(dateStr)
+        }
+        
+        // Count as vacation (weekends) - if multiple statuses, split the day
+        // Other statuses on weekend with vacation are ignored (only vacation counts)
+        utilization.categories.vacation.weekends += shares.vacation
+        utilization.categories.vacation.hours += hours.vacation
+        categoryDates.vacation.add(dateStr)
+        dayDetails[dateStr].reason = 'weekend-vacation'
+        dayDetails[dateStr].shares = { vacation: shares.vacation }
+      } else {
+        // No vacation - weekend events go to overtime category
+        utilization.categories.overtime.weekends += 1 - remainder
+        utilization.categories.overtime.hours += totalHours
+        categoryDates.overtime.add(dateStr)
+        dayDetails[dateStr].reason = 'weekend-overtime'
+        dayDetails[dateStr].shares = { overtime: 1 - remainder }
+      }
+    } else {
+      // If it's a holiday AND has other events
+      if (isHoliday && statusCount > 0) {
+        // Check if vacation is present - vacation on holiday should count as holiday, not vacation
+        const hasVacation = uniqueStatuses.includes('vacation')
+        
+        if (hasVacation) {
+          // Vacation on holiday - count as holiday, ignore vacation
+          // Count as holiday (ignore the vacation status)
+          utilization.categories.holiday.weekdays += 1
+          categoryDates.holiday.add(dateStr)
+          dayDetails[dateStr].reason = 'holiday-vacation'
+          dayDetails[dateStr].shares = { holiday: 1 }
+          // Remove from unknown AFTER adding to holiday
+          if (!excludeFromUnknownDays) {
+            categoryDates.unknown.delete(dateStr)
+          }
+        } else {
+          // Check if any status is a working category such as "field" or "office"
+          const hasHolidayWork = uniqueStatuses.some(status => holidayOvertimeCategories.includes(status))
+          
+          if (hasHolidayWork) {
+            // Count as overtime (working on holiday)
+            utilization.categories.overtime.weekdays += 1 - remainder
+            utilization.categories.overtime.hours += totalHours
+            categoryDates.overtime.add(dateStr)
+            dayDetails[dateStr].reason = 'holiday-overtime'
+            dayDetails[dateStr].shares = { overtime: 1 - remainder }
+            // The rest of a partly worked holiday is still a holiday
+            if (remainder > 0) {
+              utilization.categories.holiday.weekdays += remainder
+              categoryDates.holiday.add(dateStr)
+              dayDetails[dateStr].shares.holiday = remainder
+            }
+            // Remove from unknown AFTER adding to overtime
+            if (!excludeFromUnknownDays) {
+              categoryDates.unknown.delete(dateStr)
+            }
+          } else {
+            // Non-working event on holiday - don't count it, leave as unknown, but track for warning
+            // Don't remove from unknown - we're not counting this day
+            holidayWarnings.push({
+              date: dateStr,
+              statuses: uniqueStatuses
+            })
+            dayDetails[dateStr].reason = 'holiday-warning'
+            dayDetails[dateStr].shares = { unknown: 1 }
+            
+            // Don't add to any category - it stays as unknown
+          }
+        }
+      } else if (isHoliday) {
+        // Holiday only - count as holiday
+        utilization.categories.holiday.weekdays += 1
+        categoryDates.holiday.add(dateStr)
+        dayDetails[dateStr].reason = 'holiday'
+        dayDetails[dateStr].shares = { holiday: 1 }
+        // Remove from unknown AFTER adding to holiday
+        if (!excludeFromUnknownDays) {
+          categoryDates.unknown.delete(dateStr)
+        }
+      } else if (statusCount > 0) {
+        // Regular event processing
+        uniqueStatuses.forEach(status => {
+          // Track the date in this category
+          categoryDates[status].add(dateStr)
+          utilization.categories[status].weekdays += shares[status]
+          utilization.categories[status].hours += hours[status]
+        })
+        
+        // Remove from unknown AFTER adding to the appropriate category,
+        // unless part of the day is uncovered or has no known status
+        const unknownShare = remainder + (shares.unknown || 0)
+        dayDetails[dateStr].reason = remainder > 0 ? 'partial-day' : statusCount > 1 ? 'split-day' : 'entry'
+        dayDetails[dateStr].shares = { ...shares }
+        delete dayDetails[dateStr].shares.unknown
+        if (unknownShare > 0) {
+          categoryDates.unknown.add(dateStr)
+          partialUnknown[dateStr] = unknownShare
+          dayDetails[dateStr].shares.unknown = unknownShare
+        } else if (!excludeFromUnknownDays) {
+          categoryDates.unknown.delete(dateStr)
+        }
+      }
+    }
+  })
+
+  // Process holidays that don't have any employee events
+  holidayDates.forEach(dateStr => {
+    const isWeekendDay = isWeekend(dateStr)
+    const isBeforeCreation = isBeforeCreationDate(dateStr)
+    
+    if (isBeforeCreation || isWeekendDay) {
+      return
+    }
+    
+    // Only add if not already processed (no employee events on this date)
+    if (!eventsByDate[dateStr]) {
+      // Add as holiday (only if not already counted as overtime)
+      if (!categoryDates.overtime.has(dateStr) && !categoryDates.holiday.has(dateStr)) {
+        utilization.categories.holiday.weekdays += 1
+        categoryDates.holiday.add(dateStr)
+        dayDetails[dateStr].reason = 'holiday'
+        dayDetails[dateStr].shares = { holiday: 1 }
+        // Remove from unknown AFTER adding to holiday
+        if (!excludeFromUnknownDays) {
+          categoryDates.unknown.delete(dateStr)
+        }
+      }
+    }
+  })
+
+  // Ensure unknown days is never negative
+  utilization.categories.unknown.weekdays = Math.max(0, utilization.categories.unknown.weekdays)
+
+  // Build set of all dates that have been assigned to any category (including unknown)
+  const assignedDates = new Set()
+  Object.keys(categoryDates).forEach(category => {
+    categoryDates[category].forEach(dateStr => {
+      assignedDates.add(dateStr)
+    })
+  })
+
+  // Also add dates from holiday warnings (these are intentionally not counted)
+  holidayWarnings.forEach(warning => {
+    assignedDates.add(warning.date)
+  })
+
+  // Find expected weekday dates that aren't assigned to any category
+  const unaccountedDates = []
+  dates.forEach(dateStr => {
+    const isWeekendDay = isWeekend(dateStr)
+    const isBeforeCreation = isBeforeCreationDate(dateStr)
+    
+    if (!isBeforeCreation && !isWeekendDay) {
+      // Check if this date is in any category (including unknown)
+      // If not, it's unaccounted for
+      if (!assignedDates.has(dateStr)) {
+        unaccountedDates.push(dateStr)
+        // Add to unknown category dates
+        categoryDates.unknown.add(dateStr)
+      }
+    }
+  })
+
+  // Ensure the unknown count matches the dates in the Set, counting partly covered days by their uncovered fraction
+  utilization.categories.unknown.weekdays = Array.from(categoryDates.unknown).reduce(
+    (sum, dateStr) => sum + (partialUnknown[dateStr] ?? 1),
+    0
+  )
+
+  // Validate that all weekday categories add up to total weekdays
+  const totalWeekdayCategories = categoryIds.reduce(
+    (sum, category) => sum + utilization.categories[category].weekdays,
+    0
+  )
+
+  const difference = Math.abs(totalWeekdayCategories - utilization.weekdays)
+  
+  // Create validation info object
+  const validationInfo = {
+    isValid: difference <= 0.01,
+    difference: difference,
+    totalWeekdayCategories: totalWeekdayCategories,
+    expectedWeekdays: utilization.weekdays,
+    unaccountedDates: unaccountedDates.sort(),
+    categoryBreakdown: Object.fromEntries(
+      categoryIds.map(category => [category, utilization.categories[category].weekdays])
+    )
+  }
+
+  // Convert Sets to sorted arrays
+  const categoryDatesArrays = {}
+  Object.keys(categoryDates).forEach(category => {
+    categoryDatesArrays[category] = Array.from(categoryDates[category]).sort()
+  })
+
+  // Combine unknown dates from categoryDates with unaccounted dates
+  // Unaccounted dates are weekdays that weren't assigned to any category
+  const allUnknownDates = new Set(categoryDatesArrays.unknown)
+  unaccountedDates.forEach(dateStr => {
+    allUnknownDates.add(dateStr)
+  })
+
+  return { 
+    utilization, 
+    validationInfo, 
+    unknownDates: Array.from(allUnknownDates).sort(),
+    categoryDates: categoryDatesArrays,
+    holidayWarnings: holidayWarnings.sort((a, b) => a.date.localeCompare(b.date)),
+    unmappedStatuses: Array.from(unmappedStatuses).sort(),
+    days: Object.values(dayDetails)
+  }
+}
+
+
+// Summarize utilized days and percentages from a calculated utilization
+export function summarizeUtilization(utilization, isExcludedFromUtilization = false, categories = DEFAULT_CATEGORIES) {
+  // For excluded employees, only categories flagged for support staff count as utilized
+  const utilizedCategories = getCategoryIds(categories, isExcludedFromUtilization ? 'supportUtilized' : 'utilized')
+  const weekdayUtilized = utilizedCategories.reduce(
+    (sum, category) => sum + (utilization.categories[category]?.weekdays || 0),
+    0
+  )
+  // Weekend work is tracked as overtime; excluded employees get no overtime
+  const weekendUtilized = isExcludedFromUtilization ? 0 : utilization.categories.overtime.weekends
+
+  // Hours logged in utilized categories, including weekend and holiday overtime
+  const utilizedHours = utilizedCategories.reduce(
+    (sum, category) => sum + (utilization.categories[category]?.hours || 0),
+    isExcludedFromUtilization ? 0 : utilization.categories.overtime.hours
+  )
+  const availableHours = utilization.weekdays * (utilization.workdayHours || DEFAULT_WORKDAY_HOURS)
+  
+  const weekdayTotal = utilization.weekdays
+  const weekdayUtilizationPercentage = weekdayTotal > 0 ? (weekdayUtilized / weekdayTotal * 100).toFixed(1) : '0.0'
+  
+  const weekendTotal = utilization.weekends
+  const weekendUtilizationPercentage = weekendTotal > 0 ? (weekendUtilized / weekendTotal * 100).toFixed(1) : '0.0'
+  
+  return {
+    weekdayUtilized,
+    weekdayTotal,
+    weekdayUtilizationPercentage,
+    weekendUtilized,
+    weekendTotal,
+    weekendUtilizationPercentage,
+    utilizedHours,
+    availableHours,
+    // Legacy total for backward compatibility
+    totalUtilized: weekdayUtilized + weekendUtilized,
+    utilizationPercentage: ((weekdayUtilized + weekendUtilized) / utilization.totalDays * 100).toFixed(1)
+  }
+}
@@ -0,0 +1,603 @@
+import { describe, it, expect } from 'vitest'
+import {
+  calculateEmployeeUtilization,
+  summarizeUtilization,
+  getDatesBetween,
+  getEventHoursOnDate
+} from './utilization'
+import { DEFAULT_CATEGORIES, DEFAULT_CATEGORY_RULES } from './categoryRules'
+
+// Monday 2025-01-06 through Friday 2025-01-10
+const WORK_WEEK = { startDate: new Date(2025, 0, 6), endDate: new Date(2025, 0, 10) }
+// Monday 2025-01-06 through Sunday 2025-01-12
+const FULL_WEEK = { startDate: new Date(2025, 0, 6), endDate: new Date(2025, 0, 12) }
+
+function event(status, start, end = start, title = '') {
+  return {
+    title,
+    start_dt: `${start}T09:00:00`,
+    end_dt: `${end}T17:00:00`,
+    custom: status ? { status: [status] } : {},
+    subcalendar_ids: [1]
+  }
+}
+
+function timedEvent(status, start, end) {
+  return {
+    title: '',
+    start_dt: start,
+    end_dt: end,
+    all_day: false,
+    custom: { status: [status] },
+    subcalendar_ids: [1]
+  }
+}
+
+function holiday(date, title = 'New Holiday') {
+  return {
+    title,
+    start_dt: `${date}T00:00:00`,
+    end_dt: `${date}T23:59:00`,
+    subcalendar_ids: [2]
+  }
+}
+
+describe('date helpers', () => {
+  it('lists every calendar date an event touches', () => {
+    const dates = getDatesBetween('2025-01-06T22:00:00', '2025-01-08T01:00:00')
+    expect(dates).toEqual(['2025-01-06', '2025-01-07', '2025-01-08'])
+  })
+
+  it('does not count the day an event ends at midnight', () => {
+    expect(getDatesBetween('2025-01-06T22:00:00', '2025-01-07T00:00:00')).toEqual(['2025-01-06'])
+  })
+})
+
+describe('getEventHoursOnDate', () => {
+  it('counts the hours a timed event covers on the date', () => {
+    const visit = timedEvent('office', '2025-01-06T10:00:00', '2025-01-06T12:30:00')
+
+    expect(getEventHoursOnDate(visit, new Date(2025, 0, 6))).toBe(2.5)
+  })
+
+  it('counts all-day events as a full workday', () => {
+    expect(getEventHoursOnDate({ ...event('field', '2025-01-06'), all_day: true }, new Date(2025, 0, 6), 7.5)).toBe(7.5)
+  })
+
+  it('caps each date of a multi-day event at one workday', () => {
+    const trip = timedEvent('field', '2025-01-06T18:00:00', '2025-01-08T10:00:00')
+
+    expect(getEventHoursOnDate(trip, new Date(2025, 0, 6))).toBe(6)
+    expect(getEventHoursOnDate(trip, new Date(2025, 0, 7))).toBe(8)
+    expect(getEventHoursOnDate(trip, new Date(2025, 0, 8))).toBe(8)
+  })
+})
+
+describe('calculateEmployeeUtilization', () => {
+  it('marks every weekday without events as unknown', () => {
+    const { utilization, unknownDates, validationInfo } = calculateEmployeeUtilization([], WORK_WEEK)
+
+    expect(utilization.weekdays).toBe(5)
+    expect(utilization.weekends).toBe(0)
+    expect(utilization.categories.unknown.weekdays).toBe(5)
+    expect(unknownDates).toEqual(['2025-01-06', '2025-01-07', '2025-01-08', '2025-01-09', '2025-01-10'])
+    expect(validationInfo.isValid).toBe(true)
+  })
+
+  it('counts multi-day events on each weekday they cover', () => {
+    const { utilization, categoryDates } = calculateEmployeeUtilization(
+      [event('field', '2025-01-06', '2025-01-07')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories.field.weekdays).toBe(2)
+    expect(utilization.categories.unknown.weekdays).toBe(3)
+    expect(categoryDates.field).toEqual(['2025-01-06', '2025-01-07'])
+  })
+
+  it('ignores event dates outside the range', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [event('field', '2025-01-02', '2025-01-06')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories.field.weekdays).toBe(1)
+  })
+
+  it('splits a day evenly between overlapping statuses', () => {
+    const { utilization, categoryDates, validationInfo } = calculateEmployeeUtilization(
+      [event('field', '2025-01-08'), event('office', '2025-01-08')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories.field.weekdays).toBe(0.5)
+    expect(utilization.categories.office.weekdays).toBe(0.5)
+    expect(categoryDates.field).toEqual(['2025-01-08'])
+    expect(categoryDates.office).toEqual(['2025-01-08'])
+    expect(validationInfo.isValid).toBe(true)
+  })
+
+  it('counts a duplicated status once', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [event('office', '2025-01-08'), event('Office', '2025-01-08')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories.office.weekdays).toBe(1)
+  })
+
+  it('maps status variations through the category rules', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [event('WFH', '2025-01-06'), event('Work_From-Home', '2025-01-07')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories['work from home'].weekdays).toBe(2)
+  })
+
+  it('leaves statuses without a rule unknown and reports them', () => {
+    const { utilization, unknownDates, unmappedStatuses } = calculateEmployeeUtilization(
+      [event('Jury Duty', '2025-01-08'), event(null, '2025-01-09')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories['jury duty']).toBeUndefined()
+    expect(utilization.categories.unknown.weekdays).toBe(5)
+    expect(unknownDates).toContain('2025-01-08')
+    expect(unmappedStatuses).toEqual(['jury duty'])
+  })
+
+  it('uses configured categories and rules', () => {
+    const categories = [
+      ...DEFAULT_CATEGORIES,
+      { id: 'training', label: 'Training', color: '#000000', utilized: false }
+    ]
+    const rules = [
+      { type: 'title', value: 'Training', category: 'training' },
+      { type: 'status', value: 'jury duty', category: 'sick' },
+      ...DEFAULT_CATEGORY_RULES
+    ]
+    const { utilization, unmappedStatuses } = calculateEmployeeUtilization(
+      [event('office', '2025-01-06', '2025-01-06', 'Forklift training'), event('Jury Duty', '2025-01-07')],
+      WORK_WEEK,
+      [],
+      { categories, rules }
+    )
+
+    expect(utilization.categories.training.weekdays).toBe(1)
+    expect(utilization.categories.office.weekdays).toBe(0)
+    expect(utilization.categories.sick.weekdays).toBe(1)
+    expect(unmappedStatuses).toEqual([])
+  })
+
+  it('skips Tech on Call events', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [event('field', '2025-01-08', '2025-01-08', 'Tech on Call')],
+      WORK_WEEK
+    )
+
+    expect(utilization.categories.field.weekdays).toBe(0)
+    expect(utilization.categories.unknown.weekdays).toBe(5)
+  })
+
+  it('applies configured event filters to employee and holiday events', () => {
+    const eventFilters = [{ pattern: 'training', matchType: 'substring', action: 'exclude', subcalendarId: null }]
+    const { utilization } = calculateEmployeeUtilization(
+      [event('office', '2025-01-06', '2025-01-06', 'Safety Training'), event('field', '2025-01-07', '2025-01-07', 'Tech on Call')],
+      WORK_WEEK,
+      [holiday('2025-01-08', 'Training day off')],
+      { eventFilters }
+    )
+
+    expect(utilization.categories.office.weekdays).toBe(0)
+    expect(utilization.categories.field.weekdays).toBe(1)
+    expect(utilization.categories.holiday.weekdays).toBe(0)
+  })
+
+  describe('weekends', () => {
+    it('counts weekend work as overtime', () => {
+      const { utilization, categoryDates } = calculateEmployeeUtilization(
+        [event('field', '2025-01-11')],
+        FULL_WEEK
+      )
+
+      expect(utilization.weekends).toBe(2)
+      expect(utilization.categories.overtime.weekends).toBe(1)
+      expect(utilization.categories.field.weekends).toBe(0)
+      expect(categoryDates.overtime).toEqual(['2025-01-11'])
+    })
+
+    it('counts vacation on a weekend as vacation, not overtime', () => {
+      const { utilization, categoryDates } = calculateEmployeeUtilization(
+        [event('vacation', '2025-01-11'), event('field', '2025-01-11')],
+        FULL_WEEK
+      )
+
+      expect(utilization.categories.vacation.weekends).toBe(0.5)
+      expect(utilization.categories.overtime.weekends).toBe(0)
+      expect(categoryDates.vacation).toEqual(['2025-01-11'])
+      expect(utilization.categories.unknown.weekdays).toBe(5)
+    })
+  })
+
+  describe('holidays', () => {
+    it('counts a holiday with no employee events as a holiday', () => {
+      const { utilization, categoryDates, unknownDates } = calculateEmployeeUtilization(
+        [],
+        WORK_WEEK,
+        [holiday('2025-01-08')]
+      )
+
+      expect(utilization.categories.holiday.weekdays).toBe(1)
+      expect(utilization.categories.unknown.weekdays).toBe(4)
+      expect(categoryDates.holiday).toEqual(['2025-01-08'])
+      expect(unknownDates).not.toContain('2025-01-08')
+    })
+
+    it('ignores Holiday Party events on the holidays calendar', () => {
+      const { utilization } = calculateEmployeeUtilization(
+        [],
+        WORK_WEEK,
+        [holiday('2025-01-08', 'Holiday Party')]
+      )
+
+      expect(utilization.categories.holiday.weekdays).toBe(0)
+      expect(utilization.categories.unknown.weekdays).toBe(5)
+    })
+
+    it('ignores holidays that fall on a weekend', () => {
+      const { utilization } = calculateEmployeeUtilization(
+        [],
+        FULL_WEEK,
+        [holiday('2025-01-11')]
+      )
+
+      expect(utilization.categories.holiday.weekdays).toBe(0)
+      expect(utilization.categories.holiday.weekends).toBe(0)
+    })
+
+    it('counts vacation on a holiday as a holiday', () => {
+      const { utilization, categoryDates } = calculateEmployeeUtilization(
+        [event('vacation', '2025-01-08')],
+        WORK_WEEK,
+        [holiday('2025-01-08')]
+      )
+
+      expect(utilization.categories.holiday.weekdays).toBe(1)
+      expect(utilization.categories.vacation.weekdays).toBe(0)
+      expect(categoryDates.vacation).toEqual([])
+    })
+
+    it('counts field or office work on a holiday as overtime', () => {
+      const { utilization, categoryDates } = calculateEmployeeUtilization(
+        [event('field', '2025-01-08')],
+        WORK_WEEK,
+        [holiday('2025-01-08')]
+      )
+
+      expect(utilization.categories.overtime.weekdays).toBe(1)
+      expect(utilization.categories.field.weekdays).toBe(0)
+      expect(utilization.categories.holiday.weekdays).toBe(0)
+      expect(categoryDates.overtime).toEqual(['2025-01-08'])
+    })
+
+    it('warns about other statuses on a holiday and leaves the day unknown', () => {
+      const { utilization, holidayWarnings, unknownDates } = calculateEmployeeUtilization(
+        [event('sick', '2025-01-08')],
+        WORK_WEEK,
+        [holiday('2025-01-08')]
+      )
+
+      expect(holidayWarnings).toEqual([{ date: '2025-01-08', statuses: ['sick'] }])
+      expect(utilization.categories.sick.weekdays).toBe(0)
+      expect(utilization.categories.holiday.weekdays).toBe(0)
+      expect(unknownDates).toContain('2025-01-08')
+    })
+  })
+
+  describe('creation date', () => {
+    it('ignores days before the employee was created', () => {
+      const { utilization, unknownDates } = calculateEmployeeUtilization(
+        [event('field', '2025-01-06'), event('office', '2025-01-09')],
+        WORK_WEEK,
+        [holiday('2025-01-07')],
+        { creationDate: '2025-01-08T00:00:00' }
+      )
+
+      expect(utilization.totalDays).toBe(5)
+      expect(utilization.weekdays).toBe(3)
+      expect(utilization.categories.field.weekdays).toBe(0)
+      expect(utilization.categories.holiday.weekdays).toBe(0)
+      expect(utilization.categories.office.weekdays).toBe(1)
+      expect(unknownDates).toEqual(['2025-01-08', '2025-01-10'])
+    })
+  })
+
+  describe('unaccounted dates', () => {
+    it('reports empty weekdays as unaccounted when unknown tracking is off', () => {
+      const { utilization, validationInfo, unknownDates } = calculateEmployeeUtilization(
+        [event('work from home', '2025-01-06', '2025-01-08')],
+        WORK_WEEK,
+        [],
+        { excludeFromUnknownDays: true }
+      )
+
+      expect(validationInfo.unaccountedDates).toEqual(['2025-01-09', '2025-01-10'])
+      expect(unknownDates).toEqual(['2025-01-09', '2025-01-10'])
+      expect(utilization.categories.unknown.weekdays).toBe(2)
+      expect(validationInfo.isValid).toBe(true)
+    })
+
+    it('has no unaccounted dates when unknown tracking is on', () => {
+      const { validationInfo } = calculateEmployeeUtilization([], WORK_WEEK)
+
+      expect(validationInfo.unaccountedDates).toEqual([])
+    })
+  })
+})
+
+describe('calculateEmployeeUtilization day details', () => {
+  function dayOf(result, date) {
+    return result.days.find(day => day.date === date)
+  }
+
+  it('explains how each date was resolved', () => {
+    const result = calculateEmployeeUtilization(
+      [
+        event('field', '2025-01-06'),
+        event('field', '2025-01-07'),
+        event('office', '2025-01-07'),
+        event('field', '2025-01-09'),
+        event('field', '2025-01-11')
+      ],
+      FULL_WEEK,
+      [holiday('2025-01-08'), holiday('2025-01-09')]
+    )
+
+    expect(result.days).toHaveLength(7)
+    expect(dayOf(result, '2025-01-06')).toMatchObject({ reason: 'entry', shares: { field: 1 } })
+    expect(dayOf(result, '2025-01-07')).toMatchObject({ reason: 'split-day', shares: { field: 0.5, office: 0.5 } })
+    expect(dayOf(result, '2025-01-08')).toMatchObject({ reason: 'holiday', isHoliday: true, shares: { holiday: 1 } })
+    expect(dayOf(result, '2025-01-09')).toMatchObject({ reason: 'holiday-overtime', shares: { overtime: 1 } })
+    expect(dayOf(result, '2025-01-10')).toMatchObject({ reason: 'no-entry', shares: { unknown: 1 } })
+    expect(dayOf(result, '2025-01-11')).toMatchObject({ reason: 'weekend-overtime', isWeekend: true })
+    expect(dayOf(result, '2025-01-12')).toMatchObject({ reason: 'weekend', shares: {} })
+  })
+
+  it('lists the underlying events, including excluded ones', () => {
+    const result = calculateEmployeeUtilization(
+      [
+        { ...event('field', '2025-01-06', '2025-01-06', 'Site visit'), id: 1 },
+        { ...event('field', '2025-01-06', '2025-01-06', 'Tech on Call'), id: 2 }
+      ],
+      WORK_WEEK
+    )
+
+    expect(dayOf(result, '2025-01-06').events).toEqual([
+      { id: 1, title: 'Site visit', status: 'field', category: 'field', hours: 8, excluded: false },
+      { id: 2, title: 'Tech on Call', status: 'field', category: 'field', hours: 8, excluded: true }
+    ])
+  })
+
+  it('marks dates before the creation date', () => {
+    const result = calculateEmployeeUtilization(
+      [event('field', '2025-01-06')],
+      WORK_WEEK,
+      [],
+      { creationDate: '2025-01-07T00:00:00' }
+    )
+
+    expect(dayOf(result, '2025-01-06')).toMatchObject({ reason: 'before-creation', isBeforeCreation: true, shares: {} })
+  })
+
+  it('marks partly covered days in hours mode', () => {
+    const result = calculateEmployeeUtilization(
+      [timedEvent('office', '2025-01-06T09:00:00', '2025-01-06T11:00:00')],
+      WORK_WEEK,
+      [],
+      { mode: 'hours' }
+    )
+
+    expect(dayOf(result, '2025-01-06')).toMatchObject({ reason: 'partial-day', shares: { office: 0.25, unknown: 0.75 } })
+  })
+})
+
+describe('calculateEmployeeUtilization in hours mode', () => {
+  const HOURS = { mode: 'hours', workdayHours: 8 }
+
+  it('counts a partial day by the hours it covers and leaves the rest unknown', () => {
+    const { utilization, unknownDates, validationInfo } = calculateEmployeeUtilization(
+      [timedEvent('office', '2025-01-06T09:00:00', '2025-01-06T11:00:00')],
+      WORK_WEEK,
+      [],
+      HOURS
+    )
+
+    expect(utilization.categories.office.weekdays).toBe(0.25)
+    expect(utilization.categories.office.hours).toBe(2)
+    expect(utilization.categories.unknown.weekdays).toBe(4.75)
+    expect(unknownDates).toContain('2025-01-06')
+    expect(validationInfo.isValid).toBe(true)
+  })
+
+  it('splits overlapping statuses by hours instead of evenly', () => {
+    const { utilization, unknownDates } = calculateEmployeeUtilization(
+      [
+        timedEvent('office', '2025-01-06T08:00:00', '2025-01-06T10:00:00'),
+        timedEvent('field', '2025-01-06T10:00:00', '2025-01-06T16:00:00')
+      ],
+      WORK_WEEK,
+      [],
+      HOURS
+    )
+
+    expect(utilization.categories.office.weekdays).toBe(0.25)
+    expect(utilization.categories.field.weekdays).toBe(0.75)
+    expect(unknownDates).not.toContain('2025-01-06')
+  })
+
+  it('scales down days with more hours than a workday', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [
+        timedEvent('office', '2025-01-06T06:00:00', '2025-01-06T12:00:00'),
+        timedEvent('field', '2025-01-06T12:00:00', '2025-01-06T18:00:00')
+      ],
+      WORK_WEEK,
+      [],
+      HOURS
+    )
+
+    expect(utilization.categories.office.weekdays).toBe(0.5)
+    expect(utilization.categories.field.weekdays).toBe(0.5)
+    expect(utilization.categories.field.hours).toBe(6)
+  })
+
+  it('counts partial weekend work as fractional overtime', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [timedEvent('field', '2025-01-11T08:00:00', '2025-01-11T12:00:00')],
+      FULL_WEEK,
+      [],
+      HOURS
+    )
+
+    expect(utilization.categories.overtime.weekends).toBe(0.5)
+    expect(utilization.categories.overtime.hours).toBe(4)
+  })
+
+  it('keeps the unworked part of a holiday as holiday', () => {
+    const { utilization, validationInfo } = calculateEmployeeUtilization(
+      [timedEvent('field', '2025-01-08T08:00:00', '2025-01-08T10:00:00')],
+      WORK_WEEK,
+      [holiday('2025-01-08')],
+      HOURS
+    )
+
+    expect(utilization.categories.overtime.weekdays).toBe(0.25)
+    expect(utilization.categories.holiday.weekdays).toBe(0.75)
+    expect(validationInfo.isValid).toBe(true)
+  })
+
+  it('fills the whole day for staff excluded from unknown tracking', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [timedEvent('wfh', '2025-01-06T09:00:00', '2025-01-06T11:00:00')],
+      WORK_WEEK,
+      [],
+      { ...HOURS, excludeFromUnknownDays: true }
+    )
+
+    expect(utilization.categories['work from home'].weekdays).toBe(1)
+  })
+
+  it('reports utilized and available hours', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [
+        timedEvent('office', '2025-01-06T09:00:00', '2025-01-06T13:00:00'),
+        timedEvent('field', '2025-01-11T08:00:00', '2025-01-11T10:00:00')
+      ],
+      FULL_WEEK,
+      [],
+      HOURS
+    )
+    const summary = summarizeUtilization(utilization)
+
+    expect(summary.utilizedHours).toBe(6)
+    expect(summary.availableHours).toBe(40)
+    expect(summary.weekdayUtilizationPercentage).toBe('10.0')
+  })
+})
+
+describe('calculateEmployeeUtilization in the calendar time zone', () => {
+  it('puts events on the date they fall on in the calendar zone', () => {
+    const call = timedEvent('field', '2025-01-07T03:00:00Z', '2025-01-07T05:00:00Z')
+
+    expect(calculateEmployeeUtilization([call], WORK_WEEK, [], { timeZone: 'America/Chicago' }).categoryDates.field).toEqual(['2025-01-06'])
+    expect(calculateEmployeeUtilization([call], WORK_WEEK, [], { timeZone: 'UTC' }).categoryDates.field).toEqual(['2025-01-07'])
+  })
+
+  it('counts the real hours of events across DST changes', () => {
+    const springForward = timedEvent('field', '2025-03-09T00:00:00', '2025-03-09T06:00:00')
+    const wholeDay = timedEvent('field', '2025-11-02T00:00:00', '2025-11-03T00:00:00')
+
+    expect(getEventHoursOnDate(springForward, '2025-03-09', 8, 'America/New_York')).toBe(5)
+    expect(getEventHoursOnDate(wholeDay, '2025-11-02', 30, 'America/New_York')).toBe(25)
+    expect(getEventHoursOnDate(wholeDay, '2025-11-03', 30, 'America/New_York')).toBe(0)
+  })
+
+  it('counts weekend overtime hours on the day clocks go back', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [timedEvent('field', '2025-11-02T00:00:00', '2025-11-02T06:00:00')],
+      { startDate: '2025-11-02', endDate: '2025-11-02' },
+      [],
+      { mode: 'hours', timeZone: 'America/New_York' }
+    )
+
+    expect(utilization.weekends).toBe(1)
+    expect(utilization.categories.overtime.hours).toBe(7)
+  })
+
+  it('compares the creation date against each day\'s start in the calendar zone', () => {
+    const options = { creationDate: '2025-01-07T00:00:00Z' }
+
+    expect(calculateEmployeeUtilization([], WORK_WEEK, [], { ...options, timeZone: 'UTC' }).utilization.weekdays).toBe(4)
+    expect(calculateEmployeeUtilization([], WORK_WEEK, [], { ...options, timeZone: 'Asia/Tokyo' }).utilization.weekdays).toBe(3)
+  })
+})
+
+describe('summarizeUtilization', () => {
+  it('counts field, office and work from home as utilized', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [
+        event('field', '2025-01-06'),
+        event('office', '2025-01-07'),
+        event('wfh', '2025-01-08'),
+        event('vacation', '2025-01-09'),
+        event('field', '2025-01-11')
+      ],
+      FULL_WEEK
+    )
+    const summary = summarizeUtilization(utilization)
+
+    expect(summary.weekdayUtilized).toBe(3)
+    expect(summary.weekdayTotal).toBe(5)
+    expect(summary.weekdayUtilizationPercentage).toBe('60.0')
+    expect(summary.weekendUtilized).toBe(1)
+    expect(summary.weekendUtilizationPercentage).toBe('50.0')
+  })
+
+  it('counts whichever categories are flagged as utilized', () => {
+    const categories = DEFAULT_CATEGORIES.map(category =>
+      category.id === 'office' ? { ...category, utilized: false } : category
+    )
+    const { utilization } = calculateEmployeeUtilization(
+      [event('field', '2025-01-06'), event('office', '2025-01-07')],
+      WORK_WEEK,
+      [],
+      { categories }
+    )
+
+    expect(summarizeUtilization(utilization, false, categories).weekdayUtilized).toBe(1)
+  })
+
+  it('only counts work from home for staff excluded from utilization', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [event('field', '2025-01-06'), event('wfh', '2025-01-07'), event('field', '2025-01-11')],
+      FULL_WEEK,
+      [],
+      { excludeFromUnknownDays: true }
+    )
+    const summary = summarizeUtilization(utilization, true)
+
+    expect(summary.weekdayUtilized).toBe(1)
+    expect(summary.weekendUtilized).toBe(0)
+    expect(summary.weekdayUtilizationPercentage).toBe('20.0')
+  })
+
+  it('reports zero percent for ranges without weekdays', () => {
+    const { utilization } = calculateEmployeeUtilization(
+      [],
+      { startDate: new Date(2025, 0, 11), endDate: new Date(2025, 0, 12) }
+    )
+
+    expect(summarizeUtilization(utilization).weekdayUtilizationPercentage).toBe('0.0')
+  })
+})
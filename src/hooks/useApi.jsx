@@ -1,66 +1,55 @@
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
-import { useAuth } from '../auth/useAuth'
+import { useQuery, useQueries, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useMemo } from 'react'
+import { useMsal } from '@azure/msal-react'
+import { createApiClient } from '../auth/apiClient'
+import { apiScopes } from '../auth/authConfig'
 
 // Base API configuration
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000/api'
-const TEAMUP_API_KEY = import.meta.env.VITE_TEAMUP_API_KEY
-const TEAMUP_CALENDAR_KEY = import.meta.env.VITE_TEAMUP_CALENDAR_KEY
+// TeamUp calls go through the /api/teamup proxy so the TeamUp key stays on the server
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api'
 
-// Helper function to make authenticated API calls
-async function fetchWithAuth(url, options = {}) {
-  const { getToken } = useAuth()
-  const token = await getToken()
-  
-  const response = await fetch(`${API_BASE_URL}${url}`, {
-    ...options,
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${token}`,
-      ...options.headers,
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`API Error: ${response.status} ${response.statusText}`)
-  }
-
-  return response.json()
-}
-
-// Helper function to make TeamUp API calls
-async function fetchTeamUpData(url) {
-  const response = await fetch(`https://api.teamup.com${url}`, {
-    headers: {
-      'Teamup-Token': TEAMUP_API_KEY,
-      'Content-Type': 'application/json',
-    },
-  })
-
-  if (!response.ok) {
-    throw new Error(`TeamUp API Error: ${response.status} ${response.statusText}`)
-  }
-
-  return response.json()
+// Hook to get the API client for the signed-in user
+export function useApiClient() {
+  const { instance } = useMsal()
+  return useMemo(() => createApiClient(instance, { baseUrl: API_BASE_URL, scopes: apiScopes }), [instance])
 }
 
 // Custom hook for GET requests
 export function useApiQuery(key, url, options = {}) {
-  // Check if this is a TeamUp API call
-  const isTeamUpCall = url.startsWith('/teamup/')
+  const apiClient = useApiClient()
   
   return useQuery({
     queryKey: key,
-    queryFn: () => isTeamUpCall ? fetchTeamUpData(url.replace('/teamup/', '/')) : fetchWithAuth(url),
+    queryFn: () => apiClient.request(url),
     ...options,
   })
 }
 
+// Custom hook for several GET requests cached separately, e.g. one per month of a long range
+//   queries: [{ key, url, ...query options }]
+//   limit:   optional function from createLimiter, bounding how many requests run at once
+//   combine: merges the query results into one value; keep it stable (useCallback) so the
+//            combined value only changes when a result does
+export function useApiQueries(queries, { limit = (task) => task(), combine } = {}) {
+  const apiClient = useApiClient()
+
+  return useQueries({
+    queries: queries.map(({ key, url, ...options }) => ({
+      queryKey: key,
+      queryFn: () => limit(() => apiClient.request(url)),
+      ...options,
+    })),
+    combine,
+  })
+}
+
 // Custom hook for POST requests
 export function useApiMutation(url, options = {}) {
   const queryClient = useQueryClient()
+  const apiClient = useApiClient()
   
   return useMutation({
-    mutationFn: (data) => fetchWithAuth(url, {
+    mutationFn: (data) => apiClient.request(url, {
       method: 'POST',
       body: JSON.stringify(data),
     }),
@@ -80,9 +69,10 @@ export function useApiMutation(url, options = {}) {
 // Custom hook for PUT requests
 export function useApiPut(url, options = {}) {
   const queryClient = useQueryClient()
+  const apiClient = useApiClient()
   
   return useMutation({
-    mutationFn: (data) => fetchWithAuth(url, {
+    mutationFn: (data) => apiClient.request(url, {
       method: 'PUT',
       body: JSON.stringify(data),
     }),
@@ -101,9 +91,10 @@ export function useApiPut(url, options = {}) {
 // Custom hook for DELETE requests
 export function useApiDelete(url, options = {}) {
   const queryClient = useQueryClient()
+  const apiClient = useApiClient()
   
   return useMutation({
-    mutationFn: () => fetchWithAuth(url, {
+    mutationFn: () => apiClient.request(url, {
       method: 'DELETE',
     }),
     onSuccess: (data, variables, context) => {
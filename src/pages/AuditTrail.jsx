@@ -0,0 +1,217 @@
+import { useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Container, Card, Form, Button, ButtonGroup, Spinner, Alert, Table, Badge } from 'react-bootstrap'
+import { useAuditTrail, useEventEditors, useSubcalendars } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import { parseMonthParam, formatMonthParam, getMonthRange } from '../engine/months'
+import { AUDIT_WINDOWS, getAuditSince } from '../engine/audit'
+import { getCalendarTimeZone } from '../engine/settings'
+import { getTeamUpEventUrl } from '../engine/dataQuality'
+import { formatDate } from '../engine/utilization'
+
+// Address of the TeamUp calendar in the browser, used to link to events
+const TEAMUP_CALENDAR_URL = import.meta.env.VITE_TEAMUP_CALENDAR_URL
+
+// Badge colors per change type
+const CHANGE_VARIANTS = { created: 'success', modified: 'warning', deleted: 'danger' }
+
+// Helper function to get the date a number of days before today, as YYYY-MM-DD
+//   today: the calendar's current date (see useCalendarToday)
+function getDaysAgo(today, days) {
+  return formatDate(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days))
+}
+
+// Calendar edits touching a month, and how they moved each employee's category totals
+function AuditTrail() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const today = useCalendarToday()
+  const { year, month } = parseMonthParam(searchParams.get('month'), today)
+  const { startDate, endDate } = useMemo(() => getMonthRange(year, month), [year, month])
+  const sinceParam = /^\d{4}-\d{2}-\d{2}$/.test(searchParams.get('since') || '') ? searchParams.get('since') : getDaysAgo(today, 7)
+
+  const { data: settings } = useSettings()
+  const timeZone = getCalendarTimeZone(settings)
+  const since = useMemo(() => getAuditSince(sinceParam, timeZone), [sinceParam, timeZone])
+  const { data: subcalendars } = useSubcalendars()
+  const { data: audit, isLoading, error } = useAuditTrail(startDate, endDate, since)
+  const editorsQuery = useEventEditors(startDate, endDate, since)
+  const categoryLabels = Object.fromEntries((settings?.categories || []).map(category => [category.id, category.label]))
+  const calendarNames = Object.fromEntries((subcalendars?.subcalendars || []).map(sub => [sub.id, sub.name]))
+
+  // Helper function to update one query parameter, keeping the others
+  const updateParam = (name, value) => {
+    const params = new URLSearchParams(searchParams)
+    params.set(name, value)
+    setSearchParams(params)
+  }
+
+  // Helper function to show category shifts, e.g. "Field +1, Unknown −1"
+  const renderCategories = (categories) => categories.map(category => (
+    <span key={category.id} className={`me-2 text-nowrap ${category.delta > 0 ? 'text-success' : 'text-danger'}`}>
+      {categoryLabels[category.id] || category.id} {category.delta > 0 ? '+' : '−'}{Math.abs(category.delta)}
+    </span>
+  ))
+
+  // Helper function to show the days a modified event counts for now, e.g. "Field 2"
+  // Without the earlier version there is no shift to show, so only the categories the event adds
+  // days to are listed; the days it takes from others (e.g. Unknown) are the same days again.
+  const renderCurrentDays = (categories) => {
+    const added = categories.filter(category => category.delta > 0)
+    if (added.length === 0) return <span className="text-muted">No days</span>
+    return added.map(category => (
+      <span key={category.id} className="me-2 text-nowrap">
+        {categoryLabels[category.id] || category.id} {category.delta}
+      </span>
+    ))
+  }
+
+  // Helper function to show who last changed an event, from TeamUp's event history
+  const renderEditor = (event) => {
+    if (editorsQuery.error) return <span className="text-muted" title={editorsQuery.error.message}>Unavailable</span>
+    if (!editorsQuery.data) return <Spinner animation="border" size="sm" />
+    return editorsQuery.data.editors[event.id] || <span className="text-muted">Not recorded</span>
+  }
+
+  // Helper function to show an event title, linked to TeamUp when the calendar URL is set
+  const renderEvent = (event) => {
+    const url = getTeamUpEventUrl(TEAMUP_CALENDAR_URL, event.id)
+    const title = event.title || '(untitled)'
+    return url ? <a href={url} target="_blank" rel="noopener noreferrer">{title}</a> : title
+  }
+
+  return (
+    <Container className="py-4">
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Audit Trail</h5>
+          <Form.Control
+            type="month"
+            size="sm"
+            style={{ width: 'auto' }}
+            value={formatMonthParam(year, month)}
+            onChange={(e) => e.target.value && updateParam('month', e.target.value)}
+          />
+        </Card.Header>
+        <Card.Body>
+          <div className="d-flex flex-wrap align-items-center gap-2 mb-2">
+            <Form.Label htmlFor="audit-since" className="mb-0">Changed since</Form.Label>
+            <Form.Control
+              id="audit-since"
+              type="date"
+              size="sm"
+              style={{ width: 'auto' }}
+              value={sinceParam}
+              onChange={(e) => e.target.value && updateParam('since', e.target.value)}
+            />
+            <ButtonGroup size="sm">
+              {AUDIT_WINDOWS.map(days => (
+                <Button
+                  key={days}
+                  variant={sinceParam === getDaysAgo(today, days) ? 'primary' : 'outline-primary'}
+                  onClick={() => updateParam('since', getDaysAgo(today, days))}
+                >
+                  {days === 1 ? 'Last day' : `Last ${days} days`}
+                </Button>
+              ))}
+            </ButtonGroup>
+          </div>
+          <p className="text-muted small">
+            TeamUp events in {startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })} that were
+            created, modified or deleted since {since.toLocaleDateString('en-US', { timeZone })}. TeamUp only reports
+            changes from the last 30 days. Who made each change comes from the event's TeamUp history. TeamUp doesn't keep
+            what a modified event looked like before, so modified events show the days they count for now rather than what
+            the edit shifted.
+          </p>
+
+          {error ? (
+            <Alert variant="danger">{error.message}</Alert>
+          ) : isLoading || !audit ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" />
+              <p className="mt-2">Loading calendar changes...</p>
+            </div>
+          ) : audit.changes.length === 0 ? (
+            <Alert variant="success">No calendar changes in this period.</Alert>
+          ) : (
+            <>
+              <h6>Net Change per Employee</h6>
+              {audit.employees.length === 0 ? (
+                <p className="text-muted small">Created and deleted events don't change anyone's totals.</p>
+              ) : (
+                <Table size="sm" bordered className="small">
+                  <thead>
+                    <tr>
+                      <th style={{ width: '220px' }}>Employee</th>
+                      <th>Days moved by created and deleted events</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {audit.employees.map(({ employee, categories }) => (
+                      <tr key={employee.id}>
+                        <td>
+                          <Link to={`/employees/${employee.id}?month=${formatMonthParam(year, month)}`}>{employee.name}</Link>
+                        </td>
+                        <td>{renderCategories(categories)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              )}
+
+              <h6 className="mt-4">Changes</h6>
+              <Table size="sm" bordered responsive className="small mb-0">
+                <thead>
+                  <tr>
+                    <th>Changed</th>
+                    <th>Changed by</th>
+                    <th>Change</th>
+                    <th>Event</th>
+                    <th>Calendar</th>
+                    <th>Dates</th>
+                    <th>Effect</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {audit.changes.map(({ event, type, changedAt, employees }) => (
+                    <tr key={event.id}>
+                      <td className="text-nowrap">{new Date(changedAt).toLocaleString()}</td>
+                      <td>{renderEditor(event)}</td>
+                      <td>
+                        <Badge bg={CHANGE_VARIANTS[type]}>{type}</Badge>
+                        {event.version && <div className="text-muted">version {event.version}</div>}
+                      </td>
+                      <td>
+                        {renderEvent(event)}
+                        {event.custom?.status?.[0] && <span className="text-muted"> ({event.custom.status[0]})</span>}
+                      </td>
+                      <td>{event.subcalendar_ids.map(id => calendarNames[id] || id).join(', ')}</td>
+                      <td className="text-nowrap">
+                        {event.start_dt.slice(0, 10)}
+                        {event.end_dt.slice(0, 10) !== event.start_dt.slice(0, 10) && ` – ${event.end_dt.slice(0, 10)}`}
+                      </td>
+                      <td>
+                        {employees.length === 0 ? (
+                          <span className="text-muted">None</span>
+                        ) : employees.map(({ employee, categories }) => (
+                          <div key={employee.id}>
+                            {employees.length > 1 && `${employee.name}: `}
+                            {type === 'modified' ? renderCurrentDays(categories) : renderCategories(categories)}
+                          </div>
+                        ))}
+                        {type === 'modified' && employees.length > 0 && (
+                          <div className="text-muted">days it counts for now; the earlier version isn't available</div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  )
+}
+
+export default AuditTrail
@@ -0,0 +1,156 @@
+import { useMemo, useState } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Container, Card, Form, Spinner, Alert, Table, Badge } from 'react-bootstrap'
+import { useDataQuality } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import { parseMonthParam, formatMonthParam, getMonthRange } from '../engine/months'
+import { ISSUE_TYPES, getTeamUpEventUrl, countIssuesByType } from '../engine/dataQuality'
+
+// Address of the TeamUp calendar in the browser, used to link to events
+const TEAMUP_CALENDAR_URL = import.meta.env.VITE_TEAMUP_CALENDAR_URL
+
+// Badge colors per issue type
+const ISSUE_VARIANTS = {
+  'missing-entry': 'secondary',
+  conflict: 'warning',
+  'holiday-warning': 'danger',
+  'no-status': 'info'
+}
+
+// Missing and conflicting calendar entries per employee, with links to fix them in TeamUp
+function DataQuality() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const today = useCalendarToday()
+  const { year, month } = parseMonthParam(searchParams.get('month'), today)
+  const { startDate, endDate } = useMemo(() => getMonthRange(year, month), [year, month])
+  const [visibleTypes, setVisibleTypes] = useState(() => ISSUE_TYPES.map(type => type.id))
+
+  const { data: settings } = useSettings()
+  const { data: rows, isLoading, error } = useDataQuality(startDate, endDate)
+  const categoryLabels = Object.fromEntries((settings?.categories || []).map(category => [category.id, category.label]))
+  const issueLabels = Object.fromEntries(ISSUE_TYPES.map(type => [type.id, type.label]))
+
+  const allIssues = (rows || []).flatMap(row => row.issues)
+  const totals = countIssuesByType(allIssues)
+  const employees = (rows || [])
+    .map(row => ({ ...row, issues: row.issues.filter(issue => visibleTypes.includes(issue.type)) }))
+    .filter(row => row.issues.length > 0)
+    .sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+
+  const toggleType = (typeId) => {
+    setVisibleTypes(visibleTypes.includes(typeId)
+      ? visibleTypes.filter(id => id !== typeId)
+      : [...visibleTypes, typeId])
+  }
+
+  // Helper function to show an event title, linked to TeamUp when the calendar URL is set
+  const renderEvent = (event) => {
+    const url = getTeamUpEventUrl(TEAMUP_CALENDAR_URL, event.id)
+    const title = event.title || '(untitled)'
+    return (
+      <div key={event.id}>
+        {url ? <a href={url} target="_blank" rel="noopener noreferrer">{title}</a> : title}
+        {event.status && event.status !== 'unknown' && <span className="text-muted"> ({event.status})</span>}
+      </div>
+    )
+  }
+
+  return (
+    <Container className="py-4">
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Data Quality</h5>
+          <Form.Control
+            type="month"
+            size="sm"
+            style={{ width: 'auto' }}
+            value={formatMonthParam(year, month)}
+            onChange={(e) => e.target.value && setSearchParams({ month: e.target.value })}
+          />
+        </Card.Header>
+        <Card.Body>
+          <p className="text-muted small">
+            Calendar entries that make utilization unreliable. Admin/support staff don't track every day, so they
+            have no missing entries.
+          </p>
+          {!TEAMUP_CALENDAR_URL && (
+            <Alert variant="info" className="small">
+              Set <code>VITE_TEAMUP_CALENDAR_URL</code> to the calendar's address to link each event to TeamUp.
+            </Alert>
+          )}
+
+          {error ? (
+            <Alert variant="danger">{error.message}</Alert>
+          ) : isLoading || !rows ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" />
+              <p className="mt-2">Checking calendar entries...</p>
+            </div>
+          ) : (
+            <>
+              <div className="mb-3">
+                {ISSUE_TYPES.map(type => (
+                  <Form.Check
+                    key={type.id}
+                    inline
+                    type="checkbox"
+                    id={`issue-type-${type.id}`}
+                    label={
+                      <>
+                        {type.label} <Badge bg={ISSUE_VARIANTS[type.id]}>{totals[type.id]}</Badge>
+                      </>
+                    }
+                    checked={visibleTypes.includes(type.id)}
+                    onChange={() => toggleType(type.id)}
+                  />
+                ))}
+              </div>
+
+              {employees.length === 0 ? (
+                <Alert variant="success">No issues found for {startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}.</Alert>
+              ) : employees.map(row => (
+                <div key={row.employee.id} className="mb-4">
+                  <h6>
+                    <Link to={`/employees/${row.employee.id}?month=${formatMonthParam(year, month)}`}>{row.employee.name}</Link>
+                    {' '}<Badge bg="light" text="dark">{row.issues.length}</Badge>
+                  </h6>
+                  <Table size="sm" bordered className="small mb-0">
+                    <thead>
+                      <tr>
+                        <th style={{ width: '120px' }}>Date</th>
+                        <th style={{ width: '180px' }}>Issue</th>
+                        <th>Entries</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {row.issues.map(issue => (
+                        <tr key={`${issue.type}-${issue.date}-${issue.events.map(event => event.id).join(',')}`}>
+                          <td>{issue.date}</td>
+                          <td>
+                            <Badge bg={ISSUE_VARIANTS[issue.type]}>{issueLabels[issue.type]}</Badge>
+                            {issue.statuses.length > 0 && (
+                              <div className="text-muted">
+                                {issue.statuses.map(status => categoryLabels[status] || status).join(' + ')}
+                              </div>
+                            )}
+                          </td>
+                          <td>
+                            {issue.events.length > 0
+                              ? issue.events.map(renderEvent)
+                              : <span className="text-muted">No entry</span>}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                </div>
+              ))}
+            </>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  )
+}
+
+export default DataQuality
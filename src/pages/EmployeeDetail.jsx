@@ -0,0 +1,179 @@
+import { useState, useMemo } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { Container, Row, Col, Card, Button, Badge, Spinner, Alert, ListGroup } from 'react-bootstrap'
+import { useEmployeesUtilization } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import EmployeeCalendar from '../components/EmployeeCalendar'
+import { parseMonthParam, formatMonthParam, getMonthRange } from '../engine/months'
+import { getEmployeeTarget, getTargetVariance, getTargetStatus, getTargetVariant } from '../engine/targets'
+
+// Explanations for the engine's day reasons
+const DAY_REASONS = {
+  'before-creation': 'Before this employee\'s calendar was created, so the day is not counted.',
+  weekend: 'Weekend with no entries, so the day is not counted.',
+  'weekend-overtime': 'Work on a weekend counts as overtime.',
+  'weekend-vacation': 'Vacation on a weekend counts as vacation, not overtime. Other entries that day are ignored.',
+  holiday: 'Company holiday.',
+  'holiday-vacation': 'Vacation on a company holiday counts as the holiday.',
+  'holiday-overtime': 'Working on a company holiday counts as overtime.',
+  'holiday-warning': 'Non-working entries on a company holiday are not counted, so the day stays unknown.',
+  entry: 'Counted from the day\'s calendar entry.',
+  'split-day': 'Several statuses on this day split it between their categories.',
+  'partial-day': 'Entries only cover part of the workday. The rest of the day is unknown.',
+  'no-entry': 'Weekday with no calendar entry, so the day is unknown.'
+}
+
+function EmployeeDetail() {
+  const { subcalendarId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [selectedDate, setSelectedDate] = useState(null)
+  const today = useCalendarToday()
+  const { year, month } = parseMonthParam(searchParams.get('month'), today)
+
+  const { startDate, endDate } = useMemo(() => getMonthRange(year, month), [year, month])
+  const employeeIds = useMemo(() => [Number(subcalendarId)], [subcalendarId])
+
+  const { data: settings } = useSettings()
+  const { data: utilizationData, isLoading, error } = useEmployeesUtilization(employeeIds, startDate, endDate)
+  const item = utilizationData?.[0]
+  const categories = settings?.categories || []
+  const categoryLabels = Object.fromEntries(categories.map(category => [category.id, category.label]))
+  const selectedDay = item?.days.find(day => day.date === selectedDate)
+  const target = getEmployeeTarget(Number(subcalendarId), settings)
+
+  const changeMonth = (offset) => {
+    setSelectedDate(null)
+    setSearchParams({ month: formatMonthParam(year, month + offset) })
+  }
+
+  if (error) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">{error.message}</Alert>
+      </Container>
+    )
+  }
+
+  if (isLoading || !utilizationData) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" />
+        <p className="mt-2">Loading employee calendar...</p>
+      </Container>
+    )
+  }
+
+  if (!item) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          This employee was not found, is excluded in Settings, or is not visible to you. <Link to="/">Back to dashboard</Link>
+        </Alert>
+      </Container>
+    )
+  }
+
+  const variance = getTargetVariance(item, target)
+
+  return (
+    <Container className="py-4">
+      <Link to="/" className="small">← Back to dashboard</Link>
+      <div className="d-flex justify-content-between align-items-center flex-wrap gap-2 mt-2 mb-3">
+        <h1 className="mb-0">{item.employee.name}</h1>
+        <div className="d-flex align-items-center gap-2">
+          <Button variant="outline-secondary" size="sm" onClick={() => changeMonth(-1)}>‹ Previous</Button>
+          <strong style={{ minWidth: '140px', textAlign: 'center' }}>
+            {startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+          </strong>
+          <Button variant="outline-secondary" size="sm" onClick={() => changeMonth(1)}>Next ›</Button>
+        </div>
+      </div>
+
+      <p className="text-muted">
+        Weekday utilization{' '}
+        <Badge bg={getTargetVariant(getTargetStatus(item, target))}>
+          {item.weekdayUtilizationPercentage}%
+        </Badge>
+        <span className="ms-2">({item.weekdayUtilized}/{item.weekdayTotal} days)</span>
+        <span className="ms-2">
+          Target {target}%
+          {variance !== null && ` (${variance > 0 ? '+' : ''}${variance} pp)`}
+        </span>
+        {item.isExcludedFromUtilization && <span className="ms-2">(Admin/Support)</span>}
+      </p>
+
+      <Row>
+        <Col lg={8}>
+          <EmployeeCalendar
+            year={year}
+            month={month}
+            days={item.days}
+            categories={categories}
+            selectedDate={selectedDate}
+            onSelectDate={setSelectedDate}
+          />
+          <div className="d-flex flex-wrap gap-3 small mb-4">
+            {categories.map(category => (
+              <span key={category.id} className="d-flex align-items-center">
+                <span style={{ display: 'inline-block', width: '12px', height: '12px', background: category.color, marginRight: '4px' }} />
+                {category.label}
+              </span>
+            ))}
+            <span>★ Company holiday</span>
+          </div>
+        </Col>
+        <Col lg={4}>
+          <Card>
+            <Card.Header>
+              <h6 className="mb-0">
+                {selectedDay
+                  ? new Date(selectedDay.date + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'short', day: 'numeric', year: 'numeric' })
+                  : 'Day details'}
+              </h6>
+            </Card.Header>
+            <Card.Body>
+              {!selectedDay ? (
+                <p className="text-muted mb-0">Select a day to see its events and how it was counted.</p>
+              ) : (
+                <>
+                  <p>{DAY_REASONS[selectedDay.reason]}</p>
+                  {Object.keys(selectedDay.shares).length > 0 && (
+                    <p className="small mb-3">
+                      <strong>Counted as: </strong>
+                      {Object.entries(selectedDay.shares).map(([category, share]) => (
+                        `${categoryLabels[category] || category} ${share === 1 ? '' : `(${(share * 100).toFixed(0)}%)`}`.trim()
+                      )).join(', ')}
+                    </p>
+                  )}
+                  <h6 className="small text-uppercase text-muted">TeamUp events</h6>
+                  {selectedDay.events.length === 0 ? (
+                    <p className="text-muted small mb-0">No events</p>
+                  ) : (
+                    <ListGroup variant="flush">
+                      {selectedDay.events.map((event, index) => (
+                        <ListGroup.Item key={`${event.id}-${index}`} className="px-0 small">
+                          <div className="d-flex justify-content-between">
+                            <strong className={event.excluded ? 'text-decoration-line-through' : ''}>
+                              {event.title || '(untitled)'}
+                            </strong>
+                            <span className="text-muted">{event.hours.toFixed(1)}h</span>
+                          </div>
+                          <div className="text-muted">
+                            Status "{event.status}" → {categoryLabels[event.category] || event.category}
+                            {event.excluded && <Badge bg="secondary" className="ms-2">Excluded by filter</Badge>}
+                          </div>
+                        </ListGroup.Item>
+                      ))}
+                    </ListGroup>
+                  )}
+                </>
+              )}
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  )
+}
+
+export default EmployeeDetail
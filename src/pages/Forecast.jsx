@@ -0,0 +1,243 @@
+import { useMemo } from 'react'
+import { Link, useSearchParams } from 'react-router-dom'
+import { Container, Card, Form, Spinner, Alert, Table } from 'react-bootstrap'
+import { useForecast } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import { FORECAST_WEEKS, DEFAULT_FORECAST_WEEKS, getForecastRange, summarizeTeamsCapacity } from '../engine/forecast'
+import { getCalendarTimeZone } from '../engine/settings'
+import { getEventDates } from '../engine/timezone'
+
+// Helper function to read the weeks parameter, falling back to the default
+const parseWeeksParam = (value) => FORECAST_WEEKS.includes(Number(value)) ? Number(value) : DEFAULT_FORECAST_WEEKS
+
+// Helper function to shade a cell by the share of its workdays still open
+const getOpenStyle = ({ workdays, open }) => ({
+  backgroundColor: workdays > 0 ? `rgba(25, 135, 84, ${(open / workdays * 0.35).toFixed(2)})` : undefined
+})
+
+// Helper function to show a YYYY-MM-DD date in the browser's date format
+const formatCalendarDate = (dateStr) => new Date(`${dateStr}T00:00:00`).toLocaleDateString()
+
+// Helper function to show the first and last calendar dates of an event
+const formatEventDates = (event, timeZone) => {
+  const dates = getEventDates(event, timeZone)
+  return `${formatCalendarDate(dates[0])} – ${formatCalendarDate(dates[dates.length - 1])}`
+}
+
+// Booked vs. open capacity per employee per week going forward, with Future Work jobs as unassigned demand
+function Forecast() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const weekCount = parseWeeksParam(searchParams.get('weeks'))
+  // Today in the calendar, kept while the settings don't change so the query key stays the same
+  const today = useCalendarToday()
+  const { startDate, endDate } = useMemo(() => getForecastRange(weekCount, today), [weekCount, today])
+
+  const { data: forecast, isLoading, error } = useForecast(startDate, endDate)
+  const { data: settings } = useSettings()
+
+  const teamRows = useMemo(() => summarizeTeamsCapacity(settings?.teams, forecast?.employees || []), [settings, forecast])
+  const selectedTeam = teamRows.find(row => row.team.id === searchParams.get('team'))
+
+  const employees = useMemo(() => {
+    return [...(selectedTeam?.members || forecast?.employees || [])].sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+  }, [selectedTeam, forecast])
+
+  // Helper function to change one search parameter and keep the others
+  const updateParam = (name, value) => {
+    const params = new URLSearchParams(searchParams)
+    if (value) {
+      params.set(name, value)
+    } else {
+      params.delete(name)
+    }
+    setSearchParams(params)
+  }
+
+  return (
+    <Container fluid className="py-4">
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h5 className="mb-0">Capacity Forecast</h5>
+          <div className="d-flex gap-2">
+            {teamRows.length > 0 && (
+              <Form.Select
+                size="sm"
+                style={{ width: 'auto' }}
+                aria-label="Team"
+                value={selectedTeam?.team.id || ''}
+                onChange={(e) => updateParam('team', e.target.value)}
+              >
+                <option value="">All employees</option>
+                {teamRows.map(row => (
+                  <option key={row.team.id} value={row.team.id}>{row.team.name}</option>
+                ))}
+              </Form.Select>
+            )}
+            <Form.Select
+              size="sm"
+              style={{ width: 'auto' }}
+              aria-label="Forecast length"
+              value={weekCount}
+              onChange={(e) => updateParam('weeks', e.target.value)}
+            >
+              {FORECAST_WEEKS.map(weeks => (
+                <option key={weeks} value={weeks}>Next {weeks} weeks</option>
+              ))}
+            </Form.Select>
+          </div>
+        </Card.Header>
+        <Card.Body>
+          <p className="text-muted small">
+            Open days are weekdays with nothing scheduled yet, from today through {endDate.toLocaleDateString()}.
+            Booked days are scheduled work; time off covers vacation, sick days and holidays.
+            Jobs on the Future Work calendar are demand nobody is assigned to yet, in person-days.
+            Totals leave out admin/support staff.
+          </p>
+
+          {error ? (
+            <Alert variant="danger">{error.message}</Alert>
+          ) : isLoading || !forecast ? (
+            <div className="text-center py-5">
+              <Spinner animation="border" />
+              <p className="mt-2">Loading forecast...</p>
+            </div>
+          ) : employees.length === 0 ? (
+            <Alert variant="info">No employees to forecast.</Alert>
+          ) : (
+            <Table size="sm" bordered responsive className="small text-center">
+              <thead>
+                <tr>
+                  <th className="text-start">Employee</th>
+                  {forecast.weeks.map(week => (
+                    <th key={week.key}>{week.label}</th>
+                  ))}
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {employees.map(row => (
+                  <tr key={row.employee.id}>
+                    <td className="text-start">
+                      <Link to={`/employees/${row.employee.id}`}>{row.employee.name}</Link>
+                      {row.isExcludedFromUtilization && <span className="text-muted"> (Admin/Support)</span>}
+                    </td>
+                    {forecast.weeks.map(week => {
+                      const capacity = row.weeks[week.key]
+                      return (
+                        <td key={week.key} style={getOpenStyle(capacity)} title={`${capacity.booked} booked, ${capacity.timeOff} time off of ${capacity.workdays} workdays`}>
+                          <strong>{capacity.open}</strong>
+                          <div className="text-muted">{capacity.booked} / {capacity.timeOff}</div>
+                        </td>
+                      )
+                    })}
+                    <td style={getOpenStyle(row.total)}>
+                      <strong>{row.total.open}</strong>
+                      <div className="text-muted">{row.total.booked} / {row.total.timeOff}</div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="fw-semibold">
+                <tr className="table-light">
+                  <td className="text-start">Open capacity{selectedTeam && ' (all employees)'}</td>
+                  {forecast.weeks.map(week => <td key={week.key}>{week.open}</td>)}
+                  <td>{forecast.total.open}</td>
+                </tr>
+                <tr className="table-light">
+                  <td className="text-start">Future Work demand</td>
+                  {forecast.weeks.map(week => <td key={week.key}>{week.demand}</td>)}
+                  <td>{forecast.total.demand}</td>
+                </tr>
+                <tr className="table-light">
+                  <td className="text-start">Net (open − demand)</td>
+                  {forecast.weeks.map(week => (
+                    <td key={week.key} className={week.net < 0 ? 'text-danger' : 'text-success'}>{week.net}</td>
+                  ))}
+                  <td className={forecast.total.net < 0 ? 'text-danger' : 'text-success'}>{forecast.total.net}</td>
+                </tr>
+              </tfoot>
+            </Table>
+          )}
+          {forecast && employees.length > 0 && (
+            <small className="text-muted">Each cell: open days, then booked / time off days.</small>
+          )}
+        </Card.Body>
+      </Card>
+
+      {forecast && teamRows.length > 0 && (
+        <Card className="mb-4">
+          <Card.Header>
+            <h6 className="mb-0">Available Person-Days by Team</h6>
+          </Card.Header>
+          <Card.Body>
+            <Table size="sm" bordered responsive className="small text-center mb-0">
+              <thead>
+                <tr>
+                  <th className="text-start">Team</th>
+                  {forecast.weeks.map(week => (
+                    <th key={week.key}>{week.label}</th>
+                  ))}
+                  <th>Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {teamRows.map(row => (
+                  <tr key={row.team.id} className={row === selectedTeam ? 'table-active' : undefined}>
+                    <td className="text-start">{row.team.name}</td>
+                    {forecast.weeks.map(week => (
+                      <td key={week.key} style={getOpenStyle(row.weeks[week.key])}>
+                        <strong>{row.weeks[week.key].open}</strong>
+                        <span className="text-muted"> / {row.weeks[week.key].workdays}</span>
+                      </td>
+                    ))}
+                    <td style={getOpenStyle(row.total)}>
+                      <strong>{row.total.open}</strong>
+                      <span className="text-muted"> / {row.total.workdays}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+            <small className="text-muted">
+              Open days out of workdays. Members of several teams count in each; admin/support staff are left out.
+            </small>
+          </Card.Body>
+        </Card>
+      )}
+
+      {forecast && (
+        <Card>
+          <Card.Header>
+            <h6 className="mb-0">Future Work</h6>
+          </Card.Header>
+          <Card.Body>
+            {forecast.futureWork.length === 0 ? (
+              <p className="text-muted mb-0">No Future Work jobs in this range.</p>
+            ) : (
+              <Table size="sm" responsive className="small mb-0">
+                <thead>
+                  <tr>
+                    <th>Job</th>
+                    <th>Dates</th>
+                    <th>Person-days in range</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {forecast.futureWork.map(({ event, days }) => (
+                    <tr key={event.id}>
+                      <td>{event.title}</td>
+                      <td>{formatEventDates(event, getCalendarTimeZone(settings))}</td>
+                      <td>{days}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            )}
+          </Card.Body>
+        </Card>
+      )}
+    </Container>
+  )
+}
+
+export default Forecast
@@ -0,0 +1,174 @@
+import { useMemo, useState } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Container, Form, Button, Spinner, Alert, Table } from 'react-bootstrap'
+import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend } from 'recharts'
+import { useAllEmployeesUtilization } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import { parseMonthParam, formatMonthParam, getMonthRange } from '../engine/months'
+import { isNotApplicableForSupport, getCategoryDays, getCategoryTotals, summarizeReport } from '../engine/report'
+import { getEmployeeTarget, getEmployeesBelowTarget } from '../engine/targets'
+
+// Print-optimized monthly report; use the browser's print dialog to save it as PDF
+function MonthlyReport() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const today = useCalendarToday()
+  const { year, month } = parseMonthParam(searchParams.get('month'), today)
+  const { startDate, endDate } = useMemo(() => getMonthRange(year, month), [year, month])
+  // Fixed when the page opens so the printed header matches the data shown
+  const [generatedAt] = useState(() => new Date())
+
+  const { data: settings } = useSettings()
+  const { data: utilizationData, isLoading, error } = useAllEmployeesUtilization(startDate, endDate)
+  const categories = settings?.categories || []
+  const isHoursMode = settings?.utilizationMode === 'hours'
+
+  const items = useMemo(() => {
+    return [...(utilizationData || [])].sort((a, b) => a.employee.name.localeCompare(b.employee.name))
+  }, [utilizationData])
+  const chartData = getCategoryTotals(items, categories)
+  const summary = summarizeReport(items)
+  const belowTarget = getEmployeesBelowTarget(items, settings)
+  const period = startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+
+  return (
+    <Container className="py-4" style={{ maxWidth: '1000px' }}>
+      <div className="d-flex justify-content-between align-items-center mb-4 d-print-none">
+        <Form.Control
+          type="month"
+          style={{ width: 'auto' }}
+          value={formatMonthParam(year, month)}
+          onChange={(e) => e.target.value && setSearchParams({ month: e.target.value })}
+        />
+        <Button variant="primary" onClick={() => window.print()} disabled={isLoading}>
+          Print / Save as PDF
+        </Button>
+      </div>
+
+      {/* Report header */}
+      <div className="border-bottom pb-2 mb-4">
+        <h2 className="mb-1">Employee Utilization Report — {period}</h2>
+        <small className="text-muted">
+          {startDate.toLocaleDateString()} to {endDate.toLocaleDateString()}
+          {' • '}Generated {generatedAt.toLocaleString()}
+          {isHoursMode && ` • Hours mode (${settings.workdayHours}h workday)`}
+        </small>
+      </div>
+
+      {error ? (
+        <Alert variant="danger">{error.message}</Alert>
+      ) : isLoading || !utilizationData ? (
+        <div className="text-center py-5">
+          <Spinner animation="border" />
+          <p className="mt-2">Loading report data...</p>
+        </div>
+      ) : (
+        <>
+          {/* Charts use fixed sizes so they print at the same size as on screen */}
+          <div className="d-flex flex-wrap justify-content-between mb-4" style={{ breakInside: 'avoid' }}>
+            <div>
+              <h6>Utilization Breakdown</h6>
+              <PieChart width={440} height={280}>
+                <Pie
+                  data={chartData}
+                  cx="50%"
+                  cy="50%"
+                  labelLine={false}
+                  label={({ name, percentage }) => `${name} ${percentage.toFixed(1)}%`}
+                  outerRadius={80}
+                  dataKey="total"
+                  isAnimationActive={false}
+                >
+                  {chartData.map((entry, index) => (
+                    <Cell key={`cell-${index}`} fill={entry.color} />
+                  ))}
+                </Pie>
+              </PieChart>
+            </div>
+            <div>
+              <h6>Weekday vs Weekend Breakdown</h6>
+              <BarChart width={480} height={280} data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Legend />
+                <Bar dataKey="weekdays" fill="#82ca9d" name="Weekdays" isAnimationActive={false} />
+                <Bar dataKey="weekends" fill="#ff7300" name="Weekends" isAnimationActive={false} />
+              </BarChart>
+            </div>
+          </div>
+
+          {/* Employee Details starts on a new printed page */}
+          <div style={{ breakBefore: 'page' }}>
+            <h6>Employee Details</h6>
+            <Table size="sm" bordered className="small">
+              <thead>
+                <tr>
+                  <th>Employee</th>
+                  <th>Weekday Utilization</th>
+                  <th>Target</th>
+                  <th>Weekend Overtime</th>
+                  {isHoursMode && <th>Hours</th>}
+                  {categories.map(category => (
+                    <th key={category.id}>{category.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {items.map(item => (
+                  <tr key={item.employee.id} style={{ breakInside: 'avoid' }}>
+                    <td>
+                      {item.employee.name}
+                      {item.isExcludedFromUtilization && <span className="text-muted"> (Admin/Support)</span>}
+                      {item.validationInfo && !item.validationInfo.isValid && ' ⚠️'}
+                      {item.holidayWarnings && item.holidayWarnings.length > 0 && ' 🚫'}
+                    </td>
+                    <td>{item.weekdayUtilizationPercentage}% ({item.weekdayUtilized}/{item.weekdayTotal})</td>
+                    <td>{getEmployeeTarget(item.employee.id, settings)}%</td>
+                    <td>{item.weekendUtilizationPercentage}% ({item.weekendUtilized}/{item.weekendTotal})</td>
+                    {isHoursMode && <td>{item.utilizedHours.toFixed(1)}h / {item.availableHours}h</td>}
+                    {categories.map(category => (
+                      <td key={category.id}>
+                        {item.isExcludedFromUtilization && isNotApplicableForSupport(category)
+                          ? 'N/A'
+                          : getCategoryDays(item, category.id)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </div>
+
+          {/* Report footer */}
+          <div className="border-top pt-2 mt-4 small" style={{ breakInside: 'avoid' }}>
+            <p className="mb-1">
+              <strong>Totals:</strong> {summary.employeeCount} employee{summary.employeeCount !== 1 ? 's' : ''}
+              {' • '}Team weekday utilization {summary.teamUtilizationPercentage ?? 'N/A'}%
+              {' '}({summary.weekdayUtilized}/{summary.weekdayTotal} days, excluding admin/support)
+              {' • '}{summary.weekendUtilized} weekend overtime days
+              {' • '}{summary.unknownDays} unknown days
+            </p>
+            <p className="mb-1">
+              <strong>Below target:</strong>{' '}
+              {belowTarget.length === 0
+                ? 'None'
+                : belowTarget.map(({ item, target, variance }) => `${item.employee.name} ${item.weekdayUtilizationPercentage}% vs ${target}% (${variance} pp)`).join('; ')}
+            </p>
+            <p className="mb-1">
+              <strong>Warnings:</strong>{' '}
+              {summary.validationWarnings.length === 0 && summary.holidayWarnings.length === 0 && summary.unmappedStatuses.length === 0
+                ? 'None'
+                : [
+                    summary.validationWarnings.length > 0 && `⚠️ categories don't add up for ${summary.validationWarnings.join(', ')}`,
+                    summary.holidayWarnings.length > 0 && `🚫 non-working entries on holidays for ${summary.holidayWarnings.join(', ')}`,
+                    summary.unmappedStatuses.length > 0 && `statuses without a category rule: ${summary.unmappedStatuses.join(', ')}`
+                  ].filter(Boolean).join('; ')}
+            </p>
+          </div>
+        </>
+      )}
+    </Container>
+  )
+}
+
+export default MonthlyReport
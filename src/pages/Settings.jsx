@@ -0,0 +1,277 @@
+import { useState } from 'react'
+import { Container, Row, Col, Card, Form, Button, Alert, Spinner } from 'react-bootstrap'
+import { useSubcalendars } from '../services/teamupService'
+import { getEmployeeSubcalendars } from '../engine/dashboard'
+import { getDigestSettings } from '../engine/digest'
+import { getRuntimeTimeZone } from '../engine/timezone'
+import { useStoredSettings, useCalendarConfiguration, useSaveSettings, loadBrowserSettings, clearBrowserSettings, DEFAULT_SETTINGS } from '../services/settingsService'
+import CategorySettings from '../components/CategorySettings'
+import EventFilterSettings from '../components/EventFilterSettings'
+import AccessSettings from '../components/AccessSettings'
+import TeamSettings from '../components/TeamSettings'
+import TargetSettings from '../components/TargetSettings'
+import DigestSettings from '../components/DigestSettings'
+
+// Time zones offered for the calendar; browsers without the list only offer their own
+const TIME_ZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [getRuntimeTimeZone()]
+
+// Checkbox list of employees stored as a list of subcalendar ids
+function EmployeeListSetting({ id, title, description, employees, selectedIds, onChange }) {
+  const handleToggle = (employeeId) => {
+    onChange(selectedIds.includes(employeeId)
+      ? selectedIds.filter(selectedId => selectedId !== employeeId)
+      : [...selectedIds, employeeId])
+  }
+
+  return (
+    <Card className="h-100">
+      <Card.Header>
+        <h6 className="mb-0">{title}</h6>
+      </Card.Header>
+      <Card.Body>
+        <p className="text-muted small">{description}</p>
+        {employees.map(employee => (
+          <Form.Check
+            key={employee.id}
+            type="checkbox"
+            id={`${id}-${employee.id}`}
+            label={employee.name}
+            checked={selectedIds.includes(employee.id)}
+            onChange={() => handleToggle(employee.id)}
+          />
+        ))}
+      </Card.Body>
+    </Card>
+  )
+}
+
+function Settings() {
+  const { data: subcalendars, isLoading: subcalendarsLoading } = useSubcalendars()
+  const { data: settings, isLoading: settingsLoading, error: settingsError } = useStoredSettings()
+  const { data: configuration, error: configurationError } = useCalendarConfiguration()
+  const [draft, setDraft] = useState(null)
+  const [saved, setSaved] = useState(false)
+  // Settings saved in this browser before they were kept by the API
+  const [browserSettings, setBrowserSettings] = useState(loadBrowserSettings)
+  const saveSettings = useSaveSettings({
+    onSuccess: () => {
+      setDraft(null)
+      setSaved(true)
+    }
+  })
+
+  if (subcalendarsLoading || settingsLoading) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" />
+      </Container>
+    )
+  }
+
+  if (settingsError) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">Could not load the settings: {settingsError.message}</Alert>
+      </Container>
+    )
+  }
+
+  // Every employee subcalendar, including the ones currently excluded
+  const employees = getEmployeeSubcalendars(subcalendars, null)
+  const current = draft || settings
+  // Zone the dashboard calculates in: the override, otherwise TeamUp's; empty while neither is known
+  const calendarTimeZone = configuration?.timezone || ''
+  const timeZone = current.timezone || calendarTimeZone
+
+  // Move the settings saved in this browser to the API, replacing the ones stored there
+  const handleMoveBrowserSettings = () => {
+    saveSettings.mutate(browserSettings, {
+      onSuccess: () => {
+        clearBrowserSettings()
+        setBrowserSettings(null)
+      }
+    })
+  }
+
+  const updateSettings = (changes) => {
+    setSaved(false)
+    setDraft({ ...current, ...changes })
+  }
+
+  const updateSetting = (key, value) => {
+    updateSettings({ [key]: value })
+  }
+
+  return (
+    <Container className="py-4">
+      <h1>Settings</h1>
+      <p className="text-muted mb-4">
+        Settings are kept on the server. Once saved, changes apply to everyone's dashboard, the API and the
+        reminder emails.
+      </p>
+
+      {browserSettings && (
+        <Alert variant="info" className="d-flex justify-content-between align-items-center gap-3">
+          <span>
+            Settings saved earlier are still stored only in this browser. Move them to the server to use them
+            everywhere; this replaces the settings on the server.
+          </span>
+          <Button variant="primary" size="sm" onClick={handleMoveBrowserSettings} disabled={saveSettings.isPending}>
+            Move to Server
+          </Button>
+        </Alert>
+      )}
+
+      {saved && <Alert variant="success" dismissible onClose={() => setSaved(false)}>Settings saved</Alert>}
+      {saveSettings.error && <Alert variant="danger">{saveSettings.error.message}</Alert>}
+
+      <Row className="g-4 mb-4">
+        <Col md={6}>
+          <EmployeeListSetting
+            id="excluded-employees"
+            title="Excluded Employees"
+            description="Hidden from the employee picker and left out of every calculation."
+            employees={employees}
+            selectedIds={current.excludedEmployees}
+            onChange={(ids) => updateSetting('excludedEmployees', ids)}
+          />
+        </Col>
+        <Col md={6}>
+          <EmployeeListSetting
+            id="excluded-from-utilization"
+            title="Admin / Support Staff"
+            description="Excluded from field, office, overtime and unknown day statistics. Only categories marked for support staff count as utilized."
+            employees={employees}
+            selectedIds={current.excludedFromUtilization}
+            onChange={(ids) => updateSetting('excludedFromUtilization', ids)}
+          />
+        </Col>
+      </Row>
+
+      <TeamSettings
+        teams={current.teams}
+        employees={employees}
+        onChange={(teams) => updateSetting('teams', teams)}
+      />
+
+      <TargetSettings
+        settings={current}
+        employees={employees}
+        onChange={updateSettings}
+      />
+
+      <AccessSettings
+        employees={employees}
+        employeeAccounts={current.employeeAccounts}
+        managerAssignments={current.managerAssignments}
+        onChange={updateSettings}
+      />
+
+      <DigestSettings
+        digest={getDigestSettings(current)}
+        employees={employees}
+        employeeAccounts={current.employeeAccounts}
+        managerAssignments={current.managerAssignments}
+        onChange={(digest) => updateSetting('digest', digest)}
+      />
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h6 className="mb-0">Calculation</h6>
+        </Card.Header>
+        <Card.Body>
+          <Row className="g-3">
+            <Col md={6}>
+              <Form.Group controlId="utilization-mode">
+                <Form.Label>Utilization mode</Form.Label>
+                <Form.Select
+                  value={current.utilizationMode}
+                  onChange={(e) => updateSetting('utilizationMode', e.target.value)}
+                >
+                  <option value="days">Days - each event fills the day, overlapping statuses split it evenly</option>
+                  <option value="hours">Hours - each event counts the hours it covers</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group controlId="workday-hours">
+                <Form.Label>Workday length (hours)</Form.Label>
+                <Form.Control
+                  type="number"
+                  min={1}
+                  max={24}
+                  step={0.5}
+                  value={current.workdayHours}
+                  disabled={current.utilizationMode !== 'hours'}
+                  onChange={(e) => updateSetting('workdayHours', Number(e.target.value) || DEFAULT_SETTINGS.workdayHours)}
+                />
+                <Form.Text muted>
+                  All-day events count as a full workday. Days with fewer hours are partly unknown.
+                </Form.Text>
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group controlId="calendar-timezone">
+                <Form.Label>Calendar time zone</Form.Label>
+                <Form.Select
+                  value={current.timezone}
+                  onChange={(e) => updateSetting('timezone', e.target.value)}
+                >
+                  <option value="">TeamUp calendar's time zone ({calendarTimeZone || 'not reported'})</option>
+                  {[...new Set([...TIME_ZONES, ...(current.timezone ? [current.timezone] : [])])].map(timeZone => (
+                    <option key={timeZone} value={timeZone}>{timeZone}</option>
+                  ))}
+                </Form.Select>
+                <Form.Text muted>
+                  Days, weekends and hours are counted in this zone for everyone and for the API. Only override
+                  TeamUp's zone when it is wrong there.
+                </Form.Text>
+                {!timeZone && (configuration || configurationError) && (
+                  <Alert variant="warning" className="mt-2 mb-0 small">
+                    {configurationError
+                      ? `TeamUp's time zone could not be read (${configurationError.message}).`
+                      : 'TeamUp did not report a time zone.'}
+                    {' '}Pick one here; until then the dashboard pages can't calculate.
+                  </Alert>
+                )}
+              </Form.Group>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      <CategorySettings
+        categories={current.categories}
+        rules={current.categoryRules}
+        subcalendars={subcalendars?.subcalendars || []}
+        onChange={updateSettings}
+      />
+
+      <EventFilterSettings
+        filters={current.eventFilters}
+        subcalendars={subcalendars?.subcalendars || []}
+        timeZone={timeZone}
+        onChange={(filters) => updateSetting('eventFilters', filters)}
+      />
+
+      <div className="d-flex gap-2">
+        <Button
+          variant="primary"
+          onClick={() => saveSettings.mutate(current)}
+          disabled={!draft || saveSettings.isPending}
+        >
+          Save Settings
+        </Button>
+        <Button
+          variant="outline-secondary"
+          onClick={() => setDraft(null)}
+          disabled={!draft}
+        >
+          Discard Changes
+        </Button>
+      </div>
+    </Container>
+  )
+}
+
+export default Settings
@@ -0,0 +1,212 @@
+import { useMemo } from 'react'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { Container, Card, Table, Badge, Button, ButtonGroup, Spinner, Alert } from 'react-bootstrap'
+import { useAllEmployeesUtilization } from '../services/teamupService'
+import { useSnapshots } from '../services/snapshotService'
+import { getSnapshotRange, formatSnapshotPeriod, diffSnapshot } from '../engine/snapshots'
+import { isNotApplicableForSupport, getCategoryDays, summarizeReport } from '../engine/report'
+
+const STATUS_VARIANTS = { added: 'success', removed: 'danger', changed: 'warning' }
+
+// Read-only view of a closed period, optionally compared with a fresh calculation
+function SnapshotDetail() {
+  const { snapshotId } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const compare = searchParams.get('compare') === '1'
+  const { data: snapshots, isLoading: snapshotsLoading, error: snapshotsError } = useSnapshots()
+  const snapshot = snapshots?.find(entry => entry.id === snapshotId)
+
+  // The query stays disabled until the snapshot is found, but still needs dates to build its key
+  const range = useMemo(() => snapshot ? getSnapshotRange(snapshot) : { startDate: new Date(), endDate: new Date() }, [snapshot])
+  const { data: currentData, isLoading: currentLoading, error: currentError } = useAllEmployeesUtilization(
+    range.startDate,
+    range.endDate,
+    compare && !!snapshot
+  )
+  const diff = useMemo(
+    () => (snapshot && currentData ? diffSnapshot(snapshot, currentData) : null),
+    [snapshot, currentData]
+  )
+
+  if (snapshotsLoading) {
+    return (
+      <Container className="py-4 text-center">
+        <Spinner animation="border" />
+      </Container>
+    )
+  }
+
+  if (snapshotsError) {
+    return (
+      <Container className="py-4">
+        <Alert variant="danger">Could not load the snapshots: {snapshotsError.message}</Alert>
+      </Container>
+    )
+  }
+
+  if (!snapshot) {
+    return (
+      <Container className="py-4">
+        <Alert variant="warning">
+          No snapshot of this period is stored. <Link to="/snapshots">Back to snapshots</Link>
+        </Alert>
+      </Container>
+    )
+  }
+
+  const { categories } = snapshot.settings
+  const categoryLabels = Object.fromEntries(categories.map(category => [category.id, category.label]))
+  const summary = summarizeReport(snapshot.items)
+  const isHoursMode = snapshot.settings.utilizationMode === 'hours'
+  const changes = diff?.filter(entry => entry.status !== 'unchanged') || []
+
+  // Helper function to list category labels for a date, e.g. "Field, Overtime"
+  const formatCategories = (ids) => ids.length === 0 ? '—' : ids.map(id => categoryLabels[id] || id).join(', ')
+
+  return (
+    <Container className="py-4">
+      <Link to="/snapshots" className="small">← Snapshots</Link>
+      <div className="d-flex justify-content-between align-items-end mt-2 mb-3">
+        <div>
+          <h1 className="mb-1">{formatSnapshotPeriod(snapshot)}</h1>
+          <p className="text-muted mb-0">
+            Closed {new Date(snapshot.createdAt).toLocaleString()}
+            {snapshot.createdBy && ` by ${snapshot.createdBy}`}
+            {snapshot.label && ` • ${snapshot.label}`}
+          </p>
+        </div>
+        <ButtonGroup>
+          <Button variant={compare ? 'outline-primary' : 'primary'} onClick={() => setSearchParams({})}>
+            Snapshot
+          </Button>
+          <Button variant={compare ? 'primary' : 'outline-primary'} onClick={() => setSearchParams({ compare: '1' })}>
+            Compare with Current Data
+          </Button>
+        </ButtonGroup>
+      </div>
+
+      {compare ? (
+        <Card>
+          <Card.Header>
+            <h6 className="mb-0">Changes Since Close</h6>
+          </Card.Header>
+          <Card.Body>
+            {currentError ? (
+              <Alert variant="danger" className="mb-0">{currentError.message}</Alert>
+            ) : currentLoading || !diff ? (
+              <div className="text-center py-4">
+                <Spinner animation="border" />
+                <p className="mt-2">Recalculating the period from TeamUp...</p>
+              </div>
+            ) : changes.length === 0 ? (
+              <p className="text-muted mb-0">Nothing changed: current data gives the same results as the snapshot.</p>
+            ) : (
+              <>
+                <p className="text-muted small">
+                  Current data uses today's settings; the snapshot keeps the settings it was closed with.
+                </p>
+                <Table size="sm" bordered responsive className="small mb-0">
+                  <thead>
+                    <tr>
+                      <th>Employee</th>
+                      <th>Weekday Utilization</th>
+                      <th>Category Days</th>
+                      <th>Changed Dates</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map(entry => (
+                      <tr key={entry.employee.id}>
+                        <td>
+                          {entry.employee.name}{' '}
+                          <Badge bg={STATUS_VARIANTS[entry.status]}>{entry.status}</Badge>
+                        </td>
+                        <td className="text-nowrap">
+                          {entry.before ?? '—'}% → {entry.after ?? '—'}%
+                        </td>
+                        <td>
+                          {entry.categories.map(category => (
+                            <div key={category.id} className="text-nowrap">
+                              {categoryLabels[category.id]}: {category.before} → {category.after}
+                              {' '}({category.delta > 0 ? '+' : ''}{category.delta})
+                            </div>
+                          ))}
+                        </td>
+                        <td>
+                          {entry.dates.map(({ date, before, after }) => (
+                            <div key={date} className="text-nowrap">
+                              {date}: {formatCategories(before)} → {formatCategories(after)}
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </>
+            )}
+          </Card.Body>
+        </Card>
+      ) : (
+        <>
+          <Table size="sm" bordered responsive className="small">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Weekday Utilization</th>
+                <th>Weekend Overtime</th>
+                {isHoursMode && <th>Hours</th>}
+                {categories.map(category => (
+                  <th key={category.id}>{category.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {snapshot.items.map(item => (
+                <tr key={item.employee.id}>
+                  <td>
+                    {item.employee.name}
+                    {item.isExcludedFromUtilization && <span className="text-muted"> (Admin/Support)</span>}
+                    {item.validationInfo && !item.validationInfo.isValid && ' ⚠️'}
+                    {item.holidayWarnings && item.holidayWarnings.length > 0 && ' 🚫'}
+                  </td>
+                  <td>{item.weekdayUtilizationPercentage}% ({item.weekdayUtilized}/{item.weekdayTotal})</td>
+                  <td>{item.weekendUtilizationPercentage}% ({item.weekendUtilized}/{item.weekendTotal})</td>
+                  {isHoursMode && <td>{item.utilizedHours.toFixed(1)}h / {item.availableHours}h</td>}
+                  {categories.map(category => (
+                    <td key={category.id}>
+                      {item.isExcludedFromUtilization && isNotApplicableForSupport(category)
+                        ? 'N/A'
+                        : getCategoryDays(item, category.id)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+
+          <div className="border-top pt-2 small">
+            <p className="mb-1">
+              <strong>Totals:</strong> {summary.employeeCount} employee{summary.employeeCount !== 1 ? 's' : ''}
+              {' • '}Team weekday utilization {summary.teamUtilizationPercentage ?? 'N/A'}%
+              {' '}({summary.weekdayUtilized}/{summary.weekdayTotal} days, excluding admin/support)
+              {' • '}{summary.unknownDays} unknown days
+            </p>
+            <p className="mb-1">
+              <strong>Warnings:</strong>{' '}
+              {summary.validationWarnings.length === 0 && summary.holidayWarnings.length === 0 && summary.unmappedStatuses.length === 0
+                ? 'None'
+                : [
+                    summary.validationWarnings.length > 0 && `⚠️ categories don't add up for ${summary.validationWarnings.join(', ')}`,
+                    summary.holidayWarnings.length > 0 && `🚫 non-working entries on holidays for ${summary.holidayWarnings.join(', ')}`,
+                    summary.unmappedStatuses.length > 0 && `statuses without a category rule: ${summary.unmappedStatuses.join(', ')}`
+                  ].filter(Boolean).join('; ')}
+            </p>
+          </div>
+        </>
+      )}
+    </Container>
+  )
+}
+
+export default SnapshotDetail
@@ -0,0 +1,219 @@
+import { useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { Container, Card, Row, Col, Form, Button, Alert, Table, Spinner } from 'react-bootstrap'
+import { useAuth } from '../auth/useAuth'
+import { useAllEmployeesUtilization } from '../services/teamupService'
+import { useSettings, useCalendarToday } from '../services/settingsService'
+import { useSnapshots, useSaveSnapshot, useDeleteSnapshot, loadBrowserSnapshots, clearBrowserSnapshots } from '../services/snapshotService'
+import { downloadJson } from '../services/exportService'
+import { parseMonthParam, formatMonthParam, getMonthRange } from '../engine/months'
+import { createSnapshot, getSnapshotId, formatSnapshotPeriod } from '../engine/snapshots'
+import { summarizeReport } from '../engine/report'
+
+// Close periods by freezing their computed utilization, and manage the stored snapshots
+function Snapshots() {
+  const { user } = useAuth()
+  // Default to the calendar's last month, the one usually being closed
+  const today = useCalendarToday()
+  const [monthValue, setMonthValue] = useState(() => formatMonthParam(today.getFullYear(), today.getMonth() - 1))
+  const [label, setLabel] = useState('')
+  const [message, setMessage] = useState(null)
+  const { year, month } = parseMonthParam(monthValue, today)
+  const { startDate, endDate } = useMemo(() => getMonthRange(year, month), [year, month])
+
+  const { data: settings } = useSettings()
+  const { data: utilizationData, isLoading, error } = useAllEmployeesUtilization(startDate, endDate)
+  const { data: snapshots = [], isLoading: snapshotsLoading, error: snapshotsError } = useSnapshots()
+  // Snapshots saved in this browser before they were kept by the API
+  const [browserSnapshots, setBrowserSnapshots] = useState(loadBrowserSnapshots)
+  const saveSnapshot = useSaveSnapshot()
+  const deleteSnapshot = useDeleteSnapshot()
+  const existing = snapshots.find(snapshot => snapshot.id === getSnapshotId(startDate, endDate))
+
+  const handleFreeze = () => {
+    if (existing && !window.confirm(`Replace the snapshot of ${formatSnapshotPeriod(existing)} frozen on ${new Date(existing.createdAt).toLocaleString()}?`)) {
+      return
+    }
+    const snapshot = createSnapshot(utilizationData, settings, {
+      startDate,
+      endDate,
+      label: label.trim(),
+      createdBy: user?.email || user?.name || null
+    })
+    saveSnapshot.mutate(snapshot, {
+      onSuccess: () => {
+        setLabel('')
+        setMessage({ variant: 'success', text: `${formatSnapshotPeriod(snapshot)} is closed.` })
+      },
+      onError: (error) => setMessage({ variant: 'danger', text: `Could not close ${formatSnapshotPeriod(snapshot)}: ${error.message}` })
+    })
+  }
+
+  const handleDelete = (snapshot) => {
+    if (window.confirm(`Delete the snapshot of ${formatSnapshotPeriod(snapshot)}? Download it first to keep a copy.`)) {
+      deleteSnapshot.mutate(snapshot.id, {
+        onError: (error) => setMessage({ variant: 'danger', text: `Could not delete the snapshot: ${error.message}` })
+      })
+    }
+  }
+
+  // Move the snapshots saved in this browser to the API; periods already stored there keep the stored snapshot
+  const handleMoveBrowserSnapshots = async () => {
+    const missing = browserSnapshots.filter(snapshot => !snapshots.some(entry => entry.id === snapshot.id))
+    try {
+      for (const snapshot of missing) {
+        await saveSnapshot.mutateAsync(snapshot)
+      }
+      clearBrowserSnapshots()
+      setBrowserSnapshots([])
+      setMessage({ variant: 'success', text: `Moved ${missing.length} snapshot(s) from this browser.` })
+    } catch (error) {
+      setMessage({ variant: 'danger', text: `Could not move the snapshots from this browser: ${error.message}` })
+    }
+  }
+
+  // Read a downloaded snapshot back in, e.g. one kept from before a period was deleted
+  const handleImport = async (e) => {
+    const [file] = e.target.files
+    e.target.value = ''
+    if (!file) return
+    try {
+      const snapshot = JSON.parse(await file.text())
+      await saveSnapshot.mutateAsync(snapshot)
+      setMessage({ variant: 'success', text: `Imported the snapshot of ${formatSnapshotPeriod(snapshot)}.` })
+    } catch (error) {
+      setMessage({ variant: 'danger', text: `Could not import ${file.name}: ${error.message}` })
+    }
+  }
+
+  return (
+    <Container className="py-4">
+      <h1>Snapshots</h1>
+      <p className="text-muted mb-4">
+        Closing a period freezes its computed utilization, so edits to old TeamUp events no longer change it.
+        Snapshots are stored by the server and shared by every admin; download one to keep a copy outside the app.
+      </p>
+
+      {message && <Alert variant={message.variant} dismissible onClose={() => setMessage(null)}>{message.text}</Alert>}
+      {snapshotsError && <Alert variant="danger">Could not load the snapshots: {snapshotsError.message}</Alert>}
+      {browserSnapshots.length > 0 && !snapshotsLoading && !snapshotsError && (
+        <Alert variant="info" className="d-flex justify-content-between align-items-center gap-2">
+          <span>
+            {browserSnapshots.length} snapshot(s) are still saved only in this browser. Move them to the server so
+            other admins see them too.
+          </span>
+          <Button variant="primary" size="sm" onClick={handleMoveBrowserSnapshots} disabled={saveSnapshot.isPending}>
+            Move to Server
+          </Button>
+        </Alert>
+      )}
+
+      <Card className="mb-4">
+        <Card.Header>
+          <h6 className="mb-0">Close a Month</h6>
+        </Card.Header>
+        <Card.Body>
+          <Row className="g-3 align-items-end">
+            <Col md={3}>
+              <Form.Group controlId="snapshot-month">
+                <Form.Label>Month</Form.Label>
+                <Form.Control
+                  type="month"
+                  value={monthValue}
+                  onChange={(e) => e.target.value && setMonthValue(e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={5}>
+              <Form.Group controlId="snapshot-label">
+                <Form.Label>Note (optional)</Form.Label>
+                <Form.Control
+                  placeholder="e.g. Reported to finance"
+                  value={label}
+                  onChange={(e) => setLabel(e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={4}>
+              <Button
+                variant={existing ? 'outline-warning' : 'primary'}
+                onClick={handleFreeze}
+                disabled={isLoading || !utilizationData || snapshotsLoading || !!snapshotsError || saveSnapshot.isPending}
+              >
+                {isLoading ? <Spinner animation="border" size="sm" /> : existing ? 'Replace Snapshot' : 'Freeze Month'}
+              </Button>
+            </Col>
+          </Row>
+          {error && <Form.Text className="text-danger d-block">Could not calculate this month: {error.message}</Form.Text>}
+          {existing && (
+            <Form.Text muted>
+              Already closed on {new Date(existing.createdAt).toLocaleString()}.{' '}
+              <Link to={`/snapshots/${existing.id}?compare=1`}>See what changed since</Link>.
+            </Form.Text>
+          )}
+        </Card.Body>
+      </Card>
+
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <h6 className="mb-0">Closed Periods</h6>
+          <Form.Group controlId="snapshot-import" className="mb-0">
+            <Form.Label className="btn btn-outline-secondary btn-sm mb-0">Import Snapshot</Form.Label>
+            <Form.Control type="file" accept="application/json,.json" className="d-none" onChange={handleImport} />
+          </Form.Group>
+        </Card.Header>
+        <Card.Body>
+          {snapshotsLoading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : snapshots.length === 0 ? (
+            <p className="text-muted mb-0">No periods have been closed yet.</p>
+          ) : (
+            <Table size="sm" responsive className="mb-0">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Note</th>
+                  <th>Closed</th>
+                  <th>Employees</th>
+                  <th>Team Utilization</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snapshot => (
+                  <tr key={snapshot.id}>
+                    <td><Link to={`/snapshots/${snapshot.id}`}>{formatSnapshotPeriod(snapshot)}</Link></td>
+                    <td>{snapshot.label}</td>
+                    <td>
+                      {new Date(snapshot.createdAt).toLocaleString()}
+                      {snapshot.createdBy && <small className="text-muted d-block">{snapshot.createdBy}</small>}
+                    </td>
+                    <td>{snapshot.items.length}</td>
+                    <td>{summarizeReport(snapshot.items).teamUtilizationPercentage ?? 'N/A'}%</td>
+                    <td className="text-end text-nowrap">
+                      <Button
+                        variant="outline-secondary"
+                        size="sm"
+                        className="me-2"
+                        onClick={() => downloadJson(snapshot, `utilization-snapshot-${snapshot.id}.json`)}
+                      >
+                        Download
+                      </Button>
+                      <Button variant="outline-danger" size="sm" onClick={() => handleDelete(snapshot)}>
+                        Delete
+                      </Button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  )
+}
+
+export default Snapshots
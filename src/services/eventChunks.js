@@ -0,0 +1,50 @@
+// Helpers for fetching TeamUp events month by month and putting the months back together.
+
+// Limit how many async tasks run at once; the rest wait in order
+// Returns limit(task), which runs task() when a slot is free and resolves with its result.
+export function createLimiter(concurrency) {
+  let active = 0
+  const queue = []
+
+  // Helper function to start queued tasks while slots are free
+  const next = () => {
+    while (active < concurrency && queue.length > 0) {
+      const { task, resolve, reject } = queue.shift()
+      active++
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--
+          next()
+        })
+    }
+  }
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject })
+    next()
+  })
+}
+
+// Merge month responses into one events response for a range
+// Events spanning months come back in each month; the most recently updated copy is kept.
+// Months are whole, so events outside startDate–endDate (YYYY-MM-DD) are left out,
+// the same way TeamUp would for a single request.
+export function mergeEventChunks(responses, startDate, endDate) {
+  const events = new Map()
+  responses.forEach(response => {
+    response.events.forEach(event => {
+      const existing = events.get(event.id)
+      if (!existing || (event.update_dt || '') > (existing.update_dt || '')) {
+        events.set(event.id, event)
+      }
+    })
+  })
+
+  return {
+    events: [...events.values()].filter(event =>
+      event.end_dt.slice(0, 10) >= startDate && event.start_dt.slice(0, 10) <= endDate
+    )
+  }
+}
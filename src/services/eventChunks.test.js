@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { createLimiter, mergeEventChunks } from './eventChunks'
+
+// Helper function to build a TeamUp event
+function createEvent(id, start, end, updated = '2025-01-02T08:00:00') {
+  return { id, start_dt: `${start}T00:00:00`, end_dt: `${end}T23:59:00`, update_dt: updated }
+}
+
+describe('createLimiter', () => {
+  it('runs at most the given number of tasks at once, in order', async () => {
+    const limit = createLimiter(2)
+    const started = []
+    let running = 0
+    let maxRunning = 0
+
+    // Helper function to make a task that finishes on the next timer tick
+    const task = (id) => async () => {
+      started.push(id)
+      running++
+      maxRunning = Math.max(maxRunning, running)
+      await new Promise(resolve => setTimeout(resolve, 1))
+      running--
+      return id
+    }
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(id => limit(task(id))))
+
+    expect(results).toEqual([1, 2, 3, 4, 5])
+    expect(started).toEqual([1, 2, 3, 4, 5])
+    expect(maxRunning).toBe(2)
+  })
+
+  it('keeps going after a task fails', async () => {
+    const limit = createLimiter(1)
+    const failed = limit(() => Promise.reject(new Error('TeamUp API Error: 429')))
+    const next = limit(() => 'ok')
+
+    await expect(failed).rejects.toThrow('429')
+    await expect(next).resolves.toBe('ok')
+  })
+})
+
+describe('mergeEventChunks', () => {
+  it('de-duplicates events spanning months and keeps the newest copy', () => {
+    const january = { events: [createEvent('a', '2025-01-06', '2025-01-06'), createEvent('b', '2025-01-30', '2025-02-03')] }
+    const february = { events: [createEvent('b', '2025-01-30', '2025-02-04', '2025-02-01T09:00:00'), createEvent('c', '2025-02-10', '2025-02-10')] }
+
+    const { events } = mergeEventChunks([january, february], '2025-01-01', '2025-02-28')
+
+    expect(events.map(event => event.id)).toEqual(['a', 'b', 'c'])
+    expect(events[1].end_dt).toBe('2025-02-04T23:59:00')
+  })
+
+  it('leaves out events outside the requested range', () => {
+    const january = { events: [createEvent('a', '2025-01-02', '2025-01-03'), createEvent('b', '2025-01-14', '2025-01-16')] }
+
+    const { events } = mergeEventChunks([january], '2025-01-15', '2025-01-31')
+
+    expect(events.map(event => event.id)).toEqual(['b'])
+  })
+})
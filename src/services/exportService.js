@@ -0,0 +1,134 @@
+// Export of the Employee Details table to CSV and Excel.
+// Rows are built as plain arrays so both formats share the same columns.
+
+import { getTargetVariance } from '../engine/targets'
+
+// Helper function to build one Employee Details row from an employee or team summary
+function buildDetailsRow(name, adminSupport, item, categories, { includeHours, getTarget }) {
+  const target = getTarget?.(item)
+  return [
+    name,
+    adminSupport,
+    Number(item.weekdayUtilizationPercentage),
+    item.weekdayUtilized,
+    item.weekdayTotal,
+    ...(getTarget ? [target, getTargetVariance(item, target) ?? ''] : []),
+    Number(item.weekendUtilizationPercentage),
+    item.weekendUtilized,
+    item.weekendTotal,
+    ...(includeHours ? [Number(item.utilizedHours.toFixed(2)), item.availableHours] : []),
+    ...categories.flatMap(category => [
+      item.utilization.categories[category.id]?.weekdays || 0,
+      item.utilization.categories[category.id]?.weekends || 0
+    ])
+  ]
+}
+
+// Helper function to build the Employee Details columns and rows
+// Returns { headers, rows } with team summary rows (from summarizeTeams) first,
+// then the employees in the order they are passed in.
+// getTarget(row) adds target and variance columns.
+export function buildEmployeeDetailsTable(items, categories, { includeHours = false, teamRows = [], getTarget = null } = {}) {
+  const headers = [
+    'Employee',
+    'Admin/Support',
+    'Weekday Utilization %',
+    'Weekday Utilized Days',
+    'Weekdays',
+    ...(getTarget ? ['Target %', 'Variance (pp)'] : []),
+    'Weekend Overtime %',
+    'Weekend Utilized Days',
+    'Weekend Days',
+    ...(includeHours ? ['Utilized Hours', 'Available Hours'] : []),
+    ...categories.flatMap(category => [`${category.label} Weekdays`, `${category.label} Weekends`])
+  ]
+
+  const rows = [
+    ...teamRows.map(row => buildDetailsRow(`${row.team.name} (team)`, '', row, categories, { includeHours, getTarget })),
+    ...items.map(item => buildDetailsRow(
+      item.employee.name,
+      item.isExcludedFromUtilization ? 'Yes' : 'No',
+      item,
+      categories,
+      { includeHours, getTarget }
+    ))
+  ]
+
+  return { headers, rows }
+}
+
+// Helper function to list every date with its resolved category per employee
+// A split day appears once for each category it was split between
+export function buildCategoryDatesTable(items, categories) {
+  const headers = ['Employee', 'Date', 'Category']
+  const rows = items.flatMap(item => {
+    const entries = categories.flatMap(category => {
+      // Unknown dates include weekdays no category accounted for
+      const dates = category.id === 'unknown' ? item.unknownDates : item.categoryDates?.[category.id]
+      return (dates || []).map(date => [item.employee.name, date, category.label])
+    })
+    return entries.sort((a, b) => a[1].localeCompare(b[1]))
+  })
+
+  return { headers, rows }
+}
+
+// Helper function to quote a CSV value when needed
+// Text starting like a formula (=, +, -, @, tab or carriage return) gets a leading ' so spreadsheets
+// show it instead of running it; numbers are left alone so negative values stay numeric.
+function escapeCsvValue(value) {
+  const text = value == null ? '' : String(value)
+  const safeText = typeof value === 'string' && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text
+  return /[",\r\n]/.test(safeText) ? `"${safeText.replace(/"/g, '""')}"` : safeText
+}
+
+// Convert a table to CSV text
+export function toCsv({ headers, rows }) {
+  return [headers, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\r\n')
+}
+
+// Helper function to save a Blob through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+// Download a table as a CSV file
+export function downloadCsv(table, fileName) {
+  // The byte order mark makes Excel open the file as UTF-8
+  downloadBlob(new Blob(['\uFEFF' + toCsv(table)], { type: 'text/csv;charset=utf-8' }), fileName)
+}
+
+// Download a value as a formatted JSON file
+export function downloadJson(value, fileName) {
+  downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), fileName)
+}
+
+// Helper function to convert a table to write-excel-file sheet data
+function toSheetData({ headers, rows }) {
+  return [
+    headers.map(header => ({ value: header, fontWeight: 'bold' })),
+    ...rows.map(row => row.map(value => ({
+      type: typeof value === 'number' ? Number : String,
+      value
+    })))
+  ]
+}
+
+// Download one or more named tables as sheets of an .xlsx file
+// sheets: [{ name, table }]
+export async function downloadXlsx(sheets, fileName) {
+  // Loaded on demand so the dashboard bundle doesn't carry the xlsx writer
+  const { default: writeExcelFile } = await import('write-excel-file/browser')
+  await writeExcelFile(sheets.map(({ name, table }) => ({
+    data: toSheetData(table),
+    sheet: name,
+    stickyRowsCount: 1
+  }))).toFile(fileName)
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { buildEmployeeDetailsTable, buildCategoryDatesTable, toCsv } from './exportService'
+
+const CATEGORIES = [
+  { id: 'field', label: 'Field' },
+  { id: 'unknown', label: 'Unknown' }
+]
+
+const ITEM = {
+  employee: { id: 1, name: 'Smith, Jane' },
+  isExcludedFromUtilization: false,
+  weekdayUtilizationPercentage: '75.0',
+  weekdayUtilized: 3,
+  weekdayTotal: 4,
+  weekendUtilizationPercentage: '0.0',
+  weekendUtilized: 0,
+  weekendTotal: 2,
+  utilizedHours: 24,
+  availableHours: 32,
+  utilization: { categories: { field: { weekdays: 3, weekends: 0 }, unknown: { weekdays: 1, weekends: 0 } } },
+  categoryDates: { field: ['2025-01-08', '2025-01-06', '2025-01-07'] },
+  unknownDates: ['2025-01-09']
+}
+
+describe('buildEmployeeDetailsTable', () => {
+  it('builds one row per employee with weekday and weekend counts per category', () => {
+    const { headers, rows } = buildEmployeeDetailsTable([ITEM], CATEGORIES)
+
+    expect(headers).toEqual([
+      'Employee', 'Admin/Support',
+      'Weekday Utilization %', 'Weekday Utilized Days', 'Weekdays',
+      'Weekend Overtime %', 'Weekend Utilized Days', 'Weekend Days',
+      'Field Weekdays', 'Field Weekends', 'Unknown Weekdays', 'Unknown Weekends'
+    ])
+    expect(rows).toEqual([['Smith, Jane', 'No', 75, 3, 4, 0, 0, 2, 3, 0, 1, 0]])
+  })
+
+  it('adds hour columns in hours mode', () => {
+    const { headers, rows } = buildEmployeeDetailsTable([ITEM], CATEGORIES, { includeHours: true })
+
+    expect(headers.slice(8, 10)).toEqual(['Utilized Hours', 'Available Hours'])
+    expect(rows[0].slice(8, 10)).toEqual([24, 32])
+  })
+
+  it('puts team summary rows before the employees', () => {
+    const teamRow = { ...ITEM, team: { id: 'office', name: 'Office' } }
+    const { rows } = buildEmployeeDetailsTable([ITEM], CATEGORIES, { teamRows: [teamRow] })
+
+    expect(rows.map(row => row.slice(0, 2))).toEqual([['Office (team)', ''], ['Smith, Jane', 'No']])
+  })
+
+  it('adds target and variance columns when given targets', () => {
+    const { headers, rows } = buildEmployeeDetailsTable([ITEM], CATEGORIES, { getTarget: () => 80 })
+
+    expect(headers.slice(5, 7)).toEqual(['Target %', 'Variance (pp)'])
+    expect(rows[0].slice(5, 7)).toEqual([80, -5])
+  })
+})
+
+describe('buildCategoryDatesTable', () => {
+  it('lists every date with its category, sorted by date per employee', () => {
+    const { rows } = buildCategoryDatesTable([ITEM], CATEGORIES)
+
+    expect(rows).toEqual([
+      ['Smith, Jane', '2025-01-06', 'Field'],
+      ['Smith, Jane', '2025-01-07', 'Field'],
+      ['Smith, Jane', '2025-01-08', 'Field'],
+      ['Smith, Jane', '2025-01-09', 'Unknown']
+    ])
+  })
+})
+
+describe('toCsv', () => {
+  it('quotes values containing commas, quotes or line breaks', () => {
+    const csv = toCsv({ headers: ['Name', 'Note'], rows: [['Smith, Jane', 'said "hi"'], ['Doe', 12.5]] })
+
+    expect(csv).toBe('Name,Note\r\n"Smith, Jane","said ""hi"""\r\nDoe,12.5')
+  })
+
+  it('keeps text that looks like a formula from running in spreadsheets', () => {
+    const rows = [['=HYPERLINK("http://x")', -2.5], ['@SUM(A1)', 0], ['+1', 0], ['-Jo', 0]]
+    const csv = toCsv({ headers: ['Name', 'Variance'], rows })
+
+    expect(csv.split('\r\n').slice(1)).toEqual([
+      `"'=HYPERLINK(""http://x"")",-2.5`,
+      `'@SUM(A1),0`,
+      `'+1,0`,
+      `'-Jo,0`
+    ])
+  })
+})
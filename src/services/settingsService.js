@@ -0,0 +1,98 @@
+import { useMemo } from 'react'
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { useApiClient, useApiQuery } from '../hooks/useApi'
+import { getCalendarTimeZone } from '../engine/settings'
+import { getToday } from '../engine/timezone'
+
+export { DEFAULT_SETTINGS } from '../engine/settings'
+
+// Where settings were kept before they moved to the API, read only to move them over
+const SETTINGS_STORAGE_KEY = 'employee-utilization.settings'
+
+// Read the settings still saved in this browser, or null without any
+export function loadBrowserSettings() {
+  try {
+    const stored = window.localStorage.getItem(SETTINGS_STORAGE_KEY)
+    return stored ? JSON.parse(stored) : null
+  } catch (error) {
+    console.error('Failed to load settings:', error)
+    return null
+  }
+}
+
+// Forget the settings saved in this browser once they have been moved to the API
+export function clearBrowserSettings() {
+  window.localStorage.removeItem(SETTINGS_STORAGE_KEY)
+}
+
+// Hook to read the settings the API keeps, for editing them
+// Employee lists never saved come seeded, and without a timezone override calendarTimeZone holds
+// TeamUp's zone (see loadServerSettings). Calculations use useSettings, which checks the zone is known.
+export function useStoredSettings() {
+  return useApiQuery(
+    ['settings'],
+    '/settings',
+    {
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  )
+}
+
+// Hook to get the time zone configured for the TeamUp calendar, data being { timezone }
+export function useCalendarConfiguration(enabled = true) {
+  return useApiQuery(
+    ['teamup-configuration'],
+    '/teamup/configuration',
+    {
+      staleTime: 60 * 60 * 1000, // 1 hour
+      enabled,
+    }
+  )
+}
+
+// Hook to read the current settings with the time zone of the TeamUp calendar
+// When neither the timezone override nor TeamUp's zone is known, data stays undefined and error
+// says so, since calculating in the browser's zone would count other days.
+export function useSettings() {
+  const storedQuery = useStoredSettings()
+  const stored = storedQuery.data
+
+  const resolved = useMemo(() => {
+    if (!stored) return {}
+    try {
+      getCalendarTimeZone(stored)
+      return { data: stored }
+    } catch (error) {
+      return { error }
+    }
+  }, [stored])
+
+  return {
+    data: resolved.data,
+    isLoading: storedQuery.isLoading,
+    error: storedQuery.error || resolved.error || null
+  }
+}
+
+// Hook to get today's date in the calendar's time zone, or null until the settings are ready
+// Pages build their default ranges from it rather than the browser's clock and zone.
+export function useCalendarToday() {
+  const { data: settings } = useSettings()
+  return useMemo(() => (settings ? getToday(getCalendarTimeZone(settings)) : null), [settings])
+}
+
+// Hook to save settings through the API and update every consumer
+// Access is recalculated too, since the settings hold the employee accounts and manager assignments.
+export function useSaveSettings(options = {}) {
+  const apiClient = useApiClient()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (settings) => apiClient.request('/settings', { method: 'PUT', body: JSON.stringify(settings) }),
+    onSuccess: (data, variables, context) => {
+      queryClient.setQueryData(['settings'], data)
+      queryClient.invalidateQueries({ queryKey: ['access'] })
+      options.onSuccess?.(data, variables, context)
+    },
+  })
+}
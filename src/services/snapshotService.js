@@ -0,0 +1,62 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query'
+import { useApiClient, useApiQuery } from '../hooks/useApi'
+import { isSnapshot } from '../engine/snapshots'
+
+// Where snapshots were kept before they moved to the API, read only to move them over
+const SNAPSHOTS_STORAGE_KEY = 'employee-utilization.snapshots'
+
+// Read snapshots still stored in this browser, newest period first
+export function loadBrowserSnapshots() {
+  try {
+    const stored = window.localStorage.getItem(SNAPSHOTS_STORAGE_KEY)
+    const snapshots = stored ? JSON.parse(stored) : []
+    return snapshots.filter(isSnapshot).sort((a, b) => b.startDate.localeCompare(a.startDate))
+  } catch (error) {
+    console.error('Failed to load snapshots:', error)
+    return []
+  }
+}
+
+// Forget the snapshots stored in this browser once they have been moved to the API
+export function clearBrowserSnapshots() {
+  window.localStorage.removeItem(SNAPSHOTS_STORAGE_KEY)
+}
+
+// Hook to read the stored snapshots, newest period first
+// They are kept by the API, so every admin sees the same closed periods.
+export function useSnapshots() {
+  return useApiQuery(
+    ['snapshots'],
+    '/snapshots',
+    {
+      staleTime: 60 * 1000, // 1 minute
+    }
+  )
+}
+
+// Hook to store a snapshot (also used to import a downloaded one)
+export function useSaveSnapshot() {
+  const apiClient = useApiClient()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: async (snapshot) => {
+      if (!isSnapshot(snapshot)) {
+        throw new Error('Not a utilization snapshot')
+      }
+      return apiClient.request('/snapshots', { method: 'POST', body: JSON.stringify(snapshot) })
+    },
+    onSuccess: (data) => queryClient.setQueryData(['snapshots'], data),
+  })
+}
+
+// Hook to remove a snapshot
+export function useDeleteSnapshot() {
+  const apiClient = useApiClient()
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (snapshotId) => apiClient.request(`/snapshots?id=${encodeURIComponent(snapshotId)}`, { method: 'DELETE' }),
+    onSuccess: (data) => queryClient.setQueryData(['snapshots'], data),
+  })
+}
@@ -0,0 +1,26 @@
+// Web Worker running calculateEmployeesUtilization off the main thread for long ranges.
+// Receives { id, employees, events, holidayEvents, settings, startDate, endDate } and
+// replies { id, data } or { id, error }.
+
+import { calculateEmployeesUtilization, createUtilizationCache } from '../engine/dashboard.js'
+
+const cache = createUtilizationCache()
+
+// Every message carries a fresh copy of the settings; reuse the previous object while they're
+// the same so cached results still match
+let lastSettings = null
+let lastSettingsJson = null
+
+self.onmessage = ({ data: { id, employees, events, holidayEvents, settings, startDate, endDate } }) => {
+  try {
+    const settingsJson = JSON.stringify(settings)
+    if (settingsJson !== lastSettingsJson) {
+      lastSettings = settings
+      lastSettingsJson = settingsJson
+    }
+    const data = calculateEmployeesUtilization(employees, events, holidayEvents, lastSettings, startDate, endDate, cache)
+    self.postMessage({ id, data })
+  } catch (error) {
+    self.postMessage({ id, error: error.message })
+  }
+}
@@ -0,0 +1,52 @@
+import { calculateEmployeesUtilization } from '../engine/dashboard'
+
+// The worker is started on first use and shared by every caller
+let worker = null
+let nextRequestId = 0
+const pending = new Map()
+
+// Whether this browser can run the calculation in a Web Worker
+export function canUseWorker() {
+  return typeof Worker !== 'undefined'
+}
+
+// Helper function to start the worker and route its replies to the waiting requests
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./utilization.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id)
+      if (!request) return
+      pending.delete(data.id)
+      if (data.error) {
+        request.reject(new Error(data.error))
+      } else {
+        request.resolve(data.data)
+      }
+    }
+    // A crashed worker fails everything in flight; the next request starts a new one
+    worker.onerror = (event) => {
+      pending.forEach(request => request.reject(new Error(event.message || 'Utilization worker failed')))
+      pending.clear()
+      worker.terminate()
+      worker = null
+    }
+  }
+  return worker
+}
+
+// Run calculateEmployeesUtilization in the Web Worker, resolving with its rows
+// Falls back to calculating here when workers aren't available (e.g. in tests).
+export function calculateUtilizationInWorker(employees, events, holidayEvents, settings, startDate, endDate) {
+  if (!canUseWorker()) {
+    return Promise.resolve().then(() =>
+      calculateEmployeesUtilization(employees, events, holidayEvents, settings, startDate, endDate)
+    )
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++
+    pending.set(id, { resolve, reject })
+    getWorker().postMessage({ id, employees, events, holidayEvents, settings, startDate, endDate })
+  })
+}
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import { canUseWorker, calculateUtilizationInWorker } from './utilizationWorker'
+import { withDefaultSettings } from '../engine/settings'
+
+describe('calculateUtilizationInWorker', () => {
+  it('calculates on the calling thread when workers are unavailable', async () => {
+    expect(canUseWorker()).toBe(false)
+
+    const employee = { id: 1, name: 'Avery Field', creation_dt: '2025-01-01T00:00:00' }
+    const events = {
+      events: [{
+        id: 'e1',
+        subcalendar_ids: [1],
+        title: 'Job',
+        start_dt: '2025-01-06T00:00:00',
+        end_dt: '2025-01-06T23:59:00',
+        all_day: true,
+        custom: { status: ['field'] }
+      }]
+    }
+    const [item] = await calculateUtilizationInWorker([employee], events, [], withDefaultSettings({ timezone: 'America/Chicago' }), new Date(2025, 0, 6), new Date(2025, 0, 7))
+
+    expect(item.employee).toBe(employee)
+    expect(item.utilization.categories.field.weekdays).toBe(1)
+    expect(item.unknownDates).toEqual(['2025-01-07'])
+  })
+})
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // Forward API calls to the local runner (npm run api)
+    proxy: {
+      '/api': 'http://localhost:3000',
+    },
+  },
 })